@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+require('dotenv').config();
+const BackfillService = require('./services/backfillService');
+const { runMigrations } = require('./utils/migrations');
+
+/**
+ * Historical kline backfill
+ *
+ * Pages through Binance (or OKX) from --start to --end and stores the
+ * candles that are missing. Progress is checkpointed in backfill_jobs, so
+ * running the same command again after a failure or Ctrl+C resumes it.
+ *
+ * Usage:
+ *   node backfill.js --symbol BTC --interval 1h --start 2021-01-01
+ *   node backfill.js --symbol ETH --interval 15m --start 2024-01-01 --end 2024-07-01
+ *
+ * Options:
+ *   --symbol     Cryptocurrency symbol (default: BTC)
+ *   --interval   Time interval: 15m, 30m, 1h, 4h, 1d or 1w (default: 1h);
+ *                resampled intervals backfill their source interval
+ *   --start      First candle, as an ISO date (required)
+ *   --end        Last candle, as an ISO date (default: now)
+ *   --db         Database path (default: ./crypto_data.db)
+ */
+
+/**
+ * Parse `--name value` pairs
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} Options by name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.start) {
+    console.log('Usage: node backfill.js --start <date> [--symbol BTC] [--interval 1h] [--end <date>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const dbPath = args.db || path.join(__dirname, 'crypto_data.db');
+  const db = new sqlite3.Database(dbPath);
+  const backfillService = new BackfillService(dbPath);
+
+  try {
+    await runMigrations(db);
+
+    const backfill = await backfillService.backfill({
+      symbol: args.symbol || 'BTC',
+      interval: args.interval || '1h',
+      startTime: Date.parse(args.start),
+      endTime: args.end ? Date.parse(args.end) : null
+    });
+
+    console.log(`\n📊 Backfill ${backfill.id}: ${backfill.symbol} ${backfill.interval}`);
+    console.log(`   Status: ${backfill.status}${backfill.error ? ` (${backfill.error})` : ''}`);
+    console.log(`   Progress: ${(backfill.progress * 100).toFixed(1)}% (checkpoint ${new Date(backfill.cursor).toISOString()})`);
+    console.log(`   Candles: ${backfill.fetched} fetched in ${backfill.pages} pages, ${backfill.inserted} new`);
+
+    if (backfill.status !== 'succeeded') {
+      console.log('   Run the same command again to resume from the checkpoint');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    backfillService.close();
+    db.close();
+  }
+}
+
+main();
\ No newline at end of file
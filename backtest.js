@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+require('dotenv').config();
+const PredictionService = require('./services/predictionService');
+const BacktestService = require('./services/backtestService');
+const { runMigrations } = require('./utils/migrations');
+
+/**
+ * Walk-forward backtest runner
+ *
+ * Replays stored kline history through a provider and scores its forecasts.
+ * Results are stored in backtest_runs/backtest_forecasts and printed.
+ *
+ * Usage:
+ *   node backtest.js --provider naive --symbol BTC --interval 1h --days 30
+ *   node backtest.js --provider gemini --start 2025-01-01 --end 2025-01-15 --budget 10
+ *
+ * Options:
+ *   --provider   Provider id from config/providers.json (required)
+ *   --symbol     Cryptocurrency symbol (default: BTC)
+ *   --interval   Time interval: 15m, 30m, 1h, 4h, 1d or 1w (default: 1h)
+ *   --start      First cutoff, as an ISO date (default: --days before --end)
+ *   --end        Last cutoff, as an ISO date (default: now)
+ *   --days       Days of cutoffs when --start is not given (default: 30)
+ *   --horizon    Predictions per cutoff (default: 24)
+ *   --step       Candles between cutoffs (default: the horizon)
+ *   --history    Candles shown to the provider (default: 500)
+ *   --budget     Maximum model calls for LLM providers (default: BACKTEST_CALL_BUDGET or 20)
+ *   --mode       close or ohlc (default: the provider's forecastMode)
+ *   --db         Database path (default: ./crypto_data.db)
+ */
+
+/**
+ * Parse `--name value` pairs
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} Options by name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+/**
+ * Parse an optional integer option
+ * @param {string|undefined} value - Raw option value
+ * @returns {number|undefined}
+ */
+function parseInteger(value) {
+  return value === undefined ? undefined : parseInt(value);
+}
+
+/**
+ * Format a metric for the summary table
+ * @param {number|null} value - Metric value
+ * @param {number} digits - Decimal places
+ * @param {string} suffix - Unit appended to known values
+ * @returns {string}
+ */
+function formatMetric(value, digits = 4, suffix = '') {
+  return value === null || value === undefined ? '-' : value.toFixed(digits) + suffix;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.provider) {
+    console.log('Usage: node backtest.js --provider <id> [--symbol BTC] [--interval 1h] [--days 30] [--budget 20]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const dbPath = args.db || path.join(__dirname, 'crypto_data.db');
+  const db = new sqlite3.Database(dbPath);
+  const predictionService = new PredictionService(dbPath);
+  const backtestService = new BacktestService(predictionService);
+
+  try {
+    await runMigrations(db);
+
+    const endTime = args.end ? Date.parse(args.end) : Date.now();
+    const startTime = args.start
+      ? Date.parse(args.start)
+      : endTime - (parseInteger(args.days) || 30) * 86400000;
+
+    const run = await backtestService.runBacktest({
+      symbol: args.symbol || 'BTC',
+      interval: args.interval || '1h',
+      aiProvider: args.provider,
+      startTime,
+      endTime,
+      horizon: parseInteger(args.horizon),
+      step: parseInteger(args.step),
+      historyLength: parseInteger(args.history),
+      budget: parseInteger(args.budget),
+      mode: args.mode
+    });
+
+    console.log(`\n📊 Backtest ${run.id}: ${run.ai_provider} (${run.model_version}) on ${run.symbol} ${run.interval}`);
+    console.log(`   Status: ${run.status}${run.error ? ` (${run.error})` : ''}`);
+    console.log(`   Cutoffs: ${run.cutoffs_completed}/${run.cutoffs_planned} scored, ${run.cutoffs_failed} failed, ${run.provider_calls} provider calls`);
+    console.log(`   Forecasts: ${run.forecast_count}`);
+    console.log(`   MAE ${formatMetric(run.mae)}  RMSE ${formatMetric(run.rmse)}  MAPE ${formatMetric(run.mape, 2, '%')}  sMAPE ${formatMetric(run.smape, 2, '%')}  MASE ${formatMetric(run.mase, 3)}`);
+    console.log(`   Direction hit rate ${formatMetric(run.direction_hit_rate, 1, '%')}  Band coverage ${formatMetric(run.band_coverage, 1, '%')}`);
+
+    if (run.byHorizon.length > 0) {
+      console.log('\n   Horizon   Count   MAPE %   MASE    Hit %');
+      for (const row of run.byHorizon) {
+        console.log(`   ${String(row.horizon).padStart(7)}   ${String(row.count).padStart(5)}   ${formatMetric(row.mape, 2).padStart(6)}   ${formatMetric(row.mase, 3).padStart(5)}   ${formatMetric(row.hitRate, 1).padStart(5)}`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Backtest failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    predictionService.close();
+    db.close();
+  }
+}
+
+main();
\ No newline at end of file
@@ -1,4 +1,5 @@
 const sqlite3 = require('sqlite3').verbose();
+const { getIntervalMs } = require('./utils/intervals');
 
 /**
  * Comprehensive Rolling Predictions Test Suite
@@ -444,8 +445,7 @@ class ComprehensiveRollingTest {
         
         // Insert different numbers of predictions for each
         const predictionCount = testCase.interval === '1h' ? 10 : testCase.interval === '4h' ? 20 : 5;
-        const intervalHours = testCase.interval === '1h' ? 1 : testCase.interval === '4h' ? 4 : 24;
-        const intervalMs = intervalHours * 60 * 60 * 1000;
+        const intervalMs = getIntervalMs(testCase.interval);
         const baseTime = Date.now() + intervalMs;
 
         for (let i = 0; i < predictionCount; i++) {
@@ -11,7 +11,7 @@ async function demoRollingPredictions() {
     
     const symbol = 'BTC';
     const interval = '1h';
-    const aiProvider = 'gemini';
+    const aiProvider = process.env.TEST_PROVIDER || 'gemini';
     
     console.log(`📊 Checking predictions for ${symbol} (${interval}) using ${aiProvider}...`);
     
@@ -80,7 +80,7 @@ async function demoMultipleSymbols() {
     
     const symbols = ['BTC', 'ETH', 'ADA'];
     const interval = '4h';
-    const aiProvider = 'gemini';
+    const aiProvider = process.env.TEST_PROVIDER || 'gemini';
     
     for (const symbol of symbols) {
       console.log(`\n📊 Processing ${symbol}...`);
@@ -0,0 +1,28 @@
+-- Historical kline backfills, paged from the exchanges (see services/backfillService.js)
+CREATE TABLE IF NOT EXISTS backfill_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT NOT NULL,
+    interval TEXT NOT NULL,
+    -- Requested range; end_time is NULL to backfill up to the time of each run
+    start_time INTEGER NOT NULL,
+    end_time INTEGER,
+    -- Checkpoint: open time of the next candle to fetch
+    cursor INTEGER NOT NULL,
+    -- 'pending', 'running', 'succeeded', 'failed' or 'interrupted'
+    status TEXT NOT NULL DEFAULT 'pending',
+    -- Requests made, candles received and candles that were new
+    pages INTEGER NOT NULL DEFAULT 0,
+    fetched INTEGER NOT NULL DEFAULT 0,
+    inserted INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    created_at INTEGER NOT NULL,
+    started_at INTEGER,
+    finished_at INTEGER,
+    updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_backfill_jobs_series
+ON backfill_jobs(symbol, interval, status);
+
+CREATE INDEX IF NOT EXISTS idx_backfill_jobs_created
+ON backfill_jobs(created_at DESC);
\ No newline at end of file
@@ -0,0 +1,60 @@
+-- Walk-forward backtest runs, kept apart from live predictions
+CREATE TABLE IF NOT EXISTS backtest_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT NOT NULL,
+    interval TEXT NOT NULL,
+    ai_provider TEXT NOT NULL,
+    model_version TEXT,
+    mode TEXT NOT NULL DEFAULT 'close',
+    -- First and last cutoff: the forecaster only sees candles that open before the cutoff
+    start_time INTEGER NOT NULL,
+    end_time INTEGER NOT NULL,
+    -- Candles between cutoffs, and predictions requested at each cutoff
+    step INTEGER NOT NULL,
+    horizon INTEGER NOT NULL,
+    history_length INTEGER NOT NULL,
+    -- Maximum model calls for LLM providers (NULL for baselines)
+    call_budget INTEGER,
+    -- 'running', 'completed', 'budget_exhausted' or 'failed'
+    status TEXT NOT NULL DEFAULT 'running',
+    cutoffs_planned INTEGER NOT NULL DEFAULT 0,
+    cutoffs_completed INTEGER NOT NULL DEFAULT 0,
+    cutoffs_failed INTEGER NOT NULL DEFAULT 0,
+    provider_calls INTEGER NOT NULL DEFAULT 0,
+    forecast_count INTEGER,
+    mae REAL,
+    rmse REAL,
+    mape REAL,
+    smape REAL,
+    mase REAL,
+    direction_hit_rate REAL,
+    band_coverage REAL,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- One scored forecast per cutoff and target candle
+CREATE TABLE IF NOT EXISTS backtest_forecasts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL REFERENCES backtest_runs(id) ON DELETE CASCADE,
+    cutoff_time INTEGER NOT NULL,
+    target_time INTEGER NOT NULL,
+    horizon INTEGER NOT NULL,
+    base_price REAL NOT NULL,
+    predicted_price REAL NOT NULL,
+    price_p10 REAL,
+    price_p90 REAL,
+    actual_price REAL NOT NULL,
+    predicted_direction TEXT,
+    actual_direction TEXT,
+    direction_hit INTEGER,
+    band_hit INTEGER,
+    UNIQUE(run_id, cutoff_time, target_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_backtest_runs_lookup
+ON backtest_runs(symbol, interval, ai_provider, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_backtest_forecasts_run
+ON backtest_forecasts(run_id, horizon);
\ No newline at end of file
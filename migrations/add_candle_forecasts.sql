@@ -0,0 +1,12 @@
+-- Add predicted candle columns (predicted_price is the close)
+ALTER TABLE predictions ADD COLUMN predicted_open REAL;
+ALTER TABLE predictions ADD COLUMN predicted_high REAL;
+ALTER TABLE predictions ADD COLUMN predicted_low REAL;
+ALTER TABLE predictions ADD COLUMN predicted_volume REAL;
+
+-- Actual high/low of the target candle, filled in with actual_price
+ALTER TABLE predictions ADD COLUMN actual_high REAL;
+ALTER TABLE predictions ADD COLUMN actual_low REAL;
+
+-- 1 when the actual high/low range fell inside the predicted high/low range, 0 otherwise, NULL without a candle
+ALTER TABLE predictions ADD COLUMN range_hit INTEGER;
\ No newline at end of file
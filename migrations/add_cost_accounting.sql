@@ -0,0 +1,9 @@
+-- Reasoning tokens (already counted in output_tokens) and the priced cost of each run
+ALTER TABLE prediction_runs ADD COLUMN reasoning_tokens INTEGER;
+ALTER TABLE prediction_runs ADD COLUMN cost_usd REAL;
+
+-- 'downgraded' when a daily budget cap swapped in a cheaper model, 'skipped' when it cancelled the run
+ALTER TABLE prediction_runs ADD COLUMN budget_action TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_prediction_runs_started
+ON prediction_runs(started_at);
\ No newline at end of file
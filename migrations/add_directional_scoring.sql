@@ -0,0 +1,18 @@
+-- Close price when the prediction was made, and the number of interval steps to the target
+ALTER TABLE predictions ADD COLUMN base_price REAL;
+ALTER TABLE predictions ADD COLUMN horizon INTEGER;
+
+-- Predicted and actual move from base_price ('up', 'down' or 'flat'), filled in with actual_price
+ALTER TABLE predictions ADD COLUMN predicted_direction TEXT;
+ALTER TABLE predictions ADD COLUMN actual_direction TEXT;
+
+-- 1 when the predicted direction matched the actual direction, 0 otherwise, NULL without a base price
+ALTER TABLE predictions ADD COLUMN direction_hit INTEGER;
+
+-- Daily directional hit rate, with the per-provider and per-horizon confusion matrices as JSON
+ALTER TABLE prediction_metrics ADD COLUMN direction_hit_rate REAL;
+ALTER TABLE prediction_metrics ADD COLUMN direction_count INTEGER;
+ALTER TABLE prediction_metrics ADD COLUMN direction_breakdown TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_predictions_direction
+ON predictions(symbol, interval, ai_provider, horizon);
\ No newline at end of file
@@ -0,0 +1,26 @@
+-- One row per run of a scheduled prediction job (see config/schedule.json)
+CREATE TABLE IF NOT EXISTS job_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id TEXT NOT NULL,
+    interval TEXT NOT NULL,
+    -- 'schedule', 'startup' or 'catch-up'
+    trigger TEXT NOT NULL,
+    -- Cron slot the run covers (NULL for startup runs)
+    scheduled_for INTEGER,
+    -- 'running', 'succeeded', 'partial', 'failed', 'skipped' or 'interrupted'
+    status TEXT NOT NULL DEFAULT 'running',
+    -- Symbol/provider pairs planned, and how many succeeded or failed
+    total INTEGER NOT NULL DEFAULT 0,
+    succeeded INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    -- JSON array of { symbol, provider, error } for the failed pairs
+    errors TEXT,
+    started_at INTEGER NOT NULL,
+    finished_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_lookup
+ON job_runs(job_id, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_status
+ON job_runs(status, started_at DESC);
\ No newline at end of file
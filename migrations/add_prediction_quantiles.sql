@@ -0,0 +1,10 @@
+-- Add p10/p90 prediction interval columns (predicted_price is the p50)
+ALTER TABLE predictions ADD COLUMN price_p10 REAL;
+ALTER TABLE predictions ADD COLUMN price_p90 REAL;
+
+-- 1 when the actual price fell inside [p10, p90], 0 when outside, NULL without a band
+ALTER TABLE predictions ADD COLUMN band_hit INTEGER;
+
+-- Daily band coverage alongside accuracy_percentage
+ALTER TABLE prediction_metrics ADD COLUMN band_coverage REAL;
+ALTER TABLE prediction_metrics ADD COLUMN band_count INTEGER;
\ No newline at end of file
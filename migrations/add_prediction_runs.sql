@@ -0,0 +1,37 @@
+-- Prediction run that produced each prediction
+ALTER TABLE predictions ADD COLUMN run_id INTEGER;
+
+-- One row per generation attempt: the prompt sent, the raw response and how it was parsed
+CREATE TABLE IF NOT EXISTS prediction_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT NOT NULL,
+    interval TEXT NOT NULL,
+    ai_provider TEXT NOT NULL,
+    model_version TEXT,
+    mode TEXT,
+    -- Attempt number within one generatePredictions call, and provider calls made for it (including retries)
+    attempt INTEGER NOT NULL DEFAULT 1,
+    provider_calls INTEGER NOT NULL DEFAULT 0,
+    -- SHA-256 of prompt_text, so identical prompts can be grouped
+    prompt_hash TEXT,
+    prompt_text TEXT,
+    raw_response TEXT,
+    -- 'clean', 'repaired' or 'partial' (see utils/responseParser.js), NULL when nothing was parsed
+    parse_path TEXT,
+    input_tokens INTEGER,
+    output_tokens INTEGER,
+    total_tokens INTEGER,
+    -- Duration of the provider call that produced raw_response
+    latency_ms INTEGER,
+    prediction_count INTEGER,
+    -- NULL for successful runs
+    error TEXT,
+    started_at INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_prediction_runs_lookup
+ON prediction_runs(symbol, interval, ai_provider, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_predictions_run
+ON predictions(run_id);
\ No newline at end of file
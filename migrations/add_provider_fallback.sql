@@ -0,0 +1,5 @@
+-- Provider that made a prediction when it filled another provider's slot (NULL otherwise)
+ALTER TABLE predictions ADD COLUMN fallback_provider TEXT;
+
+-- Slot a fallback run filled; ai_provider is the provider that was called
+ALTER TABLE prediction_runs ADD COLUMN fallback_for TEXT;
\ No newline at end of file
@@ -0,0 +1,39 @@
+-- Give daily metrics a provider. The leading ALTER TABLE makes re-runs stop
+-- with "duplicate column name", so the rebuild below only runs once.
+ALTER TABLE prediction_metrics ADD COLUMN ai_provider TEXT;
+
+-- Rebuild with ai_provider in the unique key, plus daily MAPE
+CREATE TABLE prediction_metrics_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT NOT NULL,
+    interval TEXT NOT NULL,
+    date DATE NOT NULL,
+    ai_provider TEXT NOT NULL,
+    mae REAL,
+    rmse REAL,
+    mape REAL,
+    accuracy_percentage REAL,
+    predictions_count INTEGER,
+    band_coverage REAL,
+    band_count INTEGER,
+    direction_hit_rate REAL,
+    direction_count INTEGER,
+    direction_breakdown TEXT,
+    UNIQUE(symbol, interval, date, ai_provider)
+);
+
+-- Existing rows blended every provider together, so they are kept under 'all'
+INSERT INTO prediction_metrics_new
+    (symbol, interval, date, ai_provider, mae, rmse, accuracy_percentage, predictions_count,
+     band_coverage, band_count, direction_hit_rate, direction_count, direction_breakdown)
+SELECT
+    symbol, interval, date, 'all', mae, rmse, accuracy_percentage, predictions_count,
+    band_coverage, band_count, direction_hit_rate, direction_count, direction_breakdown
+FROM prediction_metrics;
+
+DROP TABLE prediction_metrics;
+
+ALTER TABLE prediction_metrics_new RENAME TO prediction_metrics;
+
+CREATE INDEX IF NOT EXISTS idx_metrics_lookup
+ON prediction_metrics(symbol, interval, ai_provider, date DESC);
\ No newline at end of file
@@ -0,0 +1,14 @@
+-- Symbol universe: seeded from config/symbols.json and edited through the admin API
+CREATE TABLE IF NOT EXISTS symbols (
+    symbol TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    -- Base chart color and optional JSON array of line gradient stops
+    color TEXT NOT NULL,
+    gradient TEXT,
+    -- Removed symbols are disabled rather than deleted, so their history and
+    -- the config seed do not bring them back
+    enabled INTEGER NOT NULL DEFAULT 1,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+);
\ No newline at end of file
@@ -25,6 +25,12 @@ const chartOptions = {
                 filter: function(legendItem, chartData) {
                     // Only show legend items that have data
                     const dataset = chartData.datasets[legendItem.datasetIndex];
+                    // The band's lower bound shares the upper bound's legend entry
+                    if (dataset && dataset.label === 'band:p10') return false;
+                    // Candles share the body's legend entry
+                    if (dataset && dataset.label === 'candle:wick') return false;
+                    // Earlier vintages share the selected vintage's legend entry
+                    if (dataset && dataset.label === 'vintage:past') return false;
                     return dataset && dataset.data && dataset.data.some(point => point !== null && point !== undefined);
                 }
             }
@@ -44,6 +50,11 @@ const chartOptions = {
             borderWidth: 1,
             padding: 10,
             displayColors: false,
+            // The wick repeats the candle body's tooltip, and earlier vintages
+            // would crowd it out
+            filter: function(tooltipItem) {
+                return tooltipItem.dataset.label !== 'candle:wick' && tooltipItem.dataset.label !== 'vintage:past';
+            },
             callbacks: {
                 label: function(context) {
                     let datasetLabel = context.dataset.label || '';
@@ -51,7 +62,17 @@ const chartOptions = {
                     const numericValue = (typeof value === 'number' && !isNaN(value)) ? value : 0;
                     const formattedValue = '$' + numericValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
 
-                    if (datasetLabel.endsWith(' Past Predictions')) {
+                    if (datasetLabel === 'candle:body') {
+                        const candle = context.dataset.candles[context.dataIndex];
+                        const format = price => '$' + price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+                        return `Pred O: ${format(candle.predicted_open)} H: ${format(candle.predicted_high)} L: ${format(candle.predicted_low)} C: ${format(candle.predicted_price)}`;
+                    } else if (datasetLabel === 'band:p10-p90') {
+                        return `P90: ${formattedValue}`;
+                    } else if (datasetLabel === 'band:p10') {
+                        return `P10: ${formattedValue}`;
+                    } else if (datasetLabel === 'vintage:selected') {
+                        return `Vintage: ${formattedValue}`;
+                    } else if (datasetLabel.endsWith(' Past Predictions')) {
                         return `Past Pred: ${formattedValue}`;
                     } else if (datasetLabel.endsWith(' Future Predictions')) {
                         return `Future Pred: ${formattedValue}`;
@@ -156,7 +177,9 @@ const charts = {};
 let currentInterval = '1h';
 let currentAIModel = 'GPT';
 let fullscreenChart = null;
+let horizonChart = null;
 let currentFullscreenSymbol = null;
+let vintageOverlay = { active: false, vintages: [], index: 0, timeline: [] }; // Forecast vintages drawn over the fullscreen chart
 let currentView = 'chart';
 let allCryptoData = {}; // Store data for all cryptocurrencies
 let allPredictions = {}; // Store predictions for all cryptocurrencies
@@ -166,85 +189,323 @@ let allAccuracyMetrics = {}; // Store accuracy metrics for all cryptocurrencies
 let ws = null;
 let wsReconnectInterval = null;
 
-// Store initial and previous prices for price change display
-const initialPrices = {
-    BTC: null,
-    ETH: null,
-    XRP: null,
-    SOL: null
-};
+// Store initial and previous prices for price change display, by symbol
+const initialPrices = {};
+const previousPrices = {};
 
-const previousPrices = {
-    BTC: null,
-    ETH: null,
-    XRP: null,
-    SOL: null
-};
+// Tracked symbols from /api/symbols, in display order
+let trackedSymbols = [];
 
+// Symbol colors and line gradient stops, by symbol
+const symbolColors = {};
+const symbolGradients = {};
 
-// Symbol colors
-const symbolColors = {
-    'BTC': '#FFD700',
-    'ETH': '#9B59B6',
-    'XRP': '#00CED1',
-    'SOL': '#00FF00'
-};
+// Symbol ids in display order
+function getSymbols() {
+    return trackedSymbols.map(entry => entry.symbol);
+}
+
+// Escape text for use in HTML markup and attribute values. Symbol names,
+// provider labels and models come from config, and provider errors from
+// upstream responses.
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Candle length in milliseconds by interval, filled in from /api/intervals
+// (the defaults cover the controls in index.html)
+const intervalDurations = { '1h': HOUR_MS, '4h': 4 * HOUR_MS, '1d': DAY_MS };
+
+// Candle length of an interval, for picking date formats
+function getIntervalDuration(interval) {
+    return intervalDurations[interval] || HOUR_MS;
+}
 
-// Create gradient for chart lines
+// Create gradient for chart lines, spreading the symbol's stops evenly from
+// bottom to top. Symbols without stops fade up to their base color.
 function createLineGradient(ctx, symbol, height) {
-    const gradientColors = {
-        'BTC': {
-            stops: [
-                { position: 0, color: '#FF5400' },
-                { position: 0.25, color: '#FF7800' },
-                { position: 0.5, color: '#FF8A00' },  
-                { position: 0.75, color: '#FFD700' }, 
-                { position: 1, color: '#FFEA00' }     
-            ]
-        },
-        'ETH': {
-            stops: [
-                { position: 0, color: '#460089' },    
-                { position: 0.25, color: '#5004AE' }, 
-                { position: 0.5, color: '#7B3FF2' },  
-                { position: 0.75, color: '#9C27B0' }, 
-                { position: 1, color: '#F625AC' }     
-            ]
-        },
-        'XRP': {
-            stops: [
-                { position: 0, color: '#055DCB' },   
-                { position: 0.25, color: '#0486D7' }, 
-                { position: 0.5, color: '#00BCD1' },  
-                { position: 0.75, color: '#02DAE2' }, 
-                { position: 1, color: '#00E5FF' }     
-            ]
-        },
-        'SOL': {
-            stops: [
-                { position: 0, color: '#009100' },
-                { position: 0.25, color: '#00A600' }, 
-                { position: 0.5, color: '#00B64C' },  
-                { position: 0.75, color: '#00E676' }, 
-                { position: 1, color: '#76FF03' }
-            ]
-        }
-    };
-    
-    const gradient = gradientColors[symbol];
+    const stops = symbolGradients[symbol] || [`${symbolColors[symbol]}80`, symbolColors[symbol]];
     const lineGradient = ctx.createLinearGradient(0, 450, 0, 0); 
     
     // Add all color stops for smooth transition
-    gradient.stops.forEach(stop => {
-        lineGradient.addColorStop(stop.position, stop.color);
+    stops.forEach((color, idx) => {
+        lineGradient.addColorStop(idx / (stops.length - 1), color);
     });
     
     return lineGradient;
 }
 
+// Chart x positions: the historical candles followed by the future prediction timestamps
+function getPredictionTimeline(historicalTimes, predictions) {
+    const lastHistoricalTime = historicalTimes.length > 0 ? historicalTimes[historicalTimes.length - 1] : 0;
+    return historicalTimes.concat(
+        predictions.filter(pred => pred.timestamp > lastHistoricalTime).map(pred => pred.timestamp)
+    );
+}
+
+// Create the shaded p10-p90 band datasets for predictions that have one.
+// The upper bound fills down to the lower bound ('+1'), aligned to the
+// chart's historical candles followed by the future prediction timestamps.
+function createBandDatasets(historicalTimes, predictions, baseColor) {
+    if (!predictions || predictions.length === 0) return [];
+    
+    const bands = new Map();
+    predictions.forEach(pred => {
+        if (pred.price_p10 !== null && pred.price_p10 !== undefined &&
+            pred.price_p90 !== null && pred.price_p90 !== undefined) {
+            bands.set(pred.timestamp, pred);
+        }
+    });
+    
+    if (bands.size === 0) return [];
+    
+    const timestamps = getPredictionTimeline(historicalTimes, predictions);
+    
+    return [
+        {
+            label: 'band:p10-p90',
+            data: timestamps.map(time => bands.has(time) ? bands.get(time).price_p90 : null),
+            borderColor: `${baseColor}30`,
+            backgroundColor: `${baseColor}18`,
+            fill: '+1',
+            borderWidth: 1,
+            pointRadius: 0,
+            tension: 0.2,
+            spanGaps: true
+        },
+        {
+            label: 'band:p10',
+            data: timestamps.map(time => bands.has(time) ? bands.get(time).price_p10 : null),
+            borderColor: `${baseColor}30`,
+            backgroundColor: 'transparent',
+            fill: false,
+            borderWidth: 1,
+            pointRadius: 0,
+            tension: 0.2,
+            spanGaps: true
+        }
+    ];
+}
+
+// Create floating-bar candlestick datasets for predictions made in OHLC mode:
+// a thin wick from low to high and a wider body from open to close, green
+// for up candles and red for down candles. Empty when no prediction has a candle.
+function createCandleDatasets(historicalTimes, predictions) {
+    if (!predictions || predictions.length === 0) return [];
+    
+    const candles = new Map();
+    predictions.forEach(pred => {
+        if (pred.predicted_open !== null && pred.predicted_open !== undefined &&
+            pred.predicted_high !== null && pred.predicted_high !== undefined &&
+            pred.predicted_low !== null && pred.predicted_low !== undefined) {
+            candles.set(pred.timestamp, pred);
+        }
+    });
+    
+    if (candles.size === 0) return [];
+    
+    const timestamps = getPredictionTimeline(historicalTimes, predictions);
+    const candleAt = timestamps.map(time => candles.get(time) || null);
+    const colors = candleAt.map(candle => {
+        if (!candle) return 'transparent';
+        return candle.predicted_price >= candle.predicted_open ? 'rgba(38, 166, 154, 0.8)' : 'rgba(239, 83, 80, 0.8)';
+    });
+    
+    return [
+        {
+            type: 'bar',
+            label: 'candle:wick',
+            data: candleAt.map(candle => candle ? [candle.predicted_low, candle.predicted_high] : null),
+            candles: candleAt,
+            backgroundColor: colors,
+            borderWidth: 0,
+            barPercentage: 0.15,
+            categoryPercentage: 1,
+            grouped: false
+        },
+        {
+            type: 'bar',
+            label: 'candle:body',
+            data: candleAt.map(candle => candle ? [candle.predicted_open, candle.predicted_price] : null),
+            candles: candleAt,
+            backgroundColor: colors,
+            borderWidth: 0,
+            barPercentage: 0.7,
+            categoryPercentage: 1,
+            grouped: false
+        }
+    ];
+}
+
+// Create the "spaghetti" datasets for forecast vintages up to the selected
+// one: earlier vintages as faint lines that brighten with age toward the
+// selected vintage, which is drawn on top. Targets off the timeline are left out.
+function createVintageDatasets(timeline, vintages, selectedIndex, baseColor) {
+    if (!vintages || vintages.length === 0) return [];
+    
+    const positions = new Map(timeline.map((time, idx) => [time, idx]));
+    const pathData = vintage => {
+        const data = timeline.map(() => null);
+        vintage.predictions.forEach(pred => {
+            if (positions.has(pred.timestamp)) {
+                data[positions.get(pred.timestamp)] = pred.predicted_price;
+            }
+        });
+        return data;
+    };
+    
+    const shown = vintages.slice(0, selectedIndex + 1);
+    return shown.map((vintage, idx) => {
+        if (idx === shown.length - 1) {
+            return {
+                label: 'vintage:selected',
+                data: pathData(vintage),
+                borderColor: 'rgba(255, 255, 255, 0.9)',
+                backgroundColor: 'transparent',
+                fill: false,
+                borderWidth: 2,
+                pointRadius: 2,
+                pointBackgroundColor: 'rgba(255, 255, 255, 0.9)',
+                tension: 0.2,
+                spanGaps: true,
+                order: -1
+            };
+        }
+        
+        // From 12.5% opacity for the oldest vintage up to 50% for the newest
+        const alpha = Math.round(0x20 + 0x60 * (idx + 1) / shown.length).toString(16).padStart(2, '0');
+        return {
+            label: 'vintage:past',
+            data: pathData(vintage),
+            borderColor: `${baseColor}${alpha}`,
+            backgroundColor: 'transparent',
+            fill: false,
+            borderWidth: 1,
+            pointRadius: 0,
+            tension: 0.2,
+            spanGaps: true,
+            order: 1
+        };
+    });
+}
+
+// Load the tracked symbols and their colors
+async function loadSymbols() {
+    try {
+        const response = await fetch('/api/symbols');
+        if (!response.ok) return;
+        
+        const { symbols } = await response.json();
+        trackedSymbols = symbols || [];
+        trackedSymbols.forEach(entry => {
+            symbolColors[entry.symbol] = entry.color;
+            symbolGradients[entry.symbol] = entry.gradient;
+            initialPrices[entry.symbol] = null;
+            previousPrices[entry.symbol] = null;
+        });
+    } catch (error) {
+        console.error('Error loading symbols:', error);
+    }
+}
+
+// Render a card per tracked symbol in the chart, table and sentiment views,
+// and the leaderboard's symbol options
+function renderSymbolCards() {
+    const chartGrid = document.getElementById('chart-view');
+    const tableGrid = document.querySelector('#table-view .table-grid');
+    const sentimentGrid = document.querySelector('#sentiment-view .sentiment-grid');
+    const leaderboardSelect = document.getElementById('leaderboard-symbol-select');
+    
+    chartGrid.innerHTML = trackedSymbols.map(({ symbol, name }) => {
+        const id = symbol.toLowerCase();
+        return `
+            <div class="crypto-card" data-symbol="${symbol}">
+                <div class="card-header">
+                    <div class="price-info">
+                        <span class="price">$0.00</span>
+                        <div class="price-change" id="${id}-chart-change"></div>
+                        <div class="integrity-badge" id="${id}-integrity"></div>
+                    </div>
+                    <div class="symbol" title="${escapeHtml(name)}">${symbol}</div>
+                </div>
+                <canvas class="chart" id="${id}-chart"></canvas>
+            </div>
+        `;
+    }).join('');
+    
+    tableGrid.innerHTML = trackedSymbols.map(({ symbol, name }) => {
+        const id = symbol.toLowerCase();
+        return `
+            <div class="crypto-card" data-symbol="${symbol}">
+                <div class="card-header">
+                    <div class="price-info">
+                        <span class="price" id="${id}-table-price">$0.00</span>
+                        <div class="price-change" id="${id}-table-change"></div>
+                    </div>
+                    <div class="symbol" title="${escapeHtml(name)}">${symbol}</div>
+                </div>
+                <div class="table-container">
+                    <table class="crypto-table">
+                        <thead>
+                            <tr>
+                                <th>Date/Time</th>
+                                <th>Close</th>
+                                <th>Prediction</th>
+                                <th>Accuracy</th>
+                            </tr>
+                        </thead>
+                        <tbody id="${id}-table-body"></tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    sentimentGrid.innerHTML = trackedSymbols.map(({ symbol, name }) => {
+        const id = symbol.toLowerCase();
+        return `
+            <div class="crypto-card sentiment-card" data-symbol="${symbol}">
+                <div class="card-header">
+                    <div class="price-info">
+                        <span class="price" id="${id}-sentiment-price">$0.00</span>
+                        <div class="price-change" id="${id}-sentiment-change"></div>
+                    </div>
+                    <div class="symbol" title="${escapeHtml(name)}">${symbol}</div>
+                </div>
+                <div class="sentiment-container">
+                    <div class="sentiment-rating">
+                        <span class="sentiment-label">Market Sentiment</span>
+                        <span class="sentiment-value" id="${id}-sentiment-rating">Loading...</span>
+                    </div>
+                    <div class="sentiment-news">
+                        <h4>Latest News</h4>
+                        <p class="news-summary" id="${id}-news-summary">Loading news...</p>
+                    </div>
+                    <div class="sentiment-footer">
+                        <button class="view-details-btn" data-symbol="${symbol}">View Details</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    leaderboardSelect.innerHTML = trackedSymbols
+        .map(({ symbol }) => `<option value="${symbol}">${symbol}</option>`)
+        .join('');
+    leaderboardSymbol = getSymbols()[0] || null;
+}
+
 // Initialize charts
 function initializeCharts() {
-    ['BTC', 'ETH', 'XRP', 'SOL'].forEach(symbol => {
+    getSymbols().forEach(symbol => {
         const canvas = document.getElementById(`${symbol.toLowerCase()}-chart`);
         const ctx = canvas.getContext('2d');
         
@@ -310,18 +571,20 @@ function formatTime(timestamp, interval) {
         minute: '2-digit'
     };
     
-    if (interval === '1d') {
+    const duration = getIntervalDuration(interval);
+    
+    if (duration >= DAY_MS) {
         options.month = 'short';
         options.day = 'numeric';
         options.year = 'numeric';
         delete options.minute;
         delete options.hour;
-    } else if (interval === '4h') {
+    } else if (duration >= 4 * HOUR_MS) {
         options.day = 'numeric';
         options.month = 'short';
         options.hour = '2-digit';
         delete options.minute;
-    } else if (interval === '1h') {
+    } else {
         options.day = 'numeric';
         options.month = 'short';
     }
@@ -335,20 +598,20 @@ function formatTimeFullscreen(timestamp, interval) {
     const month = date.getMonth() + 1; // getMonth() returns 0-11
     const day = date.getDate();
     const hour = date.getHours();
+    const duration = getIntervalDuration(interval);
     
-    if (interval === '1d') {
+    if (duration >= DAY_MS) {
         // Format: M/D/YY (e.g., 5/23/24)
         const year = date.getFullYear().toString().slice(-2);
         return `${month}/${day}/${year}`;
-    } else if (interval === '4h') {
-        // Format: M/D H:00 (e.g., 5/23 14:00)
-        return `${month}/${day} ${hour}:00`;
-    } else if (interval === '1h') {
+    } else if (duration >= HOUR_MS) {
         // Format: M/D H:00 (e.g., 5/23 14:00)
         return `${month}/${day} ${hour}:00`;
     }
     
-    return `${month}/${day}`;
+    // Format: M/D H:MM (e.g., 5/23 14:15)
+    const minute = date.getMinutes().toString().padStart(2, '0');
+    return `${month}/${day} ${hour}:${minute}`;
 }
 
 // Update chart data with smooth transitions
@@ -498,7 +761,9 @@ async function updateChart(symbol, interval, animate = true, isFullscreen = fals
                 pointRadius: 0,
                 tension: 0.2,
                 spanGaps: true
-            }
+            },
+            // Prediction interval - SHADED p10-p90 FAN
+            ...createBandDatasets(chartData.map(k => k.open_time), predictions, symbolColors[symbol])
         ];
         
         // Update labels to include future predictions
@@ -547,26 +812,173 @@ async function fetchPredictions(symbol, interval) {
     return [];
 }
 
-// Fetch accuracy metrics for a symbol/interval
+// Fetch every forecast vintage for the current provider, oldest first
+async function fetchPredictionVintages(symbol, interval) {
+    try {
+        const provider = currentAIModel.toLowerCase();
+        const response = await fetch(`/api/predictions/${symbol}/${interval}/vintages?provider=${provider}`);
+        if (response.ok) {
+            const data = await response.json();
+            return data.vintages;
+        }
+    } catch (error) {
+        console.error(`Error fetching prediction vintages for ${symbol}/${interval} with ${currentAIModel}:`, error);
+    }
+    return [];
+}
+
+// Fetch accuracy grouped by horizon step for the current provider
+async function fetchHorizonAccuracy(symbol, interval) {
+    try {
+        const provider = currentAIModel.toLowerCase();
+        const response = await fetch(`/api/predictions/accuracy/${symbol}/${interval}/horizons?provider=${provider}`);
+        if (response.ok) {
+            const data = await response.json();
+            return data.providers[provider] || [];
+        }
+    } catch (error) {
+        console.error(`Error fetching horizon accuracy for ${symbol}/${interval} with ${currentAIModel}:`, error);
+    }
+    return [];
+}
+
+// Draw MAPE and directional hit rate against lead time below the fullscreen table
+async function updateHorizonChart(symbol, interval) {
+    const panel = document.getElementById('horizon-accuracy');
+    const horizons = await fetchHorizonAccuracy(symbol, interval);
+    
+    if (horizonChart) {
+        horizonChart.destroy();
+        horizonChart = null;
+    }
+    
+    if (horizons.length === 0) {
+        panel.classList.remove('active');
+        return;
+    }
+    
+    panel.classList.add('active');
+    const ctx = document.getElementById('horizon-canvas').getContext('2d');
+    const baseColor = symbolColors[symbol];
+    
+    horizonChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: horizons.map(h => `+${h.horizon}`),
+            datasets: [
+                {
+                    label: 'MAPE %',
+                    data: horizons.map(h => h.mape),
+                    borderColor: baseColor,
+                    backgroundColor: `${baseColor}30`,
+                    fill: true,
+                    borderWidth: 2,
+                    pointRadius: 2,
+                    tension: 0.2,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Direction Hit %',
+                    data: horizons.map(h => h.directionHitRate),
+                    borderColor: 'rgba(255, 255, 255, 0.6)',
+                    backgroundColor: 'transparent',
+                    fill: false,
+                    borderWidth: 1.5,
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    tension: 0.2,
+                    spanGaps: true,
+                    yAxisID: 'hitRate'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        color: 'rgba(255, 255, 255, 0.7)',
+                        boxWidth: 20,
+                        boxHeight: 2,
+                        font: { size: 11 }
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: items => `${items[0].label} ${interval} ahead (${horizons[items[0].dataIndex].count} predictions)`,
+                        label: context => {
+                            const value = context.parsed.y;
+                            return value === null ? null : `${context.dataset.label}: ${value.toFixed(2)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { display: false },
+                    ticks: { color: 'rgba(255, 255, 255, 0.6)', font: { size: 11 } }
+                },
+                y: {
+                    position: 'left',
+                    beginAtZero: true,
+                    grid: { color: 'rgba(255, 255, 255, 0.05)' },
+                    ticks: { color: 'rgba(255, 255, 255, 0.6)', font: { size: 11 }, callback: value => `${value}%` }
+                },
+                hitRate: {
+                    position: 'right',
+                    min: 0,
+                    max: 100,
+                    grid: { display: false },
+                    ticks: { color: 'rgba(255, 255, 255, 0.4)', font: { size: 11 }, callback: value => `${value}%` }
+                }
+            }
+        }
+    });
+}
+
+// Fetch accuracy metrics for a symbol/interval for the current provider
 async function fetchAccuracyMetrics(symbol, interval) {
     try {
-        const response = await fetch(`/api/predictions/accuracy/${symbol}/${interval}`);
+        const provider = currentAIModel.toLowerCase();
+        const response = await fetch(`/api/predictions/accuracy/${symbol}/${interval}?provider=${provider}`);
         if (response.ok) {
             const metrics = await response.json();
-            // Store metrics indexed by symbol-interval
-            const key = `${symbol}-${interval}`;
+            // Store metrics indexed by symbol-interval-provider
+            const key = `${symbol}-${interval}-${provider}`;
             allAccuracyMetrics[key] = metrics;
             return metrics;
         }
     } catch (error) {
-        console.error(`Error fetching accuracy metrics for ${symbol}/${interval}:`, error);
+        console.error(`Error fetching accuracy metrics for ${symbol}/${interval} with ${currentAIModel}:`, error);
     }
     return null;
 }
 
+// Footer line summarising the selected provider's accuracy
+function formatAccuracyFooter(accuracyMetrics) {
+    if (!accuracyMetrics.total_predictions) {
+        return `${currentAIModel} Accuracy: <span>no resolved predictions yet</span>`;
+    }
+    
+    const accuracy = accuracyMetrics.overall_accuracy;
+    const accuracyClass = accuracy >= 95 ? 'accuracy-high' : accuracy >= 85 ? 'accuracy-medium' : 'accuracy-low';
+    return `${currentAIModel} Accuracy: <span class="${accuracyClass}">${accuracy.toFixed(1)}%</span>` +
+        `<span>MAE $${accuracyMetrics.mae.toFixed(accuracyMetrics.mae < 10 ? 4 : 2)}</span>` +
+        `<span>MAPE ${accuracyMetrics.mape.toFixed(2)}%</span>` +
+        `<span>(${accuracyMetrics.total_predictions} predictions)</span>`;
+}
+
 // Update all charts with loading state
 async function updateAllCharts(animate = true) {
-    const symbols = ['BTC', 'ETH', 'XRP', 'SOL'];
+    const symbols = getSymbols();
     
     // Add loading state to all cards
     if (animate) {
@@ -584,6 +996,9 @@ async function updateAllCharts(animate = true) {
     // Update charts in parallel for better performance (grid charts with 150 point limit)
     await Promise.all(symbols.map(symbol => updateChart(symbol, currentInterval, animate, false)));
     
+    // Flag series with missing candles
+    updateIntegrityBadges();
+    
     // Update table if in table view
     if (currentView === 'table') {
         updateTableView();
@@ -635,6 +1050,8 @@ function setupTimeControls() {
             // Update table view if active
             if (currentView === 'table') {
                 updateTableView();
+            } else if (currentView === 'leaderboard') {
+                updateLeaderboardView();
             }
             
             // Also update fullscreen chart if open
@@ -673,6 +1090,8 @@ function setupTimeControls() {
             // Update table view if active
             if (currentView === 'table') {
                 updateTableView();
+            } else if (currentView === 'leaderboard') {
+                updateLeaderboardView();
             }
             
             // Also update fullscreen chart if open
@@ -688,6 +1107,101 @@ function setupTimeControls() {
     }
 }
 
+// Populate the model dropdowns from the provider registry
+async function loadProviderOptions() {
+    try {
+        const response = await fetch('/api/providers');
+        if (!response.ok) return;
+        
+        const { providers } = await response.json();
+        if (!providers || providers.length === 0) return;
+        
+        // Keep the current model if the registry still has it
+        const current = providers.find(provider => provider.id.toUpperCase() === currentAIModel);
+        const selectedValue = current ? current.id : providers[0].id;
+        
+        const optionsList = document.querySelector('#desktop-model-select-custom .custom-dropdown-options');
+        if (optionsList) {
+            optionsList.innerHTML = '';
+            providers.forEach(provider => {
+                const option = document.createElement('li');
+                option.className = 'custom-dropdown-option';
+                option.dataset.value = provider.id;
+                option.textContent = provider.label;
+                if (provider.id === selectedValue) {
+                    option.classList.add('selected');
+                }
+                optionsList.appendChild(option);
+            });
+        }
+        
+        const mobileModelSelect = document.getElementById('mobile-model-select');
+        if (mobileModelSelect) {
+            mobileModelSelect.innerHTML = '';
+            providers.forEach(provider => {
+                const option = document.createElement('option');
+                option.value = provider.id;
+                option.textContent = provider.label;
+                mobileModelSelect.appendChild(option);
+            });
+            mobileModelSelect.value = selectedValue;
+        }
+        
+        currentAIModel = selectedValue.toUpperCase();
+    } catch (error) {
+        console.error('Error loading AI providers:', error);
+    }
+}
+
+// Populate the interval buttons and dropdown from /api/intervals
+async function loadIntervalOptions() {
+    try {
+        const response = await fetch('/api/intervals');
+        if (!response.ok) return;
+        
+        const { intervals } = await response.json();
+        if (!intervals || intervals.length === 0) return;
+        
+        intervals.forEach(interval => {
+            intervalDurations[interval.id] = interval.ms;
+        });
+        
+        // Keep the current interval if it is still supported
+        if (!intervals.some(interval => interval.id === currentInterval)) {
+            currentInterval = intervals[0].id;
+        }
+        
+        const timeControls = document.querySelector('.time-controls');
+        if (timeControls) {
+            timeControls.innerHTML = '';
+            intervals.forEach(interval => {
+                const button = document.createElement('button');
+                button.className = 'time-btn';
+                button.dataset.interval = interval.id;
+                button.textContent = interval.label;
+                if (interval.id === currentInterval) {
+                    button.classList.add('active');
+                }
+                timeControls.appendChild(button);
+            });
+        }
+        
+        const mobileTimeSelect = document.getElementById('mobile-time-select');
+        if (mobileTimeSelect) {
+            mobileTimeSelect.innerHTML = '';
+            intervals.forEach(interval => {
+                const option = document.createElement('option');
+                option.value = interval.id;
+                option.textContent = interval.label;
+                mobileTimeSelect.appendChild(option);
+            });
+            mobileTimeSelect.value = currentInterval;
+        }
+    } catch (error) {
+        console.error('Error loading intervals:', error);
+    }
+}
+
 // Setup model controls
 function setupModelControls() {
     const customDropdown = document.getElementById('desktop-model-select-custom');
@@ -915,49 +1429,39 @@ function setupViewControls() {
     }
 }
 
+// Views: element id, display style when shown, and a refresh hook
+const VIEWS = {
+    chart: { id: 'chart-view', display: 'grid' },
+    table: { id: 'table-view', display: 'block', onShow: () => updateTableView() },
+    sentiment: { id: 'sentiment-view', display: 'block', onShow: () => updateSentimentView() },
+    leaderboard: { id: 'leaderboard-view', display: 'block', onShow: () => updateLeaderboardView() },
+    status: { id: 'status-view', display: 'block', onShow: () => updateStatusView() }
+};
+
 // Switch between views
 function switchView(viewName) {
-    if (viewName === currentView) return;
-    
-    const chartView = document.getElementById('chart-view');
-    const tableView = document.getElementById('table-view');
-    const sentimentView = document.getElementById('sentiment-view');
+    if (viewName === currentView || !VIEWS[viewName]) return;
     
     // Fade out current view
-    if (currentView === 'chart') {
-        chartView.classList.add('fade-out');
-    } else if (currentView === 'table') {
-        tableView.classList.add('fade-out');
-    } else if (currentView === 'sentiment') {
-        sentimentView.classList.add('fade-out');
-    }
+    document.getElementById(VIEWS[currentView].id).classList.add('fade-out');
     
     // Switch views after fade out
     setTimeout(() => {
-        if (viewName === 'chart') {
-            chartView.style.display = 'grid';
-            tableView.style.display = 'none';
-            sentimentView.style.display = 'none';
-            chartView.classList.remove('fade-out');
-            chartView.classList.add('fade-in');
-            setTimeout(() => chartView.classList.remove('fade-in'), 300);
-        } else if (viewName === 'table') {
-            tableView.style.display = 'block';
-            chartView.style.display = 'none';
-            sentimentView.style.display = 'none';
-            tableView.classList.remove('fade-out');
-            tableView.classList.add('fade-in');
-            updateTableView();
-            setTimeout(() => tableView.classList.remove('fade-in'), 300);
-        } else if (viewName === 'sentiment') {
-            sentimentView.style.display = 'block';
-            chartView.style.display = 'none';
-            tableView.style.display = 'none';
-            sentimentView.classList.remove('fade-out');
-            sentimentView.classList.add('fade-in');
-            updateSentimentView();
-            setTimeout(() => sentimentView.classList.remove('fade-in'), 300);
+        Object.entries(VIEWS).forEach(([name, view]) => {
+            if (name !== viewName) {
+                document.getElementById(view.id).style.display = 'none';
+            }
+        });
+        
+        const view = VIEWS[viewName];
+        const viewElement = document.getElementById(view.id);
+        viewElement.style.display = view.display;
+        viewElement.classList.remove('fade-out');
+        viewElement.classList.add('fade-in');
+        if (view.onShow) {
+            view.onShow();
         }
+        setTimeout(() => viewElement.classList.remove('fade-in'), 300);
         
         currentView = viewName;
     }, 300);
@@ -965,7 +1469,7 @@ function switchView(viewName) {
 
 // Update table view with data
 async function updateTableView() {
-    const symbols = ['BTC', 'ETH', 'XRP', 'SOL'];
+    const symbols = getSymbols();
     
     await Promise.all(symbols.map(async (symbol) => {
         const data = allCryptoData[symbol];
@@ -1059,7 +1563,7 @@ async function updateTableView() {
                 if (rowData.prediction) {
                     // Show predicted price with AI indicator
                     const predPrice = rowData.prediction.predicted_price;
-                    predictionHtml = `$${predPrice.toFixed(predPrice < 10 ? 4 : 2)} <span class="ai-indicator">${currentAIModel}</span>`;
+                    predictionHtml = `$${predPrice.toFixed(predPrice < 10 ? 4 : 2)} ${formatAiIndicator(rowData.prediction)}`;
                     
                     // Calculate accuracy based on the actual close price we have
                     const accuracy = 100 - Math.abs((rowData.prediction.predicted_price - rowData.closePrice) / rowData.closePrice * 100);
@@ -1070,7 +1574,7 @@ async function updateTableView() {
                 // Future prediction row
                 closePriceHtml = '-';
                 const predPrice = rowData.prediction.predicted_price;
-                predictionHtml = `$${predPrice.toFixed(predPrice < 10 ? 4 : 2)} <span class="ai-indicator">${currentAIModel}</span>`;
+                predictionHtml = `$${predPrice.toFixed(predPrice < 10 ? 4 : 2)} ${formatAiIndicator(rowData.prediction)}`;
                 accuracyHtml = '-';
             }
             
@@ -1095,13 +1599,466 @@ async function updateTableView() {
                 card.querySelector('.crypto-table').appendChild(accuracyElement);
             }
             
-            const accuracy = accuracyMetrics.overall_accuracy;
-            const accuracyClass = accuracy >= 95 ? 'accuracy-high' : accuracy >= 85 ? 'accuracy-medium' : 'accuracy-low';
-            accuracyElement.innerHTML = `Model Accuracy: <span class="${accuracyClass}">${accuracy.toFixed(1)}%</span>`;
+            accuracyElement.innerHTML = formatAccuracyFooter(accuracyMetrics);
         }
     }));
 }
 
+// Leaderboard selection
+let leaderboardSymbol = null;
+let leaderboardWindow = '7d';
+
+// Setup leaderboard symbol and window controls
+function setupLeaderboardControls() {
+    const symbolSelect = document.getElementById('leaderboard-symbol-select');
+    const windowButtons = document.querySelectorAll('.leaderboard-windows .window-btn');
+    
+    symbolSelect.addEventListener('change', (e) => {
+        leaderboardSymbol = e.target.value;
+        updateLeaderboardView();
+    });
+    
+    windowButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            leaderboardWindow = button.dataset.window;
+            windowButtons.forEach(btn => btn.classList.remove('active'));
+            button.classList.add('active');
+            updateLeaderboardView();
+        });
+    });
+    
+    document.getElementById('compare-btn').addEventListener('click', compareProviders);
+}
+
+// Update leaderboard view for the selected symbol, window and current interval
+async function updateLeaderboardView() {
+    const tableBody = document.getElementById('leaderboard-body');
+    
+    try {
+        const response = await fetch(`/api/leaderboard?symbol=${leaderboardSymbol}&interval=${currentInterval}&window=${leaderboardWindow}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const leaderboard = await response.json();
+        
+        updateComparisonOptions(leaderboard.entries);
+        
+        if (leaderboard.entries.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="11" class="leaderboard-empty">No resolved predictions in this window</td></tr>';
+            return;
+        }
+        
+        const format = (value, digits = 2, suffix = '') => value === null ? '-' : `${value.toFixed(digits)}${suffix}`;
+        
+        tableBody.innerHTML = leaderboard.entries.map(entry => {
+            const maseClass = entry.mase === null ? '' : entry.mase < 1 ? 'mase-better' : 'mase-worse';
+            return `
+                <tr>
+                    <td>${entry.rank}</td>
+                    <td>${escapeHtml(entry.aiProvider.toUpperCase())}</td>
+                    <td>${escapeHtml(entry.modelVersion)}</td>
+                    <td>${entry.count}</td>
+                    <td>${format(entry.mae, entry.mae !== null && entry.mae < 10 ? 4 : 2)}</td>
+                    <td>${format(entry.rmse, entry.rmse !== null && entry.rmse < 10 ? 4 : 2)}</td>
+                    <td>${format(entry.mape, 2, '%')}</td>
+                    <td>${format(entry.smape, 2, '%')}</td>
+                    <td class="${maseClass}">${format(entry.mase, 3)}</td>
+                    <td>${format(entry.hitRate, 1, '%')}</td>
+                    <td><canvas class="sparkline" width="120" height="28"></canvas></td>
+                </tr>
+            `;
+        }).join('');
+        
+        tableBody.querySelectorAll('.sparkline').forEach((canvas, i) => {
+            drawSparkline(canvas, leaderboard.entries[i].sparkline, symbolColors[leaderboardSymbol]);
+        });
+    } catch (error) {
+        console.error(`Error loading leaderboard for ${leaderboardSymbol}/${currentInterval}:`, error);
+        tableBody.innerHTML = '<tr><td colspan="11" class="leaderboard-empty">Failed to load leaderboard</td></tr>';
+    }
+}
+
+// Fill the comparison dropdowns with the providers on the leaderboard, keeping the current picks
+function updateComparisonOptions(entries) {
+    const providers = [...new Set(entries.map(entry => entry.aiProvider))];
+    const selects = [document.getElementById('compare-a-select'), document.getElementById('compare-b-select')];
+    
+    selects.forEach((select, i) => {
+        const previous = select.value;
+        select.innerHTML = providers.map(provider => `<option value="${provider}">${provider.toUpperCase()}</option>`).join('');
+        select.value = providers.includes(previous) ? previous : providers[Math.min(i, providers.length - 1)] || '';
+    });
+    
+    document.getElementById('compare-btn').disabled = providers.length < 2;
+}
+
+// Run the significance tests for the two selected providers
+async function compareProviders() {
+    const a = document.getElementById('compare-a-select').value;
+    const b = document.getElementById('compare-b-select').value;
+    const loss = document.getElementById('compare-loss-select').value;
+    const resultElement = document.getElementById('comparison-result');
+    
+    if (!a || !b || a === b) {
+        resultElement.innerHTML = '<div class="comparison-detail">Pick two different providers</div>';
+        return;
+    }
+    
+    resultElement.innerHTML = '<div class="comparison-detail">Running tests...</div>';
+    
+    try {
+        const response = await fetch(`/api/compare?a=${a}&b=${b}&symbol=${leaderboardSymbol}&interval=${currentInterval}&window=${leaderboardWindow}&loss=${loss}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        resultElement.innerHTML = formatComparison(await response.json());
+    } catch (error) {
+        console.error(`Error comparing ${a} and ${b}:`, error);
+        resultElement.innerHTML = '<div class="comparison-detail">Failed to run comparison</div>';
+    }
+}
+
+// Render a comparison result: Diebold-Mariano verdict plus bootstrap intervals on A - B
+function formatComparison(comparison) {
+    const nameA = comparison.a.toUpperCase();
+    const nameB = comparison.b.toUpperCase();
+    
+    if (!comparison.dieboldMariano) {
+        return `<div class="comparison-detail">Only ${comparison.count} shared target times for ${nameA} and ${nameB} in this window - at least 10 are needed</div>`;
+    }
+    
+    const dm = comparison.dieboldMariano;
+    const confidence = Math.round(comparison.bootstrap.confidence * 100);
+    const verdict = dm.better
+        ? `${dm.better.toUpperCase()} is significantly more accurate`
+        : 'No significant difference';
+    
+    const format = (value, digits = 2, suffix = '') => value === null ? '-' : `${value.toFixed(digits)}${suffix}`;
+    const digitsFor = value => value !== null && Math.abs(value) < 10 ? 4 : 2;
+    const rows = [
+        ['MAE', 'mae', null, ''],
+        ['RMSE', 'rmse', null, ''],
+        ['MAPE', 'mape', 2, '%'],
+        ['sMAPE', 'smape', 2, '%'],
+        ['Hit %', 'hitRate', 1, '%']
+    ].map(([label, key, digits, suffix]) => {
+        const difference = comparison.bootstrap.differences[key];
+        const valueA = comparison.metrics.a[key];
+        const valueB = comparison.metrics.b[key];
+        const d = digits === null ? digitsFor(valueA) : digits;
+        return `
+            <tr>
+                <td>${label}</td>
+                <td>${format(valueA, d, suffix)}</td>
+                <td>${format(valueB, d, suffix)}</td>
+                <td class="${difference.significant ? 'significant' : ''}">${format(difference.estimate, d, suffix)}</td>
+                <td>${difference.lower === null ? '-' : `${format(difference.lower, d)} to ${format(difference.upper, d)}`}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    return `
+        <div class="comparison-verdict ${dm.better ? 'significant' : ''}">
+            ${verdict}
+            <span class="comparison-detail">(${comparison.symbol} ${comparison.interval}, ${comparison.window}: Diebold-Mariano ${format(dm.statistic, 2)}, p = ${format(dm.pValue, 3)}, h = ${dm.horizon}, n = ${comparison.count})</span>
+        </div>
+        <table class="crypto-table comparison-table">
+            <thead>
+                <tr>
+                    <th>Metric</th>
+                    <th>${nameA}</th>
+                    <th>${nameB}</th>
+                    <th>${nameA} - ${nameB}</th>
+                    <th>${confidence}% CI</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Draw a small line chart of a series on a canvas
+function drawSparkline(canvas, values, color) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!values || values.length < 2) return;
+    
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    const padding = 2;
+    const stepX = (canvas.width - padding * 2) / (values.length - 1);
+    
+    ctx.beginPath();
+    values.forEach((value, i) => {
+        const x = padding + i * stepX;
+        const y = canvas.height - padding - ((value - min) / range) * (canvas.height - padding * 2);
+        if (i === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    });
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+}
+
+// Days of spend shown in the status view
+let statusDays = 7;
+
+// Setup status view window controls
+function setupStatusControls() {
+    const windowButtons = document.querySelectorAll('.status-windows .window-btn');
+    
+    windowButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            statusDays = parseInt(button.dataset.days);
+            windowButtons.forEach(btn => btn.classList.remove('active'));
+            button.classList.add('active');
+            updateStatusView();
+        });
+    });
+}
+
+// Update status view with today's budget, spend breakdowns, provider health and data integrity
+async function updateStatusView() {
+    updateProviderStatus();
+    updateIntegrityStatus();
+    
+    const budgetElement = document.getElementById('budget-summary');
+    const breakdownsElement = document.getElementById('spend-breakdowns');
+    
+    try {
+        const response = await fetch(`/api/costs?days=${statusDays}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const costs = await response.json();
+        
+        budgetElement.innerHTML = formatBudgetSummary(costs);
+        breakdownsElement.innerHTML = [
+            formatSpendTable('By day', costs.byDay, true),
+            formatSpendTable('By provider', costs.byProvider),
+            formatSpendTable('By symbol', costs.bySymbol),
+            formatSpendTable('By interval', costs.byInterval)
+        ].join('');
+    } catch (error) {
+        console.error('Error loading costs:', error);
+        budgetElement.innerHTML = '<div class="comparison-detail">Failed to load spend</div>';
+        breakdownsElement.innerHTML = '';
+    }
+}
+
+// Describe a provider's queue: jobs running and waiting, and how long jobs waited for a slot
+function formatQueueStatus(queue) {
+    const wait = queue.maxWaitMs > 0 ? `, max wait ${(queue.maxWaitMs / 1000).toFixed(1)}s` : '';
+    return `${queue.running}/${queue.concurrency} running, ${queue.queued} queued${wait}`;
+}
+
+// Describe a provider's rate limits and what is left of them
+function formatRateLimit(rateLimit) {
+    if (!rateLimit || (rateLimit.requestsPerMinute === null && rateLimit.tokensPerMinute === null)) {
+        return '-';
+    }
+    const limits = [
+        rateLimit.requestsPerMinute !== null ? `${rateLimit.availableRequests}/${rateLimit.requestsPerMinute} req/min` : null,
+        rateLimit.tokensPerMinute !== null ? `${Math.max(0, rateLimit.availableTokens).toLocaleString()}/${rateLimit.tokensPerMinute.toLocaleString()} tok/min` : null
+    ].filter(Boolean);
+    return limits.join(', ');
+}
+
+// Update the provider table with each circuit breaker, queue and rate limit
+async function updateProviderStatus() {
+    const tableBody = document.getElementById('provider-status-body');
+    
+    try {
+        const response = await fetch('/api/status/providers');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const status = await response.json();
+        
+        tableBody.innerHTML = status.providers.map(provider => {
+            const breaker = provider.breaker;
+            const retry = breaker && breaker.retryAt ? ` until ${new Date(breaker.retryAt).toLocaleTimeString()}` : '';
+            return `
+                <tr>
+                    <td>${escapeHtml(provider.label)}${provider.configured ? '' : ' <span class="comparison-detail">(no key)</span>'}</td>
+                    <td>${escapeHtml(provider.model)}</td>
+                    <td>${breaker ? `<span class="circuit-state circuit-${breaker.state}">${breaker.state}</span>${retry}` : '-'}</td>
+                    <td>${breaker ? `${breaker.recentFailures}/${breaker.failureThreshold}` : '-'}</td>
+                    <td>${formatQueueStatus(provider.queue)}</td>
+                    <td>${formatRateLimit(provider.rateLimit)}</td>
+                    <td>${provider.fallback.length > 0 ? escapeHtml(provider.fallback.join(' → ')) : '-'}</td>
+                    <td class="provider-error">${breaker && breaker.lastError ? escapeHtml(breaker.lastError) : '-'}</td>
+                </tr>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading provider status:', error);
+        tableBody.innerHTML = '<tr><td colspan="8" class="leaderboard-empty">Failed to load provider status</td></tr>';
+    }
+}
+
+// Describe a series' gaps and staleness, e.g. "2 gaps (14 candles), 3 candles behind"
+function formatIntegrityProblems(series) {
+    const problems = [];
+    if (series.gaps.length > 0) {
+        problems.push(`${series.gaps.length} gap${series.gaps.length === 1 ? '' : 's'} (${series.missing} candle${series.missing === 1 ? '' : 's'})`);
+    }
+    if (series.stale) {
+        problems.push(`${series.behind} candles behind`);
+    }
+    return problems.join(', ');
+}
+
+// Describe a series' duplicate, misaligned, zero-volume and invalid candles
+function formatIntegrityAnomalies(series) {
+    const anomalies = [
+        series.duplicates > 0 ? `${series.duplicates} duplicate` : null,
+        series.misaligned > 0 ? `${series.misaligned} misaligned` : null,
+        series.zeroVolume > 0 ? `${series.zeroVolume} zero volume` : null,
+        series.invalidPrices > 0 ? `${series.invalidPrices} invalid price` : null
+    ].filter(Boolean);
+    return anomalies.length > 0 ? anomalies.join(', ') : '-';
+}
+
+// Mark chart cards whose series for the current interval is stale or has gaps
+async function updateIntegrityBadges() {
+    try {
+        const response = await fetch(`/api/integrity?interval=${currentInterval}`);
+        if (!response.ok) return;
+        
+        const report = await response.json();
+        report.series.forEach(series => {
+            const badge = document.getElementById(`${series.symbol.toLowerCase()}-integrity`);
+            if (!badge) return;
+            
+            const problems = formatIntegrityProblems(series);
+            badge.textContent = series.stale ? 'Stale' : (series.gaps.length > 0 ? 'Gaps' : '');
+            badge.title = problems;
+            badge.classList.toggle('visible', problems !== '');
+            badge.classList.toggle('stale', series.stale);
+        });
+    } catch (error) {
+        console.error('Error loading integrity report:', error);
+    }
+}
+
+// Update the data integrity table with each series' gaps, staleness and anomalies
+async function updateIntegrityStatus() {
+    const summaryElement = document.getElementById('integrity-summary');
+    const tableBody = document.getElementById('integrity-status-body');
+    
+    try {
+        const response = await fetch('/api/integrity');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const report = await response.json();
+        const summary = report.summary;
+        
+        summaryElement.textContent = `${summary.healthy}/${summary.series} series healthy, ` +
+            `${summary.holey} with gaps (${summary.missingCandles} missing candles), ${summary.stale} stale`;
+        
+        tableBody.innerHTML = report.series.map(series => {
+            const state = series.healthy ? 'healthy' : (series.stale || series.gaps.length > 0 || series.candles === 0 ? 'holey' : 'anomalies');
+            return `
+                <tr>
+                    <td>${series.symbol}</td>
+                    <td>${series.interval}</td>
+                    <td>${series.candles.toLocaleString()}</td>
+                    <td>${series.last !== null ? formatTableDateTime(new Date(series.last), series.interval) : '-'}</td>
+                    <td>${formatIntegrityProblems(series) || '-'}</td>
+                    <td>${formatIntegrityAnomalies(series)}</td>
+                    <td><span class="integrity-state integrity-${state}">${series.healthy ? 'ok' : series.issues.join(', ')}</span></td>
+                </tr>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading integrity report:', error);
+        summaryElement.textContent = '';
+        tableBody.innerHTML = '<tr><td colspan="7" class="leaderboard-empty">Failed to load integrity report</td></tr>';
+    }
+}
+
+// Format a USD amount, with more precision for small amounts
+function formatUsd(value) {
+    return `$${value.toFixed(value < 1 ? 4 : 2)}`;
+}
+
+// Render today's spend against the daily cap and the window totals
+function formatBudgetSummary(costs) {
+    const budget = costs.budget;
+    const totals = costs.totals;
+    const limit = budget.dailyUsd === null
+        ? 'no daily cap'
+        : `of ${formatUsd(budget.dailyUsd)} daily cap (${budget.action} when reached)`;
+    const used = budget.dailyUsd ? Math.min(100, budget.spentToday / budget.dailyUsd * 100) : 0;
+    const notes = [
+        totals.downgraded > 0 ? `${totals.downgraded} downgraded` : null,
+        totals.skipped > 0 ? `${totals.skipped} skipped` : null,
+        totals.unpriced > 0 ? `${totals.unpriced} without a price` : null
+    ].filter(Boolean);
+    
+    return `
+        <div class="budget-today">
+            <span class="budget-spent">${formatUsd(budget.spentToday)}</span>
+            <span class="comparison-detail">spent today, ${limit}</span>
+        </div>
+        ${budget.dailyUsd === null ? '' : `<div class="budget-bar"><div class="budget-bar-fill ${used >= 100 ? 'exhausted' : ''}" style="width: ${used}%"></div></div>`}
+        <div class="comparison-detail">
+            Last ${costs.days} days: ${formatUsd(totals.costUsd)} over ${totals.runs} runs,
+            ${totals.inputTokens.toLocaleString()} input and ${totals.outputTokens.toLocaleString()} output tokens
+            (${totals.reasoningTokens.toLocaleString()} reasoning)${notes.length > 0 ? `, ${notes.join(', ')}` : ''}
+        </div>
+    `;
+}
+
+// Render one spend breakdown table; days get a bar scaled to the most expensive day
+function formatSpendTable(title, rows, withBars = false) {
+    const maxCost = Math.max(...rows.map(row => row.costUsd), 0);
+    const body = rows.length === 0
+        ? '<tr><td colspan="4" class="leaderboard-empty">No runs in this window</td></tr>'
+        : rows.map(row => `
+            <tr>
+                <td>${row.key}</td>
+                <td>${row.runs}</td>
+                <td>${(row.inputTokens + row.outputTokens).toLocaleString()}</td>
+                <td>
+                    ${formatUsd(row.costUsd)}
+                    ${withBars && maxCost > 0 ? `<div class="spend-bar" style="width: ${row.costUsd / maxCost * 100}%"></div>` : ''}
+                </td>
+            </tr>
+        `).join('');
+    
+    return `
+        <div class="spend-breakdown">
+            <div class="comparison-title">${title}</div>
+            <table class="crypto-table spend-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>Runs</th>
+                        <th>Tokens</th>
+                        <th>Cost</th>
+                    </tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+// AI indicator for a table row, naming the fallback provider when one filled the slot
+function formatAiIndicator(prediction) {
+    if (prediction.fallback_provider) {
+        return `<span class="ai-indicator fallback" title="Filled by ${prediction.fallback_provider} after ${currentAIModel} failed">${prediction.fallback_provider.toUpperCase()}</span>`;
+    }
+    return `<span class="ai-indicator">${currentAIModel}</span>`;
+}
+
 // Format date/time for table view
 function formatTableDateTime(date, interval) {
     const options = {
@@ -1112,14 +2069,20 @@ function formatTableDateTime(date, interval) {
         minute: '2-digit'
     };
     
-    if (interval === '1d') {
+    const duration = getIntervalDuration(interval);
+    
+    if (duration >= DAY_MS) {
         delete options.hour;
         delete options.minute;
-    } else if (interval === '4h' || interval === '1h') {
-        // For both 1h and 4h intervals, use consistent "hour am/pm" format
+    } else if (duration >= HOUR_MS) {
+        // For hourly intervals, use consistent "hour am/pm" format
         options.hour = 'numeric';
         options.hour12 = true;
         delete options.minute;
+    } else {
+        // Minute intervals keep their minutes
+        options.hour = 'numeric';
+        options.hour12 = true;
     }
     
     return date.toLocaleString('en-US', options);
@@ -1133,6 +2096,9 @@ function setupFullscreenFeature() {
     const fullscreenCanvas = document.getElementById('fullscreen-canvas');
     const fullscreenSymbolEl = document.getElementById('fullscreen-symbol');
     const fullscreenPriceEl = document.getElementById('fullscreen-price');
+    const vintageToggle = document.getElementById('vintage-toggle');
+    const vintageSlider = document.getElementById('vintage-slider');
+    const vintageRange = document.getElementById('vintage-range');
     
     // Table fullscreen elements
     const tableOverlay = document.getElementById('fullscreen-table-overlay');
@@ -1264,7 +2230,11 @@ function setupFullscreenFeature() {
                     pointRadius: 0,
                     tension: 0.2,
                     spanGaps: true
-                }
+                },
+                // Prediction interval - SHADED p10-p90 FAN
+                ...createBandDatasets(data.map(k => k.open_time), predictions, baseColor),
+                // Predicted candles - FLOATING BARS (OHLC mode only)
+                ...createCandleDatasets(data.map(k => k.open_time), predictions)
             ]
         };
         
@@ -1323,6 +2293,12 @@ function setupFullscreenFeature() {
                         filter: function(legendItem, chartData) {
                             // Only show legend items that have data
                             const dataset = chartData.datasets[legendItem.datasetIndex];
+                            // The band's lower bound shares the upper bound's legend entry
+                            if (dataset && dataset.label === 'band:p10') return false;
+                            // Candles share the body's legend entry
+                            if (dataset && dataset.label === 'candle:wick') return false;
+                            // Earlier vintages share the selected vintage's legend entry
+                            if (dataset && dataset.label === 'vintage:past') return false;
                             return dataset && dataset.data && dataset.data.some(point => point !== null && point !== undefined);
                         }
                     }
@@ -1367,6 +2343,9 @@ function setupFullscreenFeature() {
             }
         };
         
+        // Vintage paths are drawn against the same timeline
+        vintageOverlay.timeline = getPredictionTimeline(data.map(k => k.open_time), predictions);
+        
         // Create the fullscreen chart
         fullscreenChart = new Chart(ctx, {
             type: 'line',
@@ -1397,9 +2376,35 @@ function setupFullscreenFeature() {
             fullscreenChart = null;
         }
         
+        // The overlay starts off each time a chart is opened
+        vintageOverlay = { active: false, vintages: [], index: 0, timeline: [] };
+        vintageToggle.classList.remove('active');
+        vintageSlider.classList.remove('active');
+        
         currentFullscreenSymbol = null;
     }
     
+    // Toggle the forecast vintage overlay
+    vintageToggle.addEventListener('click', async () => {
+        if (!currentFullscreenSymbol || !fullscreenChart) return;
+        
+        vintageOverlay.active = !vintageOverlay.active;
+        vintageToggle.classList.toggle('active', vintageOverlay.active);
+        vintageSlider.classList.toggle('active', vintageOverlay.active);
+        
+        if (vintageOverlay.active) {
+            vintageOverlay.index = Infinity; // Start on the newest vintage
+            await loadVintageOverlay(currentFullscreenSymbol, currentInterval);
+        }
+        redrawVintageOverlay(currentFullscreenSymbol);
+    });
+    
+    // Step through vintages by prediction time
+    vintageRange.addEventListener('input', () => {
+        vintageOverlay.index = parseInt(vintageRange.value);
+        redrawVintageOverlay(currentFullscreenSymbol);
+    });
+    
     // Function to open fullscreen table
     function openFullscreenTable(symbol) {
         currentFullscreenSymbol = symbol;
@@ -1424,6 +2429,13 @@ function setupFullscreenFeature() {
         tableOverlay.classList.remove('active');
         fullscreenTableContainer.classList.remove('active');
         document.body.classList.remove('fullscreen-active');
+        
+        // Destroy the lead time chart
+        if (horizonChart) {
+            horizonChart.destroy();
+            horizonChart = null;
+        }
+        
         currentFullscreenSymbol = null;
     }
     
@@ -1501,7 +2513,7 @@ function setupFullscreenFeature() {
                     if (rowData.prediction) {
                         // Show predicted price with AI indicator
                         const predPrice = rowData.prediction.predicted_price;
-                        predictionHtml = `$${predPrice.toFixed(predPrice < 10 ? 4 : 2)} <span class="ai-indicator">${currentAIModel}</span>`;
+                        predictionHtml = `$${predPrice.toFixed(predPrice < 10 ? 4 : 2)} ${formatAiIndicator(rowData.prediction)}`;
                         
                         // Calculate accuracy based on the actual close price we have
                         const accuracy = 100 - Math.abs((rowData.prediction.predicted_price - rowData.closePrice) / rowData.closePrice * 100);
@@ -1512,7 +2524,7 @@ function setupFullscreenFeature() {
                     // Future prediction row
                     closePriceHtml = '-';
                     const predPrice = rowData.prediction.predicted_price;
-                    predictionHtml = `$${predPrice.toFixed(predPrice < 10 ? 4 : 2)} <span class="ai-indicator">${currentAIModel}</span>`;
+                    predictionHtml = `$${predPrice.toFixed(predPrice < 10 ? 4 : 2)} ${formatAiIndicator(rowData.prediction)}`;
                     accuracyHtml = '-';
                 }
                 
@@ -1528,6 +2540,9 @@ function setupFullscreenFeature() {
             
             fullscreenTableBody.innerHTML = tableHTML;
             
+            // Show how the error grows with lead time
+            await updateHorizonChart(symbol, currentInterval);
+            
             // Add overall accuracy at the bottom
             if (accuracyMetrics && accuracyMetrics.overall_accuracy !== undefined) {
                 let accuracyElement = fullscreenTableContainer.querySelector('.overall-accuracy');
@@ -1538,9 +2553,7 @@ function setupFullscreenFeature() {
                     fullscreenTableContainer.querySelector('.fullscreen-table-container').appendChild(accuracyElement);
                 }
                 
-                const accuracy = accuracyMetrics.overall_accuracy;
-                const accuracyClass = accuracy >= 95 ? 'accuracy-high' : accuracy >= 85 ? 'accuracy-medium' : 'accuracy-low';
-                accuracyElement.innerHTML = `Model Accuracy: <span class="${accuracyClass}">${accuracy.toFixed(1)}%</span>`;
+                accuracyElement.innerHTML = formatAccuracyFooter(accuracyMetrics);
             }
         }
     }
@@ -1743,7 +2756,11 @@ async function updateFullscreenChart(symbol, interval) {
                 pointRadius: 0,
                 tension: 0.2,
                 spanGaps: true
-            }
+            },
+            // Prediction interval - SHADED p10-p90 FAN
+            ...createBandDatasets(data.map(k => k.open_time), predictions, symbolColors[symbol]),
+            // Predicted candles - FLOATING BARS (OHLC mode only)
+            ...createCandleDatasets(data.map(k => k.open_time), predictions)
         ];
         
         // Update labels to include future predictions
@@ -1751,6 +2768,15 @@ async function updateFullscreenChart(symbol, interval) {
             fullscreenChart.data.labels = labels.concat(futurePredictionLabels);
         }
         
+        // Redraw the vintage overlay with any new vintages
+        vintageOverlay.timeline = getPredictionTimeline(data.map(k => k.open_time), predictions);
+        if (vintageOverlay.active) {
+            await loadVintageOverlay(symbol, interval);
+            fullscreenChart.data.datasets.push(
+                ...createVintageDatasets(vintageOverlay.timeline, vintageOverlay.vintages, vintageOverlay.index, symbolColors[symbol])
+            );
+        }
+        
         fullscreenChart.update('active');
         
         // Update price
@@ -1761,9 +2787,57 @@ async function updateFullscreenChart(symbol, interval) {
     }
 }
 
+// Fetch vintages for the overlay, staying on the newest one if it was selected
+async function loadVintageOverlay(symbol, interval) {
+    const atNewest = vintageOverlay.index >= vintageOverlay.vintages.length - 1;
+    vintageOverlay.vintages = await fetchPredictionVintages(symbol, interval);
+    
+    const newest = Math.max(vintageOverlay.vintages.length - 1, 0);
+    vintageOverlay.index = atNewest ? newest : Math.min(vintageOverlay.index, newest);
+    
+    const range = document.getElementById('vintage-range');
+    range.max = newest;
+    range.value = vintageOverlay.index;
+    range.disabled = vintageOverlay.vintages.length < 2;
+    updateVintageLabel();
+}
+
+// Describe the selected vintage next to the slider
+function updateVintageLabel() {
+    const label = document.getElementById('vintage-label');
+    const vintage = vintageOverlay.vintages[vintageOverlay.index];
+    
+    if (!vintage) {
+        label.textContent = `No ${currentAIModel} forecasts in range`;
+        return;
+    }
+    
+    const madeAt = new Date(vintage.predictionTime).toLocaleString('en-US', {
+        month: 'numeric',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    label.textContent = `${currentAIModel} forecast of ${madeAt} (${vintageOverlay.index + 1}/${vintageOverlay.vintages.length})`;
+}
+
+// Replace the vintage datasets on the fullscreen chart after the selection changes
+function redrawVintageOverlay(symbol) {
+    if (!fullscreenChart) return;
+    
+    fullscreenChart.data.datasets = fullscreenChart.data.datasets.filter(dataset => !(dataset.label || '').startsWith('vintage:'));
+    if (vintageOverlay.active) {
+        fullscreenChart.data.datasets.push(
+            ...createVintageDatasets(vintageOverlay.timeline, vintageOverlay.vintages, vintageOverlay.index, symbolColors[symbol])
+        );
+    }
+    fullscreenChart.update('none');
+    updateVintageLabel();
+}
+
 // Update sentiment view
 async function updateSentimentView() {
-    const symbols = ['BTC', 'ETH', 'XRP', 'SOL'];
+    const symbols = getSymbols();
     
     // Add loading state to all sentiment cards
     document.querySelectorAll('#sentiment-view .crypto-card').forEach(card => {
@@ -1953,6 +3027,9 @@ function connectWebSocket() {
 function handlePriceUpdate(data) {
     const { symbol, price, priceChange, priceChangePercent } = data;
     
+    // Symbols added since the page loaded have no cards until it is reloaded
+    if (!(symbol in initialPrices)) return;
+    
     // Store initial price on first update
     if (initialPrices[symbol] === null) {
         initialPrices[symbol] = price;
@@ -2141,7 +3218,7 @@ function startAutoRefresh() {
     
     // Refresh predictions every 5 minutes
     setInterval(async () => {
-        const symbols = ['BTC', 'ETH', 'XRP', 'SOL'];
+        const symbols = getSymbols();
         await Promise.all(symbols.map(async (symbol) => {
             await fetchPredictions(symbol, currentInterval);
             await fetchAccuracyMetrics(symbol, currentInterval);
@@ -2150,6 +3227,10 @@ function startAutoRefresh() {
         // Update table view if active
         if (currentView === 'table') {
             updateTableView();
+        } else if (currentView === 'leaderboard') {
+            updateLeaderboardView();
+        } else if (currentView === 'status') {
+            updateStatusView();
         }
         
         // Update fullscreen table if open
@@ -2161,10 +3242,16 @@ function startAutoRefresh() {
 
 // Initialize application
 async function init() {
+    await loadSymbols();
+    renderSymbolCards();
     initializeCharts();
+    await loadIntervalOptions();
     setupTimeControls();
+    await loadProviderOptions();
     setupModelControls();
     setupViewControls();
+    setupLeaderboardControls();
+    setupStatusControls();
     setupFullscreenFeature();
     setupSentimentFullscreen();
     await updateAllCharts(false); // No animation on initial load
@@ -8,8 +8,22 @@ const fs = require('fs').promises;
 const OpenAI = require('openai');
 const WebSocket = require('ws');
 const http = require('http');
+const crypto = require('crypto');
 const TechnicalIndicators = require('./utils/technicalIndicators');
 const PredictionService = require('./services/predictionService');
+const LeaderboardService = require('./services/leaderboardService');
+const BacktestService = require('./services/backtestService');
+const ComparisonService = require('./services/comparisonService');
+const SchedulerService = require('./services/schedulerService');
+const SymbolRegistry = require('./services/symbolRegistry');
+const ExchangeClient = require('./services/exchangeClient');
+const BackfillService = require('./services/backfillService');
+const KlineIntegrityService = require('./services/klineIntegrityService');
+const { JOB_RUN_STATUSES } = SchedulerService;
+const { LOSS_FUNCTIONS } = require('./utils/significanceTests');
+const { runMigrations } = require('./utils/migrations');
+const { INTERVAL_IDS, isInterval, getIntervalMs, sourceInterval, listIntervals } = require('./utils/intervals');
+const { BINANCE_MAX_LIMIT } = ExchangeClient;
 require('dotenv').config();
 
 const app = express();
@@ -21,21 +35,11 @@ const server = http.createServer(app);
 // Create WebSocket server
 const wss = new WebSocket.Server({ server });
 
-// Store previous prices for calculating changes
-const previousPrices = {
-  BTC: null,
-  ETH: null,
-  XRP: null,
-  SOL: null
-};
-
-// Store current prices
-const currentPrices = {
-  BTC: null,
-  ETH: null,
-  XRP: null,
-  SOL: null
-};
+// Store previous prices for calculating changes, by symbol
+const previousPrices = {};
+
+// Store current prices, by symbol
+const currentPrices = {};
 
 // Initialize OpenAI client
 const openai = new OpenAI({
@@ -46,9 +50,6 @@ const openai = new OpenAI({
 const SENTIMENT_DATA_FILE = path.join(__dirname, 'sentiment-data.json');
 const SENTIMENT_UPDATE_INTERVAL = 4 * 60 * 60 * 1000; // 4 hours in milliseconds
 
-// Cryptocurrency symbols
-const SYMBOLS = ['BTC', 'ETH', 'XRP', 'SOL'];
-
 // Helper function to check if sentiment data needs update
 async function needsSentimentUpdate() {
   try {
@@ -110,7 +111,7 @@ async function fetchAllSentimentData() {
   }
 
   // Fetch news and sentiment for each cryptocurrency
-  for (const symbol of SYMBOLS) {
+  for (const symbol of symbolRegistry.ids()) {
     console.log(`📊 Fetching data for ${symbol}...`);
     
     let newsContent = '';
@@ -197,6 +198,11 @@ app.use(express.static('public'));
 
 // Database setup
 const db = new sqlite3.Database('./crypto_data.db');
+// Backfills write klines on their own connection; wait for their locks instead of failing
+db.configure('busyTimeout', 10000);
+
+// Tracked symbols, seeded from config/symbols.json and edited through the admin API
+const symbolRegistry = new SymbolRegistry(db);
 
 // Initialize technical indicators
 const technicalIndicators = new TechnicalIndicators('./crypto_data.db');
@@ -204,53 +210,23 @@ const technicalIndicators = new TechnicalIndicators('./crypto_data.db');
 // Initialize prediction service
 const predictionService = new PredictionService();
 
-// Run migrations on startup
-async function runMigrations() {
-  try {
-    // List of migration files to run in order
-    const migrations = [
-      'add_predictions_schema.sql',
-      'add_ai_provider_column.sql'
-    ];
-    
-    for (const migrationFile of migrations) {
-      const migrationPath = path.join(__dirname, 'migrations', migrationFile);
-      
-      // Check if migration file exists
-      try {
-        await fs.access(migrationPath);
-      } catch (error) {
-        console.log(`Migration file ${migrationFile} not found, skipping...`);
-        continue;
-      }
-      
-      const migrationSQL = await fs.readFile(migrationPath, 'utf8');
-      
-      await new Promise((resolve, reject) => {
-        db.exec(migrationSQL, (err) => {
-          if (err) {
-            // Check if it's a column already exists error
-            if (err.message.includes('duplicate column name: ai_provider')) {
-              console.log(`✅ Migration ${migrationFile} already applied`);
-              resolve();
-            } else {
-              console.error(`Error running migration ${migrationFile}:`, err);
-              reject(err);
-            }
-          } else {
-            console.log(`✅ Migration ${migrationFile} completed successfully`);
-            resolve();
-          }
-        });
-      });
-    }
-    
-    console.log('✅ All database migrations completed');
-  } catch (error) {
-    console.error('Error in migration process:', error);
-    throw error;
-  }
-}
+// Initialize leaderboard service
+const leaderboardService = new LeaderboardService();
+
+// Initialize comparison service
+const comparisonService = new ComparisonService();
+
+// Initialize backtest service (shares the prediction service's providers)
+const backtestService = new BacktestService(predictionService);
+
+// Rate-limited Binance/OKX kline client, shared by the live updates and backfills
+const exchangeClient = new ExchangeClient();
+
+// Initialize backfill service for paging through kline history
+const backfillService = new BackfillService('./crypto_data.db', exchangeClient);
+
+// Initialize kline integrity audits (gaps are refetched through backfills)
+const klineIntegrityService = new KlineIntegrityService('./crypto_data.db', backfillService);
 
 // Create tables if they don't exist
 db.serialize(() => {
@@ -284,82 +260,11 @@ db.serialize(() => {
   `);
 });
 
-// Intervals for kline data
-const INTERVALS = {
-  '1h': '1h',
-  '4h': '4h',
-  '1d': '1d'
-};
-
-// API endpoints
-const BINANCE_BASE_URL = 'https://api.binance.com/api/v3';
-const OKX_BASE_URL = 'https://www.okx.com/api/v5';
-
-// Helper function to fetch from Binance
-async function fetchBinanceKlines(symbol, interval, limit = 1000, startTime = null, endTime = null) {
-  try {
-    const params = {
-      symbol: `${symbol}USDT`,
-      interval: interval,
-      limit: limit
-    };
-    
-    if (startTime) params.startTime = startTime;
-    if (endTime) params.endTime = endTime;
-    
-    const response = await axios.get(`${BINANCE_BASE_URL}/klines`, {
-      params: params
-    });
-    return response.data;
-  } catch (error) {
-    console.error(`Binance API error for ${symbol}:`, error.message);
-    return null;
-  }
-}
+// Forecast modes: close prices only, or full OHLC + volume candles
+const FORECAST_MODES = ['close', 'ohlc'];
 
-// Helper function to fetch from OKX (fallback)
-async function fetchOKXKlines(symbol, interval, limit = 1000, startTime = null, endTime = null) {
-  try {
-    // OKX uses different interval format
-    const okxInterval = {
-      '1h': '1H',
-      '4h': '4H',
-      '1d': '1D'
-    }[interval];
-    
-    const params = {
-      instId: `${symbol}-USDT-SWAP`,
-      bar: okxInterval,
-      limit: limit
-    };
-    
-    if (startTime) params.after = startTime;
-    if (endTime) params.before = endTime;
-    
-    const response = await axios.get(`${OKX_BASE_URL}/market/candles`, {
-      params: params
-    });
-    
-    // OKX returns data in different format, need to transform
-    if (response.data.code === '0') {
-      return response.data.data.map(candle => [
-        parseInt(candle[0]), // open time
-        candle[1], // open
-        candle[2], // high
-        candle[3], // low
-        candle[4], // close
-        candle[5], // volume
-        parseInt(candle[0]) + (interval === '1h' ? 3600000 : interval === '4h' ? 14400000 : 86400000), // close time
-        candle[6], // quote volume
-        0 // trades (OKX doesn't provide this)
-      ]).reverse(); // OKX returns newest first, we need oldest first
-    }
-    return null;
-  } catch (error) {
-    console.error(`OKX API error for ${symbol}:`, error.message);
-    return null;
-  }
-}
+// How a model response was parsed (see utils/responseParser.js)
+const PARSE_PATHS = ['clean', 'repaired', 'partial'];
 
 // Helper function to get the latest timestamp for a symbol/interval
 async function getLatestTimestamp(symbol, interval) {
@@ -403,21 +308,21 @@ async function getRecordCount(symbol, interval) {
 async function fetchAndStoreKlines(symbol, interval) {
   console.log(`\n=== Processing ${symbol} ${interval} ===`);
   
+  if (sourceInterval(interval)) {
+    return resampleAndStoreKlines(symbol, interval);
+  }
+  
   try {
     // Get the latest timestamp from database
     const latestTimestamp = await getLatestTimestamp(symbol, interval);
     const currentTime = Date.now();
     
     let startTime = null;
-    let fetchLimit = 1000;
+    let fetchLimit = BINANCE_MAX_LIMIT;
     
     if (latestTimestamp) {
       // Calculate the gap
-      const intervalMs = {
-        '1h': 3600000,
-        '4h': 14400000,
-        '1d': 86400000
-      }[interval];
+      const intervalMs = getIntervalMs(interval);
       
       // Start from the next candle after the latest one
       startTime = latestTimestamp + intervalMs;
@@ -433,8 +338,20 @@ async function fetchAndStoreKlines(symbol, interval) {
         return;
       }
       
+      // Gaps longer than one request are paged through by a backfill
+      if (candlesNeeded > BINANCE_MAX_LIMIT) {
+        console.log(`📊 Gap of ${candlesNeeded} candles, backfilling from ${new Date(startTime).toISOString()}`);
+        const backfill = await backfillService.backfill({ symbol, interval, startTime });
+        
+        if (backfill.status === 'succeeded' && backfill.inserted > 0) {
+          await technicalIndicators.calculateAndStoreIndicators(symbol, interval);
+          console.log(`📈 Updated technical indicators for ${symbol} ${interval}`);
+        }
+        return;
+      }
+      
       // Limit to 1000 candles per request
-      fetchLimit = Math.min(candlesNeeded, 1000);
+      fetchLimit = Math.min(candlesNeeded, BINANCE_MAX_LIMIT);
       
       const startDate = new Date(startTime).toISOString();
       const endDate = new Date(currentTime).toISOString();
@@ -446,14 +363,9 @@ async function fetchAndStoreKlines(symbol, interval) {
       console.log(`📊 No existing data found. Fetching last ${fetchLimit} candles...`);
     }
     
-    // Try Binance first
-    let klines = await fetchBinanceKlines(symbol, interval, fetchLimit, startTime);
-    
-    // If Binance fails, try OKX
-    if (!klines) {
-      console.log(`⚠️ Binance failed, trying OKX for ${symbol}...`);
-      klines = await fetchOKXKlines(symbol, interval, fetchLimit, startTime);
-    }
+    // Try Binance first, then OKX
+    const page = await exchangeClient.fetchKlines(symbol, interval, { limit: fetchLimit, startTime });
+    const klines = page && page.klines;
     
     if (!klines || klines.length === 0) {
       console.error(`❌ Failed to fetch klines for ${symbol} from both APIs`);
@@ -553,22 +465,126 @@ async function fetchAndStoreKlines(symbol, interval) {
   }
 }
 
+// Build a derived interval (see utils/intervals.js) from its stored source
+// candles instead of fetching it. The latest stored candle is rebuilt each
+// time, since it fills in as source candles arrive.
+async function resampleAndStoreKlines(symbol, interval) {
+  const source = sourceInterval(interval);
+  
+  try {
+    const latestTimestamp = await getLatestTimestamp(symbol, interval);
+    const resampled = await backfillService.resample(symbol, interval, latestTimestamp || 0);
+    
+    if (resampled === 0) {
+      console.log(`✓ ${symbol} ${interval}: No complete ${source} candles to resample`);
+      return;
+    }
+    
+    console.log(`✅ Resampled ${resampled} ${interval} candles from ${source}`);
+    
+    try {
+      await technicalIndicators.calculateAndStoreIndicators(symbol, interval);
+      console.log(`📈 Updated technical indicators for ${symbol} ${interval}`);
+    } catch (indicatorError) {
+      console.error(`⚠️ Error calculating indicators for ${symbol} ${interval}:`, indicatorError.message);
+    }
+    
+  } catch (error) {
+    console.error(`❌ Error resampling ${symbol} ${interval}:`, error.message);
+  }
+}
+
 // Function to fetch all data
 async function fetchAllData() {
   console.log('\n🚀 Starting intelligent data fetch...');
   console.log(`📅 Current time: ${new Date().toISOString()}`);
   
-  for (const symbol of SYMBOLS) {
-    for (const interval of Object.values(INTERVALS)) {
+  for (const symbol of symbolRegistry.ids()) {
+    for (const interval of INTERVAL_IDS) {
       await fetchAndStoreKlines(symbol, interval);
-      // Small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      // Small delay to avoid rate limiting (resampled intervals make no requests)
+      if (!sourceInterval(interval)) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
     }
   }
   
   console.log('\n✅ Data fetch completed successfully!\n');
 }
 
+// Gap repair in progress, so scheduled and requested repairs do not overlap
+let integrityRepair = null;
+
+// Refetch the missing candles of the tracked series (all of them by default)
+function repairKlineGaps({ symbols = symbolRegistry.ids(), intervals = INTERVAL_IDS } = {}) {
+  if (!integrityRepair) {
+    integrityRepair = klineIntegrityService.repair({ symbols, intervals })
+      .then(backfills => {
+        console.log(`✅ Kline gap repair completed (${backfills.length} backfill(s))`);
+        return backfills;
+      })
+      .finally(() => {
+        integrityRepair = null;
+      });
+  }
+  return integrityRepair;
+}
+
+// Backfill a newly added symbol's candles (and with them its technical
+// indicators) on every interval, then start streaming its price. Scheduled
+// prediction jobs pick the symbol up on their next run. A symbol without
+// candles on either exchange is removed again.
+async function onboardSymbol(symbol) {
+  console.log(`\n🪙 Onboarding ${symbol}...`);
+  
+  const state = await symbolRegistry.onboard(symbol, async () => {
+    for (const interval of INTERVAL_IDS) {
+      await fetchAndStoreKlines(symbol, interval);
+    }
+    
+    if (await getRecordCount(symbol, '1h') === 0) {
+      throw new Error(`No ${symbol}/USDT candles found on Binance or OKX`);
+    }
+    
+    await initializePrices([symbol]);
+    restartBinanceStream();
+  });
+  
+  if (state.status === 'done') {
+    console.log(`✅ ${symbol} onboarded`);
+  } else {
+    scheduler.setSymbols(symbolRegistry.ids());
+    console.error(`❌ Failed to onboard ${symbol}, no longer tracking it:`, state.error);
+  }
+}
+
+// Admin routes need the ADMIN_TOKEN from the environment, sent as a bearer
+// token or in an X-Admin-Token header. They are disabled when it is not set.
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  
+  if (!token) {
+    return res.status(403).json({
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_TOKEN to enable the admin API'
+    });
+  }
+  
+  const authorization = req.get('authorization') || '';
+  const provided = authorization.startsWith('Bearer ') ? authorization.slice(7) : req.get('x-admin-token') || '';
+  
+  // Compare digests so the check takes the same time whatever the input
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(provided), digest(token))) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin token is required'
+    });
+  }
+  
+  next();
+}
+
 // API Routes
 app.get('/api/klines/:symbol/:interval', (req, res) => {
   const { symbol, interval } = req.params;
@@ -694,214 +710,856 @@ app.get('/api/indicators/:symbol/:interval', async (req, res) => {
 
 // Prediction API endpoints
 
-// Get current predictions for a symbol/interval
-app.get('/api/predictions/:symbol/:interval', async (req, res) => {
-  const { symbol, interval } = req.params;
-  const { provider = 'gemini' } = req.query; // Get AI provider from query param
+// List the AI providers registered in config/providers.json
+app.get('/api/providers', (req, res) => {
+  res.json({
+    default: predictionService.providers.defaultId,
+    providers: predictionService.providers.list().map(provider => provider.toJSON())
+  });
+});
+
+// Circuit breaker, queue and rate limit state and fallback chain for each provider
+app.get('/api/status/providers', (req, res) => {
+  res.json({
+    providers: predictionService.getProviderStatus()
+  });
+});
+
+// Supported kline intervals, shortest first, and which are resampled
+app.get('/api/intervals', (req, res) => {
+  res.json({
+    intervals: listIntervals()
+  });
+});
+
+// Tracked symbols with their display names and chart colors
+app.get('/api/symbols', (req, res) => {
+  res.json({
+    symbols: symbolRegistry.list()
+  });
+});
+
+// Every symbol, including removed ones, with the state of its onboarding
+app.get('/api/admin/symbols', requireAdmin, (req, res) => {
+  res.json({
+    symbols: symbolRegistry.list({ includeDisabled: true }).map(entry => ({
+      ...entry,
+      onboarding: symbolRegistry.onboarding.get(entry.symbol) || null
+    }))
+  });
+});
+
+// Start tracking a symbol: backfill its history in the background and add it to the schedule
+app.post('/api/admin/symbols', requireAdmin, async (req, res) => {
+  let entry;
+  try {
+    entry = await symbolRegistry.add(req.body || {});
+  } catch (error) {
+    return res.status(error.code === 'SYMBOL_EXISTS' ? 409 : 400).json({
+      error: error.code === 'SYMBOL_EXISTS' ? 'Symbol exists' : 'Invalid symbol',
+      message: error.message
+    });
+  }
+  
+  scheduler.setSymbols(symbolRegistry.ids());
+  onboardSymbol(entry.symbol).catch(error => {
+    console.error(`Error onboarding ${entry.symbol}:`, error);
+  });
   
+  res.status(202).json({
+    success: true,
+    message: `Onboarding ${entry.symbol}`,
+    symbol: entry
+  });
+});
+
+// Change a symbol's display name or colors
+app.patch('/api/admin/symbols/:symbol', requireAdmin, async (req, res) => {
   try {
-    // Use predictionService to get predictions for specific provider
-    const predictions = await predictionService.getPredictions(symbol, interval, provider);
-    
-    if (!predictions || predictions.length === 0) {
-      return res.status(404).json({
-        error: 'No predictions available',
-        message: `No predictions found for ${symbol} ${interval} using ${provider}`
-      });
-    }
-    
-    // Return predictions in the format expected by frontend
-    res.json(predictions);
-    
+    const entry = await symbolRegistry.update(req.params.symbol, req.body || {});
+    res.json({ success: true, symbol: entry });
   } catch (error) {
-    console.error(`Error fetching predictions for ${symbol} ${interval} with ${provider}:`, error);
-    res.status(500).json({
-      error: 'Failed to fetch predictions',
+    res.status(error.code === 'SYMBOL_NOT_FOUND' ? 404 : 400).json({
+      error: error.code === 'SYMBOL_NOT_FOUND' ? 'Unknown symbol' : 'Invalid symbol',
       message: error.message
     });
   }
 });
 
-// Get accuracy metrics for a symbol/interval
-app.get('/api/predictions/accuracy/:symbol/:interval', async (req, res) => {
-  const { symbol, interval } = req.params;
-  
+// Stop tracking a symbol. Its stored candles and predictions are kept.
+app.delete('/api/admin/symbols/:symbol', requireAdmin, async (req, res) => {
+  let entry;
   try {
-    // Use predictionService to get accuracy metrics
-    const metrics = await predictionService.getAccuracyMetrics(symbol, interval);
-    
-    if (!metrics) {
-      return res.status(404).json({
-        error: 'No accuracy data available',
-        message: 'No completed predictions found for accuracy calculation'
-      });
-    }
-    
-    // Return metrics in the format expected by frontend
-    res.json(metrics);
-    
+    entry = await symbolRegistry.remove(req.params.symbol);
   } catch (error) {
-    console.error(`Error fetching accuracy metrics for ${symbol} ${interval}:`, error);
-    res.status(500).json({
-      error: 'Failed to fetch accuracy metrics',
+    return res.status(error.code === 'SYMBOL_NOT_FOUND' ? 404 : 500).json({
+      error: error.code === 'SYMBOL_NOT_FOUND' ? 'Unknown symbol' : 'Failed to remove symbol',
       message: error.message
     });
   }
+  
+  scheduler.setSymbols(symbolRegistry.ids());
+  restartBinanceStream();
+  
+  res.json({ success: true, symbol: entry });
 });
 
-// Manually trigger prediction generation (for testing)
-app.post('/api/predictions/generate', async (req, res) => {
-  const { symbol, interval } = req.body;
+// Kline integrity report: gaps, staleness and anomalies for each tracked series
+app.get('/api/integrity', async (req, res) => {
+  const { symbol, interval } = req.query;
   
-  // Validate input
-  if (!symbol || !SYMBOLS.includes(symbol)) {
+  if (symbol && !symbolRegistry.has(symbol)) {
     return res.status(400).json({
       error: 'Invalid symbol',
-      message: 'Symbol must be one of: ' + SYMBOLS.join(', ')
+      message: 'Symbol must be one of: ' + symbolRegistry.ids().join(', ')
     });
   }
   
-  if (!interval || !Object.values(INTERVALS).includes(interval)) {
+  if (interval && !isInterval(interval)) {
     return res.status(400).json({
       error: 'Invalid interval',
-      message: 'Interval must be one of: ' + Object.values(INTERVALS).join(', ')
+      message: 'Interval must be one of: ' + INTERVAL_IDS.join(', ')
     });
   }
   
   try {
-    console.log(`📮 Manual prediction generation requested for ${symbol} ${interval}`);
-    
-    const result = await predictionService.generatePredictions(symbol, interval);
-    
-    if (!result.success) {
-      return res.status(500).json({
-        error: 'Prediction generation failed',
-        message: result.error
-      });
-    }
-    
-    res.json({
-      success: true,
-      message: `Generated ${result.predictions.length} predictions for ${symbol} ${interval}`,
-      result
+    const report = await klineIntegrityService.scan({
+      symbols: symbol ? [symbol] : symbolRegistry.ids(),
+      intervals: interval ? [interval] : INTERVAL_IDS
     });
-    
+    res.json(report);
   } catch (error) {
-    console.error('Error in manual prediction generation:', error);
+    console.error('Error scanning kline integrity:', error);
     res.status(500).json({
-      error: 'Failed to generate predictions',
+      error: 'Failed to scan kline integrity',
       message: error.message
     });
   }
 });
 
-// Helper function to get latest indicators for predictions
-async function getLatestIndicatorsForPrediction(symbol, interval) {
-  try {
-    const indicators = await technicalIndicators.getLatestIndicators(symbol, interval);
-    return indicators;
-  } catch (error) {
-    console.error(`Error getting indicators for prediction ${symbol} ${interval}:`, error);
-    return null;
-  }
-}
-
-// Scheduled task to generate hourly predictions
-async function generateHourlyPredictions() {
-  console.log('\n⏰ Running scheduled hourly prediction generation...');
+// Refetch missing candles in the background (optionally for one symbol or
+// interval). Poll GET /api/backfills for progress.
+app.post('/api/integrity/repair', requireAdmin, (req, res) => {
+  const { symbol, interval } = req.body || {};
   
-  const providers = ['gemini', 'gpt', 'claude'];
+  if (symbol && !symbolRegistry.has(symbol)) {
+    return res.status(400).json({
+      error: 'Invalid symbol',
+      message: 'Symbol must be one of: ' + symbolRegistry.ids().join(', ')
+    });
+  }
   
-  for (const symbol of SYMBOLS) {
-    for (const provider of providers) {
-      try {
-        const result = await predictionService.generatePredictions(symbol, '1h', provider);
-        if (result.success) {
-          console.log(`✅ Generated hourly predictions for ${symbol} using ${provider}`);
-        } else {
-          console.error(`❌ Failed to generate hourly predictions for ${symbol} using ${provider}: ${result.error}`);
-        }
-      } catch (error) {
-        console.error(`❌ Error generating hourly predictions for ${symbol} using ${provider}:`, error.message);
-      }
-      
-      // Small delay between requests
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-    
-    // Delay between symbols
-    await new Promise(resolve => setTimeout(resolve, 2000));
+  if (interval && !isInterval(interval)) {
+    return res.status(400).json({
+      error: 'Invalid interval',
+      message: 'Interval must be one of: ' + INTERVAL_IDS.join(', ')
+    });
   }
   
-  console.log('✅ Hourly prediction generation completed\n');
-}
-
-// Scheduled task to generate 4-hourly predictions
-async function generate4HourlyPredictions() {
-  console.log('\n⏰ Running scheduled 4-hourly prediction generation...');
+  const alreadyRunning = integrityRepair !== null;
+  repairKlineGaps({
+    symbols: symbol ? [symbol] : symbolRegistry.ids(),
+    intervals: interval ? [interval] : INTERVAL_IDS
+  }).catch(error => {
+    console.error('Error repairing kline gaps:', error);
+  });
   
-  const providers = ['gemini', 'gpt', 'claude'];
+  res.status(202).json({
+    success: true,
+    message: alreadyRunning ? 'A gap repair is already running' : 'Gap repair started'
+  });
+});
+
+// List recent historical backfills with their progress
+app.get('/api/backfills', async (req, res) => {
+  const { symbol, interval, status, limit = 20 } = req.query;
   
-  for (const symbol of SYMBOLS) {
-    for (const provider of providers) {
-      try {
-        const result = await predictionService.generatePredictions(symbol, '4h', provider);
-        if (result.success) {
-          console.log(`✅ Generated 4-hourly predictions for ${symbol} using ${provider}`);
-        } else {
-          console.error(`❌ Failed to generate 4-hourly predictions for ${symbol} using ${provider}: ${result.error}`);
-        }
-      } catch (error) {
-        console.error(`❌ Error generating 4-hourly predictions for ${symbol} using ${provider}:`, error.message);
-      }
-      
-      // Small delay between requests
-      await new Promise(resolve => setTimeout(resolve, 1000));
+  try {
+    const backfills = await backfillService.listBackfills({
+      symbol: symbol || null,
+      interval: interval || null,
+      status: status || null,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+    res.json({ backfills });
+  } catch (error) {
+    console.error('Error listing backfills:', error);
+    res.status(500).json({
+      error: 'Failed to list backfills',
+      message: error.message
+    });
+  }
+});
+
+// Get a backfill with its checkpoint and progress
+app.get('/api/backfills/:id', async (req, res) => {
+  try {
+    const backfill = await backfillService.getBackfill(parseInt(req.params.id));
+    
+    if (!backfill) {
+      return res.status(404).json({
+        error: 'Backfill not found',
+        message: `No backfill with id ${req.params.id}`
+      });
     }
     
-    // Delay between symbols
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    res.json(backfill);
+  } catch (error) {
+    console.error(`Error fetching backfill ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch backfill',
+      message: error.message
+    });
   }
-  
-  console.log('✅ 4-hourly prediction generation completed\n');
-}
+});
 
-// Scheduled task to generate daily predictions
-async function generateDailyPredictions() {
-  console.log('\n⏰ Running scheduled daily prediction generation...');
+// Backfill a symbol's candles from a start date (to an end date, or now).
+// Runs in the background; an unfinished backfill of the same range resumes
+// from its checkpoint. Poll GET /api/backfills/:id for progress.
+app.post('/api/backfills', requireAdmin, async (req, res) => {
+  const { symbol, interval, start, end } = req.body || {};
   
-  const providers = ['gemini', 'gpt', 'claude'];
+  if (!symbol || !symbolRegistry.has(symbol)) {
+    return res.status(400).json({
+      error: 'Invalid symbol',
+      message: 'Symbol must be one of: ' + symbolRegistry.ids().join(', ')
+    });
+  }
   
-  for (const symbol of SYMBOLS) {
-    for (const provider of providers) {
-      try {
-        const result = await predictionService.generatePredictions(symbol, '1d', provider);
-        if (result.success) {
-          console.log(`✅ Generated daily predictions for ${symbol} using ${provider}`);
-        } else {
-          console.error(`❌ Failed to generate daily predictions for ${symbol} using ${provider}: ${result.error}`);
-        }
-      } catch (error) {
-        console.error(`❌ Error generating daily predictions for ${symbol} using ${provider}:`, error.message);
-      }
-      
-      // Small delay between requests
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-    
-    // Delay between symbols
-    await new Promise(resolve => setTimeout(resolve, 2000));
+  if (!interval || !isInterval(interval)) {
+    return res.status(400).json({
+      error: 'Invalid interval',
+      message: 'Interval must be one of: ' + INTERVAL_IDS.join(', ')
+    });
   }
   
-  console.log('✅ Daily prediction generation completed\n');
-}
-
+  let backfill;
+  try {
+    backfill = await backfillService.createBackfill({
+      symbol,
+      interval,
+      startTime: start !== undefined ? new Date(start).getTime() : NaN,
+      endTime: end !== undefined && end !== null ? new Date(end).getTime() : null
+    });
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid backfill',
+      message: error.message
+    });
+  }
+  
+  console.log(`📮 Backfill ${backfill.id} requested for ${symbol} ${interval} from ${new Date(backfill.start_time).toISOString()}`);
+  backfillService.start(backfill.id).catch(error => {
+    console.error(`Error running backfill ${backfill.id}:`, error);
+  });
+  
+  res.status(202).json({
+    success: true,
+    message: `Backfill ${backfill.id} queued`,
+    backfill
+  });
+});
+
+// Scheduled prediction jobs and their last run
+app.get('/api/schedule', (req, res) => {
+  res.json(scheduler.getStatus());
+});
+
+// Recorded runs of the scheduled prediction jobs, newest first
+app.get('/api/jobs', async (req, res) => {
+  const { job, status, limit = 50, offset = 0 } = req.query;
+  
+  if (status !== undefined && !JOB_RUN_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      message: 'Status must be one of: ' + JOB_RUN_STATUSES.join(', ')
+    });
+  }
+  
+  try {
+    const runs = await scheduler.getJobRuns({
+      jobId: job || null,
+      status: status || null,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+    res.json({
+      jobs: scheduler.getStatus().jobs,
+      runs
+    });
+  } catch (error) {
+    console.error('Error listing job runs:', error);
+    res.status(500).json({
+      error: 'Failed to list job runs',
+      message: error.message
+    });
+  }
+});
+
+// Get current predictions for a symbol/interval
+app.get('/api/predictions/:symbol/:interval', async (req, res) => {
+  const { symbol, interval } = req.params;
+  const { provider = predictionService.providers.defaultId } = req.query; // Get AI provider from query param
+  
+  if (!predictionService.providers.has(provider)) {
+    return res.status(400).json({
+      error: 'Invalid provider',
+      message: 'Provider must be one of: ' + predictionService.providers.ids().join(', ')
+    });
+  }
+  
+  try {
+    // Use predictionService to get predictions for specific provider
+    const predictions = await predictionService.getPredictions(symbol, interval, provider);
+    
+    if (!predictions || predictions.length === 0) {
+      return res.status(404).json({
+        error: 'No predictions available',
+        message: `No predictions found for ${symbol} ${interval} using ${provider}`
+      });
+    }
+    
+    // Return predictions in the format expected by frontend
+    res.json(predictions);
+    
+  } catch (error) {
+    console.error(`Error fetching predictions for ${symbol} ${interval} with ${provider}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch predictions',
+      message: error.message
+    });
+  }
+});
+
+// Get every forecast vintage for a target window, to see how forecasts were revised
+app.get('/api/predictions/:symbol/:interval/vintages', async (req, res) => {
+  const { symbol, interval } = req.params;
+  const { provider = predictionService.providers.defaultId, from, to, limit = 50 } = req.query;
+
+  if (!isInterval(interval)) {
+    return res.status(400).json({
+      error: 'Invalid interval',
+      message: 'Interval must be one of: ' + INTERVAL_IDS.join(', ')
+    });
+  }
+
+  if (!predictionService.providers.has(provider)) {
+    return res.status(400).json({
+      error: 'Invalid provider',
+      message: 'Provider must be one of: ' + predictionService.providers.ids().join(', ')
+    });
+  }
+
+  // Accept epoch milliseconds or anything Date can parse
+  const parseTime = value => /^\d+$/.test(value) ? parseInt(value) : new Date(value).getTime();
+  const startTime = from !== undefined ? parseTime(from) : null;
+  const endTime = to !== undefined ? parseTime(to) : null;
+
+  if (Number.isNaN(startTime) || Number.isNaN(endTime)) {
+    return res.status(400).json({
+      error: 'Invalid window',
+      message: 'from and to must be timestamps or dates'
+    });
+  }
+
+  try {
+    const vintages = await predictionService.getPredictionVintages(symbol, interval, provider, {
+      startTime,
+      endTime,
+      limit: Math.max(Math.min(parseInt(limit) || 50, 200), 1)
+    });
+
+    res.json({
+      symbol,
+      interval,
+      provider,
+      vintages
+    });
+
+  } catch (error) {
+    console.error(`Error fetching prediction vintages for ${symbol} ${interval} with ${provider}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch prediction vintages',
+      message: error.message
+    });
+  }
+});
+
+// Browse recorded generation attempts, newest first
+app.get('/api/prediction-runs', async (req, res) => {
+  const { symbol, interval, provider, status, parsePath, limit = 50, offset = 0 } = req.query;
+  
+  if (status !== undefined && !['success', 'error'].includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      message: 'Status must be one of: success, error'
+    });
+  }
+  
+  if (parsePath !== undefined && !PARSE_PATHS.includes(parsePath)) {
+    return res.status(400).json({
+      error: 'Invalid parse path',
+      message: 'Parse path must be one of: ' + PARSE_PATHS.join(', ')
+    });
+  }
+  
+  try {
+    const runs = await predictionService.getPredictionRuns({
+      symbol: symbol || null,
+      interval: interval || null,
+      aiProvider: provider || null,
+      status: status || null,
+      parsePath: parsePath || null,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+    res.json({ runs });
+  } catch (error) {
+    console.error('Error listing prediction runs:', error);
+    res.status(500).json({
+      error: 'Failed to list prediction runs',
+      message: error.message
+    });
+  }
+});
+
+// Get one generation attempt with its full prompt, raw response and stored predictions
+app.get('/api/prediction-runs/:id', async (req, res) => {
+  try {
+    const run = await predictionService.getPredictionRun(parseInt(req.params.id));
+    
+    if (!run) {
+      return res.status(404).json({
+        error: 'Prediction run not found',
+        message: `No prediction run with id ${req.params.id}`
+      });
+    }
+    
+    res.json(run);
+  } catch (error) {
+    console.error(`Error fetching prediction run ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch prediction run',
+      message: error.message
+    });
+  }
+});
+
+// Token spend by day, provider, model, symbol and interval, with today's budget status
+app.get('/api/costs', async (req, res) => {
+  const { symbol, interval, provider } = req.query;
+  const days = req.query.days === undefined ? 7 : parseInt(req.query.days);
+  
+  if (!Number.isInteger(days) || days < 1 || days > 90) {
+    return res.status(400).json({
+      error: 'Invalid days',
+      message: 'Days must be a whole number from 1 to 90'
+    });
+  }
+  
+  if (symbol !== undefined && !symbolRegistry.has(symbol)) {
+    return res.status(400).json({
+      error: 'Invalid symbol',
+      message: 'Symbol must be one of: ' + symbolRegistry.ids().join(', ')
+    });
+  }
+  
+  if (interval !== undefined && !isInterval(interval)) {
+    return res.status(400).json({
+      error: 'Invalid interval',
+      message: 'Interval must be one of: ' + INTERVAL_IDS.join(', ')
+    });
+  }
+  
+  try {
+    const summary = await predictionService.costs.getSummary({
+      days,
+      symbol: symbol || null,
+      interval: interval || null,
+      aiProvider: provider || null
+    });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error summarizing costs:', error);
+    res.status(500).json({
+      error: 'Failed to summarize costs',
+      message: error.message
+    });
+  }
+});
+
+// Rank provider/model combinations for a symbol/interval
+app.get('/api/leaderboard', async (req, res) => {
+  const { symbol = symbolRegistry.ids()[0], interval = '1h', window = '7d' } = req.query;
+  
+  if (!symbolRegistry.has(symbol)) {
+    return res.status(400).json({
+      error: 'Invalid symbol',
+      message: 'Symbol must be one of: ' + symbolRegistry.ids().join(', ')
+    });
+  }
+  
+  if (!isInterval(interval)) {
+    return res.status(400).json({
+      error: 'Invalid interval',
+      message: 'Interval must be one of: ' + INTERVAL_IDS.join(', ')
+    });
+  }
+  
+  if (!(window in LeaderboardService.LEADERBOARD_WINDOWS)) {
+    return res.status(400).json({
+      error: 'Invalid window',
+      message: 'Window must be one of: ' + Object.keys(LeaderboardService.LEADERBOARD_WINDOWS).join(', ')
+    });
+  }
+  
+  try {
+    const leaderboard = await leaderboardService.getLeaderboard(symbol, interval, window);
+    res.json(leaderboard);
+  } catch (error) {
+    console.error(`Error building leaderboard for ${symbol} ${interval}:`, error);
+    res.status(500).json({
+      error: 'Failed to build leaderboard',
+      message: error.message
+    });
+  }
+});
+
+// Test whether one provider's forecasts are significantly better than another's
+app.get('/api/compare', async (req, res) => {
+  const { a, b, symbol = symbolRegistry.ids()[0], interval = '1h', window = '30d', horizon, loss = 'squared' } = req.query;
+  
+  if (!a || !b || a === b || !predictionService.providers.has(a) || !predictionService.providers.has(b)) {
+    return res.status(400).json({
+      error: 'Invalid providers',
+      message: 'a and b must be two different providers from: ' + predictionService.providers.ids().join(', ')
+    });
+  }
+  
+  if (!symbolRegistry.has(symbol)) {
+    return res.status(400).json({
+      error: 'Invalid symbol',
+      message: 'Symbol must be one of: ' + symbolRegistry.ids().join(', ')
+    });
+  }
+  
+  if (!isInterval(interval)) {
+    return res.status(400).json({
+      error: 'Invalid interval',
+      message: 'Interval must be one of: ' + INTERVAL_IDS.join(', ')
+    });
+  }
+  
+  if (!(window in LeaderboardService.LEADERBOARD_WINDOWS)) {
+    return res.status(400).json({
+      error: 'Invalid window',
+      message: 'Window must be one of: ' + Object.keys(LeaderboardService.LEADERBOARD_WINDOWS).join(', ')
+    });
+  }
+  
+  if (!LOSS_FUNCTIONS[loss]) {
+    return res.status(400).json({
+      error: 'Invalid loss',
+      message: 'Loss must be one of: ' + Object.keys(LOSS_FUNCTIONS).join(', ')
+    });
+  }
+  
+  const step = horizon !== undefined ? parseInt(horizon) : null;
+  if (step !== null && !(step >= 1)) {
+    return res.status(400).json({
+      error: 'Invalid horizon',
+      message: 'Horizon must be a positive integer'
+    });
+  }
+  
+  try {
+    const comparison = await comparisonService.compare(symbol, interval, a, b, { window, horizon: step, loss });
+    res.json(comparison);
+  } catch (error) {
+    console.error(`Error comparing ${a} and ${b} for ${symbol} ${interval}:`, error);
+    res.status(500).json({
+      error: 'Failed to compare providers',
+      message: error.message
+    });
+  }
+});
+
+// Get accuracy metrics grouped by horizon step (lead time)
+app.get('/api/predictions/accuracy/:symbol/:interval/horizons', async (req, res) => {
+  const { symbol, interval } = req.params;
+  const { provider } = req.query;
+  
+  if (!isInterval(interval)) {
+    return res.status(400).json({
+      error: 'Invalid interval',
+      message: 'Interval must be one of: ' + INTERVAL_IDS.join(', ')
+    });
+  }
+  
+  if (provider && !predictionService.providers.has(provider)) {
+    return res.status(400).json({
+      error: 'Invalid provider',
+      message: 'Provider must be one of: ' + predictionService.providers.ids().join(', ')
+    });
+  }
+  
+  try {
+    const providers = await predictionService.getHorizonAccuracy(symbol, interval, provider || null);
+    
+    res.json({
+      symbol,
+      interval,
+      providers
+    });
+    
+  } catch (error) {
+    console.error(`Error fetching horizon accuracy for ${symbol} ${interval}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch horizon accuracy',
+      message: error.message
+    });
+  }
+});
+
+// Get accuracy metrics for a symbol/interval
+app.get('/api/predictions/accuracy/:symbol/:interval', async (req, res) => {
+  const { symbol, interval } = req.params;
+  const { provider } = req.query;
+  
+  if (provider && !predictionService.providers.has(provider)) {
+    return res.status(400).json({
+      error: 'Invalid provider',
+      message: 'Provider must be one of: ' + predictionService.providers.ids().join(', ')
+    });
+  }
+  
+  try {
+    // Use predictionService to get accuracy metrics, for one provider or all of them
+    const metrics = await predictionService.getAccuracyMetrics(symbol, interval, provider || null);
+    
+    if (!metrics) {
+      return res.status(404).json({
+        error: 'No accuracy data available',
+        message: 'No completed predictions found for accuracy calculation'
+      });
+    }
+    
+    // Up/down/flat scoring per provider and horizon
+    metrics.directional = await predictionService.getDirectionalMetrics(symbol, interval, { aiProvider: provider || null });
+    
+    // Daily history is stored per provider
+    if (provider) {
+      metrics.daily = await predictionService.getDailyMetricsHistory(symbol, interval, provider);
+    }
+    
+    // Return metrics in the format expected by frontend
+    res.json(metrics);
+    
+  } catch (error) {
+    console.error(`Error fetching accuracy metrics for ${symbol} ${interval}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch accuracy metrics',
+      message: error.message
+    });
+  }
+});
+
+// List recent backtest runs
+app.get('/api/backtests', async (req, res) => {
+  const { symbol, interval, provider, limit = 20 } = req.query;
+  
+  try {
+    const runs = await backtestService.listBacktestRuns({
+      symbol: symbol || null,
+      interval: interval || null,
+      aiProvider: provider || null,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+    res.json({ runs });
+  } catch (error) {
+    console.error('Error listing backtest runs:', error);
+    res.status(500).json({
+      error: 'Failed to list backtest runs',
+      message: error.message
+    });
+  }
+});
+
+// Get a backtest run with its metrics by horizon
+app.get('/api/backtests/:id', async (req, res) => {
+  try {
+    const run = await backtestService.getBacktestRun(parseInt(req.params.id));
+    
+    if (!run) {
+      return res.status(404).json({
+        error: 'Backtest not found',
+        message: `No backtest run with id ${req.params.id}`
+      });
+    }
+    
+    res.json(run);
+  } catch (error) {
+    console.error(`Error fetching backtest run ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch backtest run',
+      message: error.message
+    });
+  }
+});
+
+// Start a walk-forward backtest. Runs in the background; poll GET /api/backtests/:id for progress.
+// Backtests can call paid providers, so they need the admin token.
+app.post('/api/backtests', requireAdmin, async (req, res) => {
+  const { symbol, interval, provider, start, end, days = 30, horizon, step, history, budget, mode } = req.body;
+  
+  if (!symbol || !symbolRegistry.has(symbol)) {
+    return res.status(400).json({
+      error: 'Invalid symbol',
+      message: 'Symbol must be one of: ' + symbolRegistry.ids().join(', ')
+    });
+  }
+  
+  if (!interval || !isInterval(interval)) {
+    return res.status(400).json({
+      error: 'Invalid interval',
+      message: 'Interval must be one of: ' + INTERVAL_IDS.join(', ')
+    });
+  }
+  
+  if (!provider || !predictionService.providers.has(provider)) {
+    return res.status(400).json({
+      error: 'Invalid provider',
+      message: 'Provider must be one of: ' + predictionService.providers.ids().join(', ')
+    });
+  }
+  
+  if (mode !== undefined && !FORECAST_MODES.includes(mode)) {
+    return res.status(400).json({
+      error: 'Invalid mode',
+      message: 'Mode must be one of: ' + FORECAST_MODES.join(', ')
+    });
+  }
+  
+  const endTime = end !== undefined ? new Date(end).getTime() : Date.now();
+  const startTime = start !== undefined ? new Date(start).getTime() : endTime - days * 86400000;
+  
+  let run;
+  try {
+    run = await backtestService.createRun({
+      symbol,
+      interval,
+      aiProvider: provider,
+      startTime,
+      endTime,
+      horizon,
+      step,
+      historyLength: history,
+      budget,
+      mode
+    });
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid backtest',
+      message: error.message
+    });
+  }
+  
+  console.log(`📮 Backtest ${run.id} requested for ${symbol} ${interval} using ${provider}`);
+  backtestService.executeRun(run).catch(error => {
+    console.error(`Error running backtest ${run.id}:`, error);
+  });
+  
+  res.status(202).json({
+    success: true,
+    message: `Backtest ${run.id} started`,
+    run
+  });
+});
+
+// Manually trigger prediction generation (for testing)
+app.post('/api/predictions/generate', async (req, res) => {
+  const { symbol, interval, provider = predictionService.providers.defaultId, mode } = req.body;
+  
+  // Validate input
+  if (!symbol || !symbolRegistry.has(symbol)) {
+    return res.status(400).json({
+      error: 'Invalid symbol',
+      message: 'Symbol must be one of: ' + symbolRegistry.ids().join(', ')
+    });
+  }
+  
+  if (!interval || !isInterval(interval)) {
+    return res.status(400).json({
+      error: 'Invalid interval',
+      message: 'Interval must be one of: ' + INTERVAL_IDS.join(', ')
+    });
+  }
+  
+  if (!predictionService.providers.has(provider)) {
+    return res.status(400).json({
+      error: 'Invalid provider',
+      message: 'Provider must be one of: ' + predictionService.providers.ids().join(', ')
+    });
+  }
+  
+  if (mode !== undefined && !FORECAST_MODES.includes(mode)) {
+    return res.status(400).json({
+      error: 'Invalid mode',
+      message: 'Mode must be one of: ' + FORECAST_MODES.join(', ')
+    });
+  }
+  
+  try {
+    console.log(`📮 Manual prediction generation requested for ${symbol} ${interval} using ${provider}${mode ? ` (${mode})` : ''}`);
+    
+    const result = await predictionService.queuePredictions(symbol, interval, provider, { mode });
+    
+    if (result.skipped) {
+      return res.status(429).json({
+        error: 'Budget exceeded',
+        message: result.error
+      });
+    }
+    
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Prediction generation failed',
+        message: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Generated ${result.predictions.length} predictions for ${symbol} ${interval} using ${provider}`,
+      result
+    });
+    
+  } catch (error) {
+    console.error('Error in manual prediction generation:', error);
+    res.status(500).json({
+      error: 'Failed to generate predictions',
+      message: error.message
+    });
+  }
+});
+
+// Helper function to get latest indicators for predictions
+async function getLatestIndicatorsForPrediction(symbol, interval) {
+  try {
+    const indicators = await technicalIndicators.getLatestIndicators(symbol, interval);
+    return indicators;
+  } catch (error) {
+    console.error(`Error getting indicators for prediction ${symbol} ${interval}:`, error);
+    return null;
+  }
+}
+
 // Scheduled task to update actual prices and calculate accuracy
 async function updatePredictionAccuracy() {
   console.log('\n📊 Running scheduled prediction accuracy update...');
   
-  for (const symbol of SYMBOLS) {
-    for (const interval of Object.values(INTERVALS)) {
+  for (const symbol of symbolRegistry.ids()) {
+    for (const interval of INTERVAL_IDS) {
       try {
         const result = await predictionService.updateActualPrices(symbol, interval);
         if (result.updated > 0) {
@@ -916,9 +1574,6 @@ async function updatePredictionAccuracy() {
   console.log('✅ Prediction accuracy update completed\n');
 }
 
-// Initial data fetch on startup
-fetchAllData();
-
 // Check and fetch sentiment data on startup
 (async () => {
   const needsUpdate = await needsSentimentUpdate();
@@ -930,38 +1585,46 @@ fetchAllData();
   }
 })();
 
-// Schedule hourly updates for kline data
-cron.schedule('0 * * * *', () => {
+// Schedule kline data updates every 15 minutes, the shortest interval
+cron.schedule('*/15 * * * *', () => {
   console.log('\n⏰ Running scheduled kline data update...');
   fetchAllData();
 });
 
+// Audit the stored klines hourly and refetch any gaps, unless
+// INTEGRITY_AUTO_REPAIR is false
+cron.schedule('30 * * * *', async () => {
+  console.log('\n⏰ Running scheduled kline integrity check...');
+  
+  try {
+    const { summary } = await klineIntegrityService.scan({ symbols: symbolRegistry.ids() });
+    console.log(`🔍 ${summary.healthy}/${summary.series} series healthy, ${summary.holey} with gaps (${summary.missingCandles} missing candles), ${summary.stale} stale`);
+    
+    if (summary.holey > 0 && process.env.INTEGRITY_AUTO_REPAIR !== 'false') {
+      await repairKlineGaps();
+    }
+  } catch (error) {
+    console.error('Error in kline integrity check:', error);
+  }
+});
+
 // Schedule sentiment data updates every 4 hours
 cron.schedule('0 */4 * * *', () => {
   console.log('\n⏰ Running scheduled sentiment data update...');
   fetchAllSentimentData();
 });
 
-// Schedule prediction generation tasks
-// Hourly predictions: Run at 1 minute past each hour
-cron.schedule('1 * * * *', () => {
-  generateHourlyPredictions().catch(error => {
-    console.error('Fatal error in hourly prediction generation:', error);
-  });
-});
-
-// 4-hourly predictions: Run at 1 minute past every 4 hours
-cron.schedule('1 */4 * * *', () => {
-  generate4HourlyPredictions().catch(error => {
-    console.error('Fatal error in 4-hourly prediction generation:', error);
-  });
+// Schedule prediction generation jobs from config/schedule.json. The file is
+// reloaded when it changes, or on SIGHUP. The schedule is started once the
+// symbols table has been loaded (see server.listen below).
+const scheduler = new SchedulerService(predictionService, {
+  symbols: symbolRegistry.ids(),
+  intervals: INTERVAL_IDS,
+  modes: FORECAST_MODES
 });
 
-// Daily predictions: Run at 00:01 UTC
-cron.schedule('1 0 * * *', () => {
-  generateDailyPredictions().catch(error => {
-    console.error('Fatal error in daily prediction generation:', error);
-  });
+process.on('SIGHUP', () => {
+  scheduler.reload();
 });
 
 // Update actual prices and calculate accuracy every 5 minutes
@@ -980,7 +1643,7 @@ function connectToBinance() {
     return;
   }
 
-  const streams = ['btcusdt@ticker', 'ethusdt@ticker', 'xrpusdt@ticker', 'solusdt@ticker'];
+  const streams = symbolRegistry.ids().map(symbol => `${symbol.toLowerCase()}usdt@ticker`);
   const wsUrl = `wss://stream.binance.com:9443/ws/${streams.join('/')}`;
 
   binanceWs = new WebSocket(wsUrl);
@@ -1000,7 +1663,7 @@ function connectToBinance() {
       const price = parseFloat(ticker.c); // Current price
 
       // Store previous price before updating
-      if (currentPrices[symbol] !== null) {
+      if (currentPrices[symbol] != null) {
         previousPrices[symbol] = currentPrices[symbol];
       }
       
@@ -1011,7 +1674,7 @@ function connectToBinance() {
       let priceChange = 0;
       let priceChangePercent = 0;
       
-      if (previousPrices[symbol] !== null) {
+      if (previousPrices[symbol] != null) {
         priceChange = price - previousPrices[symbol];
         priceChangePercent = (priceChange / previousPrices[symbol]) * 100;
       }
@@ -1053,14 +1716,23 @@ function connectToBinance() {
   });
 }
 
+// Reconnect the ticker stream after the tracked symbols change
+function restartBinanceStream() {
+  if (binanceWs && binanceWs.readyState !== WebSocket.CLOSED) {
+    // The close handler reconnects with the current symbols
+    binanceWs.close();
+  } else {
+    connectToBinance();
+  }
+}
+
 // Handle client WebSocket connections
 wss.on('connection', (ws) => {
   console.log('👤 New client connected');
 
   // Send current prices to new client
-  const symbols = ['BTC', 'ETH', 'XRP', 'SOL'];
-  symbols.forEach(symbol => {
-    if (currentPrices[symbol] !== null) {
+  symbolRegistry.ids().forEach(symbol => {
+    if (currentPrices[symbol] != null) {
       const priceUpdate = {
         type: 'price_update',
         symbol: symbol,
@@ -1084,9 +1756,7 @@ wss.on('connection', (ws) => {
 });
 
 // Initialize prices from database on startup
-async function initializePrices() {
-  const symbols = ['BTC', 'ETH', 'XRP', 'SOL'];
-  
+async function initializePrices(symbols = symbolRegistry.ids()) {
   for (const symbol of symbols) {
     try {
       const priceData = await new Promise((resolve, reject) => {
@@ -1120,11 +1790,41 @@ server.listen(PORT, async () => {
   
   // Run database migrations
   try {
-    await runMigrations();
+    await runMigrations(db);
   } catch (error) {
     console.error('Failed to run migrations:', error);
   }
   
+  // Resume backfills the last run left unfinished, from their checkpoints
+  try {
+    const resumed = await backfillService.resumeInterrupted();
+    if (resumed.length > 0) {
+      console.log(`📥 Resuming ${resumed.length} unfinished backfill(s)`);
+    }
+  } catch (error) {
+    console.error('Failed to resume backfills:', error);
+  }
+  
+  // Load symbols added or removed through the admin API
+  try {
+    await symbolRegistry.sync();
+    scheduler.setSymbols(symbolRegistry.ids());
+  } catch (error) {
+    console.error('Failed to load symbols:', error);
+  }
+  
+  // Initial data fetch, once the tables it backfills into exist
+  fetchAllData();
+  
+  // Start the prediction schedule now that the symbols it may name are known.
+  // An invalid schedule config stops the server.
+  try {
+    scheduler.start();
+  } catch (error) {
+    console.error('Failed to start the prediction schedule:', error.message);
+    process.exit(1);
+  }
+  
   // Initialize prices from database
   await initializePrices();
   
@@ -1133,29 +1833,16 @@ server.listen(PORT, async () => {
   
   // Calculate initial technical indicators for all existing data
   setTimeout(async () => {
-    await technicalIndicators.calculateAllIndicators(SYMBOLS, Object.values(INTERVALS));
+    await technicalIndicators.calculateAllIndicators(symbolRegistry.ids(), INTERVAL_IDS);
   }, 5000); // Wait 5 seconds for initial data fetch to complete
   
-  // Generate initial predictions for all timeframes after a delay to ensure data is ready
+  // Catch up on prediction jobs missed while the server was down, after a delay to ensure data is ready
   setTimeout(async () => {
-    console.log('\n🚀 Generating initial predictions for all timeframes...');
-    
-    // Generate hourly predictions
-    await generateHourlyPredictions().catch(error => {
-      console.error('Error generating initial hourly predictions:', error);
-    });
+    console.log('\n🚀 Checking for missed prediction jobs...');
     
-    // Generate 4-hourly predictions
-    await generate4HourlyPredictions().catch(error => {
-      console.error('Error generating initial 4-hourly predictions:', error);
-    });
-    
-    // Generate daily predictions
-    await generateDailyPredictions().catch(error => {
-      console.error('Error generating initial daily predictions:', error);
-    });
+    const results = await scheduler.runStartupJobs();
     
-    console.log('✅ Initial predictions generation completed\n');
+    console.log(`✅ Startup prediction jobs completed (${results.length} run)\n`);
   }, 10000); // Wait 10 seconds for data and indicators to be ready
 });
 
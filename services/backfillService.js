@@ -0,0 +1,457 @@
+const sqlite3 = require('sqlite3').verbose();
+const ExchangeClient = require('./exchangeClient');
+const { INTERVAL_IDS, getIntervalMs, sourceInterval, candleOpenTime, resampleCandles } = require('../utils/intervals');
+
+const { BINANCE_MAX_LIMIT } = ExchangeClient;
+
+const BACKFILL_STATUSES = ['pending', 'running', 'succeeded', 'failed', 'interrupted'];
+
+// Retries for a page that both exchanges failed to return, with backoff
+const PAGE_RETRIES = 3;
+const RETRY_BASE_MS = 2000;
+
+/**
+ * Historical kline backfills.
+ *
+ * A backfill pages through the exchanges from its start time to its end
+ * time (or to now), 1000 candles a request, and stores the candles that are
+ * new. Its cursor is saved after every page, so a backfill that fails or is
+ * stopped resumes where it left off. Requests go through the exchange
+ * client's rate limiters, and backfills run one at a time.
+ *
+ * Resampled intervals (see utils/intervals.js) are backfilled by fetching
+ * their source interval; every interval built from that source is then
+ * resampled over the backfilled range.
+ */
+class BackfillService {
+  /**
+   * @param {string} dbPath - Database path
+   * @param {ExchangeClient} exchange - Kline client (shared with the live updates)
+   */
+  constructor(dbPath = './crypto_data.db', exchange = new ExchangeClient()) {
+    this.db = new sqlite3.Database(dbPath);
+    // Other connections write klines too; wait for their locks instead of failing
+    this.db.configure('busyTimeout', 10000);
+    this.exchange = exchange;
+    this.queue = Promise.resolve();
+    // Backfill ids queued or running in this process
+    this.active = new Set();
+  }
+
+  /**
+   * Run a statement and resolve with its lastID/changes
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Statement parameters
+   * @returns {Promise<Object>} { lastID, changes }
+   */
+  runStatement(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        }
+      });
+    });
+  }
+
+  /**
+   * Validate a backfill and record it, or return the unfinished backfill of
+   * the same range so it resumes from its checkpoint
+   * @param {Object} options - Backfill options
+   * @param {string} options.symbol - Cryptocurrency symbol
+   * @param {string} options.interval - Time interval
+   * @param {number} options.startTime - Earliest candle to fetch
+   * @param {number|null} options.endTime - Latest candle to fetch (null: up to now)
+   * @returns {Promise<Object>} backfill_jobs row
+   */
+  async createBackfill({ symbol, interval, startTime, endTime = null }) {
+    const fetchInterval = sourceInterval(interval) || interval;
+
+    if (!Number.isFinite(startTime) || (endTime !== null && !Number.isFinite(endTime))) {
+      throw new Error('Backfill needs a start time, and an end time if one is given');
+    }
+    if (startTime >= (endTime !== null ? endTime : Date.now())) {
+      throw new Error('Backfill start time must be before its end time');
+    }
+
+    const existing = await new Promise((resolve, reject) => {
+      this.db.get(`
+        SELECT * FROM backfill_jobs
+        WHERE symbol = ? AND interval = ? AND start_time = ? AND end_time IS ?
+          AND status != 'succeeded'
+        ORDER BY id DESC
+        LIMIT 1
+      `, [symbol, interval, startTime, endTime], (err, row) => err ? reject(err) : resolve(row || null));
+    });
+    if (existing) {
+      return this.formatBackfill(existing);
+    }
+
+    const now = Date.now();
+    const { lastID } = await this.runStatement(`
+      INSERT INTO backfill_jobs (symbol, interval, start_time, end_time, cursor, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+    `, [symbol, interval, startTime, endTime, candleOpenTime(startTime, fetchInterval), now, now]);
+
+    return this.getBackfill(lastID);
+  }
+
+  /**
+   * Queue a backfill behind any that are running. Queuing one that is
+   * already queued returns its existing run.
+   * @param {number} backfillId - backfill_jobs id
+   * @returns {Promise<Object>} The backfill once it has finished
+   */
+  start(backfillId) {
+    if (this.active.has(backfillId)) {
+      return this.queue.then(() => this.getBackfill(backfillId));
+    }
+
+    this.active.add(backfillId);
+    const run = this.queue
+      .then(() => this.runBackfill(backfillId))
+      .finally(() => this.active.delete(backfillId));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Create a backfill (or find the unfinished one) and run it
+   * @param {Object} options - See createBackfill()
+   * @returns {Promise<Object>} The finished backfill
+   */
+  async backfill(options) {
+    const backfill = await this.createBackfill(options);
+    return this.start(backfill.id);
+  }
+
+  /**
+   * Page through the exchanges from the backfill's cursor to its end time,
+   * saving the cursor after every page
+   * @param {number} backfillId - backfill_jobs id
+   * @returns {Promise<Object>} The finished backfill
+   */
+  async runBackfill(backfillId) {
+    const backfill = await this.getBackfill(backfillId);
+    if (!backfill) {
+      throw new Error(`No backfill with id ${backfillId}`);
+    }
+    if (backfill.status === 'succeeded') {
+      return backfill;
+    }
+
+    const { symbol, interval } = backfill;
+    const fetchInterval = sourceInterval(interval) || interval;
+    const intervalMs = getIntervalMs(fetchInterval);
+    const endTime = backfill.end_time !== null ? backfill.end_time : Date.now();
+    let { cursor, pages, fetched, inserted } = backfill;
+
+    await this.runStatement(`
+      UPDATE backfill_jobs
+      SET status = 'running', error = NULL, started_at = COALESCE(started_at, ?), finished_at = NULL, updated_at = ?
+      WHERE id = ?
+    `, [Date.now(), Date.now(), backfillId]);
+
+    const resuming = cursor > candleOpenTime(backfill.start_time, fetchInterval);
+    console.log(`📥 Backfill ${backfillId}: ${symbol} ${fetchInterval} from ${new Date(cursor).toISOString()} to ${new Date(endTime).toISOString()}${resuming ? ' (resuming)' : ''}`);
+
+    try {
+      while (cursor <= endTime) {
+        const page = await this.fetchPage(symbol, fetchInterval, cursor, endTime);
+        const klines = page.klines.filter(kline => parseInt(kline[0]) >= cursor && parseInt(kline[0]) <= endTime);
+
+        // The exchange has nothing from the cursor on
+        if (klines.length === 0) {
+          break;
+        }
+
+        const stored = await this.storeKlines(symbol, fetchInterval, klines);
+        cursor = parseInt(klines[klines.length - 1][0]) + intervalMs;
+        pages++;
+        fetched += klines.length;
+        inserted += stored;
+
+        await this.runStatement(`
+          UPDATE backfill_jobs SET cursor = ?, pages = ?, fetched = ?, inserted = ?, updated_at = ? WHERE id = ?
+        `, [cursor, pages, fetched, inserted, Date.now(), backfillId]);
+
+        const progress = Math.min(1, (cursor - backfill.start_time) / (endTime - backfill.start_time));
+        console.log(`📥 Backfill ${backfillId}: ${(progress * 100).toFixed(1)}% (${fetched} candles from ${page.exchange}, ${inserted} new)`);
+      }
+
+      // Rebuild every interval resampled from the one fetched, from the
+      // start of the candle the backfill starts in
+      for (const derived of INTERVAL_IDS.filter(id => sourceInterval(id) === fetchInterval)) {
+        const resampled = await this.resample(symbol, derived, candleOpenTime(backfill.start_time, derived));
+        console.log(`🧮 Backfill ${backfillId}: resampled ${resampled} ${derived} candles from ${fetchInterval}`);
+      }
+
+      await this.finishBackfill(backfillId, 'succeeded');
+      console.log(`✅ Backfill ${backfillId}: ${symbol} ${interval} done, ${inserted} new candles in ${pages} pages`);
+    } catch (error) {
+      await this.finishBackfill(backfillId, 'failed', error.message);
+      console.error(`❌ Backfill ${backfillId} failed:`, error.message);
+    }
+
+    return this.getBackfill(backfillId);
+  }
+
+  /**
+   * Fetch one page of klines, retrying with backoff when both exchanges fail
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Fetched interval
+   * @param {number} startTime - Open time of the first candle
+   * @param {number} endTime - Open time of the last candle wanted
+   * @returns {Promise<Object>} { exchange, klines }
+   */
+  async fetchPage(symbol, interval, startTime, endTime) {
+    for (let attempt = 0; attempt <= PAGE_RETRIES; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, RETRY_BASE_MS * Math.pow(2, attempt - 1)));
+      }
+      const page = await this.exchange.fetchKlines(symbol, interval, { limit: BINANCE_MAX_LIMIT, startTime, endTime });
+      if (page) {
+        return page;
+      }
+    }
+    throw new Error(`Failed to fetch ${symbol} ${interval} klines from ${new Date(startTime).toISOString()} from both exchanges`);
+  }
+
+  /**
+   * Store klines that are not in the table yet
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {Array} klines - Klines in Binance's array format
+   * @returns {Promise<number>} Number of new candles
+   */
+  storeKlines(symbol, interval, klines) {
+    return new Promise((resolve, reject) => {
+      let inserted = 0;
+      this.db.serialize(() => {
+        this.db.run('BEGIN TRANSACTION');
+
+        const stmt = this.db.prepare(`
+          INSERT OR IGNORE INTO kline_data
+          (symbol, interval, open_time, open, high, low, close, volume, close_time, quote_volume, trades)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        for (const kline of klines) {
+          stmt.run(
+            symbol,
+            interval,
+            parseInt(kline[0]),
+            parseFloat(kline[1]),
+            parseFloat(kline[2]),
+            parseFloat(kline[3]),
+            parseFloat(kline[4]),
+            parseFloat(kline[5]),
+            parseInt(kline[6]),
+            parseFloat(kline[7]),
+            parseInt(kline[8]),
+            function(err) {
+              if (!err) {
+                inserted += this.changes;
+              }
+            }
+          );
+        }
+
+        stmt.finalize(() => {
+          this.db.run('COMMIT', (err) => {
+            if (err) reject(err);
+            else resolve(inserted);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Build a resampled interval from its stored source candles, replacing
+   * the stored candles from `from` on
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Resampled interval
+   * @param {number} from - Earliest source candle to use
+   * @returns {Promise<number>} Number of candles written
+   */
+  async resample(symbol, interval, from = 0) {
+    const sourceCandles = await new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT open_time, open, high, low, close, volume, close_time, quote_volume, trades
+        FROM kline_data
+        WHERE symbol = ? AND interval = ? AND open_time >= ?
+        ORDER BY open_time ASC
+      `, [symbol, sourceInterval(interval), from], (err, rows) => err ? reject(err) : resolve(rows));
+    });
+
+    const candles = resampleCandles(sourceCandles, interval);
+    if (candles.length === 0) {
+      return 0;
+    }
+
+    await new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run('BEGIN TRANSACTION');
+
+        const stmt = this.db.prepare(`
+          INSERT INTO kline_data
+          (symbol, interval, open_time, open, high, low, close, volume, close_time, quote_volume, trades)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(symbol, interval, open_time) DO UPDATE SET
+            open = excluded.open,
+            high = excluded.high,
+            low = excluded.low,
+            close = excluded.close,
+            volume = excluded.volume,
+            close_time = excluded.close_time,
+            quote_volume = excluded.quote_volume,
+            trades = excluded.trades
+        `);
+
+        for (const candle of candles) {
+          stmt.run(
+            symbol,
+            interval,
+            candle.open_time,
+            candle.open,
+            candle.high,
+            candle.low,
+            candle.close,
+            candle.volume,
+            candle.close_time,
+            candle.quote_volume,
+            candle.trades
+          );
+        }
+
+        stmt.finalize(() => {
+          this.db.run('COMMIT', (err) => {
+            if (err) reject(err);
+            else resolve();
+          });
+        });
+      });
+    });
+
+    return candles.length;
+  }
+
+  /**
+   * Record how a backfill ended
+   * @param {number} backfillId - backfill_jobs id
+   * @param {string} status - 'succeeded' or 'failed'
+   * @param {string|null} error - Error message
+   * @returns {Promise<void>}
+   */
+  async finishBackfill(backfillId, status, error = null) {
+    await this.runStatement(`
+      UPDATE backfill_jobs SET status = ?, error = ?, finished_at = ?, updated_at = ? WHERE id = ?
+    `, [status, error, Date.now(), Date.now(), backfillId]);
+  }
+
+  /**
+   * Mark backfills left running by a previous process as interrupted, and
+   * queue them and any pending ones again from their checkpoints
+   * @returns {Promise<Array<number>>} Ids of the resumed backfills
+   */
+  async resumeInterrupted() {
+    await this.runStatement(`
+      UPDATE backfill_jobs SET status = 'interrupted', updated_at = ? WHERE status = 'running'
+    `, [Date.now()]);
+
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT id FROM backfill_jobs WHERE status IN ('pending', 'interrupted') ORDER BY id
+      `, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+
+    for (const { id } of rows) {
+      this.start(id).catch(error => {
+        console.error(`Error resuming backfill ${id}:`, error.message);
+      });
+    }
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Add progress to a backfill_jobs row
+   * @param {Object} row - backfill_jobs row
+   * @returns {Object} Row plus `progress` (0-1)
+   */
+  formatBackfill(row) {
+    const endTime = row.end_time !== null ? row.end_time : (row.finished_at || Date.now());
+    const span = Math.max(1, endTime - row.start_time);
+    const progress = row.status === 'succeeded' ? 1 : Math.max(0, Math.min(1, (row.cursor - row.start_time) / span));
+    return { ...row, progress: Math.round(progress * 1000) / 1000 };
+  }
+
+  /**
+   * Get a backfill
+   * @param {number} backfillId - backfill_jobs id
+   * @returns {Promise<Object|null>} Backfill with its progress, or null if it does not exist
+   */
+  getBackfill(backfillId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM backfill_jobs WHERE id = ?', [backfillId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? this.formatBackfill(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * List recent backfills, newest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.symbol - Cryptocurrency symbol
+   * @param {string} filters.interval - Time interval
+   * @param {string} filters.status - One of BACKFILL_STATUSES
+   * @param {number} filters.limit - Maximum number of backfills (default: 20)
+   * @returns {Promise<Array>} Backfills with their progress
+   */
+  listBackfills({ symbol = null, interval = null, status = null, limit = 20 } = {}) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM backfill_jobs WHERE 1 = 1';
+      const params = [];
+
+      if (symbol) {
+        query += ' AND symbol = ?';
+        params.push(symbol);
+      }
+      if (interval) {
+        query += ' AND interval = ?';
+        params.push(interval);
+      }
+      if (status) {
+        query += ' AND status = ?';
+        params.push(status);
+      }
+
+      query += ' ORDER BY id DESC LIMIT ?';
+      params.push(limit);
+
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.formatBackfill(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = BackfillService;
+module.exports.BACKFILL_STATUSES = BACKFILL_STATUSES;
\ No newline at end of file
@@ -0,0 +1,518 @@
+const { formatPredictionPrompt } = require('../utils/predictionPrompt');
+const { classifyDirection, getFlatThreshold } = require('../utils/directionalMetrics');
+const forecastMetrics = require('../utils/forecastMetrics');
+const { getInterval, getIntervalMs } = require('../utils/intervals');
+const BaseProvider = require('./providers/baseProvider');
+
+// Model calls an LLM backtest may make unless a budget is given
+const DEFAULT_CALL_BUDGET = 20;
+
+/**
+ * Walk-forward backtests over stored kline history.
+ *
+ * At each cutoff the provider sees only the candles that open before it,
+ * gets the same prompt as a live run, and its forecasts are scored against
+ * the candles that followed. Runs and forecasts go to backtest_runs and
+ * backtest_forecasts, so they never mix with live predictions.
+ *
+ * Shares the prediction service's database connection and provider registry.
+ */
+class BacktestService {
+  /**
+   * @param {PredictionService} predictionService - Service whose db and providers are used
+   */
+  constructor(predictionService) {
+    this.predictionService = predictionService;
+    this.db = predictionService.db;
+    this.providers = predictionService.providers;
+  }
+
+  /**
+   * Default model call budget for LLM providers, from BACKTEST_CALL_BUDGET
+   * @returns {number}
+   */
+  getDefaultBudget() {
+    const budget = parseInt(process.env.BACKTEST_CALL_BUDGET);
+    return Number.isInteger(budget) && budget >= 0 ? budget : DEFAULT_CALL_BUDGET;
+  }
+
+  /**
+   * Run a statement and resolve with its lastID/changes
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Statement parameters
+   * @returns {Promise<Object>} { lastID, changes }
+   */
+  runStatement(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        }
+      });
+    });
+  }
+
+  /**
+   * Fetch klines in a time range
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {number} from - Earliest open time (inclusive)
+   * @param {number} to - Latest open time (inclusive)
+   * @returns {Promise<Array>} Klines in chronological order
+   */
+  fetchKlineRange(symbol, interval, from, to) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT open_time as timestamp, open, high, low, close, volume
+        FROM kline_data
+        WHERE symbol = ? AND interval = ? AND open_time >= ? AND open_time <= ?
+        ORDER BY open_time ASC
+      `;
+
+      this.db.all(query, [symbol, interval, from, to], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Fetch the technical indicators that were known at a cutoff
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {number} cutoff - Cutoff timestamp
+   * @returns {Promise<Array>} Latest indicators first
+   */
+  fetchIndicatorsBefore(symbol, interval, cutoff) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT timestamp, sma_20, sma_50, rsi_14, macd, macd_signal, macd_histogram
+        FROM technical_indicators
+        WHERE symbol = ? AND interval = ? AND timestamp < ?
+        ORDER BY timestamp DESC
+        LIMIT 10
+      `;
+
+      this.db.all(query, [symbol, interval, cutoff], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Indexes of the candles to use as cutoffs: every `step` candles between
+   * startTime and endTime, with at least one earlier candle as history
+   * @param {Array} klines - Klines in chronological order
+   * @param {number} startTime - First cutoff time
+   * @param {number} endTime - Last cutoff time
+   * @param {number} step - Candles between cutoffs
+   * @returns {Array<number>} Kline indexes
+   */
+  planCutoffs(klines, startTime, endTime, step) {
+    const cutoffs = [];
+    let next = null;
+
+    for (let i = 1; i < klines.length; i++) {
+      const timestamp = klines[i].timestamp;
+      if (timestamp < startTime || timestamp > endTime) continue;
+
+      if (next === null || i >= next) {
+        cutoffs.push(i);
+        next = i + step;
+      }
+    }
+
+    return cutoffs;
+  }
+
+  /**
+   * Validate options and record a new run
+   * @param {Object} options - Backtest options
+   * @param {string} options.symbol - Cryptocurrency symbol
+   * @param {string} options.interval - Time interval
+   * @param {string} options.aiProvider - Provider id from the registry
+   * @param {number} options.startTime - First cutoff time
+   * @param {number} options.endTime - Last cutoff time (default: now)
+   * @param {number} options.horizon - Predictions requested at each cutoff (default: 24)
+   * @param {number} options.step - Candles between cutoffs (default: the horizon)
+   * @param {number} options.historyLength - Candles shown to the provider (default: 500)
+   * @param {number} options.budget - Maximum model calls for LLM providers (default: BACKTEST_CALL_BUDGET)
+   * @param {string} options.mode - 'close' or 'ohlc' (default: the provider's forecastMode)
+   * @returns {Promise<Object>} The run, with its id
+   */
+  async createRun(options) {
+    const {
+      symbol,
+      interval,
+      aiProvider,
+      startTime,
+      endTime = Date.now(),
+      horizon = 24,
+      historyLength = 500
+    } = options;
+    const step = options.step || horizon;
+
+    const provider = this.providers.get(aiProvider);
+    // Throws for an unsupported interval
+    getInterval(interval);
+
+    // Ensembles are combined from stored live predictions, so there is nothing to replay
+    if (provider.kind === 'ensemble') {
+      throw new Error(`Provider ${aiProvider} is an ensemble and cannot be backtested`);
+    }
+
+    if (!provider.isConfigured()) {
+      throw new Error(`Provider ${aiProvider} is not configured (set ${provider.apiKeyEnv})`);
+    }
+
+    if (!Number.isFinite(startTime) || !Number.isFinite(endTime) || startTime > endTime) {
+      throw new Error('Backtest needs a start time before its end time');
+    }
+
+    for (const [name, value] of Object.entries({ horizon, step, historyLength })) {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Backtest ${name} must be a positive integer`);
+      }
+    }
+
+    const budget = provider.kind === 'llm'
+      ? (options.budget !== undefined ? options.budget : this.getDefaultBudget())
+      : null;
+
+    const run = {
+      symbol,
+      interval,
+      aiProvider,
+      modelVersion: provider.model,
+      mode: options.mode || provider.forecastMode,
+      startTime,
+      endTime,
+      step,
+      horizon,
+      historyLength,
+      budget
+    };
+
+    const { lastID } = await this.runStatement(`
+      INSERT INTO backtest_runs
+      (symbol, interval, ai_provider, model_version, mode, start_time, end_time, step, horizon, history_length, call_budget)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [symbol, interval, aiProvider, run.modelVersion, run.mode, startTime, endTime, step, horizon, historyLength, budget]);
+
+    return { id: lastID, ...run };
+  }
+
+  /**
+   * Replay every cutoff of a run and store its scores
+   * @param {Object} run - Run returned by createRun
+   * @returns {Promise<Object>} The stored run with its metrics
+   */
+  async executeRun(run) {
+    const { symbol, interval, aiProvider, horizon, historyLength, budget } = run;
+    const provider = this.providers.get(aiProvider);
+    const intervalMs = getIntervalMs(interval);
+    const threshold = getFlatThreshold();
+
+    try {
+      const klines = await this.fetchKlineRange(
+        symbol,
+        interval,
+        run.startTime - historyLength * intervalMs,
+        run.endTime + horizon * intervalMs
+      );
+      const closes = new Map(klines.map(candle => [candle.timestamp, candle.close]));
+      const cutoffs = this.planCutoffs(klines, run.startTime, run.endTime, run.step);
+
+      await this.runStatement('UPDATE backtest_runs SET cutoffs_planned = ? WHERE id = ?', [cutoffs.length, run.id]);
+      console.log(`🧪 Backtesting ${aiProvider.toUpperCase()} on ${symbol} (${interval}): ${cutoffs.length} cutoffs, ${horizon} steps each`);
+
+      let completed = 0;
+      let failed = 0;
+      let calls = 0;
+      let status = 'completed';
+
+      for (const index of cutoffs) {
+        if (budget !== null && calls >= budget) {
+          console.warn(`⚠️ Backtest ${run.id} stopped after ${calls} model calls (budget ${budget})`);
+          status = 'budget_exhausted';
+          break;
+        }
+
+        const cutoff = klines[index].timestamp;
+        const history = klines.slice(Math.max(0, index - historyLength), index);
+        const basePrice = history[history.length - 1].close;
+
+        try {
+          const indicators = await this.fetchIndicatorsBefore(symbol, interval, cutoff);
+
+          // Sentiment is only kept for the present, so backtests run without it
+          const prompt = formatPredictionPrompt(symbol, interval, history, indicators, null, [], horizon, cutoff, run.mode);
+
+          // One attempt per cutoff: a failed call is part of the provider's record
+          calls++;
+          const { text } = BaseProvider.normalizeResult(await provider.generate(prompt, {
+            symbol,
+            interval,
+            klineData: history,
+            predictionsCount: horizon,
+            nextTimestamp: cutoff,
+            mode: run.mode
+          }));
+          const parsed = provider.parseResponse(text);
+
+          if (!parsed || !Array.isArray(parsed.predictions)) {
+            throw new Error(`Invalid prediction format from ${aiProvider}`);
+          }
+
+          const forecasts = parsed.predictions
+            .filter(pred => typeof pred.timestamp === 'number' && typeof pred.price === 'number' && pred.price > 0)
+            .map(pred => this.predictionService.normalizeQuantiles(pred))
+            .filter(pred => closes.has(pred.timestamp))
+            .map(pred => ({
+              ...pred,
+              horizon: Math.round((pred.timestamp - cutoff) / intervalMs) + 1,
+              actual: closes.get(pred.timestamp)
+            }))
+            .filter(pred => pred.horizon >= 1 && pred.horizon <= horizon);
+
+          if (forecasts.length === 0) {
+            throw new Error(`No usable predictions from ${aiProvider}`);
+          }
+
+          await this.storeForecasts(run.id, cutoff, basePrice, forecasts, threshold);
+          completed++;
+        } catch (error) {
+          console.error(`Backtest ${run.id} cutoff ${new Date(cutoff).toISOString()} failed:`, error.message);
+          failed++;
+        }
+
+        await this.runStatement(`
+          UPDATE backtest_runs SET cutoffs_completed = ?, cutoffs_failed = ?, provider_calls = ? WHERE id = ?
+        `, [completed, failed, calls, run.id]);
+      }
+
+      if (completed === 0 && status === 'completed') {
+        status = 'failed';
+      }
+
+      await this.finalizeRun(run.id, status, cutoffs.length === 0 ? 'No cutoffs with history in the requested range' : null);
+      console.log(`${status === 'failed' ? '❌' : '✅'} Backtest ${run.id} ${status}: ${completed} cutoffs scored, ${failed} failed`);
+    } catch (error) {
+      console.error(`❌ Backtest ${run.id} failed:`, error.message);
+      await this.finalizeRun(run.id, 'failed', error.message);
+    }
+
+    return this.getBacktestRun(run.id);
+  }
+
+  /**
+   * Create and execute a run
+   * @param {Object} options - See createRun
+   * @returns {Promise<Object>} The stored run with its metrics
+   */
+  async runBacktest(options) {
+    const run = await this.createRun(options);
+    return this.executeRun(run);
+  }
+
+  /**
+   * Store the scored forecasts made at one cutoff
+   * @param {number} runId - Backtest run id
+   * @param {number} cutoff - Cutoff timestamp
+   * @param {number} basePrice - Last close before the cutoff
+   * @param {Array<Object>} forecasts - { timestamp, price, p10, p90, horizon, actual }
+   * @param {number} threshold - Flat threshold for direction scoring
+   * @returns {Promise<void>}
+   */
+  async storeForecasts(runId, cutoff, basePrice, forecasts, threshold) {
+    for (const forecast of forecasts) {
+      const predictedDirection = classifyDirection(basePrice, forecast.price, threshold);
+      const actualDirection = classifyDirection(basePrice, forecast.actual, threshold);
+      const hasBand = forecast.p10 !== undefined && forecast.p90 !== undefined;
+
+      await this.runStatement(`
+        INSERT OR REPLACE INTO backtest_forecasts
+        (run_id, cutoff_time, target_time, horizon, base_price, predicted_price, price_p10, price_p90,
+         actual_price, predicted_direction, actual_direction, direction_hit, band_hit)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        runId,
+        cutoff,
+        forecast.timestamp,
+        forecast.horizon,
+        basePrice,
+        forecast.price,
+        hasBand ? forecast.p10 : null,
+        hasBand ? forecast.p90 : null,
+        forecast.actual,
+        predictedDirection,
+        actualDirection,
+        predictedDirection && actualDirection ? (predictedDirection === actualDirection ? 1 : 0) : null,
+        hasBand ? (forecast.actual >= forecast.p10 && forecast.actual <= forecast.p90 ? 1 : 0) : null
+      ]);
+    }
+  }
+
+  /**
+   * Fetch a run's forecasts
+   * @param {number} runId - Backtest run id
+   * @returns {Promise<Array>} Forecasts ordered by cutoff and target time
+   */
+  getRunForecasts(runId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT cutoff_time, target_time, horizon, base_price, predicted_price, price_p10, price_p90,
+               actual_price, predicted_direction, actual_direction, direction_hit, band_hit
+        FROM backtest_forecasts
+        WHERE run_id = ?
+        ORDER BY cutoff_time ASC, target_time ASC
+      `;
+
+      this.db.all(query, [runId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Score a set of stored forecasts
+   * @param {Array<Object>} rows - backtest_forecasts rows
+   * @returns {Object} forecastMetrics summary plus bandCoverage
+   */
+  scoreForecasts(rows) {
+    const pairs = rows.map(row => ({
+      predicted: row.predicted_price,
+      actual: row.actual_price,
+      base: row.base_price,
+      directionHit: row.direction_hit
+    }));
+    const bandHits = rows.filter(row => row.band_hit !== null).map(row => row.band_hit);
+    const coverage = forecastMetrics.mean(bandHits);
+
+    return {
+      ...forecastMetrics.summarize(pairs),
+      bandCoverage: coverage === null ? null : coverage * 100
+    };
+  }
+
+  /**
+   * Record a run's final status and overall metrics
+   * @param {number} runId - Backtest run id
+   * @param {string} status - Final status
+   * @param {string|null} error - Error message, if any
+   * @returns {Promise<void>}
+   */
+  async finalizeRun(runId, status, error = null) {
+    const metrics = this.scoreForecasts(await this.getRunForecasts(runId));
+
+    await this.runStatement(`
+      UPDATE backtest_runs
+      SET status = ?, error = ?, forecast_count = ?, mae = ?, rmse = ?, mape = ?, smape = ?, mase = ?,
+          direction_hit_rate = ?, band_coverage = ?, completed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      status,
+      error,
+      metrics.count,
+      metrics.mae,
+      metrics.rmse,
+      metrics.mape,
+      metrics.smape,
+      metrics.mase,
+      metrics.hitRate,
+      metrics.bandCoverage,
+      runId
+    ]);
+  }
+
+  /**
+   * Get a run with its metrics broken down by horizon
+   * @param {number} runId - Backtest run id
+   * @returns {Promise<Object|null>} Run row plus `byHorizon`, or null if it does not exist
+   */
+  async getBacktestRun(runId) {
+    const run = await new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM backtest_runs WHERE id = ?', [runId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+
+    if (!run) {
+      return null;
+    }
+
+    const groups = new Map();
+    for (const row of await this.getRunForecasts(runId)) {
+      if (!groups.has(row.horizon)) {
+        groups.set(row.horizon, []);
+      }
+      groups.get(row.horizon).push(row);
+    }
+
+    const byHorizon = Array.from(groups.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([horizon, rows]) => ({ horizon, ...this.scoreForecasts(rows) }));
+
+    return { ...run, byHorizon };
+  }
+
+  /**
+   * List recent runs, newest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.symbol - Cryptocurrency symbol
+   * @param {string} filters.interval - Time interval
+   * @param {string} filters.aiProvider - Provider id
+   * @param {number} filters.limit - Maximum number of runs (default: 20)
+   * @returns {Promise<Array>} backtest_runs rows
+   */
+  listBacktestRuns({ symbol = null, interval = null, aiProvider = null, limit = 20 } = {}) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM backtest_runs WHERE 1 = 1';
+      const params = [];
+
+      if (symbol) {
+        query += ' AND symbol = ?';
+        params.push(symbol);
+      }
+      if (interval) {
+        query += ' AND interval = ?';
+        params.push(interval);
+      }
+      if (aiProvider) {
+        query += ' AND ai_provider = ?';
+        params.push(aiProvider);
+      }
+
+      query += ' ORDER BY id DESC LIMIT ?';
+      params.push(limit);
+
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+}
+
+module.exports = BacktestService;
+module.exports.DEFAULT_CALL_BUDGET = DEFAULT_CALL_BUDGET;
\ No newline at end of file
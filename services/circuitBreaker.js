@@ -0,0 +1,142 @@
+// Breaker states
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const DEFAULT_OPTIONS = {
+  // Failures within windowMs that open the breaker
+  failureThreshold: 3,
+  windowMs: 10 * 60 * 1000,
+  // How long the breaker stays open before a trial call is let through
+  cooldownMs: 5 * 60 * 1000
+};
+
+/**
+ * Per-provider circuit breaker.
+ *
+ * Closed: calls go through, and failures within the window are counted.
+ * Reaching the threshold opens the breaker. Open: calls are rejected
+ * without reaching the provider until the cooldown has passed. Half-open:
+ * one trial call is let through. Its success closes the breaker; its
+ * failure opens it for another cooldown.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Provider id, used in messages
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.state = STATES.CLOSED;
+    this.failures = [];
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  /**
+   * Whether a call may go through now. Moves an open breaker whose
+   * cooldown has passed to half-open and reserves its trial call.
+   * @param {number} now - Current time
+   * @returns {boolean}
+   */
+  allowRequest(now = Date.now()) {
+    if (this.state === STATES.OPEN && now - this.openedAt >= this.options.cooldownMs) {
+      this.state = STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+    if (this.state === STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a call that reached the provider and got a response
+   * @param {number} now - Current time
+   */
+  recordSuccess(now = Date.now()) {
+    if (this.state !== STATES.CLOSED) {
+      console.log(`🟢 Circuit for ${this.name} closed`);
+    }
+    this.state = STATES.CLOSED;
+    this.failures = [];
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastSuccessAt = now;
+  }
+
+  /**
+   * Record a failed call
+   * @param {Error} error - The error the provider raised
+   * @param {number} now - Current time
+   */
+  recordFailure(error, now = Date.now()) {
+    this.lastError = error.message;
+    this.lastFailureAt = now;
+    this.failures = this.failures.filter(time => now - time < this.options.windowMs);
+    this.failures.push(now);
+
+    if (this.state === STATES.HALF_OPEN || this.failures.length >= this.options.failureThreshold) {
+      if (this.state !== STATES.OPEN) {
+        console.warn(`🔴 Circuit for ${this.name} opened after ${this.failures.length} recent failures: ${error.message}`);
+      }
+      this.state = STATES.OPEN;
+      this.openedAt = now;
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Whether calls are currently rejected
+   * @param {number} now - Current time
+   * @returns {boolean}
+   */
+  isOpen(now = Date.now()) {
+    return this.state === STATES.OPEN && now - this.openedAt < this.options.cooldownMs;
+  }
+
+  /**
+   * Error for a call rejected by an open breaker
+   * @returns {Error} Error with code 'CIRCUIT_OPEN'
+   */
+  openError() {
+    const retryAt = this.openedAt !== null ? this.openedAt + this.options.cooldownMs : Date.now();
+    const error = new Error(`Circuit for ${this.name} is ${this.state}, not calling it until ${new Date(retryAt).toISOString()}`);
+    error.code = 'CIRCUIT_OPEN';
+    return error;
+  }
+
+  /**
+   * Breaker state for the status endpoint
+   * @param {number} now - Current time
+   * @returns {Object}
+   */
+  getStatus(now = Date.now()) {
+    const state = this.state === STATES.OPEN && !this.isOpen(now) ? STATES.HALF_OPEN : this.state;
+    return {
+      state,
+      recentFailures: this.failures.filter(time => now - time < this.options.windowMs).length,
+      failureThreshold: this.options.failureThreshold,
+      openedAt: this.openedAt,
+      retryAt: this.state === STATES.OPEN ? this.openedAt + this.options.cooldownMs : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
+module.exports.STATES = STATES;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
\ No newline at end of file
@@ -0,0 +1,208 @@
+const sqlite3 = require('sqlite3').verbose();
+const forecastMetrics = require('../utils/forecastMetrics');
+const { LOSS_FUNCTIONS, dieboldMariano, blockBootstrap } = require('../utils/significanceTests');
+const { getIntervalMs } = require('../utils/intervals');
+const { LEADERBOARD_WINDOWS } = require('./leaderboardService');
+
+// Fewest shared targets before the tests are run
+const MIN_PAIRS = 10;
+
+// Significance level for the verdicts
+const ALPHA = 0.05;
+
+// Metric differences the bootstrap reports
+const BOOTSTRAP_METRICS = ['mae', 'rmse', 'mape', 'smape', 'hitRate'];
+
+/**
+ * Tests whether one provider's forecasts are significantly better than
+ * another's.
+ *
+ * Forecasts are paired on shared target_times, taking each provider's
+ * latest resolved prediction for a target (or its latest at one horizon
+ * step). The pairs are compared with a Diebold-Mariano test and with
+ * block-bootstrap confidence intervals on the metric differences.
+ */
+class ComparisonService {
+  constructor(dbPath = './crypto_data.db') {
+    this.db = new sqlite3.Database(dbPath);
+  }
+
+  /**
+   * Latest resolved prediction per target time for one provider
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {string} aiProvider - Provider id
+   * @param {number|null} since - Earliest target time (all history when null)
+   * @param {number|null} horizon - Only use predictions made this many steps ahead
+   * @returns {Promise<Map>} Map of target time to prediction row
+   */
+  getResolvedForecasts(symbol, interval, aiProvider, since = null, horizon = null) {
+    return new Promise((resolve, reject) => {
+      const intervalMs = getIntervalMs(interval);
+
+      // Rows resolved before the horizon column existed derive it from their timestamps
+      let query = `
+        SELECT
+          target_time,
+          prediction_time,
+          predicted_price,
+          actual_price,
+          base_price,
+          direction_hit,
+          COALESCE(horizon, MAX(1, (target_time - prediction_time + ? - 1) / ?)) as step
+        FROM predictions
+        WHERE symbol = ?
+          AND interval = ?
+          AND ai_provider = ?
+          AND actual_price IS NOT NULL
+      `;
+      const params = [intervalMs, intervalMs, symbol, interval, aiProvider];
+
+      if (since !== null) {
+        query += ' AND target_time >= ?';
+        params.push(since);
+      }
+
+      if (horizon !== null) {
+        query += ' AND step = ?';
+        params.push(horizon);
+      }
+
+      query += ' ORDER BY target_time ASC, prediction_time ASC';
+
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        // Later predictions for the same target replace earlier ones
+        const byTarget = new Map();
+        for (const row of rows) {
+          byTarget.set(row.target_time, row);
+        }
+        resolve(byTarget);
+      });
+    });
+  }
+
+  /**
+   * Compare two providers on their shared targets
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {string} providerA - First provider id
+   * @param {string} providerB - Second provider id
+   * @param {Object} options - Comparison options
+   * @param {string} options.window - One of the LEADERBOARD_WINDOWS keys (default: '30d')
+   * @param {number|null} options.horizon - Only pair forecasts made this many steps ahead
+   * @param {string} options.loss - Diebold-Mariano loss: 'squared', 'absolute' or 'percentage' (default: 'squared')
+   * @param {number} options.iterations - Bootstrap resamples (default: 1000)
+   * @returns {Promise<Object>} Paired metrics, Diebold-Mariano result and bootstrap intervals
+   */
+  async compare(symbol, interval, providerA, providerB, { window = '30d', horizon = null, loss = 'squared', iterations = 1000 } = {}) {
+    if (!(window in LEADERBOARD_WINDOWS)) {
+      throw new Error(`Unknown comparison window: ${window}. Use one of: ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}`);
+    }
+    if (!LOSS_FUNCTIONS[loss]) {
+      throw new Error(`Unknown loss: ${loss}. Use one of: ${Object.keys(LOSS_FUNCTIONS).join(', ')}`);
+    }
+
+    const span = LEADERBOARD_WINDOWS[window];
+    const since = span === null ? null : Date.now() - span;
+    const [forecastsA, forecastsB] = await Promise.all([
+      this.getResolvedForecasts(symbol, interval, providerA, since, horizon),
+      this.getResolvedForecasts(symbol, interval, providerB, since, horizon)
+    ]);
+
+    const targets = Array.from(forecastsA.keys())
+      .filter(target => forecastsB.has(target))
+      .sort((a, b) => a - b);
+
+    const toPair = row => ({
+      predicted: row.predicted_price,
+      actual: row.actual_price,
+      base: row.base_price,
+      directionHit: row.direction_hit
+    });
+    const pairsA = targets.map(target => toPair(forecastsA.get(target)));
+    const pairsB = targets.map(target => toPair(forecastsB.get(target)));
+
+    const result = {
+      symbol,
+      interval,
+      a: providerA,
+      b: providerB,
+      window,
+      horizon,
+      loss,
+      alpha: ALPHA,
+      count: targets.length,
+      firstTarget: targets.length > 0 ? targets[0] : null,
+      lastTarget: targets.length > 0 ? targets[targets.length - 1] : null,
+      metrics: {
+        a: forecastMetrics.summarize(pairsA),
+        b: forecastMetrics.summarize(pairsB)
+      },
+      dieboldMariano: null,
+      bootstrap: null
+    };
+
+    if (targets.length < MIN_PAIRS) {
+      return result;
+    }
+
+    // Without a fixed horizon, autocorrelation is bounded by the typical step of the pairs
+    const steps = targets
+      .map(target => Math.max(forecastsA.get(target).step, forecastsB.get(target).step))
+      .sort((a, b) => a - b);
+    const dmHorizon = horizon || steps[Math.floor(steps.length / 2)];
+
+    const lossFunction = LOSS_FUNCTIONS[loss];
+    const dm = dieboldMariano(
+      pairsA.map(p => lossFunction(p.predicted, p.actual)),
+      pairsB.map(p => lossFunction(p.predicted, p.actual)),
+      dmHorizon
+    );
+    result.dieboldMariano = {
+      ...dm,
+      // A positive statistic means A's losses are larger
+      better: dm.pValue < ALPHA ? (dm.statistic > 0 ? providerB : providerA) : null
+    };
+
+    // Resample the same target indexes for both providers so the pairing is kept
+    const bootstrap = blockBootstrap(targets.length, indexes => {
+      const metricsA = forecastMetrics.summarize(indexes.map(i => pairsA[i]));
+      const metricsB = forecastMetrics.summarize(indexes.map(i => pairsB[i]));
+      return Object.fromEntries(BOOTSTRAP_METRICS.map(name => [
+        name,
+        metricsA[name] === null || metricsB[name] === null ? null : metricsA[name] - metricsB[name]
+      ]));
+    }, { iterations, blockLength: Math.max(dm.horizon, Math.ceil(Math.cbrt(targets.length))), seed: `${symbol}-${interval}-${providerA}-${providerB}` });
+
+    result.bootstrap = {
+      iterations: bootstrap.iterations,
+      blockLength: bootstrap.blockLength,
+      confidence: bootstrap.confidence,
+      // Differences are A minus B; an interval that excludes 0 is significant
+      differences: Object.fromEntries(Object.entries(bootstrap.intervals).map(([name, range]) => [
+        name,
+        {
+          ...range,
+          significant: range.lower !== null && (range.lower > 0 || range.upper < 0)
+        }
+      ]))
+    };
+
+    return result;
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = ComparisonService;
+module.exports.MIN_PAIRS = MIN_PAIRS;
\ No newline at end of file
@@ -0,0 +1,300 @@
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'pricing.json');
+
+// What happens to a model-backed run once a daily cap is reached
+const BUDGET_ACTIONS = ['skip', 'downgrade'];
+
+// Columns spend can be grouped by
+const SPEND_GROUPS = {
+  day: "strftime('%Y-%m-%d', started_at / 1000, 'unixepoch')",
+  provider: 'ai_provider',
+  model: 'model_version',
+  symbol: 'symbol',
+  interval: 'interval'
+};
+
+/**
+ * Start of the UTC day containing a timestamp
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {number}
+ */
+function startOfDay(timestamp) {
+  return Math.floor(timestamp / 86400000) * 86400000;
+}
+
+/**
+ * Prices prediction runs and enforces daily spend caps.
+ *
+ * Per-model token prices and the budget are declared in
+ * config/pricing.json, in USD per million tokens. Each run's cost is
+ * stored in prediction_runs.cost_usd, so spend is aggregated from there.
+ */
+class CostService {
+  /**
+   * @param {string} dbPath - Database path
+   * @param {string} configPath - Path to the pricing config file
+   */
+  constructor(dbPath = './crypto_data.db', configPath = process.env.PRICING_CONFIG || DEFAULT_CONFIG_PATH) {
+    this.db = new sqlite3.Database(dbPath);
+    this.configPath = configPath;
+    this.models = {};
+    this.budget = {};
+
+    this.load();
+  }
+
+  /**
+   * Load (or reload) prices and budget from the config file
+   */
+  load() {
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    const budget = config.budget || {};
+
+    if (budget.action !== undefined && !BUDGET_ACTIONS.includes(budget.action)) {
+      throw new Error(`Unknown budget action: ${budget.action}. Use one of: ${BUDGET_ACTIONS.join(', ')}`);
+    }
+
+    this.models = config.models || {};
+    this.budget = {
+      dailyUsd: budget.dailyUsd !== undefined ? budget.dailyUsd : null,
+      providers: budget.providers || {},
+      action: budget.action || 'skip',
+      downgrade: budget.downgrade || {}
+    };
+  }
+
+  /**
+   * Daily caps in effect. DAILY_BUDGET_USD overrides the configured total.
+   * @returns {Object} { dailyUsd, providers, action, downgrade }
+   */
+  getBudget() {
+    const override = parseFloat(process.env.DAILY_BUDGET_USD);
+    return {
+      ...this.budget,
+      dailyUsd: Number.isFinite(override) ? override : this.budget.dailyUsd
+    };
+  }
+
+  /**
+   * Price of a model's tokens
+   * @param {string} model - Model name
+   * @returns {Object|null} { input, output } in USD per million tokens, or null if unpriced
+   */
+  getModelPrice(model) {
+    return this.models[model] || null;
+  }
+
+  /**
+   * Cost of one call. Reasoning tokens are part of the output tokens.
+   * @param {string} model - Model name
+   * @param {Object|null} usage - { inputTokens, outputTokens } from the provider
+   * @returns {number|null} Cost in USD, or null without usage or a price
+   */
+  computeCost(model, usage) {
+    const price = this.getModelPrice(model);
+    if (!usage || !price) {
+      return null;
+    }
+    return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1000000;
+  }
+
+  /**
+   * Total cost of the runs started since a time
+   * @param {number} since - Earliest started_at
+   * @param {string|null} aiProvider - Only this provider's runs (all when null)
+   * @returns {Promise<number>} Spend in USD
+   */
+  getSpendSince(since, aiProvider = null) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT COALESCE(SUM(cost_usd), 0) as spent FROM prediction_runs WHERE started_at >= ?';
+      const params = [since];
+
+      if (aiProvider) {
+        query += ' AND ai_provider = ?';
+        params.push(aiProvider);
+      }
+
+      this.db.get(query, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row.spent);
+        }
+      });
+    });
+  }
+
+  /**
+   * Decide whether a model-backed run may go ahead under today's caps.
+   * Caps are checked before each run, so the last run of a day can
+   * overshoot them.
+   * @param {string} aiProvider - Provider id
+   * @param {string} model - Model the provider would call
+   * @returns {Promise<Object>} { action, model, reason }: action is null to run as configured,
+   *   'downgraded' to run with `model` instead, or 'skipped'
+   */
+  async checkBudget(aiProvider, model) {
+    const budget = this.getBudget();
+    const caps = [];
+
+    if (budget.dailyUsd !== null) {
+      caps.push({ label: 'Daily budget', limit: budget.dailyUsd, aiProvider: null });
+    }
+    if (budget.providers[aiProvider] !== undefined) {
+      caps.push({ label: `Daily ${aiProvider} budget`, limit: budget.providers[aiProvider], aiProvider });
+    }
+
+    const since = startOfDay(Date.now());
+    for (const cap of caps) {
+      const spent = await this.getSpendSince(since, cap.aiProvider);
+      if (spent < cap.limit) {
+        continue;
+      }
+
+      const reason = `${cap.label} of $${cap.limit.toFixed(2)} reached ($${spent.toFixed(2)} spent today)`;
+      const cheaper = budget.action === 'downgrade' ? budget.downgrade[model] : null;
+      return cheaper
+        ? { action: 'downgraded', model: cheaper, reason }
+        : { action: 'skipped', model, reason };
+    }
+
+    return { action: null, model, reason: null };
+  }
+
+  /**
+   * Aggregate run counts, tokens and cost
+   * @param {string|null} groupBy - One of the SPEND_GROUPS keys, or null for a single total
+   * @param {Object} filters - Filters
+   * @param {number} filters.since - Earliest started_at
+   * @param {string} filters.symbol - Cryptocurrency symbol
+   * @param {string} filters.interval - Time interval
+   * @param {string} filters.aiProvider - Provider id
+   * @returns {Promise<Array>} Rows of { key, runs, skipped, downgraded, unpriced, inputTokens, outputTokens, reasoningTokens, costUsd }
+   */
+  getSpend(groupBy, { since = 0, symbol = null, interval = null, aiProvider = null } = {}) {
+    return new Promise((resolve, reject) => {
+      if (groupBy !== null && !SPEND_GROUPS[groupBy]) {
+        reject(new Error(`Unknown spend grouping: ${groupBy}. Use one of: ${Object.keys(SPEND_GROUPS).join(', ')}`));
+        return;
+      }
+
+      const key = groupBy === null ? "'total'" : SPEND_GROUPS[groupBy];
+      let query = `
+        SELECT
+          ${key} as key,
+          COUNT(*) as runs,
+          SUM(CASE WHEN budget_action = 'skipped' THEN 1 ELSE 0 END) as skipped,
+          SUM(CASE WHEN budget_action = 'downgraded' THEN 1 ELSE 0 END) as downgraded,
+          SUM(CASE WHEN input_tokens IS NOT NULL AND cost_usd IS NULL THEN 1 ELSE 0 END) as unpriced,
+          COALESCE(SUM(input_tokens), 0) as input_tokens,
+          COALESCE(SUM(output_tokens), 0) as output_tokens,
+          COALESCE(SUM(reasoning_tokens), 0) as reasoning_tokens,
+          COALESCE(SUM(cost_usd), 0) as cost_usd
+        FROM prediction_runs
+        WHERE started_at >= ?
+      `;
+      const params = [since];
+
+      if (symbol) {
+        query += ' AND symbol = ?';
+        params.push(symbol);
+      }
+      if (interval) {
+        query += ' AND interval = ?';
+        params.push(interval);
+      }
+      if (aiProvider) {
+        query += ' AND ai_provider = ?';
+        params.push(aiProvider);
+      }
+
+      query += groupBy === null ? '' : ` GROUP BY key ORDER BY ${groupBy === 'day' ? 'key ASC' : 'cost_usd DESC, key ASC'}`;
+
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve(rows.map(row => ({
+          key: row.key,
+          runs: row.runs,
+          skipped: row.skipped || 0,
+          downgraded: row.downgraded || 0,
+          unpriced: row.unpriced || 0,
+          inputTokens: row.input_tokens,
+          outputTokens: row.output_tokens,
+          reasoningTokens: row.reasoning_tokens,
+          costUsd: row.cost_usd
+        })));
+      });
+    });
+  }
+
+  /**
+   * Today's spend against each configured cap
+   * @returns {Promise<Object>} { dailyUsd, spentToday, remaining, action, resetsAt, providers: [...] }
+   */
+  async getBudgetStatus() {
+    const budget = this.getBudget();
+    const today = startOfDay(Date.now());
+    const spentToday = await this.getSpendSince(today);
+
+    const providers = [];
+    for (const [aiProvider, limit] of Object.entries(budget.providers)) {
+      const spent = await this.getSpendSince(today, aiProvider);
+      providers.push({ aiProvider, dailyUsd: limit, spentToday: spent, remaining: Math.max(0, limit - spent) });
+    }
+
+    return {
+      dailyUsd: budget.dailyUsd,
+      spentToday,
+      remaining: budget.dailyUsd === null ? null : Math.max(0, budget.dailyUsd - spentToday),
+      action: budget.action,
+      resetsAt: today + 86400000,
+      providers
+    };
+  }
+
+  /**
+   * Spend over the last few days, by day, provider, model, symbol and interval
+   * @param {Object} options - Summary options
+   * @param {number} options.days - Days of history, including today (default: 7)
+   * @param {string} options.symbol - Only this symbol
+   * @param {string} options.interval - Only this interval
+   * @param {string} options.aiProvider - Only this provider
+   * @returns {Promise<Object>} { since, days, totals, byDay, byProvider, byModel, bySymbol, byInterval, budget }
+   */
+  async getSummary({ days = 7, symbol = null, interval = null, aiProvider = null } = {}) {
+    const since = startOfDay(Date.now()) - (days - 1) * 86400000;
+    const filters = { since, symbol, interval, aiProvider };
+
+    const [totals] = await this.getSpend(null, filters);
+    const { key, ...totalsWithoutKey } = totals;
+
+    return {
+      since,
+      days,
+      totals: totalsWithoutKey,
+      byDay: await this.getSpend('day', filters),
+      byProvider: await this.getSpend('provider', filters),
+      byModel: await this.getSpend('model', filters),
+      bySymbol: await this.getSpend('symbol', filters),
+      byInterval: await this.getSpend('interval', filters),
+      budget: await this.getBudgetStatus()
+    };
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = CostService;
+module.exports.SPEND_GROUPS = SPEND_GROUPS;
\ No newline at end of file
@@ -0,0 +1,168 @@
+const axios = require('axios');
+const RateLimiter = require('./rateLimiter');
+const { getInterval, getIntervalMs } = require('../utils/intervals');
+
+// API endpoints
+const BINANCE_BASE_URL = 'https://api.binance.com/api/v3';
+const OKX_BASE_URL = 'https://www.okx.com/api/v5';
+
+// Most candles one request returns
+const BINANCE_MAX_LIMIT = 1000;
+const OKX_MAX_LIMIT = 300;
+const OKX_HISTORY_MAX_LIMIT = 100;
+
+// OKX only serves its most recent 1440 candles from /market/candles; older
+// ones come from /market/history-candles
+const OKX_RECENT_CANDLES = 1440;
+
+/**
+ * Kline client for Binance, with OKX as the fallback.
+ *
+ * Requests to each exchange go through a RateLimiter, shared by the live
+ * updates and backfills. A 429 or 418 response puts the exchange's bucket in
+ * debt for its Retry-After, so later requests wait it out.
+ *
+ * Klines are returned in Binance's array format, oldest first:
+ * [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades]
+ */
+class ExchangeClient {
+  /**
+   * @param {Object} options - { requestsPerMinute } for each exchange
+   *   (default: EXCHANGE_REQUESTS_PER_MINUTE or 60)
+   */
+  constructor({ requestsPerMinute = parseInt(process.env.EXCHANGE_REQUESTS_PER_MINUTE) || 60 } = {}) {
+    this.limiters = {
+      binance: new RateLimiter('binance', { requestsPerMinute }),
+      okx: new RateLimiter('okx', { requestsPerMinute })
+    };
+  }
+
+  /**
+   * Fetch klines from startTime onward, from Binance or else OKX
+   * @param {string} symbol - Base asset, quoted against USDT
+   * @param {string} interval - Fetched interval (see utils/intervals.js)
+   * @param {Object} options - { limit, startTime, endTime }
+   * @returns {Promise<Object|null>} { exchange, klines }, or null when both fail
+   */
+  async fetchKlines(symbol, interval, { limit = BINANCE_MAX_LIMIT, startTime = null, endTime = null } = {}) {
+    let klines = await this.fetchBinanceKlines(symbol, interval, limit, startTime, endTime);
+    if (klines) {
+      return { exchange: 'binance', klines };
+    }
+
+    console.log(`⚠️ Binance failed, trying OKX for ${symbol}...`);
+    klines = await this.fetchOKXKlines(symbol, interval, limit, startTime, endTime);
+    return klines ? { exchange: 'okx', klines } : null;
+  }
+
+  /**
+   * Fetch klines from Binance
+   * @returns {Promise<Array|null>} Klines, or null on error
+   */
+  async fetchBinanceKlines(symbol, interval, limit = BINANCE_MAX_LIMIT, startTime = null, endTime = null) {
+    try {
+      const params = {
+        symbol: `${symbol}USDT`,
+        interval: interval,
+        limit: Math.min(limit, BINANCE_MAX_LIMIT)
+      };
+
+      if (startTime) params.startTime = startTime;
+      if (endTime) params.endTime = endTime;
+
+      await this.limiters.binance.acquire();
+      const response = await axios.get(`${BINANCE_BASE_URL}/klines`, {
+        params: params
+      });
+      return response.data;
+    } catch (error) {
+      this.handleRateLimit('binance', error);
+      console.error(`Binance API error for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch klines from OKX (fallback). OKX pages backwards: `after` returns
+   * candles older than a timestamp and `before` newer ones, so a forward
+   * page from startTime sets both ends.
+   * @returns {Promise<Array|null>} Klines, or null on error
+   */
+  async fetchOKXKlines(symbol, interval, limit = BINANCE_MAX_LIMIT, startTime = null, endTime = null) {
+    try {
+      const intervalMs = getIntervalMs(interval);
+      const recent = !startTime || startTime > Date.now() - OKX_RECENT_CANDLES * intervalMs;
+      const pageLimit = Math.min(limit, recent ? OKX_MAX_LIMIT : OKX_HISTORY_MAX_LIMIT);
+      const params = {
+        instId: `${symbol}-USDT-SWAP`,
+        // OKX uses different interval format
+        bar: getInterval(interval).okx,
+        limit: pageLimit
+      };
+
+      if (startTime) {
+        params.before = startTime - 1;
+        params.after = Math.min(endTime || Infinity, startTime + pageLimit * intervalMs);
+      } else if (endTime) {
+        params.after = endTime + 1;
+      }
+
+      await this.limiters.okx.acquire();
+      const response = await axios.get(`${OKX_BASE_URL}/market/${recent ? 'candles' : 'history-candles'}`, {
+        params: params
+      });
+
+      // OKX returns data in different format, need to transform
+      if (response.data.code === '0') {
+        return response.data.data.map(candle => [
+          parseInt(candle[0]), // open time
+          candle[1], // open
+          candle[2], // high
+          candle[3], // low
+          candle[4], // close
+          candle[5], // volume
+          parseInt(candle[0]) + intervalMs - 1, // close time
+          candle[6], // quote volume
+          0 // trades (OKX doesn't provide this)
+        ]).reverse(); // OKX returns newest first, we need oldest first
+      }
+      return null;
+    } catch (error) {
+      this.handleRateLimit('okx', error);
+      console.error(`OKX API error for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Back off after a 429 (rate limited) or 418 (IP banned) response by
+   * taking the Retry-After period's worth of requests from the bucket
+   * @param {string} exchange - 'binance' or 'okx'
+   * @param {Error} error - Request error
+   */
+  handleRateLimit(exchange, error) {
+    const status = error.response && error.response.status;
+    if (status !== 429 && status !== 418) {
+      return;
+    }
+
+    const retryAfter = parseInt(error.response.headers && error.response.headers['retry-after']) || 60;
+    const bucket = this.limiters[exchange].requests;
+    bucket.take(retryAfter * bucket.capacity / 60);
+    console.warn(`🚦 ${exchange} rate limited the client (HTTP ${status}), backing off for ${retryAfter}s`);
+  }
+
+  /**
+   * Rate limiter state for each exchange
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      binance: this.limiters.binance.getStatus(),
+      okx: this.limiters.okx.getStatus()
+    };
+  }
+}
+
+module.exports = ExchangeClient;
+module.exports.BINANCE_MAX_LIMIT = BINANCE_MAX_LIMIT;
\ No newline at end of file
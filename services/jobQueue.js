@@ -0,0 +1,102 @@
+/**
+ * Job queue with a lane per provider. Each lane runs up to its concurrency
+ * limit at once and starts waiting jobs in the order they were added.
+ */
+class JobQueue {
+  /**
+   * @param {Function} getConcurrency - Lane name => maximum jobs running at once
+   */
+  constructor(getConcurrency = () => 1) {
+    this.getConcurrency = getConcurrency;
+    this.lanes = new Map();
+  }
+
+  /**
+   * Lane state, created on first use
+   * @param {string} name - Lane name
+   * @returns {Object}
+   */
+  getLane(name) {
+    if (!this.lanes.has(name)) {
+      this.lanes.set(name, {
+        running: 0,
+        waiting: [],
+        completed: 0,
+        failed: 0,
+        totalWaitMs: 0,
+        maxWaitMs: 0
+      });
+    }
+    return this.lanes.get(name);
+  }
+
+  /**
+   * Add a job to a lane
+   * @param {string} laneName - Lane (provider id) to run the job in
+   * @param {string} label - Job description for log messages
+   * @param {Function} task - async (waitMs) => result, called once the job starts
+   * @returns {Promise<*>} The task's result
+   */
+  add(laneName, label, task) {
+    return new Promise((resolve, reject) => {
+      this.getLane(laneName).waiting.push({ label, task, resolve, reject, queuedAt: Date.now() });
+      this.drain(laneName);
+    });
+  }
+
+  /**
+   * Start waiting jobs while the lane has room
+   * @param {string} laneName - Lane name
+   */
+  drain(laneName) {
+    const lane = this.getLane(laneName);
+    const concurrency = Math.max(1, this.getConcurrency(laneName) || 1);
+
+    while (lane.running < concurrency && lane.waiting.length > 0) {
+      const job = lane.waiting.shift();
+      const waitMs = Date.now() - job.queuedAt;
+
+      lane.running++;
+      lane.totalWaitMs += waitMs;
+      lane.maxWaitMs = Math.max(lane.maxWaitMs, waitMs);
+      if (waitMs >= 1000) {
+        console.log(`⏳ ${job.label} waited ${(waitMs / 1000).toFixed(1)}s in the ${laneName} queue`);
+      }
+
+      Promise.resolve()
+        .then(() => job.task(waitMs))
+        .then(result => {
+          lane.completed++;
+          job.resolve(result);
+        }, error => {
+          lane.failed++;
+          job.reject(error);
+        })
+        .finally(() => {
+          lane.running--;
+          this.drain(laneName);
+        });
+    }
+  }
+
+  /**
+   * Queue state for one lane
+   * @param {string} laneName - Lane name
+   * @returns {Object} { running, queued, concurrency, completed, failed, avgWaitMs, maxWaitMs }
+   */
+  getStatus(laneName) {
+    const lane = this.getLane(laneName);
+    const started = lane.completed + lane.failed + lane.running;
+    return {
+      running: lane.running,
+      queued: lane.waiting.length,
+      concurrency: Math.max(1, this.getConcurrency(laneName) || 1),
+      completed: lane.completed,
+      failed: lane.failed,
+      avgWaitMs: started > 0 ? Math.round(lane.totalWaitMs / started) : 0,
+      maxWaitMs: lane.maxWaitMs
+    };
+  }
+}
+
+module.exports = JobQueue;
\ No newline at end of file
@@ -0,0 +1,252 @@
+const sqlite3 = require('sqlite3').verbose();
+const { BINANCE_MAX_LIMIT } = require('./exchangeClient');
+const { INTERVAL_IDS, getIntervalMs, candleOpenTime } = require('../utils/intervals');
+
+// Problems a series can be reported with
+const INTEGRITY_ISSUES = ['empty', 'gaps', 'stale', 'duplicates', 'misaligned', 'zero_volume', 'invalid_prices'];
+
+// Closed candles a series may be missing at its end before it counts as
+// stale; the latest one is fetched on the next update
+const STALE_AFTER_CANDLES = 1;
+
+// Open times listed for each kind of anomaly in a report
+const MAX_EXAMPLES = 5;
+
+/**
+ * Audits kline_data for holes and anomalies.
+ *
+ * A scan reads every stored candle of a series and reports:
+ * - gaps: candles missing between the first and latest stored candle
+ * - stale: closed candles missing after the latest one
+ * - duplicates: rows for a candle that already has one
+ * - misaligned: open times that are not on the interval's candle boundaries
+ * - zero_volume: candles with no volume (exchange placeholders)
+ * - invalid_prices: candles whose open or close lies outside their range
+ *
+ * Repairs refetch the gaps through the backfill service; the other
+ * anomalies are only reported. A gap that a finished backfill already
+ * covered is one the exchanges have no candles for, and is not refetched.
+ */
+class KlineIntegrityService {
+  /**
+   * @param {string} dbPath - Database path
+   * @param {BackfillService} backfillService - Used to refetch gaps
+   */
+  constructor(dbPath = './crypto_data.db', backfillService = null) {
+    this.db = new sqlite3.Database(dbPath);
+    // Scans read while backfills write; wait for their locks instead of failing
+    this.db.configure('busyTimeout', 10000);
+    this.backfillService = backfillService;
+  }
+
+  /**
+   * Audit one series
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {number} now - Time to measure staleness against
+   * @returns {Promise<Object>} Series report
+   */
+  async scanSeries(symbol, interval, now = Date.now()) {
+    const intervalMs = getIntervalMs(interval);
+
+    const [rows, backfilled] = await Promise.all([
+      new Promise((resolve, reject) => {
+        this.db.all(`
+          SELECT open_time, open, high, low, close, volume
+          FROM kline_data
+          WHERE symbol = ? AND interval = ?
+          ORDER BY open_time ASC
+        `, [symbol, interval], (err, rows) => err ? reject(err) : resolve(rows));
+      }),
+      new Promise((resolve, reject) => {
+        this.db.all(`
+          SELECT start_time, end_time FROM backfill_jobs
+          WHERE symbol = ? AND interval = ? AND status = 'succeeded' AND end_time IS NOT NULL
+        `, [symbol, interval], (err, rows) => err ? reject(err) : resolve(rows));
+      })
+    ]);
+
+    const report = {
+      symbol,
+      interval,
+      candles: rows.length,
+      first: null,
+      last: null,
+      missing: 0,
+      gaps: [],
+      behind: 0,
+      stale: false,
+      duplicates: 0,
+      misaligned: 0,
+      zeroVolume: 0,
+      invalidPrices: 0,
+      examples: { duplicates: [], misaligned: [], zeroVolume: [], invalidPrices: [] },
+      issues: [],
+      healthy: false
+    };
+
+    if (rows.length === 0) {
+      report.issues.push('empty');
+      return report;
+    }
+
+    const note = (kind, openTime) => {
+      if (report.examples[kind].length < MAX_EXAMPLES) {
+        report.examples[kind].push(openTime);
+      }
+    };
+
+    let previousSlot = null;
+    for (const row of rows) {
+      const slot = candleOpenTime(row.open_time, interval);
+
+      if (slot !== row.open_time) {
+        report.misaligned++;
+        note('misaligned', row.open_time);
+      }
+      if (row.volume === 0) {
+        report.zeroVolume++;
+        note('zeroVolume', row.open_time);
+      }
+      if (row.low <= 0 || row.high < row.low ||
+        Math.max(row.open, row.close) > row.high || Math.min(row.open, row.close) < row.low) {
+        report.invalidPrices++;
+        note('invalidPrices', row.open_time);
+      }
+
+      if (slot === previousSlot) {
+        report.duplicates++;
+        note('duplicates', row.open_time);
+        continue;
+      }
+
+      if (previousSlot !== null && slot - previousSlot > intervalMs) {
+        const gap = {
+          from: previousSlot + intervalMs,
+          to: slot - intervalMs,
+          candles: (slot - previousSlot) / intervalMs - 1
+        };
+        // A finished backfill over the gap found nothing to fill it with
+        gap.refetched = backfilled.some(range => range.start_time <= gap.from && range.end_time >= gap.to);
+        report.gaps.push(gap);
+        report.missing += gap.candles;
+      }
+      previousSlot = slot;
+    }
+
+    report.first = candleOpenTime(rows[0].open_time, interval);
+    report.last = previousSlot;
+    report.behind = Math.max(0, Math.round((candleOpenTime(now, interval) - report.last) / intervalMs));
+    report.stale = report.behind > STALE_AFTER_CANDLES;
+
+    if (report.gaps.length > 0) report.issues.push('gaps');
+    if (report.stale) report.issues.push('stale');
+    if (report.duplicates > 0) report.issues.push('duplicates');
+    if (report.misaligned > 0) report.issues.push('misaligned');
+    if (report.zeroVolume > 0) report.issues.push('zero_volume');
+    if (report.invalidPrices > 0) report.issues.push('invalid_prices');
+    report.healthy = report.issues.length === 0;
+
+    return report;
+  }
+
+  /**
+   * Audit every symbol/interval series
+   * @param {Object} options - Series to scan
+   * @param {Array<string>} options.symbols - Cryptocurrency symbols
+   * @param {Array<string>} options.intervals - Time intervals (default: all)
+   * @param {number} options.now - Time to measure staleness against
+   * @returns {Promise<Object>} { generatedAt, summary, series }
+   */
+  async scan({ symbols, intervals = INTERVAL_IDS, now = Date.now() }) {
+    const series = [];
+    for (const symbol of symbols) {
+      for (const interval of intervals) {
+        series.push(await this.scanSeries(symbol, interval, now));
+      }
+    }
+
+    return {
+      generatedAt: now,
+      summary: {
+        series: series.length,
+        healthy: series.filter(entry => entry.healthy).length,
+        stale: series.filter(entry => entry.stale).length,
+        holey: series.filter(entry => entry.gaps.length > 0).length,
+        missingCandles: series.reduce((sum, entry) => sum + entry.missing, 0)
+      },
+      series
+    };
+  }
+
+  /**
+   * Group a series' gaps into backfill ranges. Gaps less than a page apart
+   * share a range, since fetching the candles between them costs no extra
+   * requests.
+   * @param {Array<Object>} gaps - Gaps from scanSeries(), oldest first
+   * @param {number} intervalMs - Candle length
+   * @returns {Array<Object>} { from, to } open times of the first and last missing candle
+   */
+  groupGaps(gaps, intervalMs) {
+    const ranges = [];
+    for (const gap of gaps) {
+      const last = ranges[ranges.length - 1];
+      if (last && gap.from - last.to <= BINANCE_MAX_LIMIT * intervalMs) {
+        last.to = gap.to;
+      } else {
+        ranges.push({ from: gap.from, to: gap.to });
+      }
+    }
+    return ranges;
+  }
+
+  /**
+   * Refetch the gaps of every symbol/interval series. Series are repaired
+   * in interval order, so a resampled interval is rescanned after its
+   * source has been repaired and rebuilt.
+   * @param {Object} options - Series to repair
+   * @param {Array<string>} options.symbols - Cryptocurrency symbols
+   * @param {Array<string>} options.intervals - Time intervals (default: all)
+   * @returns {Promise<Array>} The backfills that were run
+   */
+  async repair({ symbols, intervals = INTERVAL_IDS }) {
+    if (!this.backfillService) {
+      throw new Error('Repairs need a backfill service');
+    }
+
+    const backfills = [];
+    for (const interval of INTERVAL_IDS.filter(id => intervals.includes(id))) {
+      const intervalMs = getIntervalMs(interval);
+
+      for (const symbol of symbols) {
+        const report = await this.scanSeries(symbol, interval);
+        const gaps = report.gaps.filter(gap => !gap.refetched);
+        if (gaps.length === 0) {
+          continue;
+        }
+
+        console.log(`🩹 ${symbol} ${interval}: refetching ${gaps.reduce((sum, gap) => sum + gap.candles, 0)} missing candle(s) in ${gaps.length} gap(s)`);
+        for (const range of this.groupGaps(gaps, intervalMs)) {
+          backfills.push(await this.backfillService.backfill({
+            symbol,
+            interval,
+            startTime: range.from,
+            endTime: range.to + intervalMs - 1
+          }));
+        }
+      }
+    }
+
+    return backfills;
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = KlineIntegrityService;
+module.exports.INTEGRITY_ISSUES = INTEGRITY_ISSUES;
\ No newline at end of file
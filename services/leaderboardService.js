@@ -0,0 +1,136 @@
+const sqlite3 = require('sqlite3').verbose();
+const forecastMetrics = require('../utils/forecastMetrics');
+
+// Leaderboard windows, by how far back target times reach (null for all history)
+const LEADERBOARD_WINDOWS = {
+  '7d': 7 * 86400000,
+  '30d': 30 * 86400000,
+  'all': null
+};
+
+// Points in each rolling-error sparkline
+const SPARKLINE_POINTS = 40;
+
+/**
+ * Ranks every provider/model combination by its resolved predictions.
+ *
+ * Each ai_provider + model_version pair is scored separately, so a
+ * provider that switched models shows one row per model.
+ */
+class LeaderboardService {
+  constructor(dbPath = './crypto_data.db') {
+    this.db = new sqlite3.Database(dbPath);
+  }
+
+  /**
+   * Get resolved predictions for a symbol/interval
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {number|null} since - Earliest target time (all history when null)
+   * @returns {Promise<Array>} Predictions ordered by target time
+   */
+  getResolvedPredictions(symbol, interval, since = null) {
+    return new Promise((resolve, reject) => {
+      let query = `
+        SELECT ai_provider, model_version, target_time, predicted_price, actual_price, base_price, direction_hit
+        FROM predictions
+        WHERE symbol = ?
+          AND interval = ?
+          AND actual_price IS NOT NULL
+      `;
+      const params = [symbol, interval];
+
+      if (since !== null) {
+        query += ' AND target_time >= ?';
+        params.push(since);
+      }
+
+      query += ' ORDER BY target_time ASC';
+
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Rank provider/model combinations for a symbol/interval
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {string} window - One of the LEADERBOARD_WINDOWS keys
+   * @returns {Promise<Object>} { symbol, interval, window, entries }
+   */
+  async getLeaderboard(symbol, interval, window = '7d') {
+    if (!(window in LEADERBOARD_WINDOWS)) {
+      throw new Error(`Unknown leaderboard window: ${window}. Use one of: ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}`);
+    }
+
+    const span = LEADERBOARD_WINDOWS[window];
+    const rows = await this.getResolvedPredictions(symbol, interval, span === null ? null : Date.now() - span);
+
+    const groups = new Map();
+    for (const row of rows) {
+      const key = `${row.ai_provider}\u0000${row.model_version}`;
+      if (!groups.has(key)) {
+        groups.set(key, { aiProvider: row.ai_provider, modelVersion: row.model_version, pairs: [] });
+      }
+      groups.get(key).pairs.push({
+        predicted: row.predicted_price,
+        actual: row.actual_price,
+        base: row.base_price,
+        directionHit: row.direction_hit
+      });
+    }
+
+    const entries = Array.from(groups.values()).map(group => ({
+      aiProvider: group.aiProvider,
+      modelVersion: group.modelVersion,
+      ...forecastMetrics.summarize(group.pairs),
+      sparkline: this.buildSparkline(group.pairs)
+    }));
+
+    // Rank by MASE, falling back to MAPE for entries without base prices
+    entries.sort((a, b) => {
+      if (a.mase !== null && b.mase !== null) return a.mase - b.mase;
+      if (a.mase !== null) return -1;
+      if (b.mase !== null) return 1;
+      return a.mape - b.mape;
+    });
+    entries.forEach((entry, i) => {
+      entry.rank = i + 1;
+    });
+
+    return {
+      symbol,
+      interval,
+      window,
+      entries
+    };
+  }
+
+  /**
+   * Rolling absolute percentage error, downsampled for a sparkline
+   * @param {Array<Object>} pairs - { predicted, actual } ordered by target time
+   * @returns {Array<number>} Rolling MAPE values
+   */
+  buildSparkline(pairs) {
+    const errors = pairs.map(p => Math.abs(p.predicted - p.actual) / p.actual * 100);
+    // Roughly a day of hourly forecasts, shorter for small samples
+    const window = Math.max(1, Math.min(24, Math.ceil(errors.length / 4)));
+    return forecastMetrics.downsample(forecastMetrics.rollingMean(errors, window), SPARKLINE_POINTS);
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = LeaderboardService;
+module.exports.LEADERBOARD_WINDOWS = LEADERBOARD_WINDOWS;
\ No newline at end of file
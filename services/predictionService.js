@@ -1,26 +1,41 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const OpenAI = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
 const sqlite3 = require('sqlite3').verbose();
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
-const { formatPredictionPrompt, validatePredictionResponse } = require('../utils/predictionPrompt');
+const { formatPredictionPrompt, validatePredictionResponse, validatePredictedCandles } = require('../utils/predictionPrompt');
+const responseParser = require('../utils/responseParser');
+const { classifyDirection, getFlatThreshold, summarizeDirections } = require('../utils/directionalMetrics');
+const { getIntervalMs } = require('../utils/intervals');
+const ProviderRegistry = require('./providerRegistry');
+const CostService = require('./costService');
+const CircuitBreaker = require('./circuitBreaker');
+const RateLimiter = require('./rateLimiter');
+const JobQueue = require('./jobQueue');
+const BaseProvider = require('./providers/baseProvider');
+
+// Future predictions kept per symbol/interval/provider by rolling generation
+const DEFAULT_WINDOW = 24;
 
 class PredictionService {
-  constructor() {
-    this.db = new sqlite3.Database('./crypto_data.db');
+  constructor(dbPath = './crypto_data.db') {
+    this.db = new sqlite3.Database(dbPath);
     
-    // Initialize AI providers
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.geminiModel = this.genAI.getGenerativeModel({ model: 'gemini-2.5-pro-preview-05-06' });
+    // AI providers are declared in config/providers.json
+    this.providers = new ProviderRegistry();
     
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    // Token prices and daily budget caps are declared in config/pricing.json
+    this.costs = new CostService(dbPath);
     
-    this.anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
+    // Circuit breakers by provider id, created on first use
+    this.breakers = new Map();
+    
+    // Rate limiters by provider id, created on first use
+    this.limiters = new Map();
+    
+    // Generation jobs run in a lane per provider, up to its concurrency limit
+    this.queue = new JobQueue(providerId => this.providers.has(providerId)
+      ? this.providers.get(providerId).limits.concurrency
+      : 1);
     
     this.sentimentDataFile = path.join(__dirname, '..', 'sentiment-data.json');
   }
@@ -32,7 +47,7 @@ class PredictionService {
    * @param {string} aiProvider - AI provider (gemini, gpt, claude)
    * @returns {Promise<Array>} Array of predictions
    */
-  async getPredictions(symbol, interval, aiProvider = 'gemini') {
+  async getPredictions(symbol, interval, aiProvider = this.providers.defaultId) {
     return new Promise((resolve, reject) => {
       const currentTime = Date.now();
       
@@ -42,7 +57,16 @@ class PredictionService {
         SELECT
           p1.target_time as timestamp,
           p1.predicted_price,
-          p1.actual_price
+          p1.price_p10,
+          p1.price_p90,
+          p1.predicted_open,
+          p1.predicted_high,
+          p1.predicted_low,
+          p1.predicted_volume,
+          p1.actual_price,
+          p1.actual_high,
+          p1.actual_low,
+          p1.fallback_provider
         FROM predictions p1
         INNER JOIN (
           SELECT
@@ -77,188 +101,225 @@ class PredictionService {
   }
 
   /**
-   * Get accuracy metrics for a symbol/interval
+   * Every forecast vintage (one per prediction_time) with targets in a window,
+   * so revisions of the same candle across runs can be compared
    * @param {string} symbol - Cryptocurrency symbol
    * @param {string} interval - Time interval
-   * @returns {Promise<Object>} Accuracy metrics
+   * @param {string} aiProvider - AI provider
+   * @param {Object} options - { startTime, endTime, limit }: target window (from
+   *   the last 24 candles when startTime is null, open-ended when endTime is null)
+   *   and the number of most recent vintages to return
+   * @returns {Promise<Array>} Vintages oldest first, each { predictionTime, runId, fallbackProvider, predictions }
    */
-  async getAccuracyMetrics(symbol, interval) {
+  getPredictionVintages(symbol, interval, aiProvider = this.providers.defaultId, { startTime = null, endTime = null, limit = 50 } = {}) {
     return new Promise((resolve, reject) => {
-      // First try to get from prediction_metrics table
-      const metricsQuery = `
+      const from = startTime !== null ? startTime : Date.now() - DEFAULT_WINDOW * getIntervalMs(interval);
+
+      let window = 'symbol = ? AND interval = ? AND ai_provider = ? AND target_time >= ?';
+      const windowParams = [symbol, interval, aiProvider, from];
+
+      if (endTime !== null) {
+        window += ' AND target_time <= ?';
+        windowParams.push(endTime);
+      }
+
+      const query = `
         SELECT
-          accuracy_percentage as overall_accuracy,
-          predictions_count as total_predictions,
-          ROUND(predictions_count * accuracy_percentage / 100) as accurate_predictions
-        FROM prediction_metrics
-        WHERE symbol = ? AND interval = ?
-        ORDER BY date DESC
-        LIMIT 1
+          prediction_time,
+          run_id,
+          fallback_provider,
+          target_time as timestamp,
+          horizon,
+          predicted_price,
+          price_p10,
+          price_p90,
+          actual_price
+        FROM predictions
+        WHERE ${window}
+          AND prediction_time IN (
+            SELECT DISTINCT prediction_time
+            FROM predictions
+            WHERE ${window}
+            ORDER BY prediction_time DESC
+            LIMIT ?
+          )
+        ORDER BY prediction_time ASC, target_time ASC
       `;
 
-      this.db.get(metricsQuery, [symbol, interval], (err, row) => {
+      this.db.all(query, [...windowParams, ...windowParams, limit], (err, rows) => {
         if (err) {
           reject(err);
-        } else if (row) {
-          resolve(row);
-        } else {
-          // If no metrics in table, calculate from predictions
-          const calcQuery = `
-            SELECT
-              COUNT(*) as total_predictions,
-              SUM(CASE WHEN ABS(predicted_price - actual_price) / actual_price <= 0.05 THEN 1 ELSE 0 END) as accurate_predictions
-            FROM predictions
-            WHERE symbol = ?
-              AND interval = ?
-              AND actual_price IS NOT NULL
-          `;
+          return;
+        }
 
-          this.db.get(calcQuery, [symbol, interval], (err, calcRow) => {
-            if (err) {
-              reject(err);
-            } else if (calcRow && calcRow.total_predictions > 0) {
-              const overall_accuracy = (calcRow.accurate_predictions / calcRow.total_predictions) * 100;
-              resolve({
-                overall_accuracy,
-                total_predictions: calcRow.total_predictions,
-                accurate_predictions: calcRow.accurate_predictions
-              });
-            } else {
-              resolve({
-                overall_accuracy: 0,
-                total_predictions: 0,
-                accurate_predictions: 0
-              });
-            }
+        const vintages = [];
+        for (const row of rows) {
+          let vintage = vintages[vintages.length - 1];
+          if (!vintage || vintage.predictionTime !== row.prediction_time) {
+            vintage = {
+              predictionTime: row.prediction_time,
+              runId: row.run_id,
+              fallbackProvider: row.fallback_provider,
+              predictions: []
+            };
+            vintages.push(vintage);
+          }
+          vintage.predictions.push({
+            timestamp: row.timestamp,
+            horizon: row.horizon,
+            predicted_price: row.predicted_price,
+            price_p10: row.price_p10,
+            price_p90: row.price_p90,
+            actual_price: row.actual_price
           });
         }
+
+        resolve(vintages);
       });
     });
   }
 
   /**
-   * Generate predictions using a specific AI provider
-   * @param {string} provider - AI provider ('gemini', 'gpt', 'claude')
+   * Circuit breaker for a provider
+   * @param {string} providerId - Provider id
+   * @returns {CircuitBreaker}
+   */
+  getBreaker(providerId) {
+    if (!this.breakers.has(providerId)) {
+      const options = this.providers.has(providerId) ? this.providers.get(providerId).breakerOptions : {};
+      this.breakers.set(providerId, new CircuitBreaker(providerId, options));
+    }
+    return this.breakers.get(providerId);
+  }
+
+  /**
+   * Rate limiter for a provider
+   * @param {string} providerId - Provider id
+   * @returns {RateLimiter}
+   */
+  getLimiter(providerId) {
+    if (!this.limiters.has(providerId)) {
+      const limits = this.providers.has(providerId) ? this.providers.get(providerId).limits : {};
+      this.limiters.set(providerId, new RateLimiter(providerId, limits));
+    }
+    return this.limiters.get(providerId);
+  }
+
+  /**
+   * Registered providers with their circuit breaker, queue and rate limit state
+   * @returns {Array<Object>} Provider descriptions plus `breaker` and `rateLimit` (null for
+   *   ensembles, which make no calls) and `queue`
+   */
+  getProviderStatus() {
+    return this.providers.list().map(provider => ({
+      ...provider.toJSON(),
+      breaker: provider.kind === 'ensemble' ? null : this.getBreaker(provider.id).getStatus(),
+      queue: this.queue.getStatus(provider.id),
+      rateLimit: provider.kind === 'ensemble' ? null : this.getLimiter(provider.id).getStatus()
+    }));
+  }
+
+  /**
+   * Run generatePredictions in the provider's queue lane, so no more than
+   * its `limits.concurrency` runs are in flight at once
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {string} aiProvider - AI provider id from config/providers.json
+   * @param {Object} options - generatePredictions options, plus maxRetries and predictionsCount
+   * @returns {Promise<Object>} Prediction results plus `queueWaitMs`, the time spent waiting for a slot
+   */
+  queuePredictions(symbol, interval, aiProvider = this.providers.defaultId, { maxRetries = 3, predictionsCount = 24, ...options } = {}) {
+    return this.enqueue(aiProvider, `${aiProvider} ${symbol} ${interval}`,
+      () => this.generatePredictions(symbol, interval, aiProvider, maxRetries, predictionsCount, options));
+  }
+
+  /**
+   * Run generateRollingPredictions in the provider's queue lane
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {string} aiProvider - AI provider id from config/providers.json
+   * @param {Object} options - generateRollingPredictions options (window, refresh, ...), plus maxRetries
+   * @returns {Promise<Object>} Rolling prediction results plus `queueWaitMs`
+   */
+  queueRollingPredictions(symbol, interval, aiProvider = this.providers.defaultId, { maxRetries = 3, ...options } = {}) {
+    return this.enqueue(aiProvider, `${aiProvider} ${symbol} ${interval}`,
+      () => this.generateRollingPredictions(symbol, interval, aiProvider, maxRetries, options));
+  }
+
+  /**
+   * Add a generation job to a provider's queue lane
+   * @param {string} aiProvider - Provider id (the lane)
+   * @param {string} label - Job description for log messages
+   * @param {Function} generate - async () => result
+   * @returns {Promise<Object>} The result plus `queueWaitMs`
+   */
+  enqueue(aiProvider, label, generate) {
+    return this.queue.add(aiProvider, label, async waitMs => ({
+      ...(await generate()),
+      queueWaitMs: waitMs
+    }));
+  }
+
+  /**
+   * Generate predictions using a specific AI provider. Calls are refused
+   * while the provider's circuit is open, and retries stop once it opens.
+   * Each call waits for room under the provider's rate limits.
+   * @param {string} providerId - AI provider id from the provider registry
    * @param {string} prompt - The formatted prompt
-   * @returns {Promise<string>} AI response text
+   * @param {Object} context - Generation context passed through to the provider
+   * @param {number} retryCount - Calls already made
+   * @param {Object} provider - Provider instance to call (default: the registered one)
+   * @returns {Promise<Object>} { text, usage, latencyMs, calls } for the successful call. A final
+   *   error carries `calls` and `latencyMs`, plus `responseText`/`usage` when a response arrived,
+   *   or code 'CIRCUIT_OPEN' when the breaker refused the call
    */
-  async generateWithProvider(provider, prompt, retryCount = 0) {
+  async generateWithProvider(providerId, prompt, context = {}, retryCount = 0, provider = this.providers.get(providerId)) {
     const maxRetries = 3;
+    const breaker = this.getBreaker(providerId);
+    
+    if (!breaker.allowRequest()) {
+      const error = breaker.openError();
+      error.calls = retryCount;
+      error.latencyMs = 0;
+      throw error;
+    }
+    
+    const limiter = this.getLimiter(providerId);
+    const ticket = await limiter.acquire();
+    const startedAt = Date.now();
     
     try {
-      switch (provider) {
-        case 'gpt':
-          const openaiResponse = await this.openai.responses.create({
-            model: 'o4-mini',
-            reasoning: { effort: 'medium' },
-            input: [
-              {
-                role: 'system',
-                content: 'You are a cryptocurrency price prediction expert. Respond only with valid JSON containing exactly 24 predictions.'
-              },
-              {
-                role: 'user',
-                content: prompt
-              }
-            ]
-          });
-          return openaiResponse.output_text;
-
-        case 'claude':
-          const claudeResponse = await this.anthropic.messages.create({
-            model: 'claude-3-7-sonnet-latest',
-            temperature: 0.7,
-            max_tokens: 12000,
-            system: 'You are a cryptocurrency price prediction expert. Respond only with valid JSON containing exactly 24 predictions.',
-            messages: [
-              {
-                role: 'user',
-                content: prompt
-              }
-            ]
-          });
-          return claudeResponse.content[0].text;
-
-        case 'gemini':
-        default:
-          // Configure Gemini with generation config for more consistent output
-          const generationConfig = {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 60000
-          };
-          
-          const result = await this.geminiModel.generateContent({
-            contents: [{ role: 'user', parts: [{ text: prompt }] }],
-            generationConfig,
-          });
-          const response = await result.response;
-          const text = response.text();
-          
-          // Diagnostic logging for response analysis
-          console.log(`📊 Gemini response length: ${text ? text.length : 0} characters`);
-          if (text && text.length > 0) {
-            const lastChars = text.slice(-50);
-            console.log(`📊 Response ending: "${lastChars}"`);
-          }
-          
-          // Validate that Gemini returned a response
-          if (!text || text.trim().length === 0) {
-            throw new Error('Gemini returned empty response');
-          }
-          
-          // Enhanced response validation for truncation detection
-          const trimmedText = text.trim();
-          
-          // Check for signs of truncation
-          const isTruncated = this.detectResponseTruncation(trimmedText);
-          if (isTruncated) {
-            console.warn(`⚠️ Detected truncated Gemini response (length: ${text.length})`);
-            console.warn(`⚠️ Response ending: "${trimmedText.slice(-100)}"`);
-            console.log('🔧 Attempting to extract partial predictions from truncated response...');
-            
-            // Try to extract partial predictions instead of failing
-            const partialPredictions = this.extractPartialPredictions(trimmedText);
-            if (partialPredictions && partialPredictions.predictions && partialPredictions.predictions.length > 0) {
-              console.log(`✅ Successfully extracted ${partialPredictions.predictions.length} predictions from truncated response`);
-              // Continue with the extracted predictions - don't throw an error
-              return trimmedText; // Return the original text so the normal parsing flow can handle the extracted data
-            } else {
-              console.error(`❌ Could not extract any valid predictions from truncated response`);
-              throw new Error(`Gemini response is truncated and no valid predictions could be extracted. Response length: ${text.length} characters.`);
-            }
-          }
-          
-          // Check if response contains JSON structure
-          const jsonMatch = trimmedText.match(/\{[\s\S]*\}/);
-          if (!jsonMatch) {
-            console.error(`Gemini response without JSON (attempt ${retryCount + 1}/${maxRetries + 1}):`, text);
-            throw new Error('Gemini response does not contain valid JSON structure');
-          }
-          
-          // Validate JSON completeness
-          const jsonText = jsonMatch[0];
-          if (!this.validateJsonCompleteness(jsonText)) {
-            console.error(`🚨 Incomplete JSON structure detected in Gemini response`);
-            console.error(`🚨 JSON ending: "${jsonText.slice(-100)}"`);
-            throw new Error('Gemini response contains incomplete JSON structure. Response may be truncated.');
-          }
-          
-          console.log(`✅ Gemini response validation passed (${text.length} chars, JSON complete)`);
-          return text;
-      }
+      const { text, usage } = BaseProvider.normalizeResult(await provider.generate(prompt, context));
+      limiter.settle(ticket, usage);
+      breaker.recordSuccess();
+      return {
+        text,
+        usage,
+        latencyMs: Date.now() - startedAt,
+        calls: retryCount + 1
+      };
     } catch (error) {
-      console.error(`Error with ${provider} (attempt ${retryCount + 1}/${maxRetries + 1}):`, error.message);
+      console.error(`Error with ${providerId} (attempt ${retryCount + 1}/${maxRetries + 1}):`, error.message);
+      
+      limiter.settle(ticket, error.usage);
+      
+      // A response that arrived but could not be used still shows the provider is up
+      if (error.responseText !== undefined) {
+        breaker.recordSuccess();
+      } else {
+        breaker.recordFailure(error);
+      }
       
       // Retry logic for transient errors
-      if (retryCount < maxRetries) {
-        console.log(`Retrying ${provider} after ${(retryCount + 1) * 2} seconds...`);
+      if (retryCount < maxRetries && !breaker.isOpen()) {
+        console.log(`Retrying ${providerId} after ${(retryCount + 1) * 2} seconds...`);
         await new Promise(resolve => setTimeout(resolve, (retryCount + 1) * 2000));
-        return this.generateWithProvider(provider, prompt, retryCount + 1);
+        return this.generateWithProvider(providerId, prompt, context, retryCount + 1, provider);
       }
       
       // If all retries failed, throw the error
+      error.calls = retryCount + 1;
+      error.latencyMs = Date.now() - startedAt;
       throw error;
     }
   }
@@ -266,15 +327,91 @@ class PredictionService {
   /**
    * Generate predictions for a cryptocurrency with exponential backoff retry
    * @param {string} symbol - Cryptocurrency symbol (e.g., 'BTC', 'ETH')
-   * @param {string} interval - Time interval ('1h', '4h', '1d')
-   * @param {string} aiProvider - AI provider ('gemini', 'gpt', 'claude')
+   * @param {string} interval - Time interval (see utils/intervals.js)
+   * @param {string} aiProvider - AI provider id from config/providers.json
    * @param {number} maxRetries - Maximum number of retries (default: 3)
+   * @param {number} predictionsCount - Number of predictions to generate (default: 24)
+   * @param {Object} options - Generation options
+   * @param {string} options.mode - 'close' for close prices, 'ohlc' for full candles (default: the provider's forecastMode)
+   * @param {string} options.fallbackFor - Provider whose slot this run fills; its predictions are stored under that
+   *   provider with fallback_provider set, and this provider's own fallbacks are not tried
+   * @param {boolean} options.refresh - Forecast from the next candle instead of continuing after the last existing
+   *   prediction. Existing predictions are left out of the prompt and kept as earlier vintages.
    * @returns {Promise<Object>} Prediction results
    */
-  async generatePredictions(symbol, interval, aiProvider = 'gemini', maxRetries = 3, predictionsCount = 24) {
+  async generatePredictions(symbol, interval, aiProvider = this.providers.defaultId, maxRetries = 3, predictionsCount = 24, options = {}) {
+    if (!this.providers.has(aiProvider)) {
+      return {
+        success: false,
+        error: `Unknown AI provider: ${aiProvider}`
+      };
+    }
+    
+    const provider = this.providers.get(aiProvider);
+    
+    // Ensembles are combined from stored predictions instead of generated
+    if (provider.kind === 'ensemble') {
+      return this.generateEnsemblePredictions(symbol, interval, aiProvider);
+    }
+    
+    const mode = options.mode || provider.forecastMode;
+    const fallbackFor = options.fallbackFor || null;
+    // Provider the predictions are stored under
+    const slot = fallbackFor || aiProvider;
     let lastError;
     
+    // Model-backed providers are held to the daily caps in config/pricing.json
+    let activeProvider = provider;
+    let budgetAction = null;
+    if (provider.kind === 'llm') {
+      const budget = await this.costs.checkBudget(aiProvider, provider.model);
+      
+      if (budget.action === 'skipped') {
+        console.warn(`💸 ${budget.reason}, skipping ${aiProvider.toUpperCase()} for ${symbol} (${interval})`);
+        await this.recordPredictionRun({
+          symbol,
+          interval,
+          aiProvider,
+          modelVersion: provider.model,
+          mode,
+          budgetAction: budget.action,
+          error: budget.reason,
+          startedAt: Date.now()
+        }).catch(recordError => {
+          console.error('Error recording skipped prediction run:', recordError.message);
+        });
+        return {
+          success: false,
+          skipped: true,
+          error: budget.reason
+        };
+      }
+      
+      if (budget.action === 'downgraded') {
+        console.warn(`💸 ${budget.reason}, downgrading ${aiProvider.toUpperCase()} from ${provider.model} to ${budget.model}`);
+        activeProvider = provider.withModel(budget.model);
+        budgetAction = budget.action;
+      }
+    }
+    
+    // Only model-backed providers are sent the prompt, so baseline and ensemble
+    // runs are recorded without the prompt and raw response text
+    const keepText = provider.kind === 'llm';
+    
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      // Each attempt is recorded in prediction_runs, whether or not it succeeds
+      const run = {
+        symbol,
+        interval,
+        aiProvider,
+        modelVersion: activeProvider.model,
+        mode,
+        attempt: attempt + 1,
+        budgetAction,
+        fallbackFor,
+        startedAt: Date.now()
+      };
+      
       try {
         console.log(`🔮 Generating ${predictionsCount} predictions for ${symbol} (${interval}) using ${aiProvider.toUpperCase()}...${attempt > 0 ? ` (attempt ${attempt + 1}/${maxRetries + 1})` : ''}`);
 
@@ -284,8 +421,10 @@ class PredictionService {
           throw new Error('No historical data available');
         }
 
-        // Fetch existing future predictions for context
-        const existingPredictions = await this.getExistingFuturePredictions(symbol, interval, aiProvider);
+        // Fetch existing future predictions for context (none when re-forecasting from the next candle)
+        const existingPredictions = options.refresh
+          ? []
+          : await this.getExistingFuturePredictions(symbol, interval, slot);
 
         // Fetch latest technical indicators
         const indicators = await this.fetchTechnicalIndicators(symbol, interval);
@@ -305,132 +444,49 @@ class PredictionService {
           sentimentData,
           existingPredictions,
           predictionsCount,
-          nextTimestamp
+          nextTimestamp,
+          mode
         );
+        if (keepText) {
+          run.prompt = prompt;
+        }
 
         // Generate predictions using selected AI provider with retry logic
-        let text;
         let predictions;
         
         try {
-          text = await this.generateWithProvider(aiProvider, prompt);
+          const generation = await this.generateWithProvider(aiProvider, prompt, {
+            symbol,
+            interval,
+            klineData,
+            predictionsCount,
+            nextTimestamp,
+            mode
+          }, 0, activeProvider);
+          if (keepText) {
+            run.response = generation.text;
+          }
+          run.usage = generation.usage;
+          run.latencyMs = generation.latencyMs;
+          run.providerCalls = generation.calls;
           
-          // Parse and validate response with enhanced error handling
-          try {
-            // Extract JSON from response (in case there's extra text)
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (!jsonMatch) {
-              console.error(`🚨 No JSON structure found in ${aiProvider} response`);
-              console.error(`🚨 Response length: ${text ? text.length : 0} characters`);
-              console.error(`🚨 Response preview: "${text ? text.slice(0, 200) : 'null'}..."`);
-              
-              // For Gemini, try to extract partial predictions as last resort
-              if (aiProvider === 'gemini') {
-                console.log('🔧 Attempting to extract partial predictions from malformed response...');
-                const partialPredictions = this.extractPartialPredictions(text);
-                if (partialPredictions && partialPredictions.predictions && partialPredictions.predictions.length > 0) {
-                  console.log(`✅ Extracted ${partialPredictions.predictions.length} predictions from malformed response`);
-                  predictions = partialPredictions;
-                } else {
-                  throw new Error('No JSON found in response and no partial predictions could be extracted');
-                }
-              } else {
-                throw new Error('No JSON found in response - response may be truncated or malformed');
-              }
-            } else {
-              const jsonText = jsonMatch[0];
-              
-              // Additional validation for Gemini responses
-              if (aiProvider === 'gemini') {
-                // Log JSON extraction details
-                console.log(`📊 Extracted JSON length: ${jsonText.length} characters`);
-                
-                // Check for truncation signs in the extracted JSON
-                if (!this.validateJsonCompleteness(jsonText)) {
-                  console.warn(`⚠️ Incomplete JSON structure in ${aiProvider} response`);
-                  console.warn(`⚠️ JSON ending: "${jsonText.slice(-100)}"`);
-                  console.log('🔧 Attempting to extract partial predictions from incomplete JSON...');
-                  
-                  // Try to extract partial predictions instead of failing
-                  const partialPredictions = this.extractPartialPredictions(text);
-                  if (partialPredictions && partialPredictions.predictions && partialPredictions.predictions.length > 0) {
-                    console.log(`✅ Extracted ${partialPredictions.predictions.length} predictions from incomplete JSON`);
-                    predictions = partialPredictions;
-                  } else {
-                    throw new Error('Extracted JSON appears incomplete and no partial predictions could be extracted');
-                  }
-                } else {
-                  predictions = JSON.parse(jsonText);
-                }
-              } else {
-                predictions = JSON.parse(jsonText);
-              }
-            }
-          } catch (parseError) {
-            // If we haven't already tried partial extraction for Gemini, try it now
-            if (aiProvider === 'gemini' && !predictions) {
-              console.warn(`⚠️ JSON parsing failed for ${aiProvider}:`, parseError.message);
-              console.log('🔧 Final attempt: extracting partial predictions...');
-              
-              const partialPredictions = this.extractPartialPredictions(text);
-              if (partialPredictions && partialPredictions.predictions && partialPredictions.predictions.length > 0) {
-                console.log(`✅ Final extraction successful: ${partialPredictions.predictions.length} predictions`);
-                predictions = partialPredictions;
-              } else {
-                console.error(`🚨 Failed to parse ${aiProvider} response:`, parseError.message);
-                console.error(`🚨 Response length: ${text ? text.length : 0} characters`);
-                console.error(`🚨 Response ending: "${text ? text.slice(-100) : 'null'}"`);
-                
-                // Provide specific guidance for truncation issues
-                if (parseError.message.includes('Unexpected end of JSON input') ||
-                    parseError.message.includes('position')) {
-                  throw new Error(`JSON parsing failed and no partial predictions could be extracted. Original error: ${parseError.message}`);
-                }
-                
-                throw new Error(`Invalid response format and no partial predictions could be extracted: ${parseError.message}`);
-              }
-            } else {
-              console.error(`🚨 Failed to parse ${aiProvider} response:`, parseError.message);
-              console.error(`🚨 Response length: ${text ? text.length : 0} characters`);
-              console.error(`🚨 Response ending: "${text ? text.slice(-100) : 'null'}"`);
-              
-              // Provide specific guidance for truncation issues
-              if (parseError.message.includes('Unexpected end of JSON input') ||
-                  parseError.message.includes('position')) {
-                throw new Error(`JSON parsing failed at position ${parseError.message.match(/position (\d+)/)?.[1] || 'unknown'} - likely due to response truncation. Try reducing prediction count or increasing token limit.`);
-              }
-              
-              throw new Error(`Invalid response format: ${parseError.message}`);
+          // Parse and validate response with the provider's parser
+          predictions = activeProvider.parseResponse(generation.text);
+          run.parsePath = predictions && predictions.parsePath ? predictions.parsePath : null;
+        } catch (error) {
+          if (error.calls !== undefined) {
+            run.providerCalls = error.calls;
+            run.latencyMs = error.latencyMs;
+          }
+          if (error.responseText !== undefined) {
+            if (keepText) {
+              run.response = error.responseText;
             }
+            run.usage = error.usage;
           }
-        } catch (error) {
           // Log the error with more context
           console.error(`🚨 Failed to generate predictions with ${aiProvider}:`, error.message);
-          
-          // For Gemini specifically, provide more detailed error info and guidance
-          if (aiProvider === 'gemini') {
-            console.error('🚨 Gemini API Error Details:');
-            console.error(`   - Error: ${error.message}`);
-            
-            // Provide specific guidance based on error type
-            if (error.message.includes('truncated') || error.message.includes('incomplete')) {
-              console.error('🔧 Suggested fixes for truncation:');
-              console.error('   1. Token limit increased to 32768 (already applied)');
-              console.error('   2. Consider reducing prediction count if issue persists');
-              console.error('   3. Try again as this may be a temporary API issue');
-            } else if (error.message.includes('JSON') || error.message.includes('parse')) {
-              console.error('🔧 Suggested fixes for JSON parsing:');
-              console.error('   1. Response validation enhanced (already applied)');
-              console.error('   2. Check if Gemini API is experiencing issues');
-              console.error('   3. Consider using a different AI provider temporarily');
-            } else {
-              console.error('🔧 General troubleshooting:');
-              console.error('   1. Check API key and quota limits');
-              console.error('   2. Verify network connectivity');
-              console.error('   3. Try using a different AI provider');
-            }
-          }
-          
+          activeProvider.onGenerationError(error);
           throw error;
         }
 
@@ -452,6 +508,20 @@ class PredictionService {
           throw new Error(`Invalid prediction data from ${aiProvider}`);
         }
         
+        // Keep p10/p90 bands only when they are consistent with the point forecast
+        predictions.predictions = predictions.predictions.map(pred => this.normalizeQuantiles(pred));
+        
+        // Keep open/high/low/volume only for internally consistent candles
+        const previousClose = existingPredictions.length > 0
+          ? existingPredictions[existingPredictions.length - 1].predicted_price
+          : klineData[klineData.length - 1].close;
+        const candleCheck = validatePredictedCandles(predictions.predictions, previousClose);
+        predictions.predictions = candleCheck.predictions;
+        
+        if (candleCheck.invalid > 0) {
+          console.warn(`⚠️ ${aiProvider} returned ${candleCheck.invalid} invalid candles for ${symbol} (${interval}), keeping their close only:`, candleCheck.reasons);
+        }
+        
         // Check if we got the expected number of predictions
         const actualCount = predictions.predictions.length;
         if (actualCount < predictionsCount) {
@@ -467,9 +537,16 @@ class PredictionService {
           }
         }
 
-        // Store predictions in database with AI provider
+        // Record the run, then store predictions linked to it
+        run.predictionCount = predictions.predictions.length;
+        const runId = await this.recordPredictionRun(run);
         const predictionTime = Date.now();
-        await this.storePredictions(symbol, interval, predictionTime, predictions.predictions, aiProvider);
+        await this.storePredictions(symbol, interval, predictionTime, predictions.predictions, slot, {
+          basePrice: klineData[klineData.length - 1].close,
+          runId,
+          modelVersion: activeProvider.model,
+          fallbackProvider: fallbackFor ? aiProvider : null
+        });
 
         const finalCount = predictions.predictions.length;
         const isPartial = finalCount < predictionsCount;
@@ -479,22 +556,43 @@ class PredictionService {
         
         console.log(statusMessage);
         
+        // Recompute any ensembles built on this provider
+        await this.refreshEnsembles(symbol, interval, slot);
+        
         return {
           success: true,
           symbol,
           interval,
-          aiProvider,
+          aiProvider: slot,
+          fallbackProvider: fallbackFor ? aiProvider : null,
+          modelVersion: activeProvider.model,
+          budgetAction,
+          runId,
           predictionTime,
           predictions: predictions.predictions,
           isPartial: isPartial,
           requestedCount: predictionsCount,
-          actualCount: finalCount
+          actualCount: finalCount,
+          mode,
+          validCandles: candleCheck.valid,
+          invalidCandles: candleCheck.invalid
         };
 
       } catch (error) {
         lastError = error;
         console.error(`Error generating predictions for ${symbol} with ${aiProvider} (attempt ${attempt + 1}/${maxRetries + 1}):`, error.message);
         
+        run.error = error.message;
+        await this.recordPredictionRun(run).catch(recordError => {
+          console.error('Error recording failed prediction run:', recordError.message);
+        });
+        
+        // Retrying is pointless while the provider's circuit is open
+        if (this.getBreaker(aiProvider).isOpen()) {
+          console.warn(`⏭️ Circuit for ${aiProvider} is open, not retrying`);
+          break;
+        }
+        
         // If this isn't the last attempt, wait with exponential backoff
         if (attempt < maxRetries) {
           const waitTime = Math.pow(2, attempt) * 2000; // 2s, 4s, 8s
@@ -505,7 +603,15 @@ class PredictionService {
     }
     
     // All attempts failed
-    console.error(`❌ Failed to generate predictions for ${symbol} with ${aiProvider} after ${maxRetries + 1} attempts`);
+    console.error(`❌ Failed to generate predictions for ${symbol} with ${aiProvider}`);
+    
+    if (!fallbackFor) {
+      const filled = await this.generateFallbackPredictions(symbol, interval, provider, predictionsCount, mode);
+      if (filled) {
+        return filled;
+      }
+    }
+    
     return {
       success: false,
       error: lastError.message
@@ -513,17 +619,48 @@ class PredictionService {
   }
 
   /**
-   * Count existing future predictions for a symbol/interval/provider
+   * Fill a failed provider's slot from its fallback chain. Each fallback
+   * gets a single attempt, and those whose circuit is open are passed over.
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {Object} provider - The provider that failed
+   * @param {number} predictionsCount - Number of predictions to generate
+   * @param {string} mode - Forecast mode of the failed run
+   * @returns {Promise<Object|null>} The first successful fallback's results, or null
+   */
+  async generateFallbackPredictions(symbol, interval, provider, predictionsCount, mode) {
+    for (const fallbackId of provider.fallback) {
+      if (this.getBreaker(fallbackId).isOpen()) {
+        console.warn(`⏭️ Skipping fallback ${fallbackId} for ${provider.id}: its circuit is open`);
+        continue;
+      }
+      
+      console.log(`↪️ Filling ${provider.id.toUpperCase()} slot for ${symbol} (${interval}) with ${fallbackId.toUpperCase()}`);
+      const result = await this.generatePredictions(symbol, interval, fallbackId, 0, predictionsCount, {
+        mode,
+        fallbackFor: provider.id
+      });
+      if (result.success) {
+        return result;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Count existing future predictions for a symbol/interval/provider.
+   * Targets with several vintages are counted once.
    * @param {string} symbol - Cryptocurrency symbol
    * @param {string} interval - Time interval
    * @param {string} aiProvider - AI provider
-   * @returns {Promise<number>} Number of existing future predictions
+   * @returns {Promise<number>} Number of future target times with a prediction
    */
   async countFuturePredictions(symbol, interval, aiProvider) {
     return new Promise((resolve, reject) => {
       const currentTime = Date.now();
       const query = `
-        SELECT COUNT(*) as count
+        SELECT COUNT(DISTINCT target_time) as count
         FROM predictions
         WHERE symbol = ?
           AND interval = ?
@@ -556,7 +693,9 @@ class PredictionService {
       const query = `
         SELECT
           p1.target_time,
-          p1.predicted_price
+          p1.predicted_price,
+          p1.price_p10,
+          p1.price_p90
         FROM predictions p1
         INNER JOIN (
           SELECT
@@ -597,8 +736,7 @@ class PredictionService {
    * @returns {number} Next timestamp for predictions
    */
   calculateNextTimestamp(interval, existingPredictions, klineData) {
-    const intervalHours = interval === '1h' ? 1 : interval === '4h' ? 4 : 24;
-    const intervalMs = intervalHours * 3600 * 1000;
+    const intervalMs = getIntervalMs(interval);
 
     if (existingPredictions.length > 0) {
       // Start from the last existing prediction timestamp
@@ -612,47 +750,83 @@ class PredictionService {
   }
 
   /**
-   * Generate rolling predictions (only missing ones)
+   * Generate rolling predictions: keep `window` future predictions, generating
+   * only the missing ones. With `refresh`, the next K steps are also
+   * re-forecast each time; their earlier vintages stay stored for evaluation.
+   *
+   * When the refreshed steps cover every existing prediction, one run from
+   * the next candle fills the whole window. Otherwise the refresh and the
+   * missing tail are generated by separate runs.
    * @param {string} symbol - Cryptocurrency symbol
    * @param {string} interval - Time interval
    * @param {string} aiProvider - AI provider
    * @param {number} maxRetries - Maximum number of retries
-   * @returns {Promise<Object>} Rolling prediction results
+   * @param {Object} options - Generation options passed to generatePredictions, plus:
+   * @param {number} options.window - Future predictions to keep (default: 24)
+   * @param {number} options.refresh - Next steps to re-forecast each time (default: 0)
+   * @returns {Promise<Object>} Rolling prediction results, with predictionsNeeded (new target times),
+   *   refreshed (existing target times re-forecast) and generated
    */
-  async generateRollingPredictions(symbol, interval, aiProvider = 'gemini', maxRetries = 3) {
+  async generateRollingPredictions(symbol, interval, aiProvider = this.providers.defaultId, maxRetries = 3, options = {}) {
+    const { window = DEFAULT_WINDOW, refresh = 0, ...generationOptions } = options;
+
     try {
       console.log(`🔄 Checking rolling predictions for ${symbol} (${interval}) using ${aiProvider.toUpperCase()}...`);
 
       // Count existing future predictions
       const existingCount = await this.countFuturePredictions(symbol, interval, aiProvider);
-      const predictionsNeeded = Math.max(0, 24 - existingCount);
+      const predictionsNeeded = Math.max(0, window - existingCount);
+      const refreshSteps = Math.min(refresh, window);
 
-      console.log(`📊 Found ${existingCount} existing future predictions, need ${predictionsNeeded} more`);
+      console.log(`📊 Found ${existingCount} existing future predictions, need ${predictionsNeeded} more${refreshSteps > 0 ? `, refreshing the next ${refreshSteps}` : ''}`);
 
-      if (predictionsNeeded === 0) {
-        console.log(`✅ Already have 24 future predictions for ${symbol} (${interval}), no rolling needed`);
+      if (predictionsNeeded === 0 && refreshSteps === 0) {
+        console.log(`✅ Already have ${window} future predictions for ${symbol} (${interval}), no rolling needed`);
         return {
           success: true,
           symbol,
           interval,
           aiProvider,
           predictionsNeeded: 0,
+          refreshed: 0,
           generated: 0,
           message: 'No new predictions needed'
         };
       }
 
-      // Generate the missing predictions
-      const result = await this.generatePredictions(symbol, interval, aiProvider, maxRetries, predictionsNeeded);
-      
+      // Each entry: [predictions to generate, extra options]
+      const runs = [];
+      if (refreshSteps > 0 && refreshSteps >= existingCount) {
+        runs.push([window, { refresh: true }]);
+      } else {
+        if (refreshSteps > 0) {
+          runs.push([refreshSteps, { refresh: true }]);
+        }
+        if (predictionsNeeded > 0) {
+          runs.push([predictionsNeeded, {}]);
+        }
+      }
+
+      let result = null;
+      let generated = 0;
+      for (const [count, runOptions] of runs) {
+        result = await this.generatePredictions(symbol, interval, aiProvider, maxRetries, count, { ...generationOptions, ...runOptions });
+        if (!result.success) {
+          break;
+        }
+        generated += result.predictions ? result.predictions.length : 0;
+      }
+
+      const refreshed = result.success ? Math.min(refreshSteps, existingCount) : 0;
       if (result.success) {
-        console.log(`✅ Rolling predictions completed for ${symbol} (${interval}): generated ${predictionsNeeded} new predictions`);
+        console.log(`✅ Rolling predictions completed for ${symbol} (${interval}): generated ${generated} predictions (${predictionsNeeded} new, ${refreshed} refreshed)`);
       }
 
       return {
         ...result,
         predictionsNeeded,
-        generated: result.success ? predictionsNeeded : 0
+        refreshed,
+        generated
       };
 
     } catch (error) {
@@ -667,6 +841,160 @@ class PredictionService {
     }
   }
 
+  /**
+   * Combine the constituents' latest future predictions into an ensemble series
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {string} ensembleId - Ensemble provider id
+   * @returns {Promise<Object>} Ensemble results
+   */
+  async generateEnsemblePredictions(symbol, interval, ensembleId = 'ensemble') {
+    try {
+      const ensemble = this.providers.get(ensembleId);
+      const constituents = ensemble.constituents.filter(id => this.providers.has(id));
+
+      console.log(`🧮 Combining ${constituents.join(', ')} into ${ensembleId} for ${symbol} (${interval}) using ${ensemble.params.method}...`);
+
+      // Latest vintage from each constituent, keyed by target time
+      const pricesByTarget = new Map();
+      for (const providerId of constituents) {
+        const predictions = await this.getExistingFuturePredictions(symbol, interval, providerId);
+        for (const prediction of predictions) {
+          if (!pricesByTarget.has(prediction.target_time)) {
+            pricesByTarget.set(prediction.target_time, {});
+          }
+          pricesByTarget.get(prediction.target_time)[providerId] = prediction;
+        }
+      }
+
+      const errors = await this.getRecentProviderErrors(symbol, interval, constituents, ensemble.params.lookbackDays);
+      const weights = ensemble.computeWeights(errors);
+
+      const predictions = [];
+      const targetTimes = Array.from(pricesByTarget.keys()).sort((a, b) => a - b);
+      for (const targetTime of targetTimes) {
+        const byProvider = pricesByTarget.get(targetTime);
+        const providerIds = Object.keys(byProvider);
+        if (providerIds.length < ensemble.params.minConstituents) continue;
+
+        const pick = field => Object.fromEntries(providerIds.map(id => [id, byProvider[id][field]]));
+        const prediction = {
+          timestamp: targetTime,
+          price: ensemble.combine(pick('predicted_price'), weights)
+        };
+
+        // Combine bands quantile by quantile when every constituent has one
+        if (providerIds.every(id => byProvider[id].price_p10 !== null && byProvider[id].price_p90 !== null)) {
+          prediction.p10 = ensemble.combine(pick('price_p10'), weights);
+          prediction.p90 = ensemble.combine(pick('price_p90'), weights);
+        }
+
+        predictions.push(this.normalizeQuantiles(prediction));
+      }
+
+      if (predictions.length === 0) {
+        return {
+          success: false,
+          error: `Not enough constituent predictions for ${ensembleId} (need ${ensemble.params.minConstituents} of ${constituents.join(', ')})`
+        };
+      }
+
+      // Only store targets whose combined price changed since the last run
+      const existing = await this.getExistingFuturePredictions(symbol, interval, ensembleId);
+      const existingPrices = new Map(existing.map(p => [p.target_time, p.predicted_price]));
+      const changed = predictions.filter(p => {
+        const previous = existingPrices.get(p.timestamp);
+        return previous === undefined || Math.abs(previous - p.price) > 1e-9 * p.price;
+      });
+
+      const predictionTime = Date.now();
+      if (changed.length > 0) {
+        await this.storePredictions(symbol, interval, predictionTime, changed, ensembleId);
+      }
+
+      console.log(`✅ ${ensembleId} for ${symbol} (${interval}): ${predictions.length} targets, ${changed.length} updated`);
+
+      return {
+        success: true,
+        symbol,
+        interval,
+        aiProvider: ensembleId,
+        predictionTime,
+        predictions,
+        weights,
+        requestedCount: targetTimes.length,
+        actualCount: predictions.length,
+        updatedCount: changed.length
+      };
+    } catch (error) {
+      console.error(`Error generating ${ensembleId} predictions for ${symbol} (${interval}):`, error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Recompute every ensemble that includes a provider
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {string} providerId - Provider that just finished a run
+   * @returns {Promise<void>}
+   */
+  async refreshEnsembles(symbol, interval, providerId) {
+    const ensembles = this.providers.list()
+      .filter(provider => provider.kind === 'ensemble' && provider.constituents.includes(providerId));
+
+    for (const ensemble of ensembles) {
+      const result = await this.generateEnsemblePredictions(symbol, interval, ensemble.id);
+      if (!result.success) {
+        console.log(`ℹ️ Skipped ${ensemble.id} refresh for ${symbol} (${interval}): ${result.error}`);
+      }
+    }
+  }
+
+  /**
+   * Mean absolute percentage error of each provider's resolved predictions
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {Array<string>} providerIds - Provider ids
+   * @param {number} lookbackDays - Only use targets from the last N days
+   * @returns {Promise<Object>} Map of provider id to MAPE (null when no data)
+   */
+  getRecentProviderErrors(symbol, interval, providerIds, lookbackDays = 7) {
+    return new Promise((resolve, reject) => {
+      const errors = {};
+      providerIds.forEach(id => { errors[id] = null; });
+
+      if (providerIds.length === 0) {
+        resolve(errors);
+        return;
+      }
+
+      const since = Date.now() - lookbackDays * 86400000;
+      const query = `
+        SELECT ai_provider, AVG(ABS(predicted_price - actual_price) / actual_price * 100) as mape
+        FROM predictions
+        WHERE symbol = ?
+          AND interval = ?
+          AND actual_price IS NOT NULL
+          AND target_time >= ?
+          AND ai_provider IN (${providerIds.map(() => '?').join(', ')})
+        GROUP BY ai_provider
+      `;
+
+      this.db.all(query, [symbol, interval, since, ...providerIds], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          rows.forEach(row => { errors[row.ai_provider] = row.mape; });
+          resolve(errors);
+        }
+      });
+    });
+  }
+
   /**
    * Fetch historical kline data from database
    * @param {string} symbol - Cryptocurrency symbol
@@ -735,33 +1063,68 @@ class PredictionService {
     }
   }
 
+  /**
+   * Validate a prediction's p10/p90 band. Swapped bounds are reordered; a
+   * band that is missing, non-positive or excludes the point forecast is dropped.
+   * @param {Object} pred - Prediction with price and optional p10/p90
+   * @returns {Object} Prediction with valid p10/p90, or without them
+   */
+  normalizeQuantiles(pred) {
+    const { p10, p90, ...rest } = pred;
+    
+    if (typeof p10 !== 'number' || typeof p90 !== 'number' || p10 <= 0 || p90 <= 0) {
+      return rest;
+    }
+    
+    const lower = Math.min(p10, p90);
+    const upper = Math.max(p10, p90);
+    if (pred.price < lower || pred.price > upper) {
+      return rest;
+    }
+    
+    return { ...rest, p10: lower, p90: upper };
+  }
+
   /**
    * Store predictions in database
    * @param {string} symbol - Cryptocurrency symbol
    * @param {string} interval - Time interval
    * @param {number} predictionTime - Timestamp when prediction was made
    * @param {Array} predictions - Array of predictions
-   * @param {string} aiProvider - AI provider ('gemini', 'gpt', 'claude')
+   * @param {string} aiProvider - AI provider id
+   * @param {Object} options - Storage options
+   * @param {number|null} options.basePrice - Last close the predictions were made from (looked up when null)
+   * @param {number|null} options.runId - prediction_runs row that produced the predictions
+   * @param {string|null} options.modelVersion - Model that produced them (default: the provider's configured model)
+   * @param {string|null} options.fallbackProvider - Provider that made them when it filled aiProvider's slot
    * @returns {Promise<void>}
    */
-  storePredictions(symbol, interval, predictionTime, predictions, aiProvider = 'gemini') {
+  async storePredictions(symbol, interval, predictionTime, predictions, aiProvider = this.providers.defaultId, { basePrice = null, runId = null, modelVersion = null, fallbackProvider = null } = {}) {
+    if (basePrice === null) {
+      basePrice = await this.getBasePrice(symbol, interval, predictionTime);
+    }
+
+    const intervalMs = getIntervalMs(interval);
+
     return new Promise((resolve, reject) => {
       const stmt = this.db.prepare(`
         INSERT OR IGNORE INTO predictions
-        (symbol, interval, prediction_time, target_time, predicted_price, model_version, ai_provider)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        (symbol, interval, prediction_time, target_time, predicted_price, price_p10, price_p90,
+         predicted_open, predicted_high, predicted_low, predicted_volume, model_version, ai_provider,
+         base_price, horizon, run_id, fallback_provider)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       let completed = 0;
       let hasError = false;
       let skipped = 0;
 
-      // Map provider to model version
-      const modelVersions = {
-        'gemini': 'gemini-2.5-pro-preview-05-06',
-        'gpt': 'o4-mini',
-        'claude': 'claude-3-7-sonnet-latest'
-      };
+      // Record the model that produced the predictions
+      if (modelVersion === null) {
+        modelVersion = this.providers.has(aiProvider)
+          ? this.providers.get(aiProvider).model
+          : aiProvider;
+      }
 
       predictions.forEach(pred => {
         stmt.run(
@@ -770,8 +1133,19 @@ class PredictionService {
           predictionTime,
           pred.timestamp,
           pred.price,
-          modelVersions[aiProvider] || modelVersions['gemini'],
+          pred.p10 !== undefined ? pred.p10 : null,
+          pred.p90 !== undefined ? pred.p90 : null,
+          pred.open !== undefined ? pred.open : null,
+          pred.high !== undefined ? pred.high : null,
+          pred.low !== undefined ? pred.low : null,
+          pred.volume !== undefined ? pred.volume : null,
+          modelVersion,
           aiProvider,
+          basePrice,
+          // Steps ahead of the prediction time, so 1 is the next candle
+          Math.max(1, Math.ceil((pred.timestamp - predictionTime) / intervalMs)),
+          runId,
+          fallbackProvider,
           function(err) {
             if (err && !hasError) {
               hasError = true;
@@ -801,17 +1175,176 @@ class PredictionService {
   }
 
   /**
-   * Update predictions with actual prices when available
-   * @param {string} symbol - Cryptocurrency symbol
-   * @param {string} interval - Time interval
-   * @returns {Promise<Object>} Update results
+   * Record a generation attempt in prediction_runs, priced from its token
+   * usage. A run that was already recorded (it failed after its predictions
+   * were parsed) only has its error updated.
+   * @param {Object} run - Attempt details: symbol, interval, aiProvider, modelVersion, mode, attempt, startedAt,
+   *   and when known prompt, response, parsePath, usage, latencyMs, providerCalls, predictionCount, budgetAction,
+   *   fallbackFor, error
+   * @returns {Promise<number>} The run id
    */
-  async updateActualPrices(symbol, interval) {
-    try {
-      console.log(`📊 Updating actual prices for ${symbol} (${interval}) predictions...`);
-
-      // Get predictions that need actual price updates
-      const predictions = await this.getPredictionsNeedingUpdate(symbol, interval);
+  recordPredictionRun(run) {
+    return new Promise((resolve, reject) => {
+      if (run.id) {
+        this.db.run('UPDATE prediction_runs SET error = ? WHERE id = ?', [run.error || null, run.id], (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(run.id);
+          }
+        });
+        return;
+      }
+
+      const usage = run.usage || {};
+      const promptHash = run.prompt
+        ? crypto.createHash('sha256').update(run.prompt).digest('hex')
+        : null;
+
+      this.db.run(`
+        INSERT INTO prediction_runs
+        (symbol, interval, ai_provider, model_version, mode, attempt, provider_calls, prompt_hash, prompt_text,
+         raw_response, parse_path, input_tokens, output_tokens, total_tokens, reasoning_tokens, cost_usd, budget_action,
+         fallback_for, latency_ms, prediction_count, error, started_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        run.symbol,
+        run.interval,
+        run.aiProvider,
+        run.modelVersion || null,
+        run.mode || null,
+        run.attempt || 1,
+        run.providerCalls || 0,
+        promptHash,
+        run.prompt || null,
+        run.response !== undefined ? run.response : null,
+        run.parsePath || null,
+        usage.inputTokens !== undefined ? usage.inputTokens : null,
+        usage.outputTokens !== undefined ? usage.outputTokens : null,
+        usage.totalTokens !== undefined ? usage.totalTokens : null,
+        usage.reasoningTokens !== undefined ? usage.reasoningTokens : null,
+        this.costs.computeCost(run.modelVersion, run.usage),
+        run.budgetAction || null,
+        run.fallbackFor || null,
+        run.latencyMs !== undefined ? run.latencyMs : null,
+        run.predictionCount !== undefined ? run.predictionCount : null,
+        run.error || null,
+        run.startedAt || Date.now()
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          run.id = this.lastID;
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  /**
+   * List prediction runs, newest first, without their prompt and response text
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.symbol - Cryptocurrency symbol
+   * @param {string} filters.interval - Time interval
+   * @param {string} filters.aiProvider - Provider id
+   * @param {string} filters.status - 'success' or 'error'
+   * @param {string} filters.parsePath - 'clean', 'repaired' or 'partial'
+   * @param {number} filters.limit - Maximum number of runs (default: 50)
+   * @param {number} filters.offset - Runs to skip (default: 0)
+   * @returns {Promise<Array>} Runs with prompt_length and response_length instead of the full text
+   */
+  getPredictionRuns({ symbol = null, interval = null, aiProvider = null, status = null, parsePath = null, limit = 50, offset = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      let query = `
+        SELECT id, symbol, interval, ai_provider, model_version, mode, attempt, provider_calls, prompt_hash,
+               LENGTH(prompt_text) as prompt_length, LENGTH(raw_response) as response_length, parse_path,
+               input_tokens, output_tokens, total_tokens, reasoning_tokens, cost_usd, budget_action,
+               fallback_for, latency_ms, prediction_count, error, started_at
+        FROM prediction_runs
+        WHERE 1 = 1
+      `;
+      const params = [];
+
+      if (symbol) {
+        query += ' AND symbol = ?';
+        params.push(symbol);
+      }
+      if (interval) {
+        query += ' AND interval = ?';
+        params.push(interval);
+      }
+      if (aiProvider) {
+        query += ' AND ai_provider = ?';
+        params.push(aiProvider);
+      }
+      if (status === 'success') {
+        query += ' AND error IS NULL';
+      } else if (status === 'error') {
+        query += ' AND error IS NOT NULL';
+      }
+      if (parsePath) {
+        query += ' AND parse_path = ?';
+        params.push(parsePath);
+      }
+
+      query += ' ORDER BY started_at DESC, id DESC LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get one prediction run with its prompt, raw response and the predictions it stored
+   * @param {number} runId - Run id
+   * @returns {Promise<Object|null>} Run row plus `predictions`, or null if it does not exist
+   */
+  getPredictionRun(runId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM prediction_runs WHERE id = ?', [runId], (err, run) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (!run) {
+          resolve(null);
+          return;
+        }
+
+        this.db.all(`
+          SELECT id, prediction_time, target_time, horizon, predicted_price, price_p10, price_p90, actual_price, fallback_provider
+          FROM predictions
+          WHERE run_id = ?
+          ORDER BY target_time ASC
+        `, [runId], (predictionsErr, predictions) => {
+          if (predictionsErr) {
+            reject(predictionsErr);
+          } else {
+            resolve({ ...run, predictions });
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Update predictions with actual prices when available
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @returns {Promise<Object>} Update results
+   */
+  async updateActualPrices(symbol, interval) {
+    try {
+      console.log(`📊 Updating actual prices for ${symbol} (${interval}) predictions...`);
+
+      // Get predictions that need actual price updates
+      const predictions = await this.getPredictionsNeedingUpdate(symbol, interval);
       
       if (predictions.length === 0) {
         console.log(`No predictions need updating for ${symbol} (${interval})`);
@@ -819,21 +1352,52 @@ class PredictionService {
       }
 
       let updated = 0;
+      const flatThreshold = getFlatThreshold();
+      const intervalMs = getIntervalMs(interval);
       
       for (const prediction of predictions) {
-        // Fetch actual price for the target time
-        const actualPrice = await this.getActualPrice(symbol, interval, prediction.target_time);
+        // Fetch the actual candle for the target time
+        const actualCandle = await this.getActualCandle(symbol, interval, prediction.target_time);
         
-        if (actualPrice !== null) {
+        if (actualCandle !== null) {
+          const actualPrice = actualCandle.close;
+          
           // Calculate accuracy score (percentage error)
           const error = Math.abs(prediction.predicted_price - actualPrice) / actualPrice;
           const accuracyScore = Math.max(0, 1 - error) * 100;
           
+          // Record whether the actual price landed inside the p10-p90 band
+          const bandHit = prediction.price_p10 !== null && prediction.price_p90 !== null
+            ? (actualPrice >= prediction.price_p10 && actualPrice <= prediction.price_p90 ? 1 : 0)
+            : null;
+          
+          // Record whether the actual high/low range stayed inside the predicted candle's range
+          const rangeHit = prediction.predicted_high !== null && prediction.predicted_low !== null
+            ? (actualCandle.high <= prediction.predicted_high && actualCandle.low >= prediction.predicted_low ? 1 : 0)
+            : null;
+          
+          // Score the direction of the move from the base price; older rows
+          // stored before base_price existed fall back to the close at prediction time
+          const basePrice = prediction.base_price !== null
+            ? prediction.base_price
+            : await this.getBasePrice(symbol, interval, prediction.prediction_time);
+          const predictedDirection = classifyDirection(basePrice, prediction.predicted_price, flatThreshold);
+          const actualDirection = classifyDirection(basePrice, actualPrice, flatThreshold);
+          
           // Update prediction with actual price and accuracy
           await this.updatePrediction(
             prediction.id,
             actualPrice,
-            accuracyScore
+            accuracyScore,
+            bandHit,
+            { high: actualCandle.high, low: actualCandle.low, rangeHit },
+            {
+              basePrice,
+              horizon: Math.max(1, Math.ceil((prediction.target_time - prediction.prediction_time) / intervalMs)),
+              predicted: predictedDirection,
+              actual: actualDirection,
+              hit: predictedDirection && actualDirection ? (predictedDirection === actualDirection ? 1 : 0) : null
+            }
           );
           
           updated++;
@@ -863,7 +1427,8 @@ class PredictionService {
     return new Promise((resolve, reject) => {
       const currentTime = Date.now();
       const query = `
-        SELECT id, target_time, predicted_price, ai_provider
+        SELECT id, prediction_time, target_time, predicted_price, price_p10, price_p90,
+          predicted_high, predicted_low, base_price, ai_provider
         FROM predictions
         WHERE symbol = ?
           AND interval = ?
@@ -890,13 +1455,25 @@ class PredictionService {
    * @param {number} timestamp - Target timestamp
    * @returns {Promise<number|null>} Actual price or null
    */
-  getActualPrice(symbol, interval, timestamp) {
+  async getActualPrice(symbol, interval, timestamp) {
+    const candle = await this.getActualCandle(symbol, interval, timestamp);
+    return candle ? candle.close : null;
+  }
+
+  /**
+   * Get the actual candle for a specific timestamp
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {number} timestamp - Target timestamp
+   * @returns {Promise<Object|null>} { open, high, low, close, volume } or null
+   */
+  getActualCandle(symbol, interval, timestamp) {
     return new Promise((resolve, reject) => {
       // Allow for some time tolerance (within the interval period)
-      const tolerance = interval === '1h' ? 3600000 : interval === '4h' ? 14400000 : 86400000;
+      const tolerance = getIntervalMs(interval);
       
       const query = `
-        SELECT close
+        SELECT open, high, low, close, volume
         FROM kline_data
         WHERE symbol = ?
           AND interval = ?
@@ -913,29 +1490,79 @@ class PredictionService {
           if (err) {
             reject(err);
           } else {
-            resolve(row ? row.close : null);
+            resolve(row || null);
           }
         }
       );
     });
   }
 
+  /**
+   * Get the last close at or before a point in time
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {number} timestamp - Point in time, usually the prediction time
+   * @returns {Promise<number|null>} Close price or null
+   */
+  getBasePrice(symbol, interval, timestamp) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT close
+        FROM kline_data
+        WHERE symbol = ?
+          AND interval = ?
+          AND open_time <= ?
+        ORDER BY open_time DESC
+        LIMIT 1
+      `;
+
+      this.db.get(query, [symbol, interval, timestamp], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? row.close : null);
+        }
+      });
+    });
+  }
+
   /**
    * Update prediction with actual price and accuracy
    * @param {number} predictionId - Prediction ID
    * @param {number} actualPrice - Actual price
    * @param {number} accuracyScore - Accuracy score (0-100)
+   * @param {number|null} bandHit - 1 if inside the p10-p90 band, 0 if outside, null without a band
+   * @param {Object} candle - Actual { high, low } and rangeHit (1/0, or null without a predicted candle)
+   * @param {Object} direction - { basePrice, horizon, predicted, actual, hit } from the directional scoring
    * @returns {Promise<void>}
    */
-  updatePrediction(predictionId, actualPrice, accuracyScore) {
+  updatePrediction(predictionId, actualPrice, accuracyScore, bandHit = null, candle = {}, direction = {}) {
     return new Promise((resolve, reject) => {
       const query = `
         UPDATE predictions
-        SET actual_price = ?, accuracy_score = ?
+        SET actual_price = ?, accuracy_score = ?, band_hit = ?,
+            actual_high = ?, actual_low = ?, range_hit = ?,
+            base_price = COALESCE(base_price, ?), horizon = COALESCE(horizon, ?),
+            predicted_direction = ?, actual_direction = ?, direction_hit = ?
         WHERE id = ?
       `;
 
-      this.db.run(query, [actualPrice, accuracyScore, predictionId], (err) => {
+      const params = [
+        actualPrice,
+        accuracyScore,
+        bandHit,
+        candle.high !== undefined ? candle.high : null,
+        candle.low !== undefined ? candle.low : null,
+        candle.rangeHit !== undefined ? candle.rangeHit : null,
+        direction.basePrice !== undefined ? direction.basePrice : null,
+        direction.horizon !== undefined ? direction.horizon : null,
+        direction.predicted || null,
+        direction.actual || null,
+        direction.hit !== undefined ? direction.hit : null,
+        predictionId
+      ];
+
+      this.db.run(query, params, (err) => {
         if (err) {
           reject(err);
         } else {
@@ -949,13 +1576,14 @@ class PredictionService {
    * Calculate accuracy metrics for predictions
    * @param {string} symbol - Cryptocurrency symbol (optional)
    * @param {string} interval - Time interval (optional)
+   * @param {string} aiProvider - AI provider id (optional)
    * @returns {Promise<Object>} Accuracy metrics
    */
-  async calculateAccuracy(symbol = null, interval = null) {
+  async calculateAccuracy(symbol = null, interval = null, aiProvider = null) {
     try {
-      console.log(`📈 Calculating accuracy metrics...`);
+      console.log(`📈 Calculating accuracy metrics${aiProvider ? ` for ${aiProvider}` : ''}...`);
 
-      const metrics = await this.getAccuracyMetrics(symbol, interval);
+      const metrics = await this.getAccuracyMetrics(symbol, interval, aiProvider);
       
       if (!metrics || metrics.count === 0) {
         return {
@@ -972,8 +1600,34 @@ class PredictionService {
         mape: parseFloat(metrics.mape).toFixed(2)
       };
 
+      // Band calibration: a well calibrated p10-p90 band covers ~80% of outcomes,
+      // with ~10% falling below p10 and ~10% above p90
+      if (metrics.band_count > 0) {
+        result.bandCount = metrics.band_count;
+        result.bandCoverage = parseFloat(metrics.band_coverage).toFixed(2);
+        result.belowP10 = parseFloat(metrics.below_p10).toFixed(2);
+        result.aboveP90 = parseFloat(metrics.above_p90).toFixed(2);
+      }
+
+      // Candle range scoring: how often the actual high/low stayed inside the
+      // predicted range, the high/low errors, and the range overlap (intersection over union)
+      if (metrics.candle_count > 0) {
+        result.candleCount = metrics.candle_count;
+        result.rangeHitRate = parseFloat(metrics.range_hit_rate).toFixed(2);
+        result.highMape = parseFloat(metrics.high_mape).toFixed(2);
+        result.lowMape = parseFloat(metrics.low_mape).toFixed(2);
+        result.rangeOverlap = parseFloat(metrics.range_overlap).toFixed(2);
+      }
+
+      // Share of predictions that called the direction of the move correctly
+      if (metrics.direction_count > 0) {
+        result.directionCount = metrics.direction_count;
+        result.directionHitRate = parseFloat(metrics.direction_hit_rate).toFixed(2);
+      }
+
       if (symbol) result.symbol = symbol;
       if (interval) result.interval = interval;
+      if (aiProvider) result.aiProvider = aiProvider;
 
       console.log(`✅ Accuracy metrics calculated:`, result);
       
@@ -986,20 +1640,36 @@ class PredictionService {
   }
 
   /**
-   * Get accuracy metrics from database
+   * Get accuracy metrics from resolved predictions
    * @param {string} symbol - Cryptocurrency symbol (optional)
    * @param {string} interval - Time interval (optional)
+   * @param {string} aiProvider - AI provider id (optional, all providers when omitted)
    * @returns {Promise<Object>} Metrics data
    */
-  getAccuracyMetrics(symbol, interval) {
+  getAccuracyMetrics(symbol, interval, aiProvider = null) {
     return new Promise((resolve, reject) => {
       let query = `
         SELECT 
           COUNT(*) as count,
+          SUM(CASE WHEN ABS(predicted_price - actual_price) / actual_price <= 0.05 THEN 1 ELSE 0 END) as accurate_predictions,
           AVG(accuracy_score) as avg_accuracy,
           AVG(ABS(predicted_price - actual_price)) as mae,
           SQRT(AVG((predicted_price - actual_price) * (predicted_price - actual_price))) as rmse,
-          AVG(ABS(predicted_price - actual_price) / actual_price * 100) as mape
+          AVG(ABS(predicted_price - actual_price) / actual_price * 100) as mape,
+          COUNT(band_hit) as band_count,
+          AVG(band_hit) * 100 as band_coverage,
+          AVG(CASE WHEN band_hit IS NOT NULL THEN (actual_price < price_p10) END) * 100 as below_p10,
+          AVG(CASE WHEN band_hit IS NOT NULL THEN (actual_price > price_p90) END) * 100 as above_p90,
+          COUNT(range_hit) as candle_count,
+          AVG(range_hit) * 100 as range_hit_rate,
+          AVG(CASE WHEN range_hit IS NOT NULL THEN ABS(predicted_high - actual_high) / actual_high * 100 END) as high_mape,
+          AVG(CASE WHEN range_hit IS NOT NULL THEN ABS(predicted_low - actual_low) / actual_low * 100 END) as low_mape,
+          AVG(CASE WHEN range_hit IS NOT NULL THEN
+            MAX(0, MIN(predicted_high, actual_high) - MAX(predicted_low, actual_low)) /
+            NULLIF(MAX(predicted_high, actual_high) - MIN(predicted_low, actual_low), 0)
+          END) * 100 as range_overlap,
+          COUNT(direction_hit) as direction_count,
+          AVG(direction_hit) * 100 as direction_hit_rate
         FROM predictions
         WHERE actual_price IS NOT NULL
       `;
@@ -1015,19 +1685,161 @@ class PredictionService {
         query += ' AND interval = ?';
         params.push(interval);
       }
+      
+      if (aiProvider) {
+        query += ' AND ai_provider = ?';
+        params.push(aiProvider);
+      }
 
       this.db.get(query, params, (err, row) => {
         if (err) {
           reject(err);
         } else {
-          resolve(row);
+          resolve({
+            ...row,
+            ai_provider: aiProvider,
+            // Summary fields shown in the table view footer
+            overall_accuracy: row.avg_accuracy !== null ? row.avg_accuracy : 0,
+            total_predictions: row.count,
+            accurate_predictions: row.accurate_predictions || 0
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Directional hit rate, confusion matrix and per-direction precision/recall,
+   * overall and broken down by provider and by horizon
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {Object} options - { aiProvider, startTime, endTime } to narrow the target times
+   * @returns {Promise<Object>} { flatThreshold, overall, byProvider: { [id]: { overall, byHorizon } } }
+   */
+  getDirectionalMetrics(symbol, interval, { aiProvider = null, startTime = null, endTime = null } = {}) {
+    return new Promise((resolve, reject) => {
+      let query = `
+        SELECT ai_provider, horizon, predicted_direction, actual_direction, COUNT(*) as count
+        FROM predictions
+        WHERE symbol = ?
+          AND interval = ?
+          AND direction_hit IS NOT NULL
+      `;
+      const params = [symbol, interval];
+
+      if (aiProvider) {
+        query += ' AND ai_provider = ?';
+        params.push(aiProvider);
+      }
+
+      if (startTime !== null) {
+        query += ' AND target_time >= ?';
+        params.push(startTime);
+      }
+
+      if (endTime !== null) {
+        query += ' AND target_time < ?';
+        params.push(endTime);
+      }
+
+      query += ' GROUP BY ai_provider, horizon, predicted_direction, actual_direction';
+
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const byProvider = {};
+        for (const providerId of [...new Set(rows.map(row => row.ai_provider))]) {
+          const providerRows = rows.filter(row => row.ai_provider === providerId);
+          const byHorizon = {};
+          for (const horizon of [...new Set(providerRows.map(row => row.horizon))].sort((a, b) => a - b)) {
+            byHorizon[horizon] = summarizeDirections(providerRows.filter(row => row.horizon === horizon));
+          }
+          byProvider[providerId] = {
+            overall: summarizeDirections(providerRows),
+            byHorizon
+          };
+        }
+
+        resolve({
+          flatThreshold: getFlatThreshold(),
+          overall: summarizeDirections(rows),
+          byProvider
+        });
+      });
+    });
+  }
+
+  /**
+   * Error metrics grouped by horizon step, so 1-step-ahead and
+   * 24-step-ahead forecasts are scored separately
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {string|null} aiProvider - Limit to one provider (all providers when null)
+   * @returns {Promise<Object>} Map of provider id to an array of per-horizon metrics, ordered by horizon
+   */
+  getHorizonAccuracy(symbol, interval, aiProvider = null) {
+    return new Promise((resolve, reject) => {
+      const intervalMs = getIntervalMs(interval);
+
+      // Rows resolved before the horizon column existed derive it from their timestamps
+      let query = `
+        SELECT
+          ai_provider,
+          COALESCE(horizon, MAX(1, (target_time - prediction_time + ? - 1) / ?)) as step,
+          COUNT(*) as count,
+          AVG(ABS(predicted_price - actual_price)) as mae,
+          SQRT(AVG((predicted_price - actual_price) * (predicted_price - actual_price))) as rmse,
+          AVG(ABS(predicted_price - actual_price) / actual_price * 100) as mape,
+          COUNT(direction_hit) as direction_count,
+          AVG(direction_hit) * 100 as direction_hit_rate,
+          AVG(band_hit) * 100 as band_coverage
+        FROM predictions
+        WHERE symbol = ?
+          AND interval = ?
+          AND actual_price IS NOT NULL
+      `;
+      const params = [intervalMs, intervalMs, symbol, interval];
+
+      if (aiProvider) {
+        query += ' AND ai_provider = ?';
+        params.push(aiProvider);
+      }
+
+      query += ' GROUP BY ai_provider, step ORDER BY ai_provider, step';
+
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const byProvider = {};
+        for (const row of rows) {
+          if (!byProvider[row.ai_provider]) {
+            byProvider[row.ai_provider] = [];
+          }
+          byProvider[row.ai_provider].push({
+            horizon: row.step,
+            count: row.count,
+            mae: row.mae,
+            rmse: row.rmse,
+            mape: row.mape,
+            directionCount: row.direction_count,
+            directionHitRate: row.direction_hit_rate,
+            bandCoverage: row.band_coverage
+          });
         }
+
+        resolve(byProvider);
       });
     });
   }
 
   /**
-   * Calculate and store daily metrics
+   * Calculate and store today's metrics for each provider
    * @param {string} symbol - Cryptocurrency symbol
    * @param {string} interval - Time interval
    * @returns {Promise<void>}
@@ -1035,19 +1847,18 @@ class PredictionService {
   async calculateDailyMetrics(symbol, interval) {
     try {
       const today = new Date().toISOString().split('T')[0];
+      const startTime = new Date(today).getTime();
       
-      const metrics = await this.getDailyMetrics(symbol, interval, today);
+      const providerMetrics = await this.getDailyMetrics(symbol, interval, today);
       
-      if (metrics && metrics.count > 0) {
-        await this.storeDailyMetrics(
-          symbol,
-          interval,
-          today,
-          metrics.mae,
-          metrics.rmse,
-          metrics.avg_accuracy,
-          metrics.count
-        );
+      for (const metrics of providerMetrics) {
+        const directional = await this.getDirectionalMetrics(symbol, interval, {
+          aiProvider: metrics.ai_provider,
+          startTime,
+          endTime: startTime + 86400000
+        });
+        
+        await this.storeDailyMetrics(symbol, interval, today, metrics.ai_provider, metrics, directional);
       }
     } catch (error) {
       console.error('Error calculating daily metrics:', error);
@@ -1055,11 +1866,11 @@ class PredictionService {
   }
 
   /**
-   * Get daily metrics from predictions
+   * Get daily metrics from predictions, one row per provider
    * @param {string} symbol - Cryptocurrency symbol
    * @param {string} interval - Time interval
    * @param {string} date - Date in YYYY-MM-DD format
-   * @returns {Promise<Object>} Daily metrics
+   * @returns {Promise<Array>} Daily metrics per provider
    */
   getDailyMetrics(symbol, interval, date) {
     return new Promise((resolve, reject) => {
@@ -1068,50 +1879,69 @@ class PredictionService {
 
       const query = `
         SELECT 
+          ai_provider,
           COUNT(*) as count,
           AVG(accuracy_score) as avg_accuracy,
           AVG(ABS(predicted_price - actual_price)) as mae,
-          SQRT(AVG((predicted_price - actual_price) * (predicted_price - actual_price))) as rmse
+          SQRT(AVG((predicted_price - actual_price) * (predicted_price - actual_price))) as rmse,
+          AVG(ABS(predicted_price - actual_price) / actual_price * 100) as mape,
+          AVG(band_hit) * 100 as band_coverage,
+          COUNT(band_hit) as band_count
         FROM predictions
         WHERE symbol = ?
           AND interval = ?
           AND actual_price IS NOT NULL
           AND target_time >= ?
           AND target_time < ?
+        GROUP BY ai_provider
       `;
 
-      this.db.get(query, [symbol, interval, startTime, endTime], (err, row) => {
+      this.db.all(query, [symbol, interval, startTime, endTime], (err, rows) => {
         if (err) {
           reject(err);
         } else {
-          resolve(row);
+          resolve(rows);
         }
       });
     });
   }
 
   /**
-   * Store daily metrics in database
+   * Store one provider's daily metrics in database
    * @param {string} symbol - Cryptocurrency symbol
    * @param {string} interval - Time interval
    * @param {string} date - Date in YYYY-MM-DD format
-   * @param {number} mae - Mean Absolute Error
-   * @param {number} rmse - Root Mean Square Error
-   * @param {number} accuracy - Average accuracy percentage
-   * @param {number} count - Number of predictions
+   * @param {string} aiProvider - AI provider id
+   * @param {Object} metrics - { count, avg_accuracy, mae, rmse, mape, band_coverage, band_count } from getDailyMetrics
+   * @param {Object|null} directional - Directional metrics from getDirectionalMetrics for this provider
    * @returns {Promise<void>}
    */
-  storeDailyMetrics(symbol, interval, date, mae, rmse, accuracy, count) {
+  storeDailyMetrics(symbol, interval, date, aiProvider, metrics, directional = null) {
     return new Promise((resolve, reject) => {
       const query = `
         INSERT OR REPLACE INTO prediction_metrics
-        (symbol, interval, date, mae, rmse, accuracy_percentage, predictions_count)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        (symbol, interval, date, ai_provider, mae, rmse, mape, accuracy_percentage, predictions_count,
+         band_coverage, band_count, direction_hit_rate, direction_count, direction_breakdown)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
+      const hasDirections = directional && directional.overall.count > 0;
+
       this.db.run(
         query,
-        [symbol, interval, date, mae, rmse, accuracy, count],
+        [
+          symbol, interval, date, aiProvider,
+          metrics.mae, metrics.rmse, metrics.mape !== undefined ? metrics.mape : null,
+          metrics.avg_accuracy, metrics.count,
+          metrics.band_coverage !== undefined ? metrics.band_coverage : null,
+          metrics.band_count || 0,
+          hasDirections ? directional.overall.hitRate : null,
+          hasDirections ? directional.overall.count : 0,
+          // Per-horizon confusion matrices for this provider
+          hasDirections && directional.byProvider[aiProvider]
+            ? JSON.stringify(directional.byProvider[aiProvider].byHorizon)
+            : null
+        ],
         (err) => {
           if (err) {
             reject(err);
@@ -1123,47 +1953,44 @@ class PredictionService {
     });
   }
 
+  /**
+   * Get stored daily metrics, newest first
+   * @param {string} symbol - Cryptocurrency symbol
+   * @param {string} interval - Time interval
+   * @param {string} aiProvider - AI provider id
+   * @param {number} days - Number of days to return
+   * @returns {Promise<Array>} Daily metrics rows
+   */
+  getDailyMetricsHistory(symbol, interval, aiProvider, days = 30) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT date, mae, rmse, mape, accuracy_percentage, predictions_count,
+          band_coverage, band_count, direction_hit_rate, direction_count
+        FROM prediction_metrics
+        WHERE symbol = ?
+          AND interval = ?
+          AND ai_provider = ?
+        ORDER BY date DESC
+        LIMIT ?
+      `;
+
+      this.db.all(query, [symbol, interval, aiProvider, days], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
   /**
    * Detect if a response appears to be truncated
    * @param {string} text - Response text to check
    * @returns {boolean} True if response appears truncated
    */
   detectResponseTruncation(text) {
-    if (!text || text.length === 0) {
-      return true;
-    }
-    
-    const trimmed = text.trim();
-    
-    // Check for common truncation indicators
-    const truncationIndicators = [
-      // Ends abruptly without proper JSON closure
-      /[^}\]]\s*$/,
-      // Ends with incomplete JSON structure
-      /[,{[][\s]*$/,
-      // Ends with incomplete string
-      /"[^"]*$/,
-      // Ends with incomplete number
-      /\d+\.?\d*$/,
-      // Very short response (likely truncated)
-      trimmed.length < 100
-    ];
-    
-    // Check if response is suspiciously short for 24 predictions
-    if (trimmed.length < 500) {
-      console.warn(`⚠️ Response suspiciously short: ${trimmed.length} characters`);
-      return true;
-    }
-    
-    // Check for truncation patterns
-    for (const indicator of truncationIndicators.slice(0, -1)) { // Exclude length check
-      if (indicator.test && indicator.test(trimmed)) {
-        console.warn(`⚠️ Truncation pattern detected: ${indicator}`);
-        return true;
-      }
-    }
-    
-    return false;
+    return responseParser.detectResponseTruncation(text);
   }
   
   /**
@@ -1172,86 +1999,7 @@ class PredictionService {
    * @returns {boolean} True if JSON appears complete
    */
   validateJsonCompleteness(jsonText) {
-    if (!jsonText || jsonText.trim().length === 0) {
-      return false;
-    }
-    
-    const trimmed = jsonText.trim();
-    
-    // Basic structure checks
-    if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) {
-      console.warn(`⚠️ JSON doesn't start with { or end with }`);
-      return false;
-    }
-    
-    // Count braces to ensure they're balanced
-    let braceCount = 0;
-    let bracketCount = 0;
-    let inString = false;
-    let escaped = false;
-    
-    for (let i = 0; i < trimmed.length; i++) {
-      const char = trimmed[i];
-      
-      if (escaped) {
-        escaped = false;
-        continue;
-      }
-      
-      if (char === '\\') {
-        escaped = true;
-        continue;
-      }
-      
-      if (char === '"') {
-        inString = !inString;
-        continue;
-      }
-      
-      if (!inString) {
-        if (char === '{') braceCount++;
-        else if (char === '}') braceCount--;
-        else if (char === '[') bracketCount++;
-        else if (char === ']') bracketCount--;
-      }
-    }
-    
-    // Check if braces and brackets are balanced
-    if (braceCount !== 0) {
-      console.warn(`⚠️ Unbalanced braces: ${braceCount}`);
-      return false;
-    }
-    
-    if (bracketCount !== 0) {
-      console.warn(`⚠️ Unbalanced brackets: ${bracketCount}`);
-      return false;
-    }
-    
-    // Check for expected structure for predictions
-    if (!trimmed.includes('"predictions"') || !trimmed.includes('[')) {
-      console.warn(`⚠️ Missing expected predictions structure`);
-      return false;
-    }
-    
-    // Try to parse to ensure it's valid JSON
-    try {
-      const parsed = JSON.parse(trimmed);
-      if (!parsed.predictions || !Array.isArray(parsed.predictions)) {
-        console.warn(`⚠️ Invalid predictions structure in JSON`);
-        return false;
-      }
-      
-      // Check if we have a reasonable number of predictions
-      if (parsed.predictions.length < 10) {
-        console.warn(`⚠️ Too few predictions: ${parsed.predictions.length}`);
-        return false;
-      }
-      
-      return true;
-    } catch (error) {
-      console.warn(`⚠️ JSON parse error during validation: ${error.message}`);
-      return false;
-    }
+    return responseParser.validateJsonCompleteness(jsonText);
   }
 
   /**
@@ -1260,57 +2008,7 @@ class PredictionService {
    * @returns {Object|null} Extracted predictions object or null if none found
    */
   extractPartialPredictions(text) {
-    if (!text || text.trim().length === 0) {
-      return null;
-    }
-
-    try {
-      // First try to find a complete JSON structure
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        console.warn('⚠️ No JSON structure found in response');
-        return null;
-      }
-
-      let jsonText = jsonMatch[0];
-      
-      // Try parsing as-is first
-      try {
-        const parsed = JSON.parse(jsonText);
-        if (parsed.predictions && Array.isArray(parsed.predictions)) {
-          console.log(`✅ Successfully extracted ${parsed.predictions.length} complete predictions`);
-          return parsed;
-        }
-      } catch (parseError) {
-        console.log('📝 Initial JSON parse failed, attempting repair...');
-      }
-
-      // If parsing failed, try to repair truncated JSON
-      const repairedJson = this.repairTruncatedJson(jsonText);
-      if (repairedJson) {
-        try {
-          const parsed = JSON.parse(repairedJson);
-          if (parsed.predictions && Array.isArray(parsed.predictions) && parsed.predictions.length > 0) {
-            console.log(`✅ Successfully extracted ${parsed.predictions.length} predictions from repaired JSON`);
-            return parsed;
-          }
-        } catch (repairParseError) {
-          console.warn('⚠️ Failed to parse repaired JSON:', repairParseError.message);
-        }
-      }
-
-      // Last resort: try to extract individual prediction objects
-      const extractedPredictions = this.extractIndividualPredictions(text);
-      if (extractedPredictions && extractedPredictions.length > 0) {
-        console.log(`✅ Extracted ${extractedPredictions.length} individual predictions`);
-        return { predictions: extractedPredictions };
-      }
-
-      return null;
-    } catch (error) {
-      console.error('❌ Error extracting partial predictions:', error.message);
-      return null;
-    }
+    return responseParser.extractPartialPredictions(text);
   }
 
   /**
@@ -1319,45 +2017,7 @@ class PredictionService {
    * @returns {string|null} Repaired JSON or null if repair failed
    */
   repairTruncatedJson(jsonText) {
-    try {
-      let repaired = jsonText.trim();
-
-      // Remove any trailing incomplete elements
-      // Look for the last complete prediction object
-      const predictionMatches = [...repaired.matchAll(/\{[^{}]*"timestamp"[^{}]*"price"[^{}]*\}/g)];
-      if (predictionMatches.length === 0) {
-        return null;
-      }
-
-      // Find the position after the last complete prediction
-      const lastMatch = predictionMatches[predictionMatches.length - 1];
-      const lastCompletePos = lastMatch.index + lastMatch[0].length;
-
-      // Extract everything up to the last complete prediction
-      let truncatedAtLastComplete = repaired.substring(0, lastCompletePos);
-
-      // Check if we need to close the predictions array
-      if (!truncatedAtLastComplete.includes(']')) {
-        truncatedAtLastComplete += ']';
-      }
-
-      // Check if we need to close the main object
-      if (!truncatedAtLastComplete.endsWith('}')) {
-        truncatedAtLastComplete += '}';
-      }
-
-      // Validate the structure makes sense
-      if (truncatedAtLastComplete.includes('"predictions"') && 
-          truncatedAtLastComplete.includes('[') && 
-          truncatedAtLastComplete.includes(']')) {
-        return truncatedAtLastComplete;
-      }
-
-      return null;
-    } catch (error) {
-      console.warn('⚠️ Error repairing JSON:', error.message);
-      return null;
-    }
+    return responseParser.repairTruncatedJson(jsonText);
   }
 
   /**
@@ -1366,37 +2026,7 @@ class PredictionService {
    * @returns {Array} Array of prediction objects
    */
   extractIndividualPredictions(text) {
-    try {
-      const predictions = [];
-      
-      // Look for individual prediction objects with timestamp and price
-      const predictionRegex = /\{[^{}]*"timestamp"[^{}]*"price"[^{}]*\}/g;
-      const matches = text.match(predictionRegex);
-      
-      if (!matches) {
-        return [];
-      }
-
-      for (const match of matches) {
-        try {
-          const prediction = JSON.parse(match);
-          if (prediction.timestamp && prediction.price && 
-              typeof prediction.timestamp === 'number' && 
-              typeof prediction.price === 'number' && 
-              prediction.price > 0) {
-            predictions.push(prediction);
-          }
-        } catch (parseError) {
-          // Skip invalid prediction objects
-          continue;
-        }
-      }
-
-      return predictions;
-    } catch (error) {
-      console.warn('⚠️ Error extracting individual predictions:', error.message);
-      return [];
-    }
+    return responseParser.extractIndividualPredictions(text);
   }
 
   /**
@@ -1404,6 +2034,7 @@ class PredictionService {
    */
   close() {
     this.db.close();
+    this.costs.close();
   }
 }
 
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'providers.json');
+const BUILT_IN_PROVIDERS_DIR = path.join(__dirname, 'providers');
+
+/**
+ * Registry of prediction providers.
+ *
+ * Providers are declared in config/providers.json. Each entry names the
+ * module that implements it: a built-in module from services/providers
+ * (e.g. "gemini") or a path relative to the config file
+ * (e.g. "./my-provider.js"). Any other keys on the entry (label, model,
+ * params, apiKeyEnv, scheduled, fallback, breaker) override the module's
+ * defaults.
+ */
+class ProviderRegistry {
+  /**
+   * @param {string} configPath - Path to the providers config file
+   */
+  constructor(configPath = process.env.PROVIDERS_CONFIG || DEFAULT_CONFIG_PATH) {
+    this.configPath = configPath;
+    this.providers = new Map();
+    this.defaultId = null;
+
+    this.load();
+  }
+
+  /**
+   * Load (or reload) all providers from the config file
+   */
+  load() {
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+
+    this.providers.clear();
+    for (const entry of config.providers || []) {
+      if (entry.enabled === false) continue;
+      this.register(entry);
+    }
+
+    this.checkFallbacks();
+
+    this.defaultId = config.default && this.providers.has(config.default)
+      ? config.default
+      : this.ids()[0] || null;
+  }
+
+  /**
+   * Drop fallback ids that cannot fill a slot: unknown or disabled
+   * providers, the provider itself, and ensembles
+   */
+  checkFallbacks() {
+    for (const provider of this.providers.values()) {
+      provider.fallback = provider.fallback.filter(id => {
+        const fallback = this.providers.get(id);
+        if (!fallback || id === provider.id || fallback.kind === 'ensemble') {
+          console.warn(`⚠️ Ignoring fallback ${id} for provider ${provider.id}: it must be another registered, non-ensemble provider`);
+          return false;
+        }
+        return true;
+      });
+    }
+  }
+
+  /**
+   * Resolve the module path for a config entry
+   * @param {string} moduleName - Built-in module name or relative path
+   * @returns {string} Absolute module path
+   */
+  resolveModule(moduleName) {
+    if (moduleName.startsWith('.') || path.isAbsolute(moduleName)) {
+      return path.resolve(path.dirname(this.configPath), moduleName);
+    }
+    return path.join(BUILT_IN_PROVIDERS_DIR, moduleName);
+  }
+
+  /**
+   * Register a provider from a config entry
+   * @param {Object} entry - Provider config entry
+   * @returns {Object} The provider instance
+   */
+  register(entry) {
+    if (!entry.module) {
+      throw new Error(`Provider entry ${entry.id || '(unnamed)'} is missing a module`);
+    }
+
+    const ProviderClass = require(this.resolveModule(entry.module));
+    const provider = new ProviderClass(entry);
+
+    if (this.providers.has(provider.id)) {
+      throw new Error(`Duplicate provider id: ${provider.id}`);
+    }
+
+    this.providers.set(provider.id, provider);
+    return provider;
+  }
+
+  /**
+   * Check whether a provider id is registered
+   * @param {string} id - Provider id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  /**
+   * Get a provider by id
+   * @param {string} id - Provider id
+   * @returns {Object} Provider instance
+   */
+  get(id) {
+    const provider = this.providers.get(id);
+    if (!provider) {
+      throw new Error(`Unknown AI provider: ${id}. Available providers: ${this.ids().join(', ')}`);
+    }
+    return provider;
+  }
+
+  /**
+   * All registered provider ids
+   * @returns {Array<string>}
+   */
+  ids() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * All registered providers
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Providers the scheduled prediction jobs should run.
+   * SCHEDULED_PROVIDERS (comma-separated ids) overrides the config, e.g.
+   * SCHEDULED_PROVIDERS=mock to run the scheduler without API keys.
+   * @returns {Array<string>} Provider ids
+   */
+  getScheduledIds() {
+    if (process.env.SCHEDULED_PROVIDERS) {
+      return process.env.SCHEDULED_PROVIDERS
+        .split(',')
+        .map(id => id.trim())
+        .filter(id => this.providers.has(id));
+    }
+
+    return this.list()
+      .filter(provider => provider.scheduled)
+      .map(provider => provider.id);
+  }
+}
+
+module.exports = ProviderRegistry;
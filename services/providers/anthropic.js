@@ -0,0 +1,63 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Anthropic Claude provider
+ */
+class AnthropicProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      id: 'claude',
+      label: 'Claude',
+      model: 'claude-3-7-sonnet-latest',
+      apiKeyEnv: 'ANTHROPIC_API_KEY',
+      limits: {
+        concurrency: 2,
+        requestsPerMinute: 50,
+        tokensPerMinute: 80000
+      },
+      params: {
+        temperature: 0.7,
+        max_tokens: 12000
+      }
+    }, config);
+
+    this.client = null;
+  }
+
+  /**
+   * Lazily create the Anthropic client
+   * @returns {Anthropic}
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new Anthropic({
+        apiKey: this.apiKey,
+      });
+    }
+    return this.client;
+  }
+
+  async generate(prompt, context = {}) {
+    const response = await this.getClient().messages.create({
+      model: this.model,
+      ...this.params,
+      system: this.getSystemPrompt(context),
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    });
+    return {
+      text: response.content[0].text,
+      // Extended thinking is billed within output_tokens and not reported separately
+      usage: response.usage
+        ? BaseProvider.usage(response.usage.input_tokens, response.usage.output_tokens)
+        : null
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,185 @@
+const { parsePredictionResponse } = require('../../utils/responseParser');
+
+/**
+ * Base class for prediction providers.
+ *
+ * A provider module exports a subclass that passes its defaults (id, label,
+ * model, generation params) to this constructor. Entries in
+ * config/providers.json can override any of those defaults, so the same
+ * module can be registered several times under different ids.
+ */
+class BaseProvider {
+  /**
+   * @param {Object} defaults - Defaults declared by the provider module
+   * @param {Object} config - Registry entry from config/providers.json
+   */
+  constructor(defaults = {}, config = {}) {
+    this.config = config;
+    this.id = config.id || defaults.id;
+    this.label = config.label || defaults.label || this.id;
+    this.model = config.model || defaults.model || this.id;
+    this.params = { ...(defaults.params || {}), ...(config.params || {}) };
+    this.apiKeyEnv = config.apiKeyEnv || defaults.apiKeyEnv || null;
+    // 'llm' for model-backed providers, 'baseline' for the statistical forecasters
+    this.kind = config.kind || defaults.kind || 'llm';
+    // 'close' to forecast close prices, 'ohlc' to forecast full candles
+    this.forecastMode = config.forecastMode || defaults.forecastMode || 'close';
+    this.scheduled = config.scheduled !== undefined ? config.scheduled : defaults.scheduled !== false;
+    this.allowPartialExtraction = config.allowPartialExtraction !== undefined
+      ? config.allowPartialExtraction
+      : !!defaults.allowPartialExtraction;
+    // Provider ids tried in order when this provider fails, to fill its slot
+    this.fallback = config.fallback || defaults.fallback || [];
+    // Overrides for the circuit breaker thresholds (see services/circuitBreaker.js)
+    this.breakerOptions = { ...(defaults.breaker || {}), ...(config.breaker || {}) };
+    // Scheduler limits: jobs run at once, and requests/tokens per minute (null for no limit)
+    this.limits = {
+      concurrency: 1,
+      requestsPerMinute: null,
+      tokensPerMinute: null,
+      // Token estimate for a call before any usage has been reported
+      estimatedTokens: 20000,
+      ...(defaults.limits || {}),
+      ...(config.limits || {})
+    };
+
+    if (!this.id) {
+      throw new Error('Provider is missing an id');
+    }
+  }
+
+  /**
+   * API key read from the configured environment variable
+   * @returns {string|null}
+   */
+  get apiKey() {
+    return this.apiKeyEnv ? process.env[this.apiKeyEnv] || null : null;
+  }
+
+  /**
+   * Whether the provider has everything it needs to run
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !this.apiKeyEnv || !!this.apiKey;
+  }
+
+  /**
+   * Copy of this provider that calls a different model, used when a
+   * budget cap downgrades a run
+   * @param {string} model - Model to call
+   * @returns {BaseProvider} New instance with the same config and the given model
+   */
+  withModel(model) {
+    return new this.constructor({ ...this.config, id: this.id, model });
+  }
+
+  /**
+   * System prompt shared by the chat-style providers
+   * @param {Object} context - Generation context
+   * @returns {string}
+   */
+  getSystemPrompt(context = {}) {
+    const count = context.predictionsCount || 24;
+    return `You are a cryptocurrency price prediction expert. Respond only with valid JSON containing exactly ${count} predictions.`;
+  }
+
+  /**
+   * Send the prompt to the model
+   * @param {string} prompt - The formatted prompt
+   * @param {Object} context - Generation context (symbol, interval, klineData, predictionsCount, nextTimestamp, mode)
+   * @returns {Promise<string|Object>} Raw response text, or { text, usage } when the API reports token usage
+   */
+  async generate(prompt, context = {}) {
+    throw new Error(`Provider ${this.id} does not implement generate()`);
+  }
+
+  /**
+   * Normalize a generate() result to { text, usage }
+   * @param {string|Object} result - Raw text or { text, usage }
+   * @returns {Object} { text, usage } with usage as { inputTokens, outputTokens, totalTokens, reasoningTokens } or null
+   */
+  static normalizeResult(result) {
+    if (typeof result === 'string' || result === null || result === undefined) {
+      return { text: result, usage: null };
+    }
+    return { text: result.text, usage: result.usage || null };
+  }
+
+  /**
+   * Error for a response that arrived but cannot be used, keeping the raw
+   * text and usage so the prediction run still records them
+   * @param {string} message - Error message
+   * @param {string} text - Raw response text
+   * @param {Object|null} usage - Token usage
+   * @returns {Error}
+   */
+  static responseError(message, text, usage = null) {
+    const error = new Error(message);
+    error.responseText = text;
+    error.usage = usage;
+    return error;
+  }
+
+  /**
+   * Build a usage object, filling in the total when the API leaves it out.
+   * Output tokens include any reasoning tokens, since both are billed at
+   * the output price.
+   * @param {number|undefined} inputTokens - Prompt tokens
+   * @param {number|undefined} outputTokens - Completion tokens, including reasoning
+   * @param {number|undefined} totalTokens - Total tokens
+   * @param {number|undefined} reasoningTokens - Reasoning (thinking) tokens, when the API reports them
+   * @returns {Object|null} { inputTokens, outputTokens, totalTokens, reasoningTokens }, or null without counts
+   */
+  static usage(inputTokens, outputTokens, totalTokens, reasoningTokens) {
+    if (inputTokens === undefined && outputTokens === undefined && totalTokens === undefined) {
+      return null;
+    }
+    const input = inputTokens || 0;
+    const output = outputTokens || 0;
+    return {
+      inputTokens: input,
+      outputTokens: output,
+      totalTokens: totalTokens || input + output,
+      reasoningTokens: reasoningTokens !== undefined ? reasoningTokens : null
+    };
+  }
+
+  /**
+   * Parse the raw response text into a predictions object
+   * @param {string} text - Raw response text
+   * @returns {Object} Object with a `predictions` array
+   */
+  parseResponse(text) {
+    return parsePredictionResponse(text, {
+      providerId: this.id,
+      allowPartial: this.allowPartialExtraction
+    });
+  }
+
+  /**
+   * Hook for provider-specific diagnostics when a generation attempt fails
+   * @param {Error} error - The error that was raised
+   */
+  onGenerationError(error) {}
+
+  /**
+   * Public description used by the API and frontend
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      label: this.label,
+      model: this.model,
+      kind: this.kind,
+      forecastMode: this.forecastMode,
+      scheduled: this.scheduled,
+      fallback: this.fallback,
+      limits: this.limits,
+      configured: this.isConfigured()
+    };
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,72 @@
+const BaseProvider = require('./baseProvider');
+const { forecastWithBands, getSeasonLength } = require('../../utils/baselineForecasters');
+const { getIntervalMs } = require('../../utils/intervals');
+
+/**
+ * Statistical baseline provider.
+ *
+ * Runs one of the forecasters in utils/baselineForecasters.js on the kline
+ * history instead of calling a model, so it needs no API key. The module is
+ * registered once per method in config/providers.json, with `params.method`
+ * selecting the forecaster.
+ */
+class BaselineProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      id: 'naive',
+      label: 'Naive',
+      kind: 'baseline',
+      // Runs locally, so only concurrency applies
+      limits: {
+        concurrency: 4
+      },
+      params: {
+        method: 'naive'
+      }
+    }, config);
+
+    if (!config.model) {
+      this.model = `baseline-${this.params.method}`;
+    }
+  }
+
+  async generate(prompt, context = {}) {
+    const { interval = '1h', klineData = [], nextTimestamp } = context;
+    const count = context.predictionsCount || 24;
+    const intervalMs = getIntervalMs(interval);
+
+    if (klineData.length === 0) {
+      throw new Error('No historical data available');
+    }
+
+    const lastTimestamp = klineData[klineData.length - 1].timestamp;
+    const startTimestamp = nextTimestamp || lastTimestamp + intervalMs;
+
+    // Rolling generation can start after existing predictions, so skip the
+    // steps between the last candle and the first requested timestamp
+    const offset = Math.max(0, Math.round((startTimestamp - lastTimestamp) / intervalMs) - 1);
+
+    const closes = klineData.map(candle => candle.close);
+    const steps = forecastWithBands(this.params.method, closes, offset + count, {
+      ...this.params,
+      season: this.params.season || getSeasonLength(interval)
+    }).slice(offset);
+
+    // p10/p90 come from the method's own empirical residuals
+    const predictions = steps.map((step, i) => {
+      const prediction = {
+        timestamp: startTimestamp + i * intervalMs,
+        price: parseFloat(step.price.toPrecision(8))
+      };
+      if (step.p10 !== null) {
+        prediction.p10 = parseFloat(step.p10.toPrecision(8));
+        prediction.p90 = parseFloat(step.p90.toPrecision(8));
+      }
+      return prediction;
+    });
+
+    return JSON.stringify({ predictions });
+  }
+}
+
+module.exports = BaselineProvider;
@@ -0,0 +1,116 @@
+const BaseProvider = require('./baseProvider');
+
+const COMBINE_METHODS = ['mean', 'median', 'inverse-error'];
+
+/**
+ * Ensemble provider derived from other providers' predictions.
+ *
+ * It never calls a model. PredictionService.generateEnsemblePredictions
+ * collects the latest prediction from each constituent for every future
+ * target time and combines them with `combine()`. The result is stored under
+ * the ensemble's own ai_provider id, so it is served like any other provider.
+ */
+class EnsembleProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      id: 'ensemble',
+      label: 'Ensemble',
+      kind: 'ensemble',
+      // Recomputed after each constituent run rather than by the cron jobs
+      scheduled: false,
+      params: {
+        method: 'inverse-error',
+        constituents: ['gemini', 'gpt', 'claude'],
+        // Minimum constituents that must cover a target time
+        minConstituents: 2,
+        // Window of resolved predictions used for inverse-error weights
+        lookbackDays: 7
+      }
+    }, config);
+
+    if (!COMBINE_METHODS.includes(this.params.method)) {
+      throw new Error(`Unknown ensemble method: ${this.params.method}. Use one of: ${COMBINE_METHODS.join(', ')}`);
+    }
+
+    if (!config.model) {
+      this.model = `ensemble-${this.params.method}`;
+    }
+  }
+
+  /**
+   * Provider ids this ensemble combines
+   * @returns {Array<string>}
+   */
+  get constituents() {
+    return this.params.constituents;
+  }
+
+  async generate(prompt, context = {}) {
+    throw new Error(`Provider ${this.id} is derived from other providers; use generateEnsemblePredictions()`);
+  }
+
+  /**
+   * Turn each constituent's recent error into a normalised weight.
+   * Providers without resolved predictions get the average weight of the
+   * others, or an equal share when nobody has a track record yet.
+   * @param {Object} errors - Map of provider id to recent MAPE (null when unknown)
+   * @returns {Object} Map of provider id to weight (weights sum to 1)
+   */
+  computeWeights(errors) {
+    const ids = Object.keys(errors);
+    const raw = {};
+
+    if (this.params.method === 'inverse-error') {
+      const known = ids.filter(id => errors[id] !== null && errors[id] !== undefined);
+      for (const id of known) {
+        // Floor the error so a lucky perfect run cannot take all the weight
+        raw[id] = 1 / Math.max(errors[id], 0.01);
+      }
+
+      const fallback = known.length > 0
+        ? known.reduce((sum, id) => sum + raw[id], 0) / known.length
+        : 1;
+      for (const id of ids) {
+        if (raw[id] === undefined) raw[id] = fallback;
+      }
+    } else {
+      for (const id of ids) raw[id] = 1;
+    }
+
+    const total = ids.reduce((sum, id) => sum + raw[id], 0);
+    const weights = {};
+    for (const id of ids) {
+      weights[id] = total > 0 ? raw[id] / total : 0;
+    }
+    return weights;
+  }
+
+  /**
+   * Combine the constituents' prices for one target time
+   * @param {Object} prices - Map of provider id to predicted price
+   * @param {Object} weights - Map of provider id to weight (inverse-error only)
+   * @returns {number} Combined price
+   */
+  combine(prices, weights = {}) {
+    const ids = Object.keys(prices);
+    const values = ids.map(id => prices[id]);
+
+    if (this.params.method === 'median') {
+      const sorted = [...values].sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+    }
+
+    if (this.params.method === 'inverse-error') {
+      // Renormalise over the constituents that cover this target time
+      const total = ids.reduce((sum, id) => sum + (weights[id] || 0), 0);
+      if (total > 0) {
+        return ids.reduce((sum, id) => sum + prices[id] * (weights[id] || 0), 0) / total;
+      }
+    }
+
+    return values.reduce((a, b) => a + b, 0) / values.length;
+  }
+}
+
+module.exports = EnsembleProvider;
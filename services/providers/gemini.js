@@ -0,0 +1,145 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const BaseProvider = require('./baseProvider');
+const {
+  detectResponseTruncation,
+  validateJsonCompleteness,
+  extractPartialPredictions
+} = require('../../utils/responseParser');
+
+/**
+ * Google Gemini provider
+ */
+class GeminiProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      id: 'gemini',
+      label: 'Gemini',
+      model: 'gemini-2.5-pro-preview-05-06',
+      apiKeyEnv: 'GEMINI_API_KEY',
+      allowPartialExtraction: true,
+      // Pro preview models have a low requests-per-minute quota
+      limits: {
+        concurrency: 2,
+        requestsPerMinute: 5,
+        tokensPerMinute: 250000
+      },
+      // Generation config for more consistent output
+      params: {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 60000
+      }
+    }, config);
+
+    this.client = null;
+  }
+
+  /**
+   * Lazily create the Gemini model client
+   * @returns {Object} Generative model
+   */
+  getModel() {
+    if (!this.client) {
+      const genAI = new GoogleGenerativeAI(this.apiKey);
+      this.client = genAI.getGenerativeModel({ model: this.model });
+    }
+    return this.client;
+  }
+
+  async generate(prompt, context = {}) {
+    const result = await this.getModel().generateContent({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: this.params,
+    });
+    const response = await result.response;
+    const text = response.text();
+    const metadata = response.usageMetadata;
+    // Thinking tokens are billed as output but counted outside candidatesTokenCount
+    const usage = metadata
+      ? BaseProvider.usage(
+        metadata.promptTokenCount,
+        (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0),
+        metadata.totalTokenCount,
+        metadata.thoughtsTokenCount
+      )
+      : null;
+
+    // Diagnostic logging for response analysis
+    console.log(`📊 Gemini response length: ${text ? text.length : 0} characters`);
+    if (text && text.length > 0) {
+      const lastChars = text.slice(-50);
+      console.log(`📊 Response ending: "${lastChars}"`);
+    }
+
+    // Validate that Gemini returned a response
+    if (!text || text.trim().length === 0) {
+      throw BaseProvider.responseError('Gemini returned empty response', text, usage);
+    }
+
+    // Enhanced response validation for truncation detection
+    const trimmedText = text.trim();
+
+    // Check for signs of truncation
+    const isTruncated = detectResponseTruncation(trimmedText);
+    if (isTruncated) {
+      console.warn(`⚠️ Detected truncated Gemini response (length: ${text.length})`);
+      console.warn(`⚠️ Response ending: "${trimmedText.slice(-100)}"`);
+      console.log('🔧 Attempting to extract partial predictions from truncated response...');
+
+      // Try to extract partial predictions instead of failing
+      const partialPredictions = extractPartialPredictions(trimmedText);
+      if (partialPredictions && partialPredictions.predictions && partialPredictions.predictions.length > 0) {
+        console.log(`✅ Successfully extracted ${partialPredictions.predictions.length} predictions from truncated response`);
+        // Return the original text so the normal parsing flow can handle the extracted data
+        return { text: trimmedText, usage };
+      } else {
+        console.error(`❌ Could not extract any valid predictions from truncated response`);
+        throw BaseProvider.responseError(`Gemini response is truncated and no valid predictions could be extracted. Response length: ${text.length} characters.`, text, usage);
+      }
+    }
+
+    // Check if response contains JSON structure
+    const jsonMatch = trimmedText.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      console.error('Gemini response without JSON:', text);
+      throw BaseProvider.responseError('Gemini response does not contain valid JSON structure', text, usage);
+    }
+
+    // Validate JSON completeness
+    const jsonText = jsonMatch[0];
+    if (!validateJsonCompleteness(jsonText)) {
+      console.error(`🚨 Incomplete JSON structure detected in Gemini response`);
+      console.error(`🚨 JSON ending: "${jsonText.slice(-100)}"`);
+      throw BaseProvider.responseError('Gemini response contains incomplete JSON structure. Response may be truncated.', text, usage);
+    }
+
+    console.log(`✅ Gemini response validation passed (${text.length} chars, JSON complete)`);
+    return { text, usage };
+  }
+
+  onGenerationError(error) {
+    console.error('🚨 Gemini API Error Details:');
+    console.error(`   - Error: ${error.message}`);
+
+    // Provide specific guidance based on error type
+    if (error.message.includes('truncated') || error.message.includes('incomplete')) {
+      console.error('🔧 Suggested fixes for truncation:');
+      console.error(`   1. Token limit is ${this.params.maxOutputTokens} (raise maxOutputTokens in config/providers.json)`);
+      console.error('   2. Consider reducing prediction count if issue persists');
+      console.error('   3. Try again as this may be a temporary API issue');
+    } else if (error.message.includes('JSON') || error.message.includes('parse')) {
+      console.error('🔧 Suggested fixes for JSON parsing:');
+      console.error('   1. Response validation enhanced (already applied)');
+      console.error('   2. Check if Gemini API is experiencing issues');
+      console.error('   3. Consider using a different AI provider temporarily');
+    } else {
+      console.error('🔧 General troubleshooting:');
+      console.error('   1. Check API key and quota limits');
+      console.error('   2. Verify network connectivity');
+      console.error('   3. Try using a different AI provider');
+    }
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,168 @@
+const BaseProvider = require('./baseProvider');
+const { createRandom, normalSample } = require('../../utils/random');
+const { getIntervalMs } = require('../../utils/intervals');
+
+const MOCK_MODES = ['valid', 'truncated', 'malformed', 'short', 'empty', 'error'];
+
+/**
+ * Deterministic mock provider for offline runs and tests.
+ *
+ * Produces a seeded random walk starting from the last close, so the same
+ * seed, symbol, interval and start timestamp always yield the same
+ * predictions. The `mode` param makes it return known-bad output:
+ *   - valid:     complete JSON
+ *   - truncated: JSON cut off part-way through a prediction object
+ *   - malformed: JSON wrapped in prose with a trailing comma that breaks JSON.parse
+ *   - short:     complete JSON with only `shortRatio` of the requested predictions
+ *   - empty:     an empty string
+ *   - error:     throws, as if the API call failed
+ */
+class MockProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      id: 'mock',
+      label: 'Mock',
+      model: 'mock-random-walk',
+      scheduled: false,
+      allowPartialExtraction: true,
+      limits: {
+        concurrency: 4
+      },
+      params: {
+        seed: 42,
+        mode: 'valid',
+        // Per-step volatility; null estimates it from the kline history
+        volatility: null,
+        drift: 0,
+        shortRatio: 0.4,
+        truncateAt: 0.6
+      }
+    }, config);
+
+    // Environment overrides make it easy to switch modes without editing config
+    if (process.env.MOCK_PROVIDER_MODE) {
+      this.params.mode = process.env.MOCK_PROVIDER_MODE;
+    }
+    if (process.env.MOCK_PROVIDER_SEED) {
+      this.params.seed = parseInt(process.env.MOCK_PROVIDER_SEED);
+    }
+  }
+
+  async generate(prompt, context = {}) {
+    const { mode } = this.params;
+
+    if (!MOCK_MODES.includes(mode)) {
+      throw new Error(`Unknown mock provider mode: ${mode}. Use one of: ${MOCK_MODES.join(', ')}`);
+    }
+
+    if (mode === 'error') {
+      throw new Error('Mock provider simulated API failure');
+    }
+
+    if (mode === 'empty') {
+      return '';
+    }
+
+    const count = mode === 'short'
+      ? Math.max(1, Math.floor((context.predictionsCount || 24) * this.params.shortRatio))
+      : context.predictionsCount || 24;
+
+    const predictions = this.buildPredictions(context, count);
+    const json = JSON.stringify({ predictions }, null, 2);
+
+    if (mode === 'truncated') {
+      // Cut inside a prediction object so the tail is unusable
+      const cutAt = Math.floor(json.length * this.params.truncateAt);
+      const objectStart = json.lastIndexOf('{', cutAt);
+      return json.slice(0, Math.max(objectStart + 20, 1));
+    }
+
+    if (mode === 'malformed') {
+      const broken = json.replace(/\}\s*\]\s*\}\s*$/, '},\n  ]\n}');
+      return `Here is my forecast for ${context.symbol || 'the asset'}:\n\`\`\`json\n${broken}\n\`\`\`\nLet me know if you need anything else.`;
+    }
+
+    return json;
+  }
+
+  /**
+   * Build a seeded random walk from the last close
+   * @param {Object} context - Generation context
+   * @param {number} count - Number of predictions
+   * @returns {Array} Predictions with timestamp, price and p10/p90 band (plus open/high/low/volume in ohlc mode)
+   */
+  buildPredictions(context, count) {
+    const { symbol = 'MOCK', interval = '1h', klineData = [], nextTimestamp, mode = 'close' } = context;
+    const intervalMs = getIntervalMs(interval);
+
+    const lastCandle = klineData[klineData.length - 1];
+    const lastClose = lastCandle ? lastCandle.close : 100;
+    const startTimestamp = nextTimestamp || (lastCandle ? lastCandle.timestamp + intervalMs : 0);
+
+    const volatility = this.params.volatility !== null && this.params.volatility !== undefined
+      ? this.params.volatility
+      : this.estimateVolatility(klineData);
+
+    const random = createRandom(`${this.params.seed}:${symbol}:${interval}:${startTimestamp}`);
+    // Separate stream for the wicks so ohlc mode keeps the same closes as close mode
+    const wickRandom = createRandom(`${this.params.seed}:${symbol}:${interval}:${startTimestamp}:ohlc`);
+    const recentVolumes = klineData.slice(-24).map(k => k.volume).filter(v => v > 0);
+    const averageVolume = recentVolumes.length > 0
+      ? recentVolumes.reduce((a, b) => a + b, 0) / recentVolumes.length
+      : 1000;
+    const predictions = [];
+    let price = lastClose;
+
+    // 1.2816 is the 90th percentile of the standard normal
+    const z90 = 1.2816;
+
+    for (let i = 0; i < count; i++) {
+      const open = price;
+      price = price * Math.exp(this.params.drift + volatility * normalSample(random));
+      const spread = Math.exp(z90 * volatility * Math.sqrt(i + 1));
+      const prediction = {
+        timestamp: startTimestamp + i * intervalMs
+      };
+
+      if (mode === 'ohlc') {
+        const upperWick = Math.exp(volatility * Math.abs(normalSample(wickRandom)) / 2);
+        const lowerWick = Math.exp(volatility * Math.abs(normalSample(wickRandom)) / 2);
+        prediction.open = parseFloat(open.toPrecision(8));
+        prediction.high = parseFloat((Math.max(open, price) * upperWick).toPrecision(8));
+        prediction.low = parseFloat((Math.min(open, price) / lowerWick).toPrecision(8));
+      }
+
+      prediction.price = parseFloat(price.toPrecision(8));
+
+      if (mode === 'ohlc') {
+        prediction.volume = parseFloat((averageVolume * Math.exp(0.3 * normalSample(wickRandom))).toPrecision(8));
+      }
+
+      prediction.p10 = parseFloat((price / spread).toPrecision(8));
+      prediction.p90 = parseFloat((price * spread).toPrecision(8));
+      predictions.push(prediction);
+    }
+
+    return predictions;
+  }
+
+  /**
+   * Standard deviation of log returns over the kline history
+   * @param {Array} klineData - Historical kline data
+   * @returns {number} Per-step volatility
+   */
+  estimateVolatility(klineData) {
+    if (klineData.length < 3) return 0.01;
+
+    const returns = [];
+    for (let i = 1; i < klineData.length; i++) {
+      returns.push(Math.log(klineData[i].close / klineData[i - 1].close));
+    }
+
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) * (r - mean), 0) / (returns.length - 1);
+    return Math.sqrt(variance) || 0.01;
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,71 @@
+const OpenAI = require('openai');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * OpenAI provider using the Responses API (reasoning models)
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      id: 'gpt',
+      label: 'GPT',
+      model: 'o4-mini',
+      apiKeyEnv: 'OPENAI_API_KEY',
+      limits: {
+        concurrency: 2,
+        requestsPerMinute: 30,
+        tokensPerMinute: 200000
+      },
+      params: {
+        reasoning: { effort: 'medium' }
+      }
+    }, config);
+
+    this.client = null;
+  }
+
+  /**
+   * Lazily create the OpenAI client
+   * @returns {OpenAI}
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+      });
+    }
+    return this.client;
+  }
+
+  async generate(prompt, context = {}) {
+    const response = await this.getClient().responses.create({
+      model: this.model,
+      ...this.params,
+      input: [
+        {
+          role: 'system',
+          content: this.getSystemPrompt(context)
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    });
+    const usage = response.usage;
+    return {
+      text: response.output_text,
+      // output_tokens already includes the reasoning tokens
+      usage: usage
+        ? BaseProvider.usage(
+          usage.input_tokens,
+          usage.output_tokens,
+          usage.total_tokens,
+          usage.output_tokens_details ? usage.output_tokens_details.reasoning_tokens : undefined
+        )
+        : null
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,106 @@
+const OpenAI = require('openai');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Provider for any OpenAI-compatible /v1/chat/completions endpoint
+ * (llama.cpp server, vLLM, Ollama, LM Studio).
+ *
+ * The base URL comes from the `baseURL` config key or LOCAL_LLM_BASE_URL,
+ * and the model name from the `model` config key or LOCAL_LLM_MODEL. Most
+ * self-hosted servers ignore the API key, so it is optional. Register the
+ * module several times under different ids to compare local models.
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      id: 'local',
+      label: 'Local',
+      model: process.env.LOCAL_LLM_MODEL || 'local-model',
+      apiKeyEnv: 'LOCAL_LLM_API_KEY',
+      scheduled: false,
+      // Smaller open-weights models truncate and wrap JSON more often
+      allowPartialExtraction: true,
+      params: {
+        temperature: 0.7,
+        max_tokens: 12000
+      }
+    }, config);
+
+    this.baseURL = config.baseURL || process.env.LOCAL_LLM_BASE_URL || 'http://localhost:8080/v1';
+    // Local inference is slow, so allow much longer than the SDK default
+    this.timeoutMs = config.timeoutMs || 10 * 60 * 1000;
+    this.client = null;
+  }
+
+  /**
+   * The API key is optional for self-hosted servers
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!this.baseURL;
+  }
+
+  /**
+   * Lazily create the OpenAI client pointed at the local server
+   * @returns {OpenAI}
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey || 'not-needed',
+        baseURL: this.baseURL,
+        timeout: this.timeoutMs,
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  async generate(prompt, context = {}) {
+    const response = await this.getClient().chat.completions.create({
+      model: this.model,
+      ...this.params,
+      messages: [
+        {
+          role: 'system',
+          content: this.getSystemPrompt(context)
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    });
+
+    const choice = response.choices && response.choices[0];
+    if (!choice || !choice.message || !choice.message.content) {
+      throw new Error(`Empty response from ${this.baseURL}`);
+    }
+
+    if (choice.finish_reason === 'length') {
+      console.warn(`⚠️ ${this.id} response hit max_tokens (${this.params.max_tokens}) and may be truncated`);
+    }
+
+    return {
+      // Reasoning models (DeepSeek-R1, Qwen3) prepend their thinking in <think> tags
+      text: choice.message.content.replace(/<think>[\s\S]*?<\/think>/g, '').trim(),
+      usage: response.usage
+        ? BaseProvider.usage(
+          response.usage.prompt_tokens,
+          response.usage.completion_tokens,
+          response.usage.total_tokens,
+          response.usage.completion_tokens_details ? response.usage.completion_tokens_details.reasoning_tokens : undefined
+        )
+        : null
+    };
+  }
+
+  onGenerationError(error) {
+    if (error.code === 'ECONNREFUSED' || /Connection error/i.test(error.message)) {
+      console.error(`🔧 Could not reach ${this.baseURL} - is the local model server running?`);
+      console.error('🔧 Set LOCAL_LLM_BASE_URL to the server\'s OpenAI-compatible base URL (e.g. http://localhost:11434/v1 for Ollama)');
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
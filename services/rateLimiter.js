@@ -0,0 +1,177 @@
+const MINUTE = 60 * 1000;
+
+/**
+ * Token bucket refilled continuously at `perMinute` per minute, holding at
+ * most one minute's worth. Taking more than is available leaves the bucket
+ * in debt, which later callers wait out.
+ */
+class TokenBucket {
+  /**
+   * @param {number} perMinute - Refill rate and capacity
+   * @param {number} now - Current time
+   */
+  constructor(perMinute, now = Date.now()) {
+    this.capacity = perMinute;
+    this.available = perMinute;
+    this.updatedAt = now;
+  }
+
+  /**
+   * Add what has been refilled since the last update
+   * @param {number} now - Current time
+   */
+  refill(now = Date.now()) {
+    const elapsed = Math.max(0, now - this.updatedAt);
+    this.available = Math.min(this.capacity, this.available + elapsed * this.capacity / MINUTE);
+    this.updatedAt = now;
+  }
+
+  /**
+   * How long until `amount` can be taken. Amounts above the capacity only
+   * wait for a full bucket.
+   * @param {number} amount - Amount to take
+   * @param {number} now - Current time
+   * @returns {number} Milliseconds to wait, 0 if available now
+   */
+  waitTime(amount, now = Date.now()) {
+    this.refill(now);
+    const missing = Math.min(amount, this.capacity) - this.available;
+    return missing > 0 ? Math.ceil(missing * MINUTE / this.capacity) : 0;
+  }
+
+  /**
+   * Take `amount` from the bucket. A negative amount gives it back.
+   * @param {number} amount - Amount to take
+   * @param {number} now - Current time
+   */
+  take(amount, now = Date.now()) {
+    this.refill(now);
+    this.available = Math.min(this.capacity, this.available - amount);
+  }
+}
+
+/**
+ * Per-provider rate limiter with a requests-per-minute and a
+ * tokens-per-minute bucket. Either limit may be null.
+ *
+ * A call's token count is only known once it returns, so acquire() takes an
+ * estimate (a running average of recent calls) and settle() corrects the
+ * bucket by the difference. Callers are served in the order they asked.
+ */
+class RateLimiter {
+  /**
+   * @param {string} name - Provider id, used in messages
+   * @param {Object} limits - { requestsPerMinute, tokensPerMinute, estimatedTokens }
+   */
+  constructor(name, { requestsPerMinute = null, tokensPerMinute = null, estimatedTokens = 0 } = {}) {
+    this.name = name;
+    this.requests = requestsPerMinute ? new TokenBucket(requestsPerMinute) : null;
+    this.tokens = tokensPerMinute ? new TokenBucket(tokensPerMinute) : null;
+    this.estimatedTokens = estimatedTokens;
+    this.waiting = 0;
+    this.lastWaitMs = 0;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * How long until a call using `estimate` tokens fits both buckets
+   * @param {number} estimate - Tokens the call is expected to use
+   * @param {number} now - Current time
+   * @returns {number} Milliseconds to wait
+   */
+  getWaitMs(estimate, now = Date.now()) {
+    return Math.max(
+      this.requests ? this.requests.waitTime(1, now) : 0,
+      this.tokens ? this.tokens.waitTime(estimate, now) : 0
+    );
+  }
+
+  /**
+   * Wait for room under both limits, then reserve a request and the
+   * estimated tokens
+   * @returns {Promise<Object>} Ticket { estimate, waitedMs } to pass to settle()
+   */
+  acquire() {
+    this.waiting++;
+    const ticket = this.pending.then(() => this.reserve());
+    // Keep the chain alive if a caller's wait is interrupted
+    this.pending = ticket.catch(() => {});
+    return ticket.finally(() => {
+      this.waiting--;
+    });
+  }
+
+  /**
+   * Sleep until the next call fits, then take it from the buckets
+   * @returns {Promise<Object>} { estimate, waitedMs }
+   */
+  async reserve() {
+    const startedAt = Date.now();
+    const estimate = Math.round(this.estimatedTokens);
+
+    let waitMs = this.getWaitMs(estimate);
+    while (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      waitMs = this.getWaitMs(estimate);
+    }
+
+    const now = Date.now();
+    if (this.requests) {
+      this.requests.take(1, now);
+    }
+    if (this.tokens) {
+      this.tokens.take(estimate, now);
+    }
+
+    const waitedMs = now - startedAt;
+    this.lastWaitMs = waitedMs;
+    if (waitedMs > 0) {
+      console.log(`🚦 ${this.name} rate limit held a call for ${(waitedMs / 1000).toFixed(1)}s`);
+    }
+    return { estimate, waitedMs };
+  }
+
+  /**
+   * Correct the token bucket once a call's usage is known
+   * @param {Object} ticket - Ticket returned by acquire()
+   * @param {Object|null} usage - { totalTokens } reported by the provider
+   * @param {number} now - Current time
+   */
+  settle(ticket, usage, now = Date.now()) {
+    if (!usage || !usage.totalTokens) {
+      return;
+    }
+    if (this.tokens) {
+      this.tokens.take(usage.totalTokens - ticket.estimate, now);
+    }
+    this.estimatedTokens = this.estimatedTokens
+      ? 0.8 * this.estimatedTokens + 0.2 * usage.totalTokens
+      : usage.totalTokens;
+  }
+
+  /**
+   * Limiter state for the status endpoint
+   * @param {number} now - Current time
+   * @returns {Object}
+   */
+  getStatus(now = Date.now()) {
+    if (this.requests) {
+      this.requests.refill(now);
+    }
+    if (this.tokens) {
+      this.tokens.refill(now);
+    }
+    return {
+      requestsPerMinute: this.requests ? this.requests.capacity : null,
+      tokensPerMinute: this.tokens ? this.tokens.capacity : null,
+      availableRequests: this.requests ? Math.floor(this.requests.available) : null,
+      availableTokens: this.tokens ? Math.floor(this.tokens.available) : null,
+      estimatedTokens: Math.round(this.estimatedTokens),
+      waiting: this.waiting,
+      lastWaitMs: this.lastWaitMs
+    };
+  }
+}
+
+module.exports = RateLimiter;
+module.exports.TokenBucket = TokenBucket;
\ No newline at end of file
@@ -0,0 +1,572 @@
+const cron = require('node-cron');
+const fs = require('fs');
+const path = require('path');
+const { parseCronExpression, createCronMatcher } = require('../utils/cronMatcher');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'schedule.json');
+
+// How often the config file is checked for changes
+const WATCH_INTERVAL_MS = 2000;
+
+const MINUTE = 60 * 1000;
+
+// How far back the last scheduled slot is looked for when catching up
+const CATCH_UP_WINDOW_MS = 7 * 24 * 60 * MINUTE;
+
+// Failed pairs kept in job_runs.errors for one run
+const MAX_RECORDED_ERRORS = 20;
+
+// Values of job_runs.status
+const JOB_RUN_STATUSES = ['running', 'succeeded', 'partial', 'failed', 'skipped', 'interrupted'];
+
+/**
+ * Runs scheduled prediction jobs declared in config/schedule.json.
+ *
+ * Each job names a cron expression, an interval, and optionally the symbols
+ * and providers to run (all symbols and the scheduled providers when left
+ * out), the rolling window, refresh steps, retries and generation options.
+ * Every symbol/provider pair goes through the prediction service's job
+ * queue and tops up its rolling window of future predictions.
+ *
+ * The config is validated as a whole before anything is scheduled. It is
+ * reloaded when the file changes; a config that fails validation is
+ * reported and the running schedule is kept.
+ *
+ * Every run is recorded in job_runs. At startup, a job whose last cron slot
+ * passed without a run (the server was down) is run once to catch up.
+ * Shares the prediction service's database connection.
+ */
+class SchedulerService {
+  /**
+   * @param {PredictionService} predictionService - Service whose queue and providers are used
+   * @param {Object} options - Scheduler options
+   * @param {string} options.configPath - Path to the schedule config file
+   * @param {Array<string>} options.symbols - Symbols jobs may run
+   * @param {Array<string>} options.intervals - Intervals jobs may run
+   * @param {Array<string>} options.modes - Forecast modes jobs may request
+   */
+  constructor(predictionService, {
+    configPath = process.env.SCHEDULE_CONFIG || DEFAULT_CONFIG_PATH,
+    symbols = [],
+    intervals = [],
+    modes = []
+  } = {}) {
+    this.predictionService = predictionService;
+    this.db = predictionService.db;
+    this.configPath = configPath;
+    this.symbols = symbols;
+    this.intervals = intervals;
+    this.modes = modes;
+    this.jobs = [];
+    this.tasks = new Map();
+    // Run state by job id, kept across reloads
+    this.history = new Map();
+    this.loadedAt = null;
+    this.lastReloadError = null;
+    this.watching = false;
+  }
+
+  /**
+   * Read and validate the config file
+   * @returns {Array<Object>} Enabled jobs with defaults applied
+   * @throws {Error} Listing every problem found in the config
+   */
+  load() {
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    const entries = Array.isArray(config.jobs) ? config.jobs.filter(entry => entry.enabled !== false) : [];
+    const problems = [];
+    const ids = new Set();
+
+    if (!Array.isArray(config.jobs)) {
+      problems.push('"jobs" must be an array');
+    }
+
+    const jobs = entries.map((entry, index) => {
+      const name = entry.id || `jobs[${index}]`;
+      const job = {
+        id: entry.id,
+        cron: entry.cron,
+        interval: entry.interval,
+        symbols: entry.symbols || null,
+        providers: entry.providers || null,
+        window: entry.window !== undefined ? entry.window : 24,
+        refresh: entry.refresh !== undefined ? entry.refresh : 0,
+        maxRetries: entry.maxRetries !== undefined ? entry.maxRetries : 3,
+        options: entry.options || {},
+        timezone: entry.timezone || null,
+        runOnStartup: !!entry.runOnStartup,
+        catchUp: entry.catchUp !== false
+      };
+
+      if (typeof job.id !== 'string' || job.id === '') {
+        problems.push(`${name}: missing an id`);
+      } else if (ids.has(job.id)) {
+        problems.push(`${name}: duplicate id`);
+      }
+      ids.add(job.id);
+
+      // Seconds fields are rejected: missed slots are looked for minute by minute
+      try {
+        parseCronExpression(job.cron);
+        if (!cron.validate(job.cron)) {
+          throw new Error('not accepted by node-cron');
+        }
+      } catch (error) {
+        problems.push(`${name}: invalid cron expression "${job.cron}" (${error.message})`);
+      }
+      if (!this.intervals.includes(job.interval)) {
+        problems.push(`${name}: interval must be one of ${this.intervals.join(', ')}`);
+      }
+      if (job.symbols !== null) {
+        if (!Array.isArray(job.symbols) || job.symbols.length === 0) {
+          problems.push(`${name}: symbols must be a non-empty array`);
+        } else {
+          // Symbols come and go through the admin API, so an untracked one is
+          // skipped when the job runs rather than failing the config
+          job.symbols.filter(symbol => !this.symbols.includes(symbol))
+            .forEach(symbol => console.warn(`⚠️ ${name}: skipping untracked symbol ${symbol}`));
+        }
+      }
+      if (job.providers !== null) {
+        if (!Array.isArray(job.providers) || job.providers.length === 0) {
+          problems.push(`${name}: providers must be a non-empty array`);
+        } else {
+          job.providers.filter(id => !this.predictionService.providers.has(id))
+            .forEach(id => problems.push(`${name}: unknown provider ${id}`));
+        }
+      }
+      if (!Number.isInteger(job.window) || job.window < 1) {
+        problems.push(`${name}: window must be a positive integer`);
+      }
+      if (!Number.isInteger(job.refresh) || job.refresh < 0 || job.refresh > job.window) {
+        problems.push(`${name}: refresh must be an integer from 0 to the window size`);
+      }
+      if (!Number.isInteger(job.maxRetries) || job.maxRetries < 0) {
+        problems.push(`${name}: maxRetries must be a non-negative integer`);
+      }
+      if (job.options.mode !== undefined && !this.modes.includes(job.options.mode)) {
+        problems.push(`${name}: options.mode must be one of ${this.modes.join(', ')}`);
+      }
+      if (job.timezone !== null) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: job.timezone });
+        } catch (error) {
+          problems.push(`${name}: unknown timezone "${job.timezone}"`);
+        }
+      }
+
+      return job;
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid schedule config ${this.configPath}:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Load the config, schedule its jobs and start watching the file
+   * @throws {Error} If the config is invalid
+   */
+  start() {
+    this.schedule(this.load());
+
+    if (!this.watching) {
+      fs.watchFile(this.configPath, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          this.reload();
+        }
+      });
+      this.watching = true;
+    }
+  }
+
+  /**
+   * Replace the scheduled cron tasks with the given jobs. Jobs that are
+   * running carry on; only their future runs change.
+   * @param {Array<Object>} jobs - Validated jobs
+   */
+  schedule(jobs) {
+    // Every new task is created before the old ones are stopped, so a job
+    // node-cron rejects leaves the current schedule running
+    const tasks = new Map();
+    for (const job of jobs) {
+      const options = job.timezone ? { scheduled: false, timezone: job.timezone } : { scheduled: false };
+      tasks.set(job.id, cron.schedule(job.cron, () => {
+        const scheduledFor = Math.floor(Date.now() / MINUTE) * MINUTE;
+        this.runJob(job, { trigger: 'schedule', scheduledFor }).catch(error => {
+          console.error(`Fatal error in ${job.id} prediction generation:`, error);
+        });
+      }, options));
+    }
+
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    for (const task of tasks.values()) {
+      task.start();
+    }
+
+    this.tasks = tasks;
+    this.jobs = jobs;
+    this.loadedAt = Date.now();
+    console.log(`📅 Scheduled ${jobs.length} prediction jobs: ${jobs.map(job => `${job.id} (${job.cron})`).join(', ')}`);
+  }
+
+  /**
+   * Reload the config file. An invalid config is reported and the
+   * current schedule is kept.
+   * @returns {boolean} Whether the new config was applied
+   */
+  reload() {
+    try {
+      const jobs = this.load();
+      console.log(`🔄 Reloading schedule from ${this.configPath}`);
+      this.schedule(jobs);
+      this.lastReloadError = null;
+      return true;
+    } catch (error) {
+      console.error(`❌ Keeping the current schedule: ${error.message}`);
+      this.lastReloadError = error.message;
+      return false;
+    }
+  }
+
+  /**
+   * Run state for a job id
+   * @param {string} jobId - Job id
+   * @returns {Object}
+   */
+  getHistory(jobId) {
+    if (!this.history.has(jobId)) {
+      this.history.set(jobId, {
+        running: false,
+        lastStartedAt: null,
+        lastFinishedAt: null,
+        lastSucceeded: null,
+        lastFailed: null
+      });
+    }
+    return this.history.get(jobId);
+  }
+
+  /**
+   * Run a statement and resolve with its lastID/changes
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Statement parameters
+   * @returns {Promise<Object>} { lastID, changes }
+   */
+  runStatement(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        }
+      });
+    });
+  }
+
+  /**
+   * Record the start of a job run
+   * @param {Object} job - Validated job
+   * @param {Object} run - { trigger, scheduledFor, status, total, startedAt }
+   * @returns {Promise<number>} job_runs id
+   */
+  async recordRunStart(job, { trigger, scheduledFor, status = 'running', total = 0, startedAt }) {
+    const { lastID } = await this.runStatement(`
+      INSERT INTO job_runs (job_id, interval, trigger, scheduled_for, status, total, started_at, finished_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [job.id, job.interval, trigger, scheduledFor, status, total, startedAt, status === 'running' ? null : startedAt]);
+    return lastID;
+  }
+
+  /**
+   * Record how a job run ended
+   * @param {number} runId - job_runs id
+   * @param {Object} outcome - { status, succeeded, failed, errors }
+   * @returns {Promise<void>}
+   */
+  async recordRunFinish(runId, { status, succeeded, failed, errors }) {
+    await this.runStatement(`
+      UPDATE job_runs
+      SET status = ?, succeeded = ?, failed = ?, errors = ?, finished_at = ?
+      WHERE id = ?
+    `, [status, succeeded, failed, errors.length > 0 ? JSON.stringify(errors.slice(0, MAX_RECORDED_ERRORS)) : null, Date.now(), runId]);
+  }
+
+  /**
+   * Generate predictions for every symbol and provider of a job. A run is
+   * skipped while the job's previous run is still going.
+   * @param {Object} job - Validated job
+   * @param {Object} options - Run options
+   * @param {string} options.trigger - 'schedule', 'startup' or 'catch-up'
+   * @param {number} options.scheduledFor - Cron slot the run covers (null for startup runs)
+   * @returns {Promise<Object>} { jobId, runId, trigger, status, skipped, succeeded, failed, generated }
+   */
+  async runJob(job, { trigger = 'schedule', scheduledFor = null } = {}) {
+    const history = this.getHistory(job.id);
+    const startedAt = Date.now();
+    const recordError = error => {
+      console.error(`Error recording ${job.id} job run:`, error.message);
+      return null;
+    };
+
+    if (history.running) {
+      console.warn(`⏭️ Skipping ${job.id} prediction generation: the previous run is still going`);
+      const runId = await this.recordRunStart(job, { trigger, scheduledFor, status: 'skipped', startedAt }).catch(recordError);
+      return { jobId: job.id, runId, trigger, status: 'skipped', skipped: true, succeeded: 0, failed: 0, generated: 0 };
+    }
+
+    console.log(`\n⏰ Running ${trigger === 'schedule' ? 'scheduled' : trigger} ${job.id} prediction generation...`);
+    history.running = true;
+    history.lastStartedAt = startedAt;
+
+    // Symbols removed from the registry since the job was loaded are skipped
+    const symbols = (job.symbols || this.symbols).filter(symbol => this.symbols.includes(symbol));
+    const providers = (job.providers || this.predictionService.providers.getScheduledIds())
+      .filter(id => this.predictionService.providers.has(id));
+    const waits = {};
+    const errors = [];
+    let generated = 0;
+    let succeeded = 0;
+    let failed = 0;
+
+    const runId = await this.recordRunStart(job, { trigger, scheduledFor, total: symbols.length * providers.length, startedAt })
+      .catch(recordError);
+
+    const runs = [];
+    for (const provider of providers) {
+      waits[provider] = [];
+      for (const symbol of symbols) {
+        runs.push(this.predictionService.queueRollingPredictions(symbol, job.interval, provider, {
+          ...job.options,
+          maxRetries: job.maxRetries,
+          window: job.window,
+          refresh: job.refresh
+        })
+          .then(result => {
+            waits[provider].push(result.queueWaitMs);
+            if (result.success) {
+              succeeded++;
+              generated += result.generated || 0;
+              console.log(`✅ Generated ${job.id} predictions for ${symbol} using ${provider}`);
+            } else {
+              failed++;
+              errors.push({ symbol, provider, error: result.error });
+              console.error(`❌ Failed to generate ${job.id} predictions for ${symbol} using ${provider}: ${result.error}`);
+            }
+          })
+          .catch(error => {
+            failed++;
+            errors.push({ symbol, provider, error: error.message });
+            console.error(`❌ Error generating ${job.id} predictions for ${symbol} using ${provider}:`, error.message);
+          }));
+      }
+    }
+
+    try {
+      await Promise.all(runs);
+    } finally {
+      history.running = false;
+      history.lastFinishedAt = Date.now();
+      history.lastSucceeded = succeeded;
+      history.lastFailed = failed;
+    }
+
+    const status = failed === 0 ? 'succeeded' : succeeded === 0 ? 'failed' : 'partial';
+    if (runId !== null) {
+      await this.recordRunFinish(runId, { status, succeeded, failed, errors }).catch(recordError);
+    }
+
+    for (const provider of providers) {
+      if (waits[provider].length > 0) {
+        const average = waits[provider].reduce((sum, wait) => sum + wait, 0) / waits[provider].length;
+        console.log(`⏳ ${provider} queue wait: avg ${(average / 1000).toFixed(1)}s, max ${(Math.max(...waits[provider]) / 1000).toFixed(1)}s`);
+      }
+    }
+
+    console.log(`✅ Scheduled ${job.id} prediction generation completed (${succeeded} succeeded, ${failed} failed, ${generated} predictions generated)\n`);
+    return { jobId: job.id, runId, trigger, status, skipped: false, succeeded, failed, generated };
+  }
+
+  /**
+   * Most recent cron slot of a job at or before a time
+   * @param {Object} job - Validated job
+   * @param {number} now - Current time
+   * @returns {number|null} Slot start, or null if there is none within CATCH_UP_WINDOW_MS
+   */
+  previousSlot(job, now = Date.now()) {
+    const matches = createCronMatcher(job.cron, job.timezone);
+    for (let slot = Math.floor(now / MINUTE) * MINUTE; slot > now - CATCH_UP_WINDOW_MS; slot -= MINUTE) {
+      if (matches(new Date(slot))) {
+        return slot;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The job's last cron slot, if no run has started since it
+   * @param {Object} job - Validated job
+   * @param {number} now - Current time
+   * @returns {Promise<number|null>} Missed slot, or null if the job is up to date
+   */
+  findMissedSlot(job, now = Date.now()) {
+    const slot = this.previousSlot(job, now);
+    if (slot === null) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.get(`
+        SELECT COUNT(*) as count
+        FROM job_runs
+        WHERE job_id = ? AND started_at >= ? AND status != 'interrupted'
+      `, [job.id, slot], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row.count === 0 ? slot : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Mark runs left 'running' by a previous process as interrupted
+   * @returns {Promise<number>} Runs marked
+   */
+  async markInterruptedRuns() {
+    const { changes } = await this.runStatement(`
+      UPDATE job_runs
+      SET status = 'interrupted', finished_at = COALESCE(finished_at, ?)
+      WHERE status = 'running'
+    `, [Date.now()]);
+    if (changes > 0) {
+      console.warn(`⚠️ Marked ${changes} job runs interrupted by a restart`);
+    }
+    return changes;
+  }
+
+  /**
+   * Startup runs, one job after another: a job that missed its last cron
+   * slot is caught up, and otherwise run if it is marked runOnStartup
+   * @returns {Promise<Array<Object>>} runJob results
+   */
+  async runStartupJobs() {
+    await this.markInterruptedRuns().catch(error => {
+      console.error('Error marking interrupted job runs:', error.message);
+    });
+
+    const results = [];
+    for (const job of this.jobs) {
+      const missed = job.catchUp
+        ? await this.findMissedSlot(job).catch(error => {
+          console.error(`Error checking ${job.id} for missed runs:`, error.message);
+          return null;
+        })
+        : null;
+
+      if (missed === null && !job.runOnStartup) {
+        continue;
+      }
+      if (missed !== null) {
+        console.log(`⏪ ${job.id} missed its ${new Date(missed).toISOString()} run, catching up`);
+      }
+
+      const trigger = missed !== null ? 'catch-up' : 'startup';
+      results.push(await this.runJob(job, { trigger, scheduledFor: missed }).catch(error => {
+        console.error(`Error generating initial ${job.id} predictions:`, error);
+        return { jobId: job.id, runId: null, trigger, status: 'failed', skipped: false, succeeded: 0, failed: 0, generated: 0 };
+      }));
+    }
+    return results;
+  }
+
+  /**
+   * Recorded job runs, newest first
+   * @param {Object} filters - Filters
+   * @param {string} filters.jobId - Only this job
+   * @param {string} filters.status - Only runs with this status (see JOB_RUN_STATUSES)
+   * @param {number} filters.limit - Maximum rows (default: 50)
+   * @param {number} filters.offset - Rows to skip (default: 0)
+   * @returns {Promise<Array>} job_runs rows with `errors` parsed
+   */
+  getJobRuns({ jobId = null, status = null, limit = 50, offset = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM job_runs WHERE 1 = 1';
+      const params = [];
+
+      if (jobId) {
+        query += ' AND job_id = ?';
+        params.push(jobId);
+      }
+      if (status) {
+        query += ' AND status = ?';
+        params.push(status);
+      }
+
+      query += ' ORDER BY started_at DESC, id DESC LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({
+            ...row,
+            errors: row.errors ? JSON.parse(row.errors) : []
+          })));
+        }
+      });
+    });
+  }
+
+  /**
+   * Replace the symbols jobs run, e.g. after one is added through the admin
+   * API. Jobs without a symbols list pick the change up on their next run.
+   * @param {Array<string>} symbols - Tracked symbols
+   */
+  setSymbols(symbols) {
+    this.symbols = [...symbols];
+  }
+
+  /**
+   * Schedule and run state for the status endpoint
+   * @returns {Object} { configPath, loadedAt, lastReloadError, jobs }
+   */
+  getStatus() {
+    return {
+      configPath: this.configPath,
+      loadedAt: this.loadedAt,
+      lastReloadError: this.lastReloadError,
+      jobs: this.jobs.map(job => ({
+        ...job,
+        symbols: job.symbols || this.symbols,
+        providers: job.providers || this.predictionService.providers.getScheduledIds(),
+        ...this.getHistory(job.id)
+      }))
+    };
+  }
+
+  /**
+   * Stop all cron tasks and stop watching the config file
+   */
+  stop() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+
+    if (this.watching) {
+      fs.unwatchFile(this.configPath);
+      this.watching = false;
+    }
+  }
+}
+
+module.exports = SchedulerService;
+module.exports.JOB_RUN_STATUSES = JOB_RUN_STATUSES;
\ No newline at end of file
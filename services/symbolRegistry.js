@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'symbols.json');
+
+// Exchange base assets, e.g. BTC or 1000SATS (quoted against USDT)
+const SYMBOL_PATTERN = /^[A-Z0-9]{2,15}$/;
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+/**
+ * Registry of the symbols the dashboard tracks.
+ *
+ * config/symbols.json seeds the symbols table; after that the table is the
+ * source of truth and is edited at runtime through the admin API. Removing
+ * a symbol disables it, so its history is kept and the seed does not bring
+ * it back on the next start.
+ *
+ * The config entries are available as soon as the registry is created;
+ * sync() merges in the table once migrations have run.
+ */
+class SymbolRegistry {
+  /**
+   * @param {sqlite3.Database} db - Database connection
+   * @param {string} configPath - Path to the symbols config file
+   */
+  constructor(db, configPath = process.env.SYMBOLS_CONFIG || DEFAULT_CONFIG_PATH) {
+    this.db = db;
+    this.configPath = configPath;
+    this.symbols = new Map();
+    // Onboarding state of symbols added at runtime, by symbol
+    this.onboarding = new Map();
+
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    this.seed = (config.symbols || []).map((entry, index) => ({
+      ...SymbolRegistry.normalize(entry),
+      enabled: entry.enabled !== false,
+      sortOrder: index
+    }));
+    for (const entry of this.seed) {
+      this.symbols.set(entry.symbol, entry);
+    }
+  }
+
+  /**
+   * Validate a symbol entry and fill in defaults
+   * @param {Object} entry - { symbol, name, color, gradient }
+   * @returns {Object} { symbol, name, color, gradient }
+   */
+  static normalize(entry) {
+    const symbol = typeof entry.symbol === 'string' ? entry.symbol.trim().toUpperCase() : '';
+    const problems = [];
+
+    if (!SYMBOL_PATTERN.test(symbol)) {
+      problems.push('symbol must be 2-15 letters or digits, e.g. BTC');
+    }
+    if (entry.name !== undefined && (typeof entry.name !== 'string' || entry.name.trim() === '')) {
+      problems.push('name must be a non-empty string');
+    }
+    if (entry.color !== undefined && !COLOR_PATTERN.test(entry.color)) {
+      problems.push('color must be a hex color such as #FFD700');
+    }
+    if (entry.gradient !== undefined && entry.gradient !== null &&
+        (!Array.isArray(entry.gradient) || entry.gradient.length < 2 || !entry.gradient.every(stop => COLOR_PATTERN.test(stop)))) {
+      problems.push('gradient must be an array of at least 2 hex colors');
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid symbol ${symbol || '(unnamed)'}: ${problems.join('; ')}`);
+    }
+
+    return {
+      symbol,
+      name: entry.name !== undefined ? entry.name.trim() : symbol,
+      color: entry.color || '#FFFFFF',
+      gradient: entry.gradient || null
+    };
+  }
+
+  /**
+   * Seed the table from the config file and load every row from it
+   * @returns {Promise<Array>} Enabled symbols
+   */
+  async sync() {
+    const now = Date.now();
+    for (const entry of this.seed) {
+      await this.run(`
+        INSERT OR IGNORE INTO symbols (symbol, name, color, gradient, enabled, sort_order, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [entry.symbol, entry.name, entry.color, entry.gradient ? JSON.stringify(entry.gradient) : null,
+        entry.enabled ? 1 : 0, entry.sortOrder, now, now]);
+    }
+
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM symbols ORDER BY sort_order, symbol', (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    this.symbols.clear();
+    for (const row of rows) {
+      this.symbols.set(row.symbol, {
+        symbol: row.symbol,
+        name: row.name,
+        color: row.color,
+        gradient: row.gradient ? JSON.parse(row.gradient) : null,
+        enabled: row.enabled === 1,
+        sortOrder: row.sort_order
+      });
+    }
+
+    return this.list();
+  }
+
+  /**
+   * Ids of the enabled symbols, in display order
+   * @returns {Array<string>}
+   */
+  ids() {
+    return this.list().map(entry => entry.symbol);
+  }
+
+  /**
+   * Check whether a symbol is enabled
+   * @param {string} symbol - Symbol id
+   * @returns {boolean}
+   */
+  has(symbol) {
+    const entry = this.symbols.get(symbol);
+    return Boolean(entry && entry.enabled);
+  }
+
+  /**
+   * Symbols in display order
+   * @param {Object} options - { includeDisabled }
+   * @returns {Array<Object>} { symbol, name, color, gradient, enabled }
+   */
+  list({ includeDisabled = false } = {}) {
+    return [...this.symbols.values()]
+      .filter(entry => includeDisabled || entry.enabled)
+      .sort((a, b) => a.sortOrder - b.sortOrder || a.symbol.localeCompare(b.symbol))
+      .map(({ sortOrder, ...entry }) => entry);
+  }
+
+  /**
+   * Add a symbol, or re-enable a removed one with the given details
+   * @param {Object} entry - { symbol, name, color, gradient }
+   * @returns {Promise<Object>} The symbol entry
+   */
+  async add(entry) {
+    const normalized = SymbolRegistry.normalize(entry);
+    const existing = this.symbols.get(normalized.symbol);
+
+    if (existing && existing.enabled) {
+      const error = new Error(`Symbol ${normalized.symbol} is already tracked`);
+      error.code = 'SYMBOL_EXISTS';
+      throw error;
+    }
+
+    const now = Date.now();
+    const sortOrder = existing
+      ? existing.sortOrder
+      : Math.max(-1, ...[...this.symbols.values()].map(other => other.sortOrder)) + 1;
+    const added = {
+      symbol: normalized.symbol,
+      name: entry.name !== undefined ? normalized.name : existing ? existing.name : normalized.name,
+      color: entry.color !== undefined ? normalized.color : existing ? existing.color : normalized.color,
+      gradient: entry.gradient !== undefined ? normalized.gradient : existing ? existing.gradient : null,
+      enabled: true,
+      sortOrder
+    };
+
+    await this.run(`
+      INSERT INTO symbols (symbol, name, color, gradient, enabled, sort_order, created_at, updated_at)
+      VALUES (?, ?, ?, ?, 1, ?, ?, ?)
+      ON CONFLICT(symbol) DO UPDATE SET
+        name = excluded.name,
+        color = excluded.color,
+        gradient = excluded.gradient,
+        enabled = 1,
+        updated_at = excluded.updated_at
+    `, [added.symbol, added.name, added.color, added.gradient ? JSON.stringify(added.gradient) : null, sortOrder, now, now]);
+
+    this.symbols.set(added.symbol, added);
+    console.log(`🪙 ${existing ? 'Re-enabled' : 'Added'} symbol ${added.symbol}`);
+    return this.toJSON(added);
+  }
+
+  /**
+   * Change a tracked symbol's name, color or gradient
+   * @param {string} symbol - Symbol id
+   * @param {Object} changes - { name, color, gradient }
+   * @returns {Promise<Object>} The updated entry
+   */
+  async update(symbol, changes) {
+    const existing = this.requireSymbol(symbol);
+    const normalized = SymbolRegistry.normalize({ ...changes, symbol });
+    const updated = {
+      ...existing,
+      name: changes.name !== undefined ? normalized.name : existing.name,
+      color: changes.color !== undefined ? normalized.color : existing.color,
+      gradient: changes.gradient !== undefined ? normalized.gradient : existing.gradient
+    };
+
+    await this.run('UPDATE symbols SET name = ?, color = ?, gradient = ?, updated_at = ? WHERE symbol = ?', [
+      updated.name, updated.color, updated.gradient ? JSON.stringify(updated.gradient) : null, Date.now(), symbol
+    ]);
+
+    this.symbols.set(symbol, updated);
+    return this.toJSON(updated);
+  }
+
+  /**
+   * Stop tracking a symbol. Its stored data is kept.
+   * @param {string} symbol - Symbol id
+   * @returns {Promise<Object>} The disabled entry
+   */
+  async remove(symbol) {
+    const existing = this.requireSymbol(symbol);
+
+    await this.run('UPDATE symbols SET enabled = 0, updated_at = ? WHERE symbol = ?', [Date.now(), symbol]);
+
+    const removed = { ...existing, enabled: false };
+    this.symbols.set(symbol, removed);
+    console.log(`🪙 Removed symbol ${symbol}`);
+    return this.toJSON(removed);
+  }
+
+  /**
+   * Run the onboarding of an added symbol, e.g. backfilling its history.
+   * If it fails the symbol is removed again, so a symbol the exchanges do
+   * not list is not left tracked.
+   * @param {string} symbol - Symbol id
+   * @param {Function} steps - Async onboarding work; throws if the symbol cannot be tracked
+   * @returns {Promise<Object>} { status, startedAt, finishedAt, error }
+   */
+  async onboard(symbol, steps) {
+    const state = { status: 'running', startedAt: Date.now(), finishedAt: null, error: null };
+    this.onboarding.set(symbol, state);
+
+    try {
+      await steps();
+      state.status = 'done';
+    } catch (error) {
+      state.status = 'failed';
+      state.error = error.message;
+      if (this.has(symbol)) {
+        await this.remove(symbol);
+      }
+    }
+
+    state.finishedAt = Date.now();
+    return state;
+  }
+
+  /**
+   * Get an enabled symbol, or throw a SYMBOL_NOT_FOUND error
+   * @param {string} symbol - Symbol id
+   * @returns {Object}
+   */
+  requireSymbol(symbol) {
+    if (!this.has(symbol)) {
+      const error = new Error(`Unknown symbol: ${symbol}. Tracked symbols: ${this.ids().join(', ')}`);
+      error.code = 'SYMBOL_NOT_FOUND';
+      throw error;
+    }
+    return this.symbols.get(symbol);
+  }
+
+  /**
+   * Entry without its internal sort order
+   * @param {Object} entry - Registry entry
+   * @returns {Object}
+   */
+  toJSON({ sortOrder, ...entry }) {
+    return entry;
+  }
+
+  /**
+   * Run a statement
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<void>}
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+  }
+}
+
+module.exports = SymbolRegistry;
\ No newline at end of file
@@ -0,0 +1,112 @@
+// Tests for paginated historical backfills.
+// Uses a scratch database and a fake exchange that serves a synthetic 1h
+// series, so no network access is needed.
+const BackfillService = require('./services/backfillService');
+const { check, scratchPath, get, createTestDatabase, runSuite } = require('./utils/testHarness');
+
+const SYMBOL = 'BTC';
+const HOUR = 3600000;
+const CANDLES = 2500;
+
+const dbPath = scratchPath('backfill-test.db');
+
+/**
+ * Exchange serving 1h candles from `listed` on, up to 1000 a request
+ */
+class FakeExchange {
+  constructor(listed) {
+    this.listed = listed;
+    this.requests = [];
+    this.failOnRequest = null;
+  }
+
+  async fetchKlines(symbol, interval, { limit, startTime, endTime }) {
+    this.requests.push({ interval, startTime, endTime });
+    if (this.requests.length === this.failOnRequest) {
+      throw new Error('connection reset');
+    }
+
+    const klines = [];
+    const first = Math.max(startTime, this.listed);
+    for (let openTime = first; openTime <= endTime && klines.length < limit; openTime += HOUR) {
+      const close = 100 + (openTime - this.listed) / HOUR * 0.01;
+      klines.push([openTime, String(close), String(close + 1), String(close - 1), String(close), '10', openTime + HOUR - 1, '1000', 5]);
+    }
+    return { exchange: 'binance', klines };
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Testing historical backfills\n');
+
+  const db = await createTestDatabase(dbPath);
+
+  // 4h-aligned, so the resampled series starts on a whole candle
+  const start = Math.floor(Date.now() / (4 * HOUR)) * 4 * HOUR - 5000 * HOUR;
+  const endTime = start + (CANDLES - 1) * HOUR;
+  const exchange = new FakeExchange(start);
+  const backfillService = new BackfillService(dbPath, exchange);
+
+  console.log('1. Checkpoints');
+  exchange.failOnRequest = 2;
+  const failedRun = await backfillService.backfill({ symbol: SYMBOL, interval: '1h', startTime: start, endTime });
+  check(failedRun.status === 'failed' && failedRun.error === 'connection reset', `a failed page fails the backfill (${failedRun.status})`);
+  check(failedRun.pages === 1 && failedRun.cursor === start + 1000 * HOUR, 'the cursor is saved after the last stored page');
+  check(Math.abs(failedRun.progress - 0.4) < 0.01, `progress reflects the checkpoint (${failedRun.progress})`);
+
+  console.log('\n2. Resuming');
+  exchange.failOnRequest = null;
+  exchange.requests = [];
+  const again = await backfillService.createBackfill({ symbol: SYMBOL, interval: '1h', startTime: start, endTime });
+  check(again.id === failedRun.id, 'the unfinished backfill of the same range is reused');
+  const resumed = await backfillService.start(again.id);
+  check(resumed.status === 'succeeded' && resumed.progress === 1, `backfill completes (${resumed.status})`);
+  check(exchange.requests[0].startTime === start + 1000 * HOUR, 'paging resumes from the checkpoint');
+  check(exchange.requests.length === 2 && resumed.pages === 3, `the rest is fetched 1000 candles a page (${exchange.requests.length} requests)`);
+
+  const stored = await get(db, 'SELECT COUNT(*) as count, MIN(open_time) as first, MAX(open_time) as last FROM kline_data WHERE symbol = ? AND interval = ?', [SYMBOL, '1h']);
+  check(stored.count === CANDLES && stored.first === start && stored.last === endTime, `every candle in the range is stored once (${stored.count})`);
+  check(resumed.inserted === CANDLES && resumed.fetched === CANDLES, 'fetched and inserted counts cover both runs');
+
+  const resampled = await get(db, 'SELECT COUNT(*) as count, MIN(open_time) as first FROM kline_data WHERE symbol = ? AND interval = ?', [SYMBOL, '4h']);
+  check(resampled.count === CANDLES / 4 && resampled.first === start, `4h candles are resampled from the backfilled 1h candles (${resampled.count})`);
+
+  console.log('\n3. Overlapping and resampled backfills');
+  exchange.requests = [];
+  const overlap = await backfillService.backfill({ symbol: SYMBOL, interval: '1h', startTime: start - 100 * HOUR, endTime: start + 99 * HOUR });
+  check(overlap.id !== failedRun.id && overlap.status === 'succeeded', 'a different range is a new backfill');
+  check(exchange.requests[0].startTime === start - 100 * HOUR, 'paging starts at the requested start');
+  check(overlap.fetched === 100 && overlap.inserted === 0, 'candles before the listing are not invented and stored ones are skipped');
+
+  exchange.requests = [];
+  const fourHour = await backfillService.backfill({ symbol: SYMBOL, interval: '4h', startTime: endTime + HOUR, endTime: endTime + 8 * HOUR });
+  check(exchange.requests.length > 0 && exchange.requests.every(request => request.interval === '1h'), 'resampled intervals fetch their source interval');
+  check(fourHour.status === 'succeeded' && fourHour.inserted === 8, `${fourHour.inserted} new source candles`);
+
+  console.log('\n4. Validation and listing');
+  let rangeError = null;
+  try {
+    await backfillService.createBackfill({ symbol: SYMBOL, interval: '1h', startTime: endTime, endTime: start });
+  } catch (error) {
+    rangeError = error;
+  }
+  check(rangeError !== null, 'start after end is rejected');
+
+  let intervalError = null;
+  try {
+    await backfillService.createBackfill({ symbol: SYMBOL, interval: '2h', startTime: start });
+  } catch (error) {
+    intervalError = error;
+  }
+  check(intervalError !== null, 'unknown intervals are rejected');
+
+  const backfills = await backfillService.listBackfills({ symbol: SYMBOL });
+  check(backfills.length === 3 && backfills[0].id > backfills[1].id, 'backfills are listed newest first');
+  const succeeded = await backfillService.listBackfills({ status: 'succeeded', interval: '4h' });
+  check(succeeded.length === 1 && succeeded[0].id === fourHour.id, 'backfills can be filtered by status and interval');
+
+  backfillService.close();
+  db.close();
+}
+
+runSuite(runTests, [dbPath]);
\ No newline at end of file
@@ -0,0 +1,108 @@
+// Tests for the walk-forward backtest runner.
+// Uses a scratch database with a synthetic price series and the offline
+// providers (baselines and mock), so no network access or API keys are needed.
+const PredictionService = require('./services/predictionService');
+const BacktestService = require('./services/backtestService');
+const { check, scratchPath, run, get, exec, createTestDatabase, runSuite } = require('./utils/testHarness');
+
+const SYMBOL = 'BTC';
+const INTERVAL = '1h';
+const HOUR = 3600000;
+const CANDLES = 300;
+
+const dbPath = scratchPath('backtest-test.db');
+
+async function seedDatabase(db, start) {
+  // Trend plus a daily cycle, so the forecasters have something to follow
+  await exec(db, 'BEGIN');
+  for (let i = 0; i < CANDLES; i++) {
+    const close = 100 + i * 0.01 + 2 * Math.sin(i * 2 * Math.PI / 24);
+    await run(db, `
+      INSERT INTO kline_data (symbol, interval, open_time, open, high, low, close, volume, close_time, quote_volume, trades)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 10, ?, 1000, 100)
+    `, [SYMBOL, INTERVAL, start + i * HOUR, close, close + 0.5, close - 0.5, close, start + (i + 1) * HOUR - 1]);
+  }
+  await exec(db, 'COMMIT');
+}
+
+async function runTests() {
+  console.log('🧪 Testing walk-forward backtests\n');
+
+  const start = Math.floor(Date.now() / HOUR) * HOUR - 400 * HOUR;
+  const db = await createTestDatabase(dbPath);
+  await seedDatabase(db, start);
+
+  const predictionService = new PredictionService(dbPath);
+  const backtestService = new BacktestService(predictionService);
+  const window = { symbol: SYMBOL, interval: INTERVAL, startTime: start + 200 * HOUR, endTime: start + 260 * HOUR };
+
+  console.log('1. Naive baseline');
+  const naive = await backtestService.runBacktest({ ...window, aiProvider: 'naive', horizon: 12, step: 12, historyLength: 100 });
+  check(naive.status === 'completed', `run completed (${naive.status})`);
+  check(naive.cutoffs_planned === 6 && naive.cutoffs_completed === 6, `every ${naive.step} candles is a cutoff (${naive.cutoffs_completed}/${naive.cutoffs_planned})`);
+  check(naive.forecast_count === 72, `each cutoff is scored over the full horizon (${naive.forecast_count} forecasts)`);
+  check(Math.abs(naive.mase - 1) < 1e-6, 'naive forecast has a MASE of 1');
+  check(naive.call_budget === null, 'baselines run without a call budget');
+  check(naive.byHorizon.length === 12 && naive.byHorizon[0].horizon === 1, 'metrics are broken down by horizon');
+  check(naive.byHorizon[0].mae < naive.byHorizon[11].mae, 'error grows with the horizon');
+
+  console.log('\n2. No look-ahead');
+  const seasonal = predictionService.providers.get('seasonal-naive');
+  const originalGenerate = seasonal.generate.bind(seasonal);
+  let leaks = 0;
+  let historyLengths = [];
+  seasonal.generate = async (prompt, context) => {
+    const last = context.klineData[context.klineData.length - 1].timestamp;
+    if (last >= context.nextTimestamp) leaks++;
+    historyLengths.push(context.klineData.length);
+    return originalGenerate(prompt, context);
+  };
+  const seasonalRun = await backtestService.runBacktest({ ...window, aiProvider: 'seasonal-naive', horizon: 6, historyLength: 50 });
+  seasonal.generate = originalGenerate;
+  check(leaks === 0, 'the provider only sees candles before each cutoff');
+  check(historyLengths.every(length => length === 50), 'history is capped at the requested length');
+  check(seasonalRun.mase < 1, `seasonal naive beats naive on a daily cycle (MASE ${seasonalRun.mase.toFixed(3)})`);
+
+  const forecasts = await backtestService.getRunForecasts(seasonalRun.id);
+  const leaked = forecasts.filter(row => row.target_time < row.cutoff_time);
+  check(leaked.length === 0 && forecasts.every(row => row.horizon >= 1 && row.horizon <= 6), 'forecasts target the cutoff candle onwards');
+
+  console.log('\n3. Mock provider and call budget');
+  const mock = await backtestService.runBacktest({ ...window, aiProvider: 'mock', horizon: 6, step: 6, budget: 3 });
+  check(mock.status === 'budget_exhausted', `run stops when the budget is spent (${mock.status})`);
+  check(mock.provider_calls === 3 && mock.cutoffs_completed === 3, `${mock.provider_calls} calls made`);
+  check(mock.direction_hit_rate !== null && mock.forecast_count === 18, 'mock forecasts are scored');
+
+  predictionService.providers.get('mock').params.mode = 'error';
+  const broken = await backtestService.runBacktest({ ...window, aiProvider: 'mock', horizon: 6, step: 30, budget: 5 });
+  predictionService.providers.get('mock').params.mode = 'valid';
+  check(broken.status === 'failed' && broken.cutoffs_failed === broken.cutoffs_planned, 'provider errors are recorded per cutoff');
+
+  console.log('\n4. Validation and storage');
+  let ensembleError = null;
+  try {
+    await backtestService.createRun({ ...window, aiProvider: 'ensemble' });
+  } catch (error) {
+    ensembleError = error;
+  }
+  check(ensembleError !== null, 'ensembles cannot be backtested');
+
+  let rangeError = null;
+  try {
+    await backtestService.createRun({ ...window, aiProvider: 'naive', startTime: window.endTime + HOUR });
+  } catch (error) {
+    rangeError = error;
+  }
+  check(rangeError !== null, 'start after end is rejected');
+
+  const live = await get(db, 'SELECT COUNT(*) as count FROM predictions');
+  check(live.count === 0, 'live predictions are untouched');
+
+  const runs = await backtestService.listBacktestRuns({ symbol: SYMBOL, aiProvider: 'mock' });
+  check(runs.length === 2 && runs[0].id > runs[1].id, 'runs are listed newest first');
+
+  predictionService.close();
+  db.close();
+}
+
+runSuite(runTests, [dbPath]);
\ No newline at end of file
@@ -0,0 +1,93 @@
+// Tests for the statistical baseline forecasters and the baseline provider.
+// Uses synthetic series with known answers, so no database or API keys are needed.
+const {
+  naiveForecast,
+  driftForecast,
+  seasonalNaiveForecast,
+  emaForecast,
+  linearRegressionForecast,
+  arimaForecast,
+  etsForecast,
+  forecast,
+  forecastWithBands
+} = require('./utils/baselineForecasters');
+const ProviderRegistry = require('./services/providerRegistry');
+const { check, close, runSuite } = require('./utils/testHarness');
+
+const HOUR = 3600000;
+
+async function runTests() {
+  console.log('🧪 Testing baseline forecasters\n');
+
+  const linear = Array.from({ length: 50 }, (_, i) => 100 + 2 * i);
+  const geometric = Array.from({ length: 200 }, (_, i) => 100 * Math.pow(1.001, i));
+  const seasonal = Array.from({ length: 72 }, (_, i) => 100 + 10 * Math.sin((2 * Math.PI * i) / 24));
+
+  console.log('1. Naive and drift');
+  check(naiveForecast(linear, 3).every(p => p === 198), 'naive repeats the last close');
+  check(driftForecast(linear, 3).every((p, i) => close(p, 200 + 2 * i, 1e-6)), 'drift continues a linear trend exactly');
+
+  console.log('\n2. Seasonal naive');
+  const seasonalForecast = seasonalNaiveForecast(seasonal, 30, { season: 24 });
+  check(seasonalForecast.every((p, i) => close(p, seasonal[48 + (i % 24)], 1e-6)), 'repeats the last season');
+  check(seasonalNaiveForecast([1, 2, 3], 2, { season: 24 }).every(p => p === 3), 'falls back to naive with less than one season');
+
+  console.log('\n3. EMA extrapolation');
+  const emaResult = emaForecast(linear, 5, { period: 10 });
+  check(emaResult[1] > emaResult[0] && emaResult[4] > emaResult[3], 'follows an upward trend');
+
+  console.log('\n4. Linear regression on log price');
+  const linregResult = linearRegressionForecast(geometric, 3, { window: 100 });
+  check(linregResult.every((p, i) => close(p, 100 * Math.pow(1.001, 200 + i), 1e-9)), 'fits exponential growth exactly');
+
+  console.log('\n5. ARIMA(1,1,0)');
+  const arimaResult = arimaForecast(geometric, 3);
+  check(arimaResult.every((p, i) => close(p, 100 * Math.pow(1.001, 200 + i), 1e-9)), 'continues constant log returns');
+
+  console.log('\n6. ETS (damped trend)');
+  const etsResult = etsForecast(geometric, 3);
+  const lastClose = geometric[geometric.length - 1];
+  check(etsResult[0] > lastClose && etsResult[2] > etsResult[0], 'continues an upward trend');
+  check(etsResult[2] < lastClose * Math.pow(1.001, 3) + 1e-9, 'damps the trend');
+
+  console.log('\n7. Errors');
+  let unknownError = null;
+  try {
+    forecast('unknown', linear, 3);
+  } catch (error) {
+    unknownError = error;
+  }
+  check(unknownError !== null, 'unknown method throws');
+
+  console.log('\n8. Empirical residual bands');
+  const noisy = Array.from({ length: 300 }, (_, i) => 100 * Math.exp(0.01 * Math.sin(i * 1.7) + 0.02 * Math.cos(i * 0.37)));
+  const banded = forecastWithBands('naive', noisy, 24);
+  check(banded.every(step => step.p10 <= step.price && step.price <= step.p90), 'bands contain the point forecast');
+  check(banded[23].p90 - banded[23].p10 > banded[0].p90 - banded[0].p10, 'bands widen with the horizon');
+  check(close(Math.log(banded[3].p90 / banded[3].price), 2 * Math.log(banded[0].p90 / banded[0].price), 1e-6), 'band width scales with sqrt(h)');
+  check(forecastWithBands('naive', [1, 2, 3], 2).every(step => step.p10 === null), 'no band with too little history');
+
+  console.log('\n9. Baseline providers');
+  const registry = new ProviderRegistry();
+  const baselines = registry.list().filter(provider => provider.kind === 'baseline');
+  check(baselines.length === 7, `${baselines.length} baseline providers registered`);
+  check(baselines.every(provider => provider.isConfigured()), 'baselines need no API keys');
+
+  const klineData = geometric.map((price, i) => ({ timestamp: i * HOUR, close: price }));
+  for (const provider of baselines) {
+    // Leave a one-candle gap after the history, as rolling generation would
+    const text = await provider.generate('', { interval: '1h', klineData, predictionsCount: 24, nextTimestamp: 201 * HOUR });
+    const { predictions } = provider.parseResponse(text);
+    const valid = predictions.length === 24 &&
+      predictions[0].timestamp === 201 * HOUR &&
+      predictions.every(p => typeof p.price === 'number' && p.price > 0 && p.p10 <= p.price && p.price <= p.p90);
+    check(valid, `${provider.id} returns 24 valid predictions (${provider.model})`);
+  }
+
+  const drift = registry.get('drift');
+  const driftText = await drift.generate('', { interval: '1h', klineData: linear.map((price, i) => ({ timestamp: i * HOUR, close: price })), predictionsCount: 2, nextTimestamp: 51 * HOUR });
+  const driftPrices = JSON.parse(driftText).predictions.map(p => p.price);
+  check(close(driftPrices[0], 202, 1e-6) && close(driftPrices[1], 204, 1e-6), 'skips the steps before the requested start timestamp');
+}
+
+runSuite(runTests);
\ No newline at end of file
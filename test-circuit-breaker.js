@@ -0,0 +1,164 @@
+// Tests for the provider circuit breaker and fallback chain.
+// Drives the mock provider's error mode against a scratch database, so no
+// network access or API keys are needed.
+const fs = require('fs');
+const PredictionService = require('./services/predictionService');
+const ProviderRegistry = require('./services/providerRegistry');
+const CircuitBreaker = require('./services/circuitBreaker');
+const BaseProvider = require('./services/providers/baseProvider');
+const MockProvider = require('./services/providers/mock');
+const { check, scratchPath, run, all, exec, createTestDatabase, runSuite } = require('./utils/testHarness');
+
+const SYMBOL = 'BTC';
+const INTERVAL = '1h';
+const HOUR = 3600000;
+const MINUTE = 60000;
+
+const dbPath = scratchPath('circuit-breaker-test.db');
+const configPath = scratchPath('circuit-breaker-providers.json');
+
+function testBreaker() {
+  console.log('1. Breaker states');
+
+  const breaker = new CircuitBreaker('test', { failureThreshold: 3, windowMs: 10 * MINUTE, cooldownMs: 5 * MINUTE });
+  const start = 1000000;
+  const failure = new Error('503 Service Unavailable');
+
+  breaker.recordFailure(failure, start);
+  breaker.recordFailure(failure, start + 11 * MINUTE);
+  breaker.recordFailure(failure, start + 12 * MINUTE);
+  check(breaker.state === 'closed' && breaker.allowRequest(start + 12 * MINUTE), 'failures outside the window do not count');
+
+  breaker.recordFailure(failure, start + 13 * MINUTE);
+  check(breaker.state === 'open', 'threshold failures within the window open the breaker');
+  check(!breaker.allowRequest(start + 14 * MINUTE), 'an open breaker rejects calls');
+  check(breaker.getStatus(start + 14 * MINUTE).retryAt === start + 18 * MINUTE, 'status reports when a trial call is allowed');
+
+  check(breaker.allowRequest(start + 18 * MINUTE) && breaker.state === 'half-open', 'after the cooldown one trial call goes through');
+  check(!breaker.allowRequest(start + 18 * MINUTE), 'only one trial call at a time');
+
+  breaker.recordFailure(failure, start + 18 * MINUTE);
+  check(breaker.state === 'open' && !breaker.allowRequest(start + 19 * MINUTE), 'a failed trial reopens the breaker');
+
+  breaker.allowRequest(start + 23 * MINUTE);
+  breaker.recordSuccess(start + 23 * MINUTE);
+  check(breaker.state === 'closed' && breaker.getStatus(start + 23 * MINUTE).recentFailures === 0, 'a successful trial closes it');
+
+  const error = breaker.openError();
+  check(error.code === 'CIRCUIT_OPEN', 'rejections carry the CIRCUIT_OPEN code');
+}
+
+function testRegistry() {
+  console.log('\n2. Fallback config');
+
+  fs.writeFileSync(configPath, JSON.stringify({
+    providers: [
+      { id: 'mock', module: 'mock', fallback: ['naive', 'missing', 'mock', 'ensemble'] },
+      { id: 'naive', module: 'baseline', params: { method: 'naive' } },
+      { id: 'ensemble', module: 'ensemble', params: { constituents: ['mock'] } }
+    ]
+  }));
+  const registry = new ProviderRegistry(configPath);
+  check(registry.get('mock').fallback.join(',') === 'naive', 'unknown, self and ensemble fallbacks are dropped');
+  check(registry.get('mock').toJSON().fallback.length === 1, 'fallback chain is part of the provider description');
+}
+
+async function testService() {
+  console.log('\n3. Retries stop once the circuit opens');
+
+  const db = await createTestDatabase(dbPath);
+
+  const historyEnd = Math.floor(Date.now() / HOUR) * HOUR;
+  await exec(db, 'BEGIN');
+  for (let i = 0; i < 100; i++) {
+    const openTime = historyEnd - (100 - i) * HOUR;
+    const price = 100 + Math.sin(i / 5);
+    await run(db, `
+      INSERT INTO kline_data (symbol, interval, open_time, open, high, low, close, volume, close_time, quote_volume, trades)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 10, ?, 1000, 100)
+    `, [SYMBOL, INTERVAL, openTime, price, price + 0.5, price - 0.5, price, openTime + HOUR - 1]);
+  }
+  await exec(db, 'COMMIT');
+
+  const originalGenerate = MockProvider.prototype.generate;
+  let calls = 0;
+  MockProvider.prototype.generate = function(prompt, context) {
+    calls++;
+    return originalGenerate.call(this, prompt, context);
+  };
+
+  const service = new PredictionService(dbPath);
+  const mock = service.providers.get('mock');
+  try {
+    mock.params.mode = 'error';
+    service.breakers.set('mock', new CircuitBreaker('mock', { failureThreshold: 2 }));
+
+    const failedRun = await service.generatePredictions(SYMBOL, INTERVAL, 'mock', 3);
+    check(!failedRun.success && calls === 2, `a failing provider is called ${calls} times instead of 16`);
+    check(service.getBreaker('mock').state === 'open', 'the breaker is open');
+
+    const rejected = await service.generatePredictions(SYMBOL, INTERVAL, 'mock', 3);
+    check(!rejected.success && calls === 2 && rejected.error.includes('Circuit for mock'), 'while open, runs fail without calling the provider');
+
+    const runs = await all(db, "SELECT provider_calls, error FROM prediction_runs WHERE ai_provider = 'mock' ORDER BY id");
+    check(runs.length === 2 && runs[1].provider_calls === 0, 'rejected runs are recorded with no provider calls');
+
+    console.log('\n4. Fallback chain');
+    mock.fallback = ['naive'];
+    const filled = await service.generatePredictions(SYMBOL, INTERVAL, 'mock', 3);
+    check(filled.success && filled.aiProvider === 'mock' && filled.fallbackProvider === 'naive', 'a failed slot is filled by the fallback');
+
+    const stored = await all(db, 'SELECT DISTINCT ai_provider, model_version, fallback_provider FROM predictions WHERE run_id = ?', [filled.runId]);
+    check(stored.length === 1 && stored[0].ai_provider === 'mock' && stored[0].fallback_provider === 'naive' && stored[0].model_version === service.providers.get('naive').model,
+      'filled predictions are stored under the slot and labeled with the fallback');
+
+    const [fallbackRun] = await all(db, 'SELECT ai_provider, fallback_for FROM prediction_runs WHERE id = ?', [filled.runId]);
+    check(fallbackRun.ai_provider === 'naive' && fallbackRun.fallback_for === 'mock', 'the fallback run records the slot it filled');
+
+    const chart = await service.getPredictions(SYMBOL, INTERVAL, 'mock');
+    check(chart.length > 0 && chart.every(p => p.fallback_provider === 'naive'), 'the predictions API reports the fallback');
+
+    service.breakers.set('naive', new CircuitBreaker('naive'));
+    service.getBreaker('naive').recordFailure(new Error('down'));
+    service.getBreaker('naive').recordFailure(new Error('down'));
+    service.getBreaker('naive').recordFailure(new Error('down'));
+    const noFallback = await service.generatePredictions(SYMBOL, INTERVAL, 'mock', 3);
+    check(!noFallback.success, 'fallbacks whose circuit is open are passed over');
+    service.breakers.delete('naive');
+
+    console.log('\n5. Recovery');
+    const breaker = service.getBreaker('mock');
+    breaker.openedAt -= breaker.options.cooldownMs;
+    mock.params.mode = 'valid';
+    mock.fallback = [];
+    const recovered = await service.generatePredictions(SYMBOL, INTERVAL, 'mock', 0);
+    check(recovered.success && !recovered.fallbackProvider && breaker.state === 'closed', 'a successful trial call closes the circuit');
+
+    const unusable = await service.generateWithProvider('mock', '', {}, 3, {
+      generate: async () => {
+        throw BaseProvider.responseError('Unusable response', 'garbage');
+      }
+    }).catch(error => error);
+    check(unusable.responseText === 'garbage' && breaker.state === 'closed' && breaker.getStatus().recentFailures === 0,
+      'responses that arrive but cannot be used do not trip the breaker');
+
+    const status = service.getProviderStatus();
+    const mockStatus = status.find(provider => provider.id === 'mock');
+    const ensembleStatus = status.find(provider => provider.kind === 'ensemble');
+    check(mockStatus.breaker.state === 'closed' && mockStatus.breaker.lastError !== null, 'provider status reports breaker state and last error');
+    check(!ensembleStatus || ensembleStatus.breaker === null, 'ensembles have no breaker');
+  } finally {
+    MockProvider.prototype.generate = originalGenerate;
+    service.close();
+    db.close();
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Testing circuit breaker and fallback chain\n');
+  testBreaker();
+  testRegistry();
+  await testService();
+}
+
+runSuite(runTests, [dbPath, configPath]);
\ No newline at end of file
@@ -0,0 +1,115 @@
+// Tests for the Diebold-Mariano and bootstrap provider comparison.
+// Uses a scratch database with hand-written resolved predictions, so no
+// network access or API keys are needed.
+const { createRandom, normalSample } = require('./utils/random');
+const { studentTCdf, autocovariance, dieboldMariano, blockBootstrap } = require('./utils/significanceTests');
+const ComparisonService = require('./services/comparisonService');
+const { check, close, scratchPath, run, exec, createTestDatabase, runSuite } = require('./utils/testHarness');
+
+const SYMBOL = 'BTC';
+const INTERVAL = '1h';
+const HOUR = 3600000;
+
+const dbPath = scratchPath('comparison-test.db');
+
+function testStatistics() {
+  console.log('1. Student t distribution');
+  check(close(studentTCdf(0, 5), 0.5, 1e-6), 'symmetric around zero');
+  check(close(studentTCdf(2.228139, 10), 0.975, 1e-5), 't(10) 97.5% quantile is 2.228');
+  check(close(studentTCdf(-1.959964, 100000), 0.025, 1e-4), 'approaches the normal for large df');
+
+  console.log('\n2. Diebold-Mariano');
+  check(close(autocovariance([1, 2, 3, 4], 0), 1.25, 1e-6), 'lag-0 autocovariance is the 1/T variance');
+
+  const same = dieboldMariano([1, 2, 3, 4, 5], [1, 2, 3, 4, 5]);
+  check(same.statistic === 0 && same.pValue === 1, 'identical losses are not significant');
+
+  // d = [1, 2, 1, 2, 1, 2]: mean 1.5, variance 0.25, n 6, h 1
+  const dm = dieboldMariano([2, 3, 2, 3, 2, 3], [1, 1, 1, 1, 1, 1], 1);
+  const raw = 1.5 / Math.sqrt(0.25 / 6);
+  check(close(dm.statistic, raw * Math.sqrt((6 + 1 - 2) / 6), 1e-6), 'HLN correction scales the statistic');
+  check(dm.statistic > 0 && dm.pValue < 0.01 && dm.df === 5, `larger losses for A give a positive, significant statistic (p ${dm.pValue.toExponential(2)})`);
+
+  const h4 = dieboldMariano([2, 3, 2, 3, 2, 3], [1, 1, 1, 1, 1, 1], 4);
+  check(h4.horizon === 4 && h4.statistic !== dm.statistic, 'longer horizons use more autocovariances');
+  check(dieboldMariano([1, 2], [2, 1]) === null, 'needs at least 3 pairs');
+
+  console.log('\n3. Block bootstrap');
+  const values = Array.from({ length: 200 }, (_, i) => i % 10);
+  const meanOf = indexes => ({ mean: indexes.reduce((sum, i) => sum + values[i], 0) / indexes.length });
+  const first = blockBootstrap(values.length, meanOf, { iterations: 200, seed: 7 });
+  const second = blockBootstrap(values.length, meanOf, { iterations: 200, seed: 7 });
+  check(first.intervals.mean.lower === second.intervals.mean.lower, 'seeded resamples are reproducible');
+  check(first.intervals.mean.lower < 4.5 && first.intervals.mean.upper > 4.5, 'interval covers the sample mean');
+  check(first.blockLength === Math.ceil(Math.cbrt(200)), `default block length is the cube root of n (${first.blockLength})`);
+}
+
+async function testService() {
+  console.log('\n4. Provider comparison');
+
+  const db = await createTestDatabase(dbPath);
+
+  // 'good' errs by N(0, 1) and 'bad' by N(0, 3). 'twin' has good's errors in reverse
+  // order: the same overall accuracy, paired with different targets
+  const now = Math.floor(Date.now() / HOUR) * HOUR;
+  const random = createRandom(1);
+  // The base schema's unique key has no provider column, so offset each row's prediction time
+  let offset = 0;
+  const insert = (provider, targetTime, predicted, predictionTime = targetTime - HOUR) => run(db, `
+    INSERT INTO predictions (symbol, interval, prediction_time, target_time, predicted_price, actual_price, base_price, horizon, ai_provider)
+    VALUES (?, ?, ?, ?, ?, 100, 100, ?, ?)
+  `, [SYMBOL, INTERVAL, predictionTime + offset++, targetTime, predicted, Math.round((targetTime - predictionTime) / HOUR), provider]);
+
+  const errors = Array.from({ length: 150 }, () => normalSample(random));
+  await exec(db, 'BEGIN');
+  for (let i = 1; i <= 150; i++) {
+    const target = now - i * HOUR;
+    await insert('good', target, 100 + errors[i - 1]);
+    await insert('bad', target, 100 + 3 * normalSample(random));
+    await insert('twin', target, 100 + errors[150 - i]);
+  }
+  // An older 3-step prediction for a shared target, superseded by the 1-step one above
+  await insert('good', now - HOUR, 150, now - 4 * HOUR);
+  // Targets only one provider predicted are left out
+  for (let i = 1; i <= 5; i++) {
+    await insert('bad', now - (200 + i) * HOUR, 100);
+  }
+  await exec(db, 'COMMIT');
+
+  const service = new ComparisonService(dbPath);
+
+  const result = await service.compare(SYMBOL, INTERVAL, 'good', 'bad', { window: '30d', iterations: 300 });
+  check(result.count === 150, `pairs only shared targets (${result.count})`);
+  check(result.metrics.a.mae < 1, 'uses the latest prediction for each target');
+  check(result.dieboldMariano.better === 'good' && result.dieboldMariano.statistic < 0, `good is significantly better (p ${result.dieboldMariano.pValue.toExponential(2)})`);
+  check(result.bootstrap.differences.mae.significant && result.bootstrap.differences.mae.upper < 0, 'MAE difference interval is below zero');
+
+  const twins = await service.compare(SYMBOL, INTERVAL, 'good', 'twin', { window: '30d', iterations: 300 });
+  check(twins.dieboldMariano.better === null && twins.dieboldMariano.pValue > 0.05, `equally accurate providers are not significantly different (p ${twins.dieboldMariano.pValue.toFixed(3)})`);
+  check(!twins.bootstrap.differences.mae.significant, 'their MAE interval includes zero');
+
+  const absolute = await service.compare(SYMBOL, INTERVAL, 'good', 'bad', { loss: 'absolute', iterations: 100 });
+  check(absolute.loss === 'absolute' && absolute.dieboldMariano.better === 'good', 'absolute loss agrees');
+
+  const stepThree = await service.compare(SYMBOL, INTERVAL, 'good', 'bad', { horizon: 3, iterations: 100 });
+  check(stepThree.count === 0 && stepThree.dieboldMariano === null, 'a horizon filter only pairs forecasts at that step');
+
+  let lossError = null;
+  try {
+    await service.compare(SYMBOL, INTERVAL, 'good', 'bad', { loss: 'huber' });
+  } catch (error) {
+    lossError = error;
+  }
+  check(lossError !== null, 'unknown loss throws');
+
+  service.close();
+  db.close();
+}
+
+async function runTests() {
+  console.log('🧪 Testing provider comparison\n');
+  testStatistics();
+  await testService();
+}
+
+runSuite(runTests, [dbPath]);
\ No newline at end of file
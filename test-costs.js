@@ -0,0 +1,191 @@
+// Tests for token cost accounting and daily budget caps.
+// Prices the mock provider from a scratch pricing config and drives it
+// through a scratch database, so no network access or API keys are needed.
+const fs = require('fs');
+const BaseProvider = require('./services/providers/baseProvider');
+const MockProvider = require('./services/providers/mock');
+const OpenAIProvider = require('./services/providers/openai');
+const GeminiProvider = require('./services/providers/gemini');
+const { check, close, scratchPath, run, all, exec, createTestDatabase, runSuite } = require('./utils/testHarness');
+
+const SYMBOL = 'BTC';
+const INTERVAL = '1h';
+const HOUR = 3600000;
+
+const dbPath = scratchPath('costs-test.db');
+const pricingPath = scratchPath('costs-test-pricing.json');
+
+// 1000 input and 500 output tokens at $2/$8 per million: $0.006 per run
+fs.writeFileSync(pricingPath, JSON.stringify({
+  models: {
+    'mock-random-walk': { input: 2, output: 8 },
+    'mock-cheap': { input: 1, output: 2 }
+  },
+  budget: {
+    dailyUsd: 0.01,
+    action: 'downgrade',
+    downgrade: { 'mock-random-walk': 'mock-cheap' }
+  }
+}));
+process.env.PRICING_CONFIG = pricingPath;
+delete process.env.DAILY_BUDGET_USD;
+
+const PredictionService = require('./services/predictionService');
+const CostService = require('./services/costService');
+
+async function testUsageParsing() {
+  console.log('1. Token usage from provider responses');
+
+  const openai = new OpenAIProvider();
+  openai.client = {
+    responses: {
+      create: async () => ({
+        output_text: '{}',
+        usage: { input_tokens: 100, output_tokens: 300, total_tokens: 400, output_tokens_details: { reasoning_tokens: 250 } }
+      })
+    }
+  };
+  const openaiUsage = (await openai.generate('prompt')).usage;
+  check(openaiUsage.outputTokens === 300 && openaiUsage.reasoningTokens === 250, 'OpenAI reasoning tokens are reported within output tokens');
+
+  const gemini = new GeminiProvider();
+  gemini.client = {
+    generateContent: async () => ({
+      response: {
+        text: () => '{"predictions": [{"timestamp": 1, "price": 100}]}',
+        usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 50, thoughtsTokenCount: 400, totalTokenCount: 550 }
+      }
+    })
+  };
+  const geminiUsage = (await gemini.generate('prompt')).usage;
+  check(geminiUsage.outputTokens === 450 && geminiUsage.reasoningTokens === 400 && geminiUsage.totalTokens === 550,
+    'Gemini thinking tokens are added to output tokens');
+
+  const noReasoning = BaseProvider.usage(10, 20);
+  check(noReasoning.reasoningTokens === null && noReasoning.totalTokens === 30, 'reasoning is null when not reported');
+
+  const cheaper = new MockProvider({ id: 'mock', params: { seed: 7 } }).withModel('mock-cheap');
+  check(cheaper instanceof MockProvider && cheaper.model === 'mock-cheap' && cheaper.params.seed === 7,
+    'withModel keeps the provider config and swaps the model');
+}
+
+function testPricing() {
+  console.log('\n2. Pricing');
+
+  const costs = new CostService(':memory:', pricingPath);
+  check(close(costs.computeCost('mock-random-walk', BaseProvider.usage(1000, 500)), 0.006), 'cost is priced per million tokens');
+  check(costs.computeCost('unknown-model', BaseProvider.usage(1000, 500)) === null, 'unpriced models cost null');
+  check(costs.computeCost('mock-random-walk', null) === null, 'runs without usage cost null');
+
+  process.env.DAILY_BUDGET_USD = '25';
+  check(costs.getBudget().dailyUsd === 25, 'DAILY_BUDGET_USD overrides the configured cap');
+  delete process.env.DAILY_BUDGET_USD;
+  check(costs.getBudget().dailyUsd === 0.01, 'configured cap applies without the override');
+  costs.close();
+
+  const badPath = scratchPath('costs-test-bad.json');
+  fs.writeFileSync(badPath, JSON.stringify({ models: {}, budget: { action: 'panic' } }));
+  let loadError = null;
+  try {
+    new CostService(':memory:', badPath);
+  } catch (error) {
+    loadError = error;
+  }
+  fs.rmSync(badPath, { force: true });
+  check(loadError !== null, 'unknown budget action throws');
+}
+
+async function testBudget() {
+  console.log('\n3. Daily budget caps');
+
+  const db = await createTestDatabase(dbPath);
+
+  const historyEnd = Math.floor(Date.now() / HOUR) * HOUR;
+  await exec(db, 'BEGIN');
+  for (let i = 0; i < 100; i++) {
+    const openTime = historyEnd - (100 - i) * HOUR;
+    const price = 100 + Math.sin(i / 5);
+    await run(db, `
+      INSERT INTO kline_data (symbol, interval, open_time, open, high, low, close, volume, close_time, quote_volume, trades)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 10, ?, 1000, 100)
+    `, [SYMBOL, INTERVAL, openTime, price, price + 0.5, price - 0.5, price, openTime + HOUR - 1]);
+  }
+  await exec(db, 'COMMIT');
+
+  // Report fixed usage from every mock instance, including downgraded copies
+  const originalGenerate = MockProvider.prototype.generate;
+  let calls = 0;
+  MockProvider.prototype.generate = async function(prompt, context) {
+    calls++;
+    return {
+      text: await originalGenerate.call(this, prompt, context),
+      usage: BaseProvider.usage(1000, 500, undefined, 200)
+    };
+  };
+
+  const service = new PredictionService(dbPath);
+  try {
+    const first = await service.generatePredictions(SYMBOL, INTERVAL, 'mock', 0);
+    const second = await service.generatePredictions(SYMBOL, INTERVAL, 'mock', 0);
+    check(first.success && second.success && !first.budgetAction && !second.budgetAction, 'runs under the cap use the configured model');
+
+    const third = await service.generatePredictions(SYMBOL, INTERVAL, 'mock', 0);
+    check(third.success && third.budgetAction === 'downgraded' && third.modelVersion === 'mock-cheap',
+      'a run over the cap is downgraded to the cheaper model');
+
+    const stored = await all(db, 'SELECT DISTINCT model_version FROM predictions WHERE run_id = ?', [third.runId]);
+    check(stored.length === 1 && stored[0].model_version === 'mock-cheap', 'downgraded predictions record the model that made them');
+
+    service.costs.budget.action = 'skip';
+    const callsBefore = calls;
+    const fourth = await service.generatePredictions(SYMBOL, INTERVAL, 'mock', 0);
+    check(!fourth.success && fourth.skipped && calls === callsBefore, 'with the skip action the run is cancelled before any call');
+
+    const naive = await service.generatePredictions(SYMBOL, INTERVAL, 'naive', 0);
+    check(naive.success, 'baselines are not held to the cap');
+
+    service.costs.budget.dailyUsd = null;
+    service.costs.budget.providers = { mock: 0.001 };
+    const providerCap = await service.costs.checkBudget('mock', 'mock-random-walk');
+    check(providerCap.action === 'skipped' && providerCap.reason.includes('mock'), 'per-provider caps apply on their own');
+    check((await service.costs.checkBudget('gpt', 'o4-mini')).action === null, 'other providers are unaffected by a provider cap');
+
+    const runs = await all(db, "SELECT model_version, cost_usd, reasoning_tokens, budget_action, provider_calls FROM prediction_runs WHERE ai_provider = 'mock' ORDER BY id");
+    check(runs.length === 4 && close(runs[0].cost_usd, 0.006) && close(runs[2].cost_usd, 0.002), 'each run is priced by the model it called');
+    check(runs[0].reasoning_tokens === 200, 'reasoning tokens are stored');
+    check(runs[3].budget_action === 'skipped' && runs[3].provider_calls === 0 && runs[3].cost_usd === null, 'skipped runs are recorded without cost');
+
+    console.log('\n4. Spend summary');
+    const summary = await service.costs.getSummary({ days: 7 });
+    check(close(summary.totals.costUsd, 0.014), `total spend adds up ($${summary.totals.costUsd.toFixed(4)})`);
+    check(summary.totals.skipped === 1 && summary.totals.downgraded === 1 && summary.totals.reasoningTokens === 600, 'totals count skips, downgrades and reasoning tokens');
+    check(summary.byDay.length === 1 && close(summary.byDay[0].costUsd, 0.014), 'spend is grouped by day');
+    check(summary.byProvider[0].key === 'mock' && summary.byProvider.some(row => row.key === 'naive' && row.costUsd === 0), 'spend is grouped by provider, most expensive first');
+    check(summary.byModel.length === 3 && summary.bySymbol[0].key === SYMBOL && summary.byInterval[0].key === INTERVAL, 'spend is grouped by model, symbol and interval');
+    check(close(summary.budget.spentToday, 0.014) && summary.budget.providers[0].aiProvider === 'mock', 'budget status reports today\'s spend per cap');
+
+    const filtered = await service.costs.getSummary({ days: 7, aiProvider: 'naive' });
+    check(filtered.totals.runs === 1 && filtered.totals.costUsd === 0, 'summary can be filtered by provider');
+
+    let groupError = null;
+    try {
+      await service.costs.getSpend('weekday');
+    } catch (error) {
+      groupError = error;
+    }
+    check(groupError !== null, 'unknown grouping is rejected');
+  } finally {
+    MockProvider.prototype.generate = originalGenerate;
+    service.close();
+    db.close();
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Testing cost accounting\n');
+  await testUsageParsing();
+  testPricing();
+  await testBudget();
+}
+
+runSuite(runTests, [dbPath, pricingPath]);
\ No newline at end of file
@@ -0,0 +1,137 @@
+// Tests for the ensemble provider: combination methods, inverse-error weights
+// and recomputation after a constituent run. Uses mock constituents and a
+// scratch database, so no network access or API keys are needed.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PredictionService = require('./services/predictionService');
+const ProviderRegistry = require('./services/providerRegistry');
+const EnsembleProvider = require('./services/providers/ensemble');
+const { check, close, run, all, createTestDatabase, runSuite } = require('./utils/testHarness');
+
+const SYMBOL = 'BTC';
+const INTERVAL = '1h';
+const HOUR = 3600000;
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ensemble-test-'));
+const dbPath = path.join(tmpDir, 'test.db');
+const configPath = path.join(tmpDir, 'providers.json');
+
+function testCombination() {
+  console.log('1. Combination methods');
+  const prices = { a: 100, b: 110, c: 130 };
+
+  const mean = new EnsembleProvider({ params: { method: 'mean' } });
+  check(close(mean.combine(prices), 340 / 3), 'mean averages the constituents');
+
+  const median = new EnsembleProvider({ params: { method: 'median' } });
+  check(median.combine(prices) === 110, 'median picks the middle value');
+  check(median.combine({ a: 100, b: 110 }) === 105, 'median averages the middle pair');
+
+  const weighted = new EnsembleProvider({ params: { method: 'inverse-error' } });
+  const weights = weighted.computeWeights({ a: 1, b: 3, c: null });
+  check(close(weights.a, 3 * weights.b), 'weights are inversely proportional to error');
+  check(close(weights.c, (weights.a + weights.b) / 2), 'provider without history gets the average weight');
+  check(close(weights.a + weights.b + weights.c, 1), 'weights sum to 1');
+  check(close(weighted.combine({ a: 100, b: 200 }, weights), (100 * weights.a + 200 * weights.b) / (weights.a + weights.b)),
+    'weights are renormalised over the constituents present');
+
+  const equal = weighted.computeWeights({ a: null, b: null });
+  check(close(equal.a, 0.5) && close(equal.b, 0.5), 'equal weights with no history');
+
+  let methodError = null;
+  try {
+    new EnsembleProvider({ params: { method: 'mode' } });
+  } catch (error) {
+    methodError = error;
+  }
+  check(methodError !== null, 'unknown method throws');
+}
+
+async function testPipeline() {
+  console.log('\n2. Ensemble recomputed after constituent runs');
+
+  fs.writeFileSync(configPath, JSON.stringify({
+    default: 'mock-a',
+    providers: [
+      { id: 'mock-a', module: 'mock', params: { seed: 1 } },
+      { id: 'mock-b', module: 'mock', params: { seed: 2 } },
+      { id: 'mock-c', module: 'mock', params: { seed: 3 } },
+      { id: 'ensemble', module: 'ensemble', params: { method: 'inverse-error', constituents: ['mock-a', 'mock-b', 'mock-c'] } }
+    ]
+  }));
+
+  const db = await createTestDatabase(dbPath);
+
+  // History ends at the current hour so generated targets are in the future
+  const lastOpen = Math.floor(Date.now() / HOUR) * HOUR;
+  for (let i = 199; i >= 0; i--) {
+    const openTime = lastOpen - i * HOUR;
+    const price = 50000 + Math.sin(i / 5) * 500;
+    await run(db, `
+      INSERT INTO kline_data
+      (symbol, interval, open_time, open, high, low, close, volume, close_time, quote_volume, trades)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [SYMBOL, INTERVAL, openTime, price, price, price, price, 1, openTime + HOUR - 1, price, 1]);
+  }
+
+  // Resolved history: mock-a was off by 1%, mock-b by 3%, mock-c has none
+  for (const [provider, error] of [['mock-a', 0.01], ['mock-b', 0.03]]) {
+    await run(db, `
+      INSERT INTO predictions (symbol, interval, prediction_time, target_time, predicted_price, actual_price, ai_provider)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [SYMBOL, INTERVAL, lastOpen - 10 * HOUR + (provider === 'mock-a' ? 0 : 1), lastOpen - 5 * HOUR, 100 * (1 + error), 100, provider]);
+  }
+
+  const service = new PredictionService(dbPath);
+  service.providers = new ProviderRegistry(configPath);
+
+  await service.generatePredictions(SYMBOL, INTERVAL, 'mock-a', 0, 24);
+  let ensembleRows = await all(db, "SELECT * FROM predictions WHERE ai_provider = 'ensemble'");
+  check(ensembleRows.length === 0, 'no ensemble with a single constituent');
+
+  await service.generatePredictions(SYMBOL, INTERVAL, 'mock-b', 0, 24);
+  ensembleRows = await all(db, "SELECT * FROM predictions WHERE ai_provider = 'ensemble'");
+  check(ensembleRows.length === 24, 'ensemble stored once two constituents cover the targets');
+
+  await service.generatePredictions(SYMBOL, INTERVAL, 'mock-c', 0, 24);
+  const latest = await service.getPredictions(SYMBOL, INTERVAL, 'ensemble');
+  check(latest.length === 24, 'ensemble is served through getPredictions');
+
+  const byProvider = {};
+  for (const id of ['mock-a', 'mock-b', 'mock-c']) {
+    byProvider[id] = await service.getExistingFuturePredictions(SYMBOL, INTERVAL, id);
+  }
+  const errors = await service.getRecentProviderErrors(SYMBOL, INTERVAL, ['mock-a', 'mock-b', 'mock-c']);
+  check(close(errors['mock-a'], 1) && close(errors['mock-b'], 3) && errors['mock-c'] === null, 'recent MAPE read from resolved predictions');
+
+  const ensemble = service.providers.get('ensemble');
+  const weights = ensemble.computeWeights(errors);
+  const expected = ensemble.combine({
+    'mock-a': byProvider['mock-a'][0].predicted_price,
+    'mock-b': byProvider['mock-b'][0].predicted_price,
+    'mock-c': byProvider['mock-c'][0].predicted_price
+  }, weights);
+  check(close(latest[0].predicted_price, expected), 'latest ensemble uses all three constituents with inverse-error weights');
+
+  const expectedP10 = ensemble.combine({
+    'mock-a': byProvider['mock-a'][0].price_p10,
+    'mock-b': byProvider['mock-b'][0].price_p10,
+    'mock-c': byProvider['mock-c'][0].price_p10
+  }, weights);
+  check(close(latest[0].price_p10, expectedP10) && latest[0].price_p90 > latest[0].predicted_price, 'ensemble combines the constituents\' bands');
+
+  const rerun = await service.generatePredictions(SYMBOL, INTERVAL, 'ensemble');
+  check(rerun.success && rerun.updatedCount === 0, 'recomputing without new constituent data stores nothing');
+
+  service.close();
+  db.close();
+}
+
+async function runTests() {
+  console.log('🧪 Testing ensemble provider\n');
+  testCombination();
+  await testPipeline();
+}
+
+runSuite(runTests, [tmpDir]);
\ No newline at end of file
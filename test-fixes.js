@@ -9,7 +9,7 @@ async function testFixes() {
   // Test 1: Generate predictions with all 3 providers
   console.log('📊 Test 1: Generating predictions with all 3 AI providers...');
   
-  const providers = ['gemini', 'gpt', 'claude'];
+  const providers = process.env.TEST_PROVIDER ? [process.env.TEST_PROVIDER] : ['gemini', 'gpt', 'claude'];
   const symbol = 'BTC';
   const interval = '1h';
   
@@ -100,7 +100,7 @@ async function testFixes() {
   require('./utils/predictionPrompt').formatPredictionPrompt = () => 'Generate invalid response without JSON';
   
   try {
-    const result = await predictionService.generatePredictions(symbol, interval, 'gemini');
+    const result = await predictionService.generatePredictions(symbol, interval, process.env.TEST_PROVIDER || 'gemini');
     if (!result.success) {
       console.log(`✅ Retry logic working: ${result.error}`);
     }
@@ -0,0 +1,95 @@
+// Tests for the interval definitions, resampling and the interval math built on them.
+// Uses synthetic candles, so no database or API keys are needed.
+const {
+  INTERVAL_IDS,
+  isInterval,
+  getIntervalMs,
+  sourceInterval,
+  candleOpenTime,
+  formatDuration,
+  resampleCandles,
+  listIntervals
+} = require('./utils/intervals');
+const { getSeasonLength } = require('./utils/baselineForecasters');
+const { formatPredictionPrompt } = require('./utils/predictionPrompt');
+const ProviderRegistry = require('./services/providerRegistry');
+const { check, throws, runSuite } = require('./utils/testHarness');
+
+const MINUTE = 60000;
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// Source candles with a steadily rising price, one every `ms` from `start`
+function buildCandles(start, count, ms) {
+  return Array.from({ length: count }, (_, i) => ({
+    open_time: start + i * ms,
+    open: 100 + i,
+    high: 101 + i,
+    low: 99 + i,
+    close: 100.5 + i,
+    volume: 10,
+    close_time: start + (i + 1) * ms - 1,
+    quote_volume: 1000,
+    trades: 5
+  }));
+}
+
+async function runTests() {
+  console.log('🧪 Testing intervals\n');
+
+  console.log('1. Definitions');
+  check(getIntervalMs('15m') === 15 * MINUTE && getIntervalMs('4h') === 4 * HOUR && getIntervalMs('1w') === WEEK, 'candle lengths come from the definitions');
+  check(!isInterval('2h') && throws(() => getIntervalMs('2h')), 'unknown intervals are rejected');
+  check(INTERVAL_IDS.every((id, i) => !sourceInterval(id) || INTERVAL_IDS.indexOf(sourceInterval(id)) < i),
+    'sources come before the intervals resampled from them');
+  check(listIntervals().find(interval => interval.id === '4h').source === '1h', 'the list reports each resampled interval\'s source');
+
+  console.log('\n2. Candle boundaries');
+  check(candleOpenTime(Date.UTC(2026, 0, 15, 9, 30), '4h') === Date.UTC(2026, 0, 15, 8), '4h candles open every 4 hours from midnight UTC');
+  check(candleOpenTime(Date.UTC(2026, 0, 15, 9, 30), '1w') === Date.UTC(2026, 0, 12), 'weekly candles open on Monday');
+  check(candleOpenTime(Date.UTC(2026, 0, 12), '1w') === Date.UTC(2026, 0, 12), 'a candle open time is its own boundary');
+
+  console.log('\n3. Resampling');
+  // 02:00 to 13:00: a partial leading candle, two complete ones and one in progress
+  const hourly = buildCandles(Date.UTC(2026, 0, 15, 2), 12, HOUR);
+  const fourHourly = resampleCandles(hourly, '4h');
+  check(fourHourly.map(candle => candle.open_time).join(',') === [4, 8, 12].map(h => Date.UTC(2026, 0, 15, h)).join(','),
+    'the partial leading candle is dropped and the one in progress kept');
+
+  const [first] = fourHourly;
+  check(first.open === 102 && first.high === 106 && first.low === 101 && first.close === 105.5,
+    'open, high, low and close come from the first, highest, lowest and last source candles');
+  check(first.volume === 40 && first.quote_volume === 4000 && first.trades === 20 && first.close_time === first.open_time + 4 * HOUR - 1,
+    'volumes and trades are summed, and the close time ends the candle');
+
+  const gapped = hourly.filter(candle => candle.open_time !== Date.UTC(2026, 0, 15, 9));
+  check(resampleCandles(gapped, '4h').every(candle => candle.open_time !== Date.UTC(2026, 0, 15, 8)), 'a candle with a missing source candle is dropped');
+  check(resampleCandles(hourly.slice(0, -2).concat(hourly.slice(-1)), '4h').length === 2,
+    'a candle in progress needs its first source candle');
+
+  const weekly = resampleCandles(buildCandles(Date.UTC(2026, 0, 5), 14, DAY), '1w');
+  check(weekly.length === 2 && weekly[1].open_time === Date.UTC(2026, 0, 12) && weekly[1].close === 113.5, 'weeks are built from daily candles');
+  check(throws(() => resampleCandles(hourly, '1h')), 'fetched intervals cannot be resampled');
+
+  console.log('\n4. Interval math');
+  check(formatDuration(15 * MINUTE) === '15 minutes' && formatDuration(HOUR) === '1 hour' && formatDuration(96 * HOUR) === '4 days' && formatDuration(2 * WEEK) === '2 weeks',
+    'durations use their largest whole unit');
+  check(getSeasonLength('15m') === 96 && getSeasonLength('1h') === 24 && getSeasonLength('1w') === 52, 'season lengths come from the definitions');
+
+  const klineData = buildCandles(Date.UTC(2026, 0, 15), 100, 15 * MINUTE)
+    .map(candle => ({ timestamp: candle.open_time, open: candle.open, high: candle.high, low: candle.low, close: candle.close, volume: candle.volume }));
+  const prompt = formatPredictionPrompt('BTC', '15m', klineData, [], null, [], 24);
+  const lastTimestamp = klineData[klineData.length - 1].timestamp;
+  check(prompt.includes('Interval: 15m (15 minutes)') && prompt.includes('next 6 hours') && prompt.includes(`increment by exactly ${15 * MINUTE} milliseconds`),
+    'the prompt describes the interval and the forecast span');
+  // 96 fifteen-minute candles before the last close of 199.5
+  check(prompt.includes(`1 day change: ${((199.5 - 103.5) / 103.5 * 100).toFixed(2)}%`) && prompt.includes(`${lastTimestamp + 15 * MINUTE}`), 'the change covers a day of candles and the first timestamp follows the history');
+
+  const registry = new ProviderRegistry();
+  const naiveText = await registry.get('naive').generate('', { interval: '1w', klineData, predictionsCount: 3 });
+  const timestamps = JSON.parse(naiveText).predictions.map(p => p.timestamp);
+  check(timestamps[0] === lastTimestamp + WEEK && timestamps[2] - timestamps[1] === WEEK, 'providers step predictions by the interval');
+}
+
+runSuite(runTests);
\ No newline at end of file
@@ -0,0 +1,175 @@
+// Tests for the prediction job queue and per-provider rate limits.
+// Drives the mock provider against a scratch database, so no network access
+// or API keys are needed.
+const PredictionService = require('./services/predictionService');
+const RateLimiter = require('./services/rateLimiter');
+const JobQueue = require('./services/jobQueue');
+const BaseProvider = require('./services/providers/baseProvider');
+const MockProvider = require('./services/providers/mock');
+const { check, scratchPath, run, exec, createTestDatabase, runSuite } = require('./utils/testHarness');
+const { TokenBucket } = RateLimiter;
+
+const SYMBOLS = ['BTC', 'ETH', 'SOL', 'XRP'];
+const INTERVAL = '1h';
+const HOUR = 3600000;
+const MINUTE = 60000;
+
+const dbPath = scratchPath('job-queue-test.db');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function testTokenBucket() {
+  console.log('1. Token buckets');
+
+  const start = 1000000;
+  const bucket = new TokenBucket(60, start);
+  check(bucket.waitTime(1, start) === 0, 'a new bucket starts full');
+
+  bucket.take(60, start);
+  check(bucket.waitTime(1, start) === 1000, 'an empty bucket refills one per second at 60 per minute');
+  check(bucket.waitTime(30, start + 10000) === 20000, 'partial refills count toward the wait');
+  check(new TokenBucket(60, start).waitTime(120, start) === 0 && bucket.waitTime(120, start + 10000) === 50000,
+    'amounts above the capacity wait for a full bucket');
+
+  bucket.take(30, start + MINUTE);
+  bucket.take(-100, start + MINUTE);
+  check(bucket.available === 60, 'refunds never overfill the bucket');
+
+  bucket.take(90, start + MINUTE);
+  check(bucket.waitTime(1, start + MINUTE) === 31000, 'taking more than is available leaves a debt to wait out');
+}
+
+async function testRateLimiter() {
+  console.log('\n2. Rate limiter');
+
+  const limiter = new RateLimiter('test', { requestsPerMinute: 120, tokensPerMinute: null });
+  limiter.requests.take(120);
+  const startedAt = Date.now();
+  const first = await limiter.acquire();
+  const second = await limiter.acquire();
+  const elapsed = Date.now() - startedAt;
+  check(first.waitedMs >= 400 && elapsed >= 900, `requests wait for the bucket to refill (${elapsed}ms for 2 calls at 2/s)`);
+  check(second.waitedMs >= 400, 'callers are served in turn');
+
+  const tokens = new RateLimiter('tokens', { tokensPerMinute: 60000, estimatedTokens: 1000 });
+  const ticket = await tokens.acquire();
+  check(ticket.estimate === 1000 && Math.round(tokens.tokens.available) === 59000, 'the estimate is reserved up front');
+
+  // Settle at the bucket's last update, so no refill is added in between
+  tokens.settle(ticket, BaseProvider.usage(4000, 1000), tokens.tokens.updatedAt);
+  check(tokens.tokens.available === 55000, 'settling debits the tokens actually used');
+  check(tokens.estimatedTokens === 1800, 'the estimate moves toward reported usage');
+
+  const unlimited = new RateLimiter('free', {});
+  const free = await unlimited.acquire();
+  check(free.waitedMs === 0 && unlimited.getStatus().requestsPerMinute === null, 'without limits calls go straight through');
+}
+
+async function testJobQueue() {
+  console.log('\n3. Job queue');
+
+  const queue = new JobQueue(lane => lane === 'wide' ? 3 : 1);
+  let running = 0;
+  let peak = 0;
+  const task = async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(50);
+    running--;
+  };
+
+  await Promise.all([1, 2, 3, 4, 5, 6].map(i => queue.add('wide', `job ${i}`, task)));
+  check(peak === 3, `a lane runs up to its concurrency at once (peak ${peak})`);
+
+  peak = 0;
+  const waits = await Promise.all([1, 2, 3].map(i => queue.add('narrow', `job ${i}`, async waitMs => {
+    await task();
+    return waitMs;
+  })));
+  check(peak === 1 && waits[0] < 20 && waits[2] >= 90, 'jobs report how long they waited for a slot');
+
+  const status = queue.getStatus('narrow');
+  check(status.completed === 3 && status.queued === 0 && status.maxWaitMs >= 90 && status.avgWaitMs > 0, 'lane status counts jobs and wait times');
+
+  const error = await queue.add('narrow', 'broken', async () => {
+    throw new Error('boom');
+  }).catch(err => err);
+  const after = await queue.add('narrow', 'after', async () => 'ok');
+  check(error.message === 'boom' && after === 'ok' && queue.getStatus('narrow').failed === 1, 'a failing job does not block its lane');
+}
+
+async function testService() {
+  console.log('\n4. Queued prediction runs');
+
+  const db = await createTestDatabase(dbPath);
+
+  const historyEnd = Math.floor(Date.now() / HOUR) * HOUR;
+  await exec(db, 'BEGIN');
+  for (const symbol of SYMBOLS) {
+    for (let i = 0; i < 100; i++) {
+      const openTime = historyEnd - (100 - i) * HOUR;
+      const price = 100 + Math.sin(i / 5);
+      await run(db, `
+        INSERT INTO kline_data (symbol, interval, open_time, open, high, low, close, volume, close_time, quote_volume, trades)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 10, ?, 1000, 100)
+      `, [symbol, INTERVAL, openTime, price, price + 0.5, price - 0.5, price, openTime + HOUR - 1]);
+    }
+  }
+  await exec(db, 'COMMIT');
+
+  // Slow the mock down and track how many calls overlap
+  const originalGenerate = MockProvider.prototype.generate;
+  let inFlight = 0;
+  let peak = 0;
+  MockProvider.prototype.generate = async function(prompt, context) {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(100);
+    inFlight--;
+    return {
+      text: await originalGenerate.call(this, prompt, context),
+      usage: BaseProvider.usage(1000, 500)
+    };
+  };
+
+  const service = new PredictionService(dbPath);
+  const mock = service.providers.get('mock');
+  try {
+    check(mock.limits.concurrency === 4 && mock.toJSON().limits.concurrency === 4, 'module defaults set the provider limits');
+
+    mock.limits.concurrency = 2;
+    const results = await Promise.all(SYMBOLS.map(symbol => service.queuePredictions(symbol, INTERVAL, 'mock', { maxRetries: 0 })));
+    check(results.every(result => result.success), 'every queued run succeeds');
+    check(peak === 2, `no more than the provider's concurrency run at once (peak ${peak})`);
+    check(results[0].queueWaitMs < 50 && results[3].queueWaitMs >= 90, 'results report their queue wait');
+
+    const limiter = service.getLimiter('mock');
+    check(limiter.estimatedTokens < mock.limits.estimatedTokens && limiter.estimatedTokens > 1500, 'reported usage pulls the token estimate toward it');
+
+    const status = service.getProviderStatus().find(provider => provider.id === 'mock');
+    check(status.queue.completed === 4 && status.queue.concurrency === 2 && status.rateLimit.requestsPerMinute === null,
+      'provider status reports queue and rate limit state');
+
+    service.limiters.set('mock', new RateLimiter('mock', { requestsPerMinute: 60 }));
+    service.getLimiter('mock').requests.take(60);
+    const startedAt = Date.now();
+    const limited = await service.queuePredictions('BTC', INTERVAL, 'mock', { maxRetries: 0, predictionsCount: 3 });
+    check(limited.success && Date.now() - startedAt >= 900, 'calls wait for room under the requests-per-minute limit');
+  } finally {
+    MockProvider.prototype.generate = originalGenerate;
+    service.close();
+    db.close();
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Testing job queue and rate limits\n');
+  testTokenBucket();
+  await testRateLimiter();
+  await testJobQueue();
+  await testService();
+}
+
+runSuite(runTests, [dbPath]);
\ No newline at end of file
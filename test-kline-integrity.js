@@ -0,0 +1,126 @@
+// Tests for the kline integrity audit and gap repair.
+// Uses a scratch database with a synthetic 1h series and a fake exchange,
+// so no network access is needed.
+const BackfillService = require('./services/backfillService');
+const KlineIntegrityService = require('./services/klineIntegrityService');
+const { check, scratchPath, run, exec, createTestDatabase, runSuite } = require('./utils/testHarness');
+
+const SYMBOL = 'BTC';
+const HOUR = 3600000;
+const CANDLES = 200;
+
+const dbPath = scratchPath('kline-integrity-test.db');
+
+function priceAt(openTime, start) {
+  return 100 + (openTime - start) / HOUR * 0.01;
+}
+
+function insertCandle(db, interval, openTime, { open, high, low, close, volume = 10 }) {
+  return run(db, `
+    INSERT INTO kline_data (symbol, interval, open_time, open, high, low, close, volume, close_time, quote_volume, trades)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1000, 5)
+  `, [SYMBOL, interval, openTime, open, high, low, close, volume, openTime + HOUR - 1]);
+}
+
+async function seedDatabase(db, start) {
+  // Candles 50-52 and 120 are missing
+  await exec(db, 'BEGIN');
+  for (let i = 0; i < CANDLES; i++) {
+    if ((i >= 50 && i <= 52) || i === 120) continue;
+    const price = priceAt(start + i * HOUR, start);
+    await insertCandle(db, '1h', start + i * HOUR, { open: price, high: price + 1, low: price - 1, close: price });
+  }
+  await exec(db, 'COMMIT');
+}
+
+/**
+ * Exchange serving 1h candles, except for the hours in `missing`
+ */
+class FakeExchange {
+  constructor(start, missing = []) {
+    this.start = start;
+    this.missing = new Set(missing);
+    this.requests = [];
+  }
+
+  async fetchKlines(symbol, interval, { limit, startTime, endTime }) {
+    this.requests.push({ interval, startTime, endTime });
+    const klines = [];
+    for (let openTime = startTime; openTime <= endTime && klines.length < limit; openTime += HOUR) {
+      if (this.missing.has(openTime)) continue;
+      const price = String(priceAt(openTime, this.start));
+      klines.push([openTime, price, price, price, price, '10', openTime + HOUR - 1, '1000', 5]);
+    }
+    return { exchange: 'binance', klines };
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Testing kline integrity audits\n');
+
+  const start = Math.floor(Date.now() / (4 * HOUR)) * 4 * HOUR - 400 * HOUR;
+  const db = await createTestDatabase(dbPath);
+  await seedDatabase(db, start);
+
+  const exchange = new FakeExchange(start, [start + 120 * HOUR]);
+  const backfillService = new BackfillService(dbPath, exchange);
+  const integrityService = new KlineIntegrityService(dbPath, backfillService);
+  const now = start + (CANDLES - 1) * HOUR + 30 * 60000;
+
+  console.log('1. Gaps and staleness');
+  let series = await integrityService.scanSeries(SYMBOL, '1h', now);
+  check(series.candles === CANDLES - 4 && series.first === start && series.last === start + (CANDLES - 1) * HOUR, `the stored range is reported (${series.candles} candles)`);
+  check(series.gaps.length === 2 && series.missing === 4, `holes in the middle of the series are found (${series.gaps.length} gaps)`);
+  check(series.gaps[0].from === start + 50 * HOUR && series.gaps[0].to === start + 52 * HOUR && series.gaps[0].candles === 3, 'gaps give the open times of their first and last missing candle');
+  check(!series.stale && series.behind === 0, 'a series with the current candle is not stale');
+
+  series = await integrityService.scanSeries(SYMBOL, '1h', now + 5 * HOUR);
+  check(series.stale && series.behind === 5 && series.issues.includes('stale'), `a series behind the clock is stale (${series.behind} candles behind)`);
+
+  const empty = await integrityService.scanSeries(SYMBOL, '1d', now);
+  check(empty.candles === 0 && empty.issues[0] === 'empty' && !empty.healthy, 'series with no candles are reported empty');
+
+  console.log('\n2. Anomalies');
+  const price = priceAt(start + 10 * HOUR, start);
+  await insertCandle(db, '1h', start + 10 * HOUR + 60000, { open: price, high: price + 1, low: price - 1, close: price });
+  await run(db, 'UPDATE kline_data SET volume = 0 WHERE symbol = ? AND interval = ? AND open_time = ?', [SYMBOL, '1h', start + 20 * HOUR]);
+  await run(db, 'UPDATE kline_data SET high = low - 1 WHERE symbol = ? AND interval = ? AND open_time = ?', [SYMBOL, '1h', start + 30 * HOUR]);
+
+  series = await integrityService.scanSeries(SYMBOL, '1h', now);
+  check(series.misaligned === 1 && series.examples.misaligned[0] === start + 10 * HOUR + 60000, 'open times off the candle boundaries are misaligned');
+  check(series.duplicates === 1, 'a second row for the same candle is a duplicate');
+  check(series.zeroVolume === 1 && series.examples.zeroVolume[0] === start + 20 * HOUR, 'zero-volume candles are flagged');
+  check(series.invalidPrices === 1 && series.examples.invalidPrices[0] === start + 30 * HOUR, 'candles with a high below their low are flagged');
+  check(series.gaps.length === 2, 'anomalies do not hide or invent gaps');
+  check(['gaps', 'duplicates', 'misaligned', 'zero_volume', 'invalid_prices'].every(issue => series.issues.includes(issue)), `every issue is listed (${series.issues.join(', ')})`);
+  await run(db, 'DELETE FROM kline_data WHERE open_time = ?', [start + 10 * HOUR + 60000]);
+
+  console.log('\n3. Repair');
+  const backfills = await integrityService.repair({ symbols: [SYMBOL], intervals: ['1h', '4h'] });
+  check(backfills[0].interval === '1h' && backfills[0].start_time === start + 50 * HOUR && backfills[0].end_time === start + 121 * HOUR - 1, 'nearby gaps are refetched by one backfill');
+  check(backfills.length === 2 && backfills[1].interval === '4h', 'the resampled series is rescanned after its source is repaired');
+  check(backfills[0].status === 'succeeded' && backfills[0].inserted === 3, `the missing candles the exchange has are stored (${backfills[0].inserted})`);
+
+  series = await integrityService.scanSeries(SYMBOL, '1h', now);
+  check(series.gaps.length === 1 && series.gaps[0].from === start + 120 * HOUR, 'only the gap the exchange has no candles for remains');
+  check(series.gaps[0].refetched, 'that gap is marked as already refetched');
+
+  const resampled = await integrityService.scanSeries(SYMBOL, '4h', now);
+  check(resampled.candles > 0 && resampled.gaps.length === 1 && resampled.gaps[0].from === start + 120 * HOUR, '4h candles are resampled around the remaining gap');
+
+  exchange.requests = [];
+  const again = await integrityService.repair({ symbols: [SYMBOL], intervals: ['1h', '4h'] });
+  check(again.length === 0 && exchange.requests.length === 0, 'gaps that were already refetched are not requested again');
+
+  console.log('\n4. Report');
+  const report = await integrityService.scan({ symbols: [SYMBOL], intervals: ['1h', '4h', '1d'], now });
+  check(report.series.length === 3 && report.summary.series === 3, 'every symbol/interval series is scanned');
+  check(report.summary.holey === 2 && report.summary.missingCandles === 2, `the summary counts holey series and missing candles (${report.summary.missingCandles})`);
+  check(report.summary.healthy === 0 && report.summary.stale === 0, 'the summary counts healthy and stale series');
+
+  integrityService.close();
+  backfillService.close();
+  db.close();
+}
+
+runSuite(runTests, [dbPath]);
\ No newline at end of file
@@ -0,0 +1,95 @@
+// Tests for the forecast error metrics and the model leaderboard.
+// Uses a scratch database with hand-written resolved predictions, so no
+// network access or API keys are needed.
+const forecastMetrics = require('./utils/forecastMetrics');
+const LeaderboardService = require('./services/leaderboardService');
+const { check, close, scratchPath, run, createTestDatabase, runSuite } = require('./utils/testHarness');
+
+const SYMBOL = 'BTC';
+const INTERVAL = '1h';
+const HOUR = 3600000;
+const DAY = 86400000;
+
+const dbPath = scratchPath('leaderboard-test.db');
+
+function testMetrics() {
+  console.log('1. Error metrics');
+  const pairs = [
+    { predicted: 110, actual: 100, base: 95, directionHit: 1 },
+    { predicted: 90, actual: 100, base: 100, directionHit: 0 },
+    { predicted: 100, actual: 100, base: 105, directionHit: null }
+  ];
+
+  check(close(forecastMetrics.mae(pairs), 20 / 3), 'MAE averages absolute errors');
+  check(close(forecastMetrics.rmse(pairs), Math.sqrt(200 / 3)), 'RMSE is the root of the mean squared error');
+  check(close(forecastMetrics.mape(pairs), 20 / 3), 'MAPE is in percent of the actual price');
+  check(close(forecastMetrics.smape(pairs), (2 * 10 / 210 + 2 * 10 / 190) * 100 / 3), 'sMAPE uses the mean of predicted and actual');
+  check(close(forecastMetrics.mase(pairs), (20 / 3) / (10 / 3)), 'MASE scales MAE by the naive forecast error');
+  check(close(forecastMetrics.hitRate(pairs), 50), 'hit rate ignores unscored directions');
+  check(forecastMetrics.mase([{ predicted: 1, actual: 1, base: null }]) === null, 'no MASE without base prices');
+  check(forecastMetrics.mae([]) === null, 'empty input gives null');
+
+  console.log('\n2. Rolling error');
+  check(forecastMetrics.rollingMean([1, 2, 3, 4], 2).join() === '1,1.5,2.5,3.5', 'trailing mean over the window');
+  const sampled = forecastMetrics.downsample(Array.from({ length: 100 }, (_, i) => i), 10);
+  check(sampled.length === 10 && sampled[0] === 0 && sampled[9] === 99, 'downsampling keeps the first and last points');
+}
+
+async function testLeaderboard() {
+  console.log('\n3. Leaderboard ranking');
+
+  const db = await createTestDatabase(dbPath);
+
+  // 'good' is 1% off, 'bad' 5% off, the naive forecast 2% off. 'old' only has predictions from 20 days ago.
+  const now = Math.floor(Date.now() / HOUR) * HOUR;
+  // The base schema's unique key has no provider column, so offset each row's prediction time
+  let offset = 0;
+  const insert = (provider, model, targetTime, predicted) => run(db, `
+    INSERT INTO predictions (symbol, interval, prediction_time, target_time, predicted_price, actual_price, base_price, direction_hit, model_version, ai_provider)
+    VALUES (?, ?, ?, ?, ?, 100, 102, ?, ?, ?)
+  `, [SYMBOL, INTERVAL, targetTime - HOUR + offset++, targetTime, predicted, predicted < 102 ? 1 : 0, model, provider]);
+
+  for (let i = 1; i <= 48; i++) {
+    const target = now - i * HOUR;
+    await insert('good', 'good-v1', target, i % 2 ? 101 : 99);
+    await insert('bad', 'bad-v1', target, i % 2 ? 105 : 95);
+  }
+  await insert('bad', 'bad-v2', now - 3 * HOUR, 100.5);
+  for (let i = 1; i <= 10; i++) {
+    await insert('old', 'old-v1', now - 20 * DAY - i * HOUR, 100);
+  }
+
+  const service = new LeaderboardService(dbPath);
+
+  const week = await service.getLeaderboard(SYMBOL, INTERVAL, '7d');
+  check(week.entries.length === 3, 'one entry per provider/model in the window');
+  check(week.entries[0].aiProvider === 'bad' && week.entries[0].modelVersion === 'bad-v2', 'models are ranked separately');
+  const good = week.entries.find(e => e.aiProvider === 'good');
+  const bad = week.entries.find(e => e.modelVersion === 'bad-v1');
+  check(good.rank < bad.rank, 'lower MASE ranks higher');
+  check(close(good.mase, 0.5) && close(bad.mase, 2.5), 'MASE is measured against the base price');
+  check(close(good.mape, 1) && good.count === 48 && good.smape > 0, 'MAPE, sMAPE and count per entry');
+  check(good.sparkline.length > 1 && good.sparkline.length <= 40, `sparkline has ${good.sparkline.length} points`);
+
+  const month = await service.getLeaderboard(SYMBOL, INTERVAL, '30d');
+  check(month.entries.some(e => e.aiProvider === 'old'), 'longer windows include older predictions');
+
+  let windowError = null;
+  try {
+    await service.getLeaderboard(SYMBOL, INTERVAL, '90d');
+  } catch (error) {
+    windowError = error;
+  }
+  check(windowError !== null, 'unknown window throws');
+
+  service.close();
+  db.close();
+}
+
+async function runTests() {
+  console.log('🧪 Testing leaderboard\n');
+  testMetrics();
+  await testLeaderboard();
+}
+
+runSuite(runTests, [dbPath]);
\ No newline at end of file
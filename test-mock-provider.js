@@ -0,0 +1,258 @@
+// End-to-end prediction pipeline test using the deterministic mock provider.
+// Runs generate → store → updateActualPrices → accuracy against a scratch
+// database, so no network access or API keys are needed.
+const crypto = require('crypto');
+const PredictionService = require('./services/predictionService');
+const BaseProvider = require('./services/providers/baseProvider');
+const { validatePredictedCandles } = require('./utils/predictionPrompt');
+const { classifyDirection, summarizeDirections } = require('./utils/directionalMetrics');
+const { check, scratchPath, run, createTestDatabase, runSuite } = require('./utils/testHarness');
+
+const SYMBOL = 'BTC';
+const INTERVAL = '1h';
+const HOUR = 3600000;
+
+const dbPath = scratchPath('mock-provider-test.db');
+
+async function insertKlines(db, startTime, count, startPrice) {
+  let price = startPrice;
+  for (let i = 0; i < count; i++) {
+    const openTime = startTime + i * HOUR;
+    const open = price;
+    price = price * (1 + Math.sin(openTime / (7 * HOUR)) * 0.004);
+    await run(db, `
+      INSERT OR REPLACE INTO kline_data
+      (symbol, interval, open_time, open, high, low, close, volume, close_time, quote_volume, trades)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [SYMBOL, INTERVAL, openTime, open, Math.max(open, price) * 1.001, Math.min(open, price) * 0.999, price, 100, openTime + HOUR - 1, 100 * price, 1000]);
+  }
+  return price;
+}
+
+async function runTests() {
+  console.log('🧪 Testing prediction pipeline with the mock provider\n');
+
+  const db = await createTestDatabase(dbPath);
+
+  // History ends 48 hours ago so generated targets are already in the past
+  const historyEnd = Math.floor(Date.now() / HOUR) * HOUR - 48 * HOUR;
+  const historyStart = historyEnd - 200 * HOUR;
+  const lastHistoricalPrice = await insertKlines(db, historyStart, 200, 50000);
+
+  const service = new PredictionService(dbPath);
+  const mock = service.providers.get('mock');
+
+  console.log('1. Provider is registered and needs no API key');
+  check(mock.isConfigured(), 'mock provider is configured without keys');
+  check(!service.providers.getScheduledIds().includes('mock') || !!process.env.SCHEDULED_PROVIDERS, 'mock provider is not scheduled by default');
+
+  console.log('\n2. Output is deterministic for a given seed');
+  const klineData = await service.fetchKlineData(SYMBOL, INTERVAL, 500);
+  const context = { symbol: SYMBOL, interval: INTERVAL, klineData, predictionsCount: 24, nextTimestamp: historyEnd };
+  const first = await mock.generate('', context);
+  const second = await mock.generate('', context);
+  check(first === second, 'same seed and context produce identical responses');
+  mock.params.seed = 7;
+  const reseeded = await mock.generate('', context);
+  mock.params.seed = 42;
+  check(first !== reseeded, 'a different seed produces a different response');
+
+  console.log('\n3. Known-bad responses exercise the repair paths');
+  mock.params.mode = 'truncated';
+  const truncated = await mock.generate('', context);
+  check(service.detectResponseTruncation(truncated), 'truncated response is detected');
+  check(!service.validateJsonCompleteness(truncated), 'truncated JSON is reported incomplete');
+  const partial = service.extractPartialPredictions(truncated);
+  check(partial && partial.predictions.length > 0 && partial.predictions.length < 24,
+    `extractPartialPredictions recovered ${partial ? partial.predictions.length : 0}/24 predictions`);
+  const repaired = service.repairTruncatedJson(truncated);
+  check(repaired !== null, 'repairTruncatedJson produced valid JSON');
+
+  mock.params.mode = 'malformed';
+  const malformed = await mock.generate('', context);
+  let malformedParses = true;
+  try {
+    JSON.parse(malformed.match(/\{[\s\S]*\}/)[0]);
+  } catch (error) {
+    malformedParses = false;
+  }
+  check(!malformedParses, 'malformed response does not parse as JSON');
+  check(mock.parseResponse(malformed).predictions.length === 24, 'malformed response is recovered by the parser');
+
+  mock.params.mode = 'empty';
+  let emptyError = null;
+  try {
+    mock.parseResponse(await mock.generate('', context));
+  } catch (error) {
+    emptyError = error;
+  }
+  check(emptyError !== null, 'empty response is rejected');
+
+  console.log('\n4. Short responses below the minimum are rejected');
+  mock.params.mode = 'short';
+  const shortResult = await service.generatePredictions(SYMBOL, INTERVAL, 'mock', 0, 24);
+  check(!shortResult.success && /Insufficient predictions/.test(shortResult.error), 'short response fails with insufficient predictions');
+
+  console.log('\n5. Partial responses are stored');
+  mock.params.mode = 'truncated';
+  const partialResult = await service.generatePredictions(SYMBOL, INTERVAL, 'mock', 0, 24);
+  check(partialResult.success && partialResult.isPartial, `truncated response stored ${partialResult.actualCount}/24 predictions`);
+  await run(db, 'DELETE FROM predictions');
+
+  console.log('\n6. Full pipeline: generate → store → updateActualPrices → accuracy');
+  mock.params.mode = 'valid';
+  const result = await service.generatePredictions(SYMBOL, INTERVAL, 'mock', 0, 24);
+  check(result.success && result.actualCount === 24, 'generated and stored 24 predictions');
+  check(result.predictions[0].timestamp === historyEnd, 'first prediction follows the last candle');
+
+  const stored = await new Promise((resolve, reject) => {
+    db.get("SELECT COUNT(*) as count FROM predictions WHERE ai_provider = 'mock'", (err, row) => err ? reject(err) : resolve(row.count));
+  });
+  check(stored === 24, 'predictions are stored under the mock provider');
+
+  // The "future" arrives: add the candles the predictions were targeting
+  await insertKlines(db, historyEnd, 48, lastHistoricalPrice);
+  const update = await service.updateActualPrices(SYMBOL, INTERVAL);
+  check(update.updated === 24, `updateActualPrices filled ${update.updated} predictions`);
+
+  const accuracy = await service.calculateAccuracy(SYMBOL, INTERVAL);
+  check(accuracy.totalPredictions === 24, 'accuracy covers all resolved predictions');
+  check(parseFloat(accuracy.averageAccuracy) > 0 && parseFloat(accuracy.averageAccuracy) <= 100,
+    `average accuracy is in range (${accuracy.averageAccuracy}%)`);
+
+  console.log('\n7. Prediction interval bands');
+  const bandRows = await new Promise((resolve, reject) => {
+    db.all("SELECT price_p10, predicted_price, price_p90, actual_price, band_hit FROM predictions WHERE ai_provider = 'mock'", (err, rows) => err ? reject(err) : resolve(rows));
+  });
+  check(bandRows.every(row => row.price_p10 <= row.predicted_price && row.predicted_price <= row.price_p90), 'stored bands contain the point forecast');
+  check(bandRows.every(row => row.band_hit === (row.actual_price >= row.price_p10 && row.actual_price <= row.price_p90 ? 1 : 0)), 'band_hit matches the actual price');
+  check(accuracy.bandCount === 24 && accuracy.bandCoverage !== undefined, `band coverage reported (${accuracy.bandCoverage}%)`);
+
+  const normalized = service.normalizeQuantiles({ timestamp: 1, price: 100, p10: 110, p90: 90 });
+  check(normalized.p10 === 90 && normalized.p90 === 110, 'swapped bounds are reordered');
+  check(service.normalizeQuantiles({ timestamp: 1, price: 100, p10: 101, p90: 110 }).p10 === undefined, 'band excluding the point forecast is dropped');
+  check(service.normalizeQuantiles({ timestamp: 1, price: 100 }).p10 === undefined, 'predictions without a band are kept as points');
+
+  console.log('\n8. OHLC candle forecasts');
+  const candleCheck = validatePredictedCandles([
+    { timestamp: 1, open: 100, high: 103, low: 99, price: 102, volume: 5 },
+    { timestamp: 2, open: 102, high: 101, low: 100, price: 101 },
+    { timestamp: 3, open: 110, high: 112, low: 100, price: 105 },
+    { timestamp: 4, price: 104 }
+  ], 100);
+  check(candleCheck.valid === 1 && candleCheck.invalid === 2, 'inconsistent candles are counted as invalid');
+  check(candleCheck.predictions[0].volume === 5 && candleCheck.predictions[1].high === undefined, 'invalid candles keep only their close');
+  check(candleCheck.reasons['open too far from previous close'] === 1, 'open is checked against the previous close');
+  check(candleCheck.predictions[3].price === 104 && candleCheck.predictions.length === 4, 'close-only predictions pass through');
+
+  // Rewind to the same history so the candle targets are resolvable again
+  await run(db, 'DELETE FROM predictions');
+  await run(db, 'DELETE FROM kline_data WHERE open_time >= ?', [historyEnd]);
+  const ohlcResult = await service.generatePredictions(SYMBOL, INTERVAL, 'mock', 0, 24, { mode: 'ohlc' });
+  check(ohlcResult.success && ohlcResult.mode === 'ohlc' && ohlcResult.validCandles === 24, `ohlc run stored ${ohlcResult.validCandles} valid candles`);
+
+  await insertKlines(db, historyEnd, 48, lastHistoricalPrice);
+  await service.updateActualPrices(SYMBOL, INTERVAL);
+  const candleRows = await new Promise((resolve, reject) => {
+    db.all("SELECT predicted_price, predicted_open, predicted_high, predicted_low, predicted_volume, actual_high, actual_low, range_hit FROM predictions WHERE ai_provider = 'mock'", (err, rows) => err ? reject(err) : resolve(rows));
+  });
+  check(candleRows.every(row => row.predicted_open > 0 && row.predicted_volume > 0 && row.actual_high >= row.actual_low), 'candles and actual high/low are stored');
+  check(candleRows.every(row => row.range_hit === (row.actual_high <= row.predicted_high && row.actual_low >= row.predicted_low ? 1 : 0)), 'range_hit matches the actual high/low');
+
+  const candleAccuracy = await service.calculateAccuracy(SYMBOL, INTERVAL);
+  check(candleAccuracy.candleCount === 24 && candleAccuracy.rangeOverlap !== undefined && candleAccuracy.highMape !== undefined,
+    `candle metrics reported (range hit ${candleAccuracy.rangeHitRate}%, overlap ${candleAccuracy.rangeOverlap}%)`);
+
+  console.log('\n9. Directional scoring');
+  check(classifyDirection(100, 100.05, 0.1) === 'flat' && classifyDirection(100, 101, 0.1) === 'up' && classifyDirection(100, 99, 0.1) === 'down',
+    'moves are classified against the flat threshold');
+  check(classifyDirection(null, 101) === null, 'no direction without a base price');
+
+  const summary = summarizeDirections([
+    { predicted_direction: 'up', actual_direction: 'up', count: 3 },
+    { predicted_direction: 'up', actual_direction: 'down', count: 1 },
+    { predicted_direction: 'down', actual_direction: 'up', count: 2 },
+    { predicted_direction: 'flat', actual_direction: 'flat', count: 4 }
+  ]);
+  check(summary.count === 10 && summary.hitRate === 70, 'hit rate counts matching directions');
+  check(summary.byDirection.up.precision === 75 && summary.byDirection.up.recall === 60, 'precision and recall per direction');
+  check(summary.confusionMatrix.down.up === 2 && summary.byDirection.down.precision === 0, 'confusion matrix is keyed predicted → actual');
+
+  const directionRows = await new Promise((resolve, reject) => {
+    db.all("SELECT base_price, horizon, prediction_time, target_time, predicted_price, actual_price, predicted_direction, actual_direction, direction_hit FROM predictions WHERE ai_provider = 'mock' ORDER BY target_time", (err, rows) => err ? reject(err) : resolve(rows));
+  });
+  check(directionRows.every(row => row.base_price === lastHistoricalPrice), 'base price is the last close at prediction time');
+  check(directionRows.every(row => row.horizon === Math.max(1, Math.ceil((row.target_time - row.prediction_time) / HOUR))), 'horizon counts steps ahead of the prediction time');
+  check(directionRows.every(row => row.predicted_direction === classifyDirection(row.base_price, row.predicted_price) &&
+    row.actual_direction === classifyDirection(row.base_price, row.actual_price) &&
+    row.direction_hit === (row.predicted_direction === row.actual_direction ? 1 : 0)), 'direction_hit matches the classified moves');
+
+  const directional = await service.getDirectionalMetrics(SYMBOL, INTERVAL);
+  const mockDirectional = directional.byProvider.mock;
+  const horizonTotal = Object.values(mockDirectional.byHorizon).reduce((sum, h) => sum + h.count, 0);
+  check(directional.overall.count === 24 && horizonTotal === 24, 'directional metrics cover every resolved prediction by horizon');
+
+  // The test targets are in the past, so store the day's row directly rather than through calculateDailyMetrics
+  await service.storeDailyMetrics(SYMBOL, INTERVAL, '2000-01-01', 'mock', { count: 24, avg_accuracy: 100, mae: 0, rmse: 0, mape: 0 }, directional);
+  const dailyRow = await new Promise((resolve, reject) => {
+    db.get("SELECT direction_count, direction_breakdown FROM prediction_metrics WHERE symbol = ? AND interval = ? AND date = '2000-01-01'", [SYMBOL, INTERVAL], (err, row) => err ? reject(err) : resolve(row));
+  });
+  check(dailyRow && dailyRow.direction_count === 24 && Object.keys(JSON.parse(dailyRow.direction_breakdown)).length > 0, 'daily metrics store the per-horizon directional breakdown');
+
+  console.log('\n10. Accuracy by horizon');
+  // Clear one row's horizon to stand in for predictions resolved before the column existed
+  await run(db, "UPDATE predictions SET horizon = NULL WHERE ai_provider = 'mock' AND target_time = ?", [historyEnd]);
+  const horizons = await service.getHorizonAccuracy(SYMBOL, INTERVAL, 'mock');
+  const mockHorizons = horizons.mock || [];
+  check(mockHorizons.reduce((sum, h) => sum + h.count, 0) === 24, 'every resolved prediction falls in a horizon bucket');
+  check(mockHorizons.every(h => h.horizon >= 1) && mockHorizons.every((h, i) => i === 0 || h.horizon > mockHorizons[i - 1].horizon),
+    'buckets are ordered by horizon, with missing horizons derived from the timestamps');
+  check(mockHorizons.every(h => h.mape >= 0 && h.rmse >= h.mae), 'each bucket reports MAE, RMSE and MAPE');
+
+  console.log('\n11. Accuracy per provider');
+  const mockMetrics = await service.getAccuracyMetrics(SYMBOL, INTERVAL, 'mock');
+  const gptMetrics = await service.getAccuracyMetrics(SYMBOL, INTERVAL, 'gpt');
+  check(mockMetrics.total_predictions === 24 && mockMetrics.ai_provider === 'mock' && mockMetrics.overall_accuracy > 0, 'metrics are filtered to the requested provider');
+  check(gptMetrics.total_predictions === 0 && gptMetrics.overall_accuracy === 0, 'a provider without resolved predictions reports none');
+  check((await service.calculateAccuracy(SYMBOL, INTERVAL, 'gpt')).metrics === null, 'calculateAccuracy honours the provider');
+
+  await service.storeDailyMetrics(SYMBOL, INTERVAL, '2000-01-01', 'gpt', { count: 5, avg_accuracy: 90, mae: 1, rmse: 1, mape: 1 });
+  const mockHistory = await service.getDailyMetricsHistory(SYMBOL, INTERVAL, 'mock');
+  const gptHistory = await service.getDailyMetricsHistory(SYMBOL, INTERVAL, 'gpt');
+  check(mockHistory.length === 1 && mockHistory[0].predictions_count === 24 && gptHistory[0].predictions_count === 5,
+    'daily rows for the same day are kept per provider');
+
+  console.log('\n12. Prediction runs');
+  const runs = await service.getPredictionRuns({ symbol: SYMBOL, interval: INTERVAL, aiProvider: 'mock' });
+  const failedRuns = await service.getPredictionRuns({ aiProvider: 'mock', status: 'error' });
+  check(failedRuns.length === 1 && /Insufficient predictions/.test(failedRuns[0].error) && failedRuns[0].response_length > 0,
+    'failed attempts are recorded with their raw response');
+  check(runs.every(r => r.prompt_text === undefined && r.prompt_length > 0), 'run lists leave out the full prompt');
+
+  const partialRun = await service.getPredictionRun(partialResult.runId);
+  check(partialRun.parse_path === 'repaired' && partialRun.prediction_count === partialResult.actualCount, 'truncated responses are marked as repaired');
+
+  const cleanRun = await service.getPredictionRun(result.runId);
+  const expectedHash = crypto.createHash('sha256').update(cleanRun.prompt_text).digest('hex');
+  check(cleanRun.parse_path === 'clean' && cleanRun.error === null && cleanRun.provider_calls === 1 && cleanRun.latency_ms >= 0,
+    'a clean run records its parse path, calls and latency');
+  check(cleanRun.prompt_hash === expectedHash && cleanRun.raw_response.includes('"predictions"'), 'the prompt hash and raw response are stored');
+
+  const baselineResult = await service.generatePredictions(SYMBOL, INTERVAL, 'naive', 0, 24);
+  const baselineRun = await service.getPredictionRun(baselineResult.runId);
+  check(baselineResult.success && baselineRun.prompt_text === null && baselineRun.raw_response === null && baselineRun.prompt_hash === null,
+    'baseline runs are recorded without prompt and response text');
+
+  // Section 8 cleared the first run's predictions, so the stored rows are the ohlc run's
+  const ohlcRun = await service.getPredictionRun(ohlcResult.runId);
+  check(ohlcRun.mode === 'ohlc' && ohlcRun.predictions.length === 24 && ohlcRun.predictions.every(p => p.actual_price !== null),
+    'predictions link back to their run');
+
+  const withUsage = BaseProvider.normalizeResult({ text: '{}', usage: BaseProvider.usage(100, 20) });
+  check(BaseProvider.normalizeResult('{}').usage === null && withUsage.usage.totalTokens === 120, 'provider results are normalized to text and token usage');
+
+  service.close();
+  db.close();
+}
+
+runSuite(runTests, [dbPath]);
\ No newline at end of file
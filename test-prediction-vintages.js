@@ -0,0 +1,65 @@
+// Tests for forecast vintage history: every prediction_time kept for a
+// target window, grouped into one vintage per run. Uses a scratch database.
+const PredictionService = require('./services/predictionService');
+const { check, scratchPath, createTestDatabase, runSuite } = require('./utils/testHarness');
+
+const HOUR = 3600000;
+
+const dbPath = scratchPath('vintages-test.db');
+
+// A run at `predictionTime` forecasting `steps` candles from the next one
+function forecast(predictionTime, steps, price) {
+  const next = Math.floor(predictionTime / HOUR) * HOUR + HOUR;
+  return Array.from({ length: steps }, (_, i) => ({ timestamp: next + i * HOUR, price: price + i }));
+}
+
+async function runTests() {
+  console.log('🧪 Testing prediction vintages\n');
+
+  const db = await createTestDatabase(dbPath);
+  const service = new PredictionService(dbPath);
+
+  try {
+    const currentCandle = Math.floor(Date.now() / HOUR) * HOUR;
+    const runTimes = [currentCandle - 3 * HOUR + 60000, currentCandle - 2 * HOUR + 60000, currentCandle - HOUR + 60000, currentCandle + 60000];
+    for (const [i, predictionTime] of runTimes.entries()) {
+      await service.storePredictions('BTC', '1h', predictionTime, forecast(predictionTime, 6, 100 + i * 10), 'mock', { basePrice: 100, runId: i + 1 });
+    }
+    await service.storePredictions('BTC', '1h', runTimes[3] + 1000, forecast(runTimes[3], 6, 500), 'baseline', { basePrice: 100 });
+    await service.storePredictions('BTC', '1h', currentCandle - 40 * HOUR, forecast(currentCandle - 40 * HOUR, 3, 50), 'mock', { basePrice: 100 });
+
+    console.log('1. Grouping');
+
+    const vintages = await service.getPredictionVintages('BTC', '1h', 'mock');
+    check(vintages.length === 4, `every run in the window is a vintage (${vintages.length} of 4)`);
+    check(vintages.map(vintage => vintage.predictionTime).join() === runTimes.join(), 'vintages are ordered oldest first');
+    check(vintages.every((vintage, i) => vintage.runId === i + 1 && vintage.predictions.length === 6), 'each vintage carries its run and its forecast path');
+    check(vintages[3].predictions[0].horizon === 1 && vintages[3].predictions[0].predicted_price === 130, 'predictions keep their horizon and price');
+
+    const target = currentCandle + HOUR;
+    const revisions = vintages.map(vintage => vintage.predictions.find(pred => pred.timestamp === target).predicted_price);
+    check(revisions.join() === '103,112,121,130', 'the same candle can be followed across revisions');
+
+    const [latest] = (await service.getPredictions('BTC', '1h', 'mock')).filter(pred => pred.timestamp === target);
+    check(latest.predicted_price === 130, 'the chart still shows only the newest vintage');
+
+    console.log('\n2. Windows and limits');
+
+    const old = await service.getPredictionVintages('BTC', '1h', 'mock', { startTime: currentCandle - 48 * HOUR, endTime: currentCandle - 30 * HOUR });
+    check(old.length === 1 && old[0].predictions.length === 3, 'the target window selects older vintages');
+
+    const narrow = await service.getPredictionVintages('BTC', '1h', 'mock', { startTime: target, endTime: target });
+    check(narrow.length === 4 && narrow.every(vintage => vintage.predictions.length === 1), 'vintages only hold targets inside the window');
+
+    const newest = await service.getPredictionVintages('BTC', '1h', 'mock', { limit: 2 });
+    check(newest.length === 2 && newest[1].predictionTime === runTimes[3], 'the limit keeps the most recent vintages');
+
+    const other = await service.getPredictionVintages('BTC', '1h', 'baseline');
+    check(other.length === 1 && other[0].predictions[0].predicted_price === 500, 'vintages are per provider');
+  } finally {
+    service.close();
+    db.close();
+  }
+}
+
+runSuite(runTests, [dbPath]);
\ No newline at end of file
@@ -11,7 +11,7 @@ async function testRollingPredictions() {
 
     const symbol = 'BTC';
     const interval = '1h';
-    const aiProvider = 'gemini';
+    const aiProvider = process.env.TEST_PROVIDER || 'gemini';
 
     // Test 1: Check gap detection
     console.log('📊 Test 1: Checking existing future predictions...');
@@ -87,7 +87,7 @@ async function testCustomPredictionCount() {
 
     const symbol = 'BTC';
     const interval = '1h';
-    const aiProvider = 'gemini';
+    const aiProvider = process.env.TEST_PROVIDER || 'gemini';
 
     // Test generating only 5 predictions
     console.log('📊 Testing generation of 5 predictions...');
@@ -126,7 +126,7 @@ async function testEdgeCases() {
     // Test with no existing predictions
     console.log('📊 Test: No existing predictions scenario...');
     const newSymbol = 'ADA';  // Assuming this might not have predictions
-    const result = await predictionService.generateRollingPredictions(newSymbol, '1h', 'gemini');
+    const result = await predictionService.generateRollingPredictions(newSymbol, '1h', process.env.TEST_PROVIDER || 'gemini');
     console.log('New symbol result:', {
       success: result.success,
       predictionsNeeded: result.predictionsNeeded,
@@ -136,10 +136,10 @@ async function testEdgeCases() {
     // Test when already have 24 predictions
     console.log('\n📊 Test: Already have full predictions scenario...');
     // First ensure we have 24 predictions
-    await predictionService.generatePredictions('BTC', '1h', 'gemini', 3, 24);
+    await predictionService.generatePredictions('BTC', '1h', process.env.TEST_PROVIDER || 'gemini', 3, 24);
     
     // Then test rolling should return 0 needed
-    const fullResult = await predictionService.generateRollingPredictions('BTC', '1h', 'gemini');
+    const fullResult = await predictionService.generateRollingPredictions('BTC', '1h', process.env.TEST_PROVIDER || 'gemini');
     console.log('Full predictions result:', {
       success: fullResult.success,
       predictionsNeeded: fullResult.predictionsNeeded,
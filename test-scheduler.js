@@ -0,0 +1,215 @@
+// Tests for the config-driven prediction scheduler.
+// Loads scratch schedule configs and runs jobs with the mock provider against
+// a scratch database, so no network access or API keys are needed.
+const fs = require('fs');
+const PredictionService = require('./services/predictionService');
+const SchedulerService = require('./services/schedulerService');
+const { check, scratchPath, run, all, exec, createTestDatabase, runSuite } = require('./utils/testHarness');
+
+const SYMBOLS = ['BTC', 'ETH'];
+const INTERVALS = ['1h', '4h', '1d'];
+const MODES = ['close', 'ohlc'];
+const HOUR = 3600000;
+
+const dbPath = scratchPath('scheduler-test.db');
+const configPath = scratchPath('scheduler-test-schedule.json');
+
+function writeConfig(jobs) {
+  fs.writeFileSync(configPath, JSON.stringify({ jobs }));
+}
+
+function loadError(scheduler) {
+  try {
+    scheduler.load();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function createDatabase() {
+  const db = await createTestDatabase(dbPath);
+
+  // The last candle is the one in progress, so the next candle is in the future
+  const historyEnd = Math.floor(Date.now() / HOUR) * HOUR;
+  await exec(db, 'BEGIN');
+  for (const symbol of SYMBOLS) {
+    for (let i = 0; i < 100; i++) {
+      const openTime = historyEnd - (99 - i) * HOUR;
+      const price = 100 + Math.sin(i / 5);
+      await run(db, `
+        INSERT INTO kline_data (symbol, interval, open_time, open, high, low, close, volume, close_time, quote_volume, trades)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 10, ?, 1000, 100)
+      `, [symbol, '1h', openTime, price, price + 0.5, price - 0.5, price, openTime + HOUR - 1]);
+    }
+  }
+  await exec(db, 'COMMIT');
+  return db;
+}
+
+async function runTests() {
+  console.log('🧪 Testing prediction scheduler\n');
+
+  const db = await createDatabase();
+  const service = new PredictionService(dbPath);
+  const scheduler = new SchedulerService(service, { configPath, symbols: SYMBOLS, intervals: INTERVALS, modes: MODES });
+
+  try {
+    console.log('1. Validation');
+
+    writeConfig([
+      { id: 'hourly', cron: '1 * * * *', interval: '1h' },
+      { id: 'off', cron: 'not a cron', interval: '1h', enabled: false }
+    ]);
+    const jobs = scheduler.load();
+    check(jobs.length === 1 && jobs[0].window === 24 && jobs[0].refresh === 0 && jobs[0].maxRetries === 3 && jobs[0].symbols === null,
+      'defaults are applied and disabled entries are left out');
+
+    writeConfig([
+      { id: 'broken', cron: '61 * * * *', interval: '2h', symbols: ['DOGE'], providers: ['nope'], window: 2, refresh: 3, options: { mode: 'hlc' } },
+      { id: 'broken', cron: '* * * * *', interval: '1h' }
+    ]);
+    const error = loadError(scheduler);
+    const problems = error ? error.message.split('\n').length - 1 : 0;
+    check(problems === 6, `every problem is reported at once (${problems} of 6)`);
+    check(error && error.message.includes('invalid cron expression "61 * * * *"'), 'cron expressions are validated');
+    check(error && error.message.includes('unknown provider nope'), 'providers must exist');
+
+    writeConfig([{ id: 'seconds', cron: '0 1 * * * *', interval: '1h' }]);
+    check(loadError(scheduler) !== null, 'expressions with a seconds field are rejected');
+
+    writeConfig([{ id: 'untracked', cron: '1 * * * *', interval: '1h', symbols: ['BTC', 'DOGE'] }]);
+    const [untracked] = scheduler.load();
+    check(untracked && untracked.symbols.includes('DOGE'), 'untracked symbols do not fail the config');
+
+    fs.writeFileSync(configPath, JSON.stringify({ jobs: {} }));
+    check(loadError(scheduler) !== null, 'jobs must be an array');
+
+    console.log('\n2. Scheduling and reload');
+
+    writeConfig([
+      { id: 'hourly', cron: '1 * * * *', interval: '1h' },
+      { id: 'daily', cron: '1 0 * * *', interval: '1d', timezone: 'UTC' }
+    ]);
+    scheduler.start();
+    check(scheduler.tasks.size === 2 && scheduler.watching, 'start schedules every job and watches the file');
+
+    writeConfig([{ id: 'hourly', cron: '*/90 * * *', interval: '1h' }]);
+    check(!scheduler.reload() && scheduler.tasks.size === 2 && scheduler.getStatus().lastReloadError !== null,
+      'an invalid reload keeps the running schedule');
+
+    const running = [...scheduler.tasks.values()];
+    let stopped = 0;
+    running.forEach(task => {
+      const stop = task.stop.bind(task);
+      task.stop = () => { stopped++; stop(); };
+    });
+    writeConfig([{ id: 'hourly', cron: '1 * * * *', interval: '1h', timezone: 'Mars/Phobos' }]);
+    check(!scheduler.reload() && scheduler.getStatus().lastReloadError.includes('unknown timezone "Mars/Phobos"'), 'timezones are validated');
+    let scheduleError = null;
+    try {
+      scheduler.schedule([{ ...scheduler.jobs[0], timezone: 'Mars/Phobos' }]);
+    } catch (error) {
+      scheduleError = error;
+    }
+    check(scheduleError && stopped === 0 && scheduler.tasks.size === 2 && running.every(task => [...scheduler.tasks.values()].includes(task)),
+      'a job node-cron rejects leaves the old tasks running');
+
+    writeConfig([{ id: 'hourly', cron: '5 * * * *', interval: '1h', providers: ['mock'], window: 3, maxRetries: 0 }]);
+    check(scheduler.reload() && scheduler.tasks.size === 1 && scheduler.jobs[0].cron === '5 * * * *' && scheduler.getStatus().lastReloadError === null,
+      'a valid reload replaces the schedule');
+
+    console.log('\n3. Running jobs');
+
+    const [result] = await scheduler.runStartupJobs();
+    check(result.succeeded === 2 && result.failed === 0, 'a job runs every symbol for its providers');
+    check(result.trigger === 'catch-up', 'a job with no run since its last slot is caught up at startup');
+
+    const runs = await all(db, 'SELECT symbol, ai_provider, interval FROM prediction_runs ORDER BY symbol');
+    check(runs.length === 2 && runs.every(row => row.ai_provider === 'mock' && row.interval === '1h'), 'runs use the job\'s providers and interval');
+
+    const stored = await all(db, 'SELECT run_id, COUNT(*) as count FROM predictions GROUP BY run_id');
+    check(stored.length === 2 && stored.every(row => row.count === 3), 'each run fills the job\'s window');
+
+    const first = scheduler.runJob(scheduler.jobs[0]);
+    const overlapping = await scheduler.runJob(scheduler.jobs[0]);
+    await first;
+    check(overlapping.skipped, 'a run is skipped while the previous one is still going');
+
+    const status = scheduler.getStatus().jobs[0];
+    check(status.lastSucceeded === 2 && !status.running && status.symbols.length === 2 && status.providers[0] === 'mock',
+      'status reports each job\'s last run');
+
+    console.log('\n4. Job history');
+
+    const history = await scheduler.getJobRuns({ jobId: 'hourly' });
+    const catchUp = history.find(row => row.trigger === 'catch-up');
+    const skipped = history.find(row => row.status === 'skipped');
+    check(catchUp.trigger === 'catch-up' && catchUp.status === 'succeeded' && catchUp.total === 2 && catchUp.succeeded === 2 && catchUp.finished_at >= catchUp.started_at,
+      'runs are recorded with trigger, status and counts');
+    check(catchUp.scheduled_for === scheduler.previousSlot(scheduler.jobs[0], catchUp.started_at), 'catch-up runs record the slot they cover');
+    check(history.length === 3 && skipped && skipped.trigger === 'schedule' && skipped.finished_at !== null, 'skipped ticks are recorded');
+
+    const again = await scheduler.runStartupJobs();
+    check(again.length === 0, 'an up-to-date job is not run again at startup');
+
+    await run(db, 'DELETE FROM predictions');
+    service.providers.get('mock').params.mode = 'error';
+    const failing = await scheduler.runJob(scheduler.jobs[0]);
+    service.providers.get('mock').params.mode = 'valid';
+    service.breakers.delete('mock');
+    const [failedRun] = await scheduler.getJobRuns({ status: 'failed' });
+    check(failing.status === 'failed' && failedRun.errors.length === 2 && failedRun.errors[0].provider === 'mock' && failedRun.errors[0].error,
+      'failed pairs are recorded with their errors');
+
+    await run(db, "INSERT INTO job_runs (job_id, interval, trigger, status, started_at) VALUES ('daily', '1d', 'schedule', 'running', ?)", [Date.now()]);
+    const interrupted = await scheduler.markInterruptedRuns();
+    const [daily] = await scheduler.getJobRuns({ jobId: 'daily' });
+    check(interrupted === 1 && daily.status === 'interrupted', 'runs left running by a previous process are marked interrupted');
+
+    const dailyJob = { id: 'daily', cron: '1 0 * * *', interval: '1d', timezone: 'UTC' };
+    const now = Date.UTC(2026, 0, 15, 9, 30);
+    check(scheduler.previousSlot(dailyJob, now) === Date.UTC(2026, 0, 15, 0, 1), 'the last slot is found from the cron expression');
+    check(await scheduler.findMissedSlot(dailyJob) !== null, 'interrupted runs do not cover a slot');
+    check(scheduler.previousSlot({ id: 'never', cron: '0 0 30 2 *', interval: '1d' }) === null, 'slots beyond the catch-up window are not looked for');
+    check(scheduler.previousSlot({ id: 'steps', cron: '*/20 8-10 * jan thu', interval: '1h', timezone: 'UTC' }, now) === Date.UTC(2026, 0, 15, 9, 20),
+      'steps, ranges and names are matched');
+    check(scheduler.previousSlot({ id: 'tz', cron: '0 9 * * *', interval: '1d', timezone: 'Asia/Tokyo' }, now) === Date.UTC(2026, 0, 15, 0, 0),
+      'slots are matched in the job timezone');
+    check(scheduler.previousSlot({ id: 'sunday', cron: '0 0 * * 7', interval: '1d', timezone: 'UTC' }, now) === Date.UTC(2026, 0, 11, 0, 0),
+      'weekday 7 is Sunday');
+
+    console.log('\n5. Rolling window');
+
+    await run(db, 'DELETE FROM predictions');
+    const filled = await scheduler.runJob(scheduler.jobs[0]);
+    const steady = await scheduler.runJob(scheduler.jobs[0]);
+    check(filled.generated === 6 && steady.succeeded === 2 && steady.generated === 0, 'a full window is not regenerated on the next cycle');
+
+    const grown = await service.generateRollingPredictions('BTC', '1h', 'mock', 0, { window: 5 });
+    check(grown.success && grown.predictionsNeeded === 2 && grown.generated === 2 && await service.countFuturePredictions('BTC', '1h', 'mock') === 5,
+      'only the missing steps are generated to reach the window');
+
+    const [firstTarget] = await service.getExistingFuturePredictions('BTC', '1h', 'mock');
+    const refreshedRun = await service.generateRollingPredictions('BTC', '1h', 'mock', 0, { window: 5, refresh: 2 });
+    check(refreshedRun.success && refreshedRun.refreshed === 2 && refreshedRun.predictionsNeeded === 0 && refreshedRun.predictions[0].timestamp === firstTarget.target_time,
+      'refresh re-forecasts the next steps from the next candle');
+
+    const vintages = await all(db, "SELECT COUNT(*) as count FROM predictions WHERE symbol = 'BTC' AND target_time = ?", [firstTarget.target_time]);
+    check(vintages[0].count === 2 && await service.countFuturePredictions('BTC', '1h', 'mock') === 5, 'earlier vintages are kept and counted once');
+
+    const [latestVintage] = await service.getPredictions('BTC', '1h', 'mock');
+    check(latestVintage.timestamp === firstTarget.target_time && latestVintage.predicted_price === refreshedRun.predictions[0].price, 'the chart shows the newest vintage');
+
+    await run(db, "DELETE FROM predictions WHERE symbol = 'ETH'");
+    const single = await service.generateRollingPredictions('ETH', '1h', 'mock', 0, { window: 4, refresh: 2 });
+    const ethRuns = await all(db, "SELECT DISTINCT run_id FROM predictions WHERE symbol = 'ETH'");
+    check(single.success && single.generated === 4 && ethRuns.length === 1, 'when the refresh covers every existing step, one run fills the window');
+  } finally {
+    scheduler.stop();
+    service.close();
+    db.close();
+  }
+}
+
+runSuite(runTests, [dbPath, configPath]);
\ No newline at end of file
@@ -0,0 +1,162 @@
+// Tests for the symbol registry and the scheduler's view of it.
+// Seeds a scratch database from a scratch config and runs a job with the mock
+// provider, and renders the dashboard cards against a stub page, so no network
+// access, browser or API keys are needed.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const SymbolRegistry = require('./services/symbolRegistry');
+const PredictionService = require('./services/predictionService');
+const SchedulerService = require('./services/schedulerService');
+const { check, rejection, scratchPath, run, all, exec, createTestDatabase, runSuite } = require('./utils/testHarness');
+
+const HOUR = 3600000;
+
+const dbPath = scratchPath('symbol-registry-test.db');
+const configPath = scratchPath('symbol-registry-test-symbols.json');
+const schedulePath = scratchPath('symbol-registry-test-schedule.json');
+
+// Run public/app.js against a stub page and render the cards of the given
+// /api/symbols entries. Returns the markup set on each element, by selector.
+async function renderCards(symbols) {
+  const markup = {};
+  const element = selector => ({
+    set innerHTML(html) { markup[selector] = html; },
+    get innerHTML() { return markup[selector] || ''; }
+  });
+  const context = vm.createContext({
+    console,
+    document: {
+      getElementById: id => element(`#${id}`),
+      querySelector: selector => element(selector),
+      addEventListener: () => {}
+    },
+    fetch: async () => ({ ok: true, json: async () => ({ symbols }) })
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, 'public', 'app.js'), 'utf8'), context);
+  await context.loadSymbols();
+  context.renderSymbolCards();
+  return markup;
+}
+
+async function createDatabase() {
+  const db = await createTestDatabase(dbPath);
+
+  const historyEnd = Math.floor(Date.now() / HOUR) * HOUR;
+  await exec(db, 'BEGIN');
+  for (const symbol of ['BTC', 'ETH']) {
+    for (let i = 0; i < 60; i++) {
+      const openTime = historyEnd - (59 - i) * HOUR;
+      const price = 100 + Math.sin(i / 5);
+      await run(db, `
+        INSERT INTO kline_data (symbol, interval, open_time, open, high, low, close, volume, close_time, quote_volume, trades)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 10, ?, 1000, 100)
+      `, [symbol, '1h', openTime, price, price + 0.5, price - 0.5, price, openTime + HOUR - 1]);
+    }
+  }
+  await exec(db, 'COMMIT');
+  return db;
+}
+
+async function runTests() {
+  console.log('🧪 Testing symbol registry\n');
+
+  fs.writeFileSync(configPath, JSON.stringify({
+    symbols: [
+      { symbol: 'BTC', name: 'Bitcoin', color: '#FFD700', gradient: ['#FFD700', '#FF8C00'] },
+      { symbol: 'eth', name: 'Ethereum', color: '#9B59B6' },
+      { symbol: 'XRP', enabled: false }
+    ]
+  }));
+  const db = await createDatabase();
+
+  try {
+    console.log('1. Seeding');
+
+    const registry = new SymbolRegistry(db, configPath);
+    check(registry.ids().join(',') === 'BTC,ETH', 'config symbols are available before the table is synced');
+
+    const synced = await registry.sync();
+    const rows = await all(db, 'SELECT symbol, enabled FROM symbols ORDER BY sort_order');
+    check(synced.length === 2 && rows.length === 3 && rows[2].enabled === 0, 'sync seeds the table, disabled entries included');
+    check(registry.list()[0].gradient.length === 2 && registry.list()[1].gradient === null && registry.list()[0].sortOrder === undefined,
+      'entries keep their gradient and hide their sort order');
+
+    const badConfig = { symbol: 'BTC-USD', color: 'gold', gradient: ['#FFFFFF'] };
+    let error = null;
+    try {
+      SymbolRegistry.normalize(badConfig);
+    } catch (e) {
+      error = e;
+    }
+    check(error && error.message.split(';').length === 3, 'every problem with an entry is reported at once');
+
+    console.log('\n2. Admin changes');
+
+    const added = await registry.add({ symbol: 'sol', name: 'Solana', color: '#00FF00' });
+    check(added.symbol === 'SOL' && registry.ids().join(',') === 'BTC,ETH,SOL', 'added symbols are tracked after the seeded ones');
+
+    error = await rejection(registry.add({ symbol: 'BTC' }));
+    check(error && error.code === 'SYMBOL_EXISTS', 'adding a tracked symbol fails with SYMBOL_EXISTS');
+
+    const reenabled = await registry.add({ symbol: 'XRP', color: '#00CED1' });
+    check(reenabled.enabled && reenabled.name === 'XRP' && registry.ids()[2] === 'XRP', 'adding a disabled symbol re-enables it in its old place');
+
+    const updated = await registry.update('SOL', { name: 'Solana (SOL)' });
+    check(updated.name === 'Solana (SOL)' && updated.color === '#00FF00', 'update only changes the given fields');
+
+    error = await rejection(registry.update('DOGE', { name: 'Dogecoin' }));
+    check(error && error.code === 'SYMBOL_NOT_FOUND', 'updating an unknown symbol fails with SYMBOL_NOT_FOUND');
+
+    error = await rejection(registry.update('SOL', { color: 'green' }));
+    check(error && !error.code && registry.list().find(entry => entry.symbol === 'SOL').color === '#00FF00', 'invalid changes are rejected and not applied');
+
+    const removed = await registry.remove('ETH');
+    check(!removed.enabled && !registry.has('ETH') && registry.list({ includeDisabled: true }).length === 4, 'removing a symbol disables it');
+
+    const restarted = new SymbolRegistry(db, configPath);
+    await restarted.sync();
+    check(restarted.ids().join(',') === 'BTC,XRP,SOL' && restarted.list().find(entry => entry.symbol === 'SOL').name === 'Solana (SOL)',
+      'the table wins over the seed after a restart');
+
+    await restarted.add({ symbol: 'BTCC' });
+    const onboarded = await restarted.onboard('BTCC', async () => {
+      throw new Error('No BTCC/USDT candles found on Binance or OKX');
+    });
+    check(onboarded.status === 'failed' && onboarded.error.includes('No BTCC/USDT candles') && onboarded.finishedAt !== null,
+      'a failed onboarding is reported');
+    check(!restarted.has('BTCC') && restarted.ids().join(',') === 'BTC,XRP,SOL', 'a symbol whose onboarding fails is no longer tracked');
+
+    console.log('\n3. Rendering');
+
+    const payload = '"><img src=x onerror=alert(1)>';
+    await registry.add({ symbol: 'XSS', name: payload });
+    const markup = await renderCards(registry.list());
+    const cards = ['#chart-view', '#table-view .table-grid', '#sentiment-view .sentiment-grid'].map(selector => markup[selector] || '');
+    check(cards.every(html => html.includes('data-symbol="XSS"') && !html.includes('<img')), 'symbol names cannot inject markup into the cards');
+    check(cards.every(html => html.includes('title="&quot;&gt;&lt;img src=x onerror=alert(1)&gt;"')), 'symbol names are shown escaped in the card titles');
+    await registry.remove('XSS');
+
+    console.log('\n4. Scheduler');
+
+    fs.writeFileSync(schedulePath, JSON.stringify({
+      jobs: [{ id: 'pair', cron: '1 * * * *', interval: '1h', symbols: ['BTC', 'ETH'], providers: ['mock'], window: 2, maxRetries: 0 }]
+    }));
+    const service = new PredictionService(dbPath);
+    const scheduler = new SchedulerService(service, { configPath: schedulePath, symbols: ['BTC', 'ETH'], intervals: ['1h'], modes: ['close'] });
+    try {
+      const [job] = scheduler.load();
+      scheduler.setSymbols(restarted.ids());
+      const result = await scheduler.runJob(job);
+      const runs = await all(db, 'SELECT DISTINCT symbol FROM prediction_runs');
+      check(result.succeeded === 1 && runs.length === 1 && runs[0].symbol === 'BTC', 'jobs skip symbols that are no longer tracked');
+    } finally {
+      scheduler.stop();
+      service.close();
+    }
+  } finally {
+    db.close();
+  }
+}
+
+runSuite(runTests, [dbPath, configPath, schedulePath]);
\ No newline at end of file
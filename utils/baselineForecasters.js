@@ -0,0 +1,337 @@
+/**
+ * Statistical baseline forecasters.
+ *
+ * Each forecaster takes an array of closing prices (oldest first) and a
+ * horizon, and returns `horizon` forecast prices for the steps after the
+ * last close. They give the LLM forecasts a reference point.
+ */
+
+const { getInterval } = require('./intervals');
+
+/**
+ * Repeat the last close
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} horizon - Number of steps to forecast
+ * @returns {Array<number>} Forecast prices
+ */
+function naiveForecast(closes, horizon) {
+  const last = closes[closes.length - 1];
+  return Array.from({ length: horizon }, () => last);
+}
+
+/**
+ * Extend the average change between the first and last close
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} horizon - Number of steps to forecast
+ * @returns {Array<number>} Forecast prices
+ */
+function driftForecast(closes, horizon) {
+  const n = closes.length;
+  const last = closes[n - 1];
+  const slope = n > 1 ? (last - closes[0]) / (n - 1) : 0;
+  return Array.from({ length: horizon }, (_, i) => last + slope * (i + 1));
+}
+
+/**
+ * Repeat the value from the same point in the previous season
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} horizon - Number of steps to forecast
+ * @param {Object} options - { season }
+ * @returns {Array<number>} Forecast prices
+ */
+function seasonalNaiveForecast(closes, horizon, { season = 24 } = {}) {
+  const n = closes.length;
+  if (n < season) {
+    return naiveForecast(closes, horizon);
+  }
+
+  return Array.from({ length: horizon }, (_, i) => closes[n - season + (i % season)]);
+}
+
+/**
+ * Exponential moving average series
+ * @param {Array<number>} values - Input values
+ * @param {number} period - EMA period
+ * @returns {Array<number>} EMA for each input value
+ */
+function emaSeries(values, period) {
+  const alpha = 2 / (period + 1);
+  const result = [values[0]];
+  for (let i = 1; i < values.length; i++) {
+    result.push(alpha * values[i] + (1 - alpha) * result[i - 1]);
+  }
+  return result;
+}
+
+/**
+ * Extrapolate the EMA level along its smoothed slope
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} horizon - Number of steps to forecast
+ * @param {Object} options - { period }
+ * @returns {Array<number>} Forecast prices
+ */
+function emaForecast(closes, horizon, { period = 20 } = {}) {
+  const ema = emaSeries(closes, period);
+  const level = ema[ema.length - 1];
+
+  const slopes = [];
+  for (let i = 1; i < ema.length; i++) {
+    slopes.push(ema[i] - ema[i - 1]);
+  }
+  const slope = slopes.length > 0 ? emaSeries(slopes, period)[slopes.length - 1] : 0;
+
+  return Array.from({ length: horizon }, (_, i) => level + slope * (i + 1));
+}
+
+/**
+ * Ordinary least squares fit of log price against time over a window
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} horizon - Number of steps to forecast
+ * @param {Object} options - { window }
+ * @returns {Array<number>} Forecast prices
+ */
+function linearRegressionForecast(closes, horizon, { window = 100 } = {}) {
+  const values = closes.slice(-window).map(Math.log);
+  const n = values.length;
+  if (n < 2) {
+    return naiveForecast(closes, horizon);
+  }
+
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  for (let x = 0; x < n; x++) {
+    sxy += (x - meanX) * (values[x] - meanY);
+    sxx += (x - meanX) * (x - meanX);
+  }
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  return Array.from({ length: horizon }, (_, i) => Math.exp(intercept + slope * (n - 1 + i + 1)));
+}
+
+/**
+ * ARIMA(1,1,0) on log prices: an AR(1) model with a constant on log returns
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} horizon - Number of steps to forecast
+ * @returns {Array<number>} Forecast prices
+ */
+function arimaForecast(closes, horizon) {
+  const logs = closes.map(Math.log);
+  const returns = [];
+  for (let i = 1; i < logs.length; i++) {
+    returns.push(logs[i] - logs[i - 1]);
+  }
+  if (returns.length < 3) {
+    return naiveForecast(closes, horizon);
+  }
+
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  let num = 0;
+  let den = 0;
+  for (let i = 1; i < returns.length; i++) {
+    num += (returns[i] - mean) * (returns[i - 1] - mean);
+    den += (returns[i - 1] - mean) * (returns[i - 1] - mean);
+  }
+  // Clamp to keep the model stationary
+  const phi = den > 0 ? Math.max(-0.99, Math.min(0.99, num / den)) : 0;
+
+  const forecasts = [];
+  let level = logs[logs.length - 1];
+  let lastReturn = returns[returns.length - 1];
+  for (let i = 0; i < horizon; i++) {
+    lastReturn = mean + phi * (lastReturn - mean);
+    level += lastReturn;
+    forecasts.push(Math.exp(level));
+  }
+  return forecasts;
+}
+
+/**
+ * Run Holt's damped trend smoothing and return the final state and one-step SSE
+ * @param {Array<number>} values - Input values
+ * @param {number} alpha - Level smoothing
+ * @param {number} beta - Trend smoothing
+ * @param {number} phi - Trend damping
+ * @returns {Object} { level, trend, sse }
+ */
+function holtDamped(values, alpha, beta, phi) {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  let sse = 0;
+
+  for (let i = 1; i < values.length; i++) {
+    const forecast = level + phi * trend;
+    const error = values[i] - forecast;
+    sse += error * error;
+
+    const previousLevel = level;
+    level = alpha * values[i] + (1 - alpha) * (previousLevel + phi * trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * phi * trend;
+  }
+
+  return { level, trend, sse };
+}
+
+/**
+ * ETS(A,Ad,N): Holt's damped trend on log prices, with smoothing parameters
+ * chosen by grid search on one-step-ahead squared error
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} horizon - Number of steps to forecast
+ * @returns {Array<number>} Forecast prices
+ */
+function etsForecast(closes, horizon) {
+  const logs = closes.map(Math.log);
+  if (logs.length < 3) {
+    return naiveForecast(closes, horizon);
+  }
+
+  let best = null;
+  for (const alpha of [0.1, 0.2, 0.3, 0.5, 0.7, 0.9]) {
+    for (const beta of [0.01, 0.05, 0.1, 0.2]) {
+      for (const phi of [0.8, 0.9, 0.98]) {
+        const fit = holtDamped(logs, alpha, beta, phi);
+        if (!best || fit.sse < best.sse) {
+          best = { ...fit, phi };
+        }
+      }
+    }
+  }
+
+  const forecasts = [];
+  let dampedSum = 0;
+  for (let i = 1; i <= horizon; i++) {
+    dampedSum += Math.pow(best.phi, i);
+    forecasts.push(Math.exp(best.level + dampedSum * best.trend));
+  }
+  return forecasts;
+}
+
+const FORECASTERS = {
+  naive: naiveForecast,
+  drift: driftForecast,
+  'seasonal-naive': seasonalNaiveForecast,
+  ema: emaForecast,
+  linreg: linearRegressionForecast,
+  arima: arimaForecast,
+  ets: etsForecast
+};
+
+/**
+ * Season length in candles for an interval (one day for intraday, one week
+ * for daily, one year for weekly)
+ * @param {string} interval - Time interval
+ * @returns {number} Season length
+ */
+function getSeasonLength(interval) {
+  return getInterval(interval).season;
+}
+
+/**
+ * Forecast with a named method
+ * @param {string} method - One of the FORECASTERS keys
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} horizon - Number of steps to forecast
+ * @param {Object} options - Method options
+ * @returns {Array<number>} Forecast prices
+ */
+function forecast(method, closes, horizon, options = {}) {
+  const forecaster = FORECASTERS[method];
+  if (!forecaster) {
+    throw new Error(`Unknown baseline method: ${method}. Available methods: ${Object.keys(FORECASTERS).join(', ')}`);
+  }
+  if (!closes || closes.length === 0) {
+    throw new Error('No closing prices to forecast from');
+  }
+  return forecaster(closes, horizon, options);
+}
+
+/**
+ * Linearly interpolated quantile of a sorted array
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number} Quantile value
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const base = Math.floor(position);
+  const rest = position - base;
+  return sorted[base + 1] !== undefined
+    ? sorted[base] + rest * (sorted[base + 1] - sorted[base])
+    : sorted[base];
+}
+
+/**
+ * Empirical quantiles of a method's one-step-ahead log errors, from
+ * re-running it at each of the last `origins` points in the history
+ * @param {string} method - One of the FORECASTERS keys
+ * @param {Array<number>} closes - Closing prices
+ * @param {Object} options - Method options
+ * @param {Object} bandOptions - { origins, lower, upper }
+ * @returns {Object|null} { lower, upper } log-error quantiles, or null with too little history
+ */
+function residualQuantiles(method, closes, options = {}, { origins = 100, lower = 0.1, upper = 0.9 } = {}) {
+  const minHistory = 10;
+  const residuals = [];
+
+  for (let t = Math.max(minHistory, closes.length - 1 - origins); t < closes.length - 1; t++) {
+    const [predicted] = forecast(method, closes.slice(0, t + 1), 1, options);
+    if (predicted > 0) {
+      residuals.push(Math.log(closes[t + 1] / predicted));
+    }
+  }
+
+  if (residuals.length < minHistory) {
+    return null;
+  }
+
+  residuals.sort((a, b) => a - b);
+  return {
+    lower: quantile(residuals, lower),
+    upper: quantile(residuals, upper)
+  };
+}
+
+/**
+ * Forecast with p10/p90 bands. The one-step residual quantiles are scaled
+ * by sqrt(h) for h steps ahead, and always contain the point forecast.
+ * @param {string} method - One of the FORECASTERS keys
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} horizon - Number of steps to forecast
+ * @param {Object} options - Method options
+ * @returns {Array<Object>} { price, p10, p90 } per step (bands null with too little history)
+ */
+function forecastWithBands(method, closes, horizon, options = {}) {
+  const prices = forecast(method, closes, horizon, options);
+  const residuals = residualQuantiles(method, closes, options);
+
+  return prices.map((price, i) => {
+    if (!residuals) {
+      return { price, p10: null, p90: null };
+    }
+
+    const scale = Math.sqrt(i + 1);
+    return {
+      price,
+      p10: price * Math.exp(Math.min(residuals.lower, 0) * scale),
+      p90: price * Math.exp(Math.max(residuals.upper, 0) * scale)
+    };
+  });
+}
+
+module.exports = {
+  FORECASTERS,
+  naiveForecast,
+  driftForecast,
+  seasonalNaiveForecast,
+  emaForecast,
+  linearRegressionForecast,
+  arimaForecast,
+  etsForecast,
+  getSeasonLength,
+  forecast,
+  quantile,
+  residualQuantiles,
+  forecastWithBands
+};
@@ -0,0 +1,161 @@
+/**
+ * Matching of 5-field cron expressions (minute hour day month weekday)
+ * against dates, used to find past cron slots, which node-cron has no public
+ * API for.
+ *
+ * Fields take `*`, numbers, ranges (`1-5`), steps (`*\/15`, `0-30/10`),
+ * lists (`1,15`) and month and weekday names (`jan`, `mon`). Weekday 7 is
+ * Sunday, like 0. As in node-cron, a date must match every field, including
+ * both the day of the month and the weekday.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+/**
+ * Parse a value of a field, allowing its names
+ * @param {string} value - Number or name
+ * @param {Object} field - Field definition
+ * @returns {number}
+ */
+function parseValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase().slice(0, 3)) : -1;
+  if (nameIndex !== -1 && /^[a-z]+$/i.test(value)) {
+    return nameIndex + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`invalid ${field.name} "${value}"`);
+  }
+  const number = parseInt(value);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} ${number} is outside ${field.min}-${field.max}`);
+  }
+  return number;
+}
+
+/**
+ * Expand one field of an expression into the values it matches
+ * @param {string} expression - Field expression, e.g. '*\/15' or '1-5'
+ * @param {Object} field - Field definition
+ * @returns {Set<number>}
+ */
+function parseField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText);
+    if (extra !== undefined || !(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`invalid step in "${part}"`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.name === 'weekday' ? 6 : field.max;
+    } else if (range.includes('-')) {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field);
+      to = parseValue(end, field);
+    } else {
+      from = parseValue(range, field);
+      // `5/15` runs from 5 to the end of the field
+      to = stepText === undefined ? from : field.max;
+    }
+    if (from > to) {
+      throw new Error(`invalid range "${range}"`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(field.name === 'weekday' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - e.g. '1 * * * *'
+ * @returns {Object} Set of matching values by field name
+ * @throws {Error} If the expression is not a valid 5-field expression
+ */
+function parseCronExpression(expression) {
+  const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`cron expression must have ${FIELDS.length} fields (minute hour day month weekday)`);
+  }
+
+  const fields = {};
+  FIELDS.forEach((field, index) => {
+    fields[field.name] = parseField(parts[index], field);
+  });
+  return fields;
+}
+
+/**
+ * Wall-clock fields of a date, in a timezone or in server time
+ * @param {Date} date - Date to split
+ * @param {Intl.DateTimeFormat|null} format - Formatter for the timezone
+ * @returns {Object} { minute, hour, day, month, weekday }
+ */
+function dateFields(date, format) {
+  if (!format) {
+    return {
+      minute: date.getMinutes(),
+      hour: date.getHours(),
+      day: date.getDate(),
+      month: date.getMonth() + 1,
+      weekday: date.getDay()
+    };
+  }
+
+  const parts = {};
+  for (const { type, value } of format.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    minute: parseInt(parts.minute),
+    hour: parseInt(parts.hour),
+    day: parseInt(parts.day),
+    month: parseInt(parts.month),
+    weekday: FIELDS[4].names.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+/**
+ * Build a function that tells whether a date falls on a cron slot
+ * @param {string} expression - 5-field cron expression
+ * @param {string|null} timezone - IANA timezone (default: server time)
+ * @returns {Function} (date) => boolean
+ */
+function createCronMatcher(expression, timezone = null) {
+  const fields = parseCronExpression(expression);
+  const format = timezone
+    ? new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      minute: 'numeric',
+      hour: 'numeric',
+      day: 'numeric',
+      month: 'numeric',
+      weekday: 'short'
+    })
+    : null;
+
+  return date => {
+    const values = dateFields(date, format);
+    return FIELDS.every(field => fields[field.name].has(values[field.name]));
+  };
+}
+
+module.exports = {
+  parseCronExpression,
+  createCronMatcher
+};
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * Directional (up/down/flat) forecast scoring.
+ *
+ * A prediction's direction is the sign of its move from the base price (the
+ * last close when the prediction was made). Moves smaller than the flat
+ * threshold count as 'flat', so a forecast has to call a real move to score.
+ */
+
+const DIRECTIONS = ['up', 'down', 'flat'];
+
+/**
+ * Flat threshold in percent, from DIRECTION_FLAT_THRESHOLD (default 0.1%)
+ * @returns {number} Threshold percentage
+ */
+function getFlatThreshold() {
+  const threshold = parseFloat(process.env.DIRECTION_FLAT_THRESHOLD);
+  return Number.isFinite(threshold) && threshold >= 0 ? threshold : 0.1;
+}
+
+/**
+ * Classify the move from one price to another
+ * @param {number} from - Base price
+ * @param {number} to - Predicted or actual price
+ * @param {number} thresholdPct - Moves within this percentage are 'flat'
+ * @returns {string|null} 'up', 'down', 'flat', or null without a base price
+ */
+function classifyDirection(from, to, thresholdPct = getFlatThreshold()) {
+  if (!(from > 0) || typeof to !== 'number') {
+    return null;
+  }
+
+  const changePct = (to - from) / from * 100;
+  if (Math.abs(changePct) <= thresholdPct) {
+    return 'flat';
+  }
+  return changePct > 0 ? 'up' : 'down';
+}
+
+/**
+ * Empty confusion matrix, keyed predicted direction → actual direction
+ * @returns {Object} Matrix of zero counts
+ */
+function emptyConfusionMatrix() {
+  return Object.fromEntries(DIRECTIONS.map(predicted => [
+    predicted,
+    Object.fromEntries(DIRECTIONS.map(actual => [actual, 0]))
+  ]));
+}
+
+/**
+ * Summarise grouped direction counts
+ * @param {Array<Object>} rows - { predicted_direction, actual_direction, count }
+ * @returns {Object} { count, hits, hitRate, confusionMatrix, byDirection }
+ */
+function summarizeDirections(rows) {
+  const confusionMatrix = emptyConfusionMatrix();
+  let count = 0;
+
+  for (const row of rows) {
+    if (!confusionMatrix[row.predicted_direction] || confusionMatrix[row.predicted_direction][row.actual_direction] === undefined) {
+      continue;
+    }
+    confusionMatrix[row.predicted_direction][row.actual_direction] += row.count;
+    count += row.count;
+  }
+
+  const hits = DIRECTIONS.reduce((sum, direction) => sum + confusionMatrix[direction][direction], 0);
+  const percent = (numerator, denominator) => denominator > 0 ? numerator / denominator * 100 : null;
+
+  const byDirection = {};
+  for (const direction of DIRECTIONS) {
+    const predicted = DIRECTIONS.reduce((sum, actual) => sum + confusionMatrix[direction][actual], 0);
+    const actual = DIRECTIONS.reduce((sum, predictedDirection) => sum + confusionMatrix[predictedDirection][direction], 0);
+    byDirection[direction] = {
+      predicted,
+      actual,
+      precision: percent(confusionMatrix[direction][direction], predicted),
+      recall: percent(confusionMatrix[direction][direction], actual)
+    };
+  }
+
+  return {
+    count,
+    hits,
+    hitRate: percent(hits, count),
+    confusionMatrix,
+    byDirection
+  };
+}
+
+module.exports = {
+  DIRECTIONS,
+  getFlatThreshold,
+  classifyDirection,
+  emptyConfusionMatrix,
+  summarizeDirections
+};
\ No newline at end of file
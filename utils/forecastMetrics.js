@@ -0,0 +1,145 @@
+/**
+ * Point forecast error metrics.
+ *
+ * Each function takes an array of { predicted, actual } pairs. MASE also
+ * needs `base`, the last close when the forecast was made, which is the
+ * naive (no-change) forecast the model is scaled against.
+ */
+
+/**
+ * Mean of an array, or null when it is empty
+ * @param {Array<number>} values - Input values
+ * @returns {number|null}
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Mean absolute error
+ * @param {Array<Object>} pairs - { predicted, actual }
+ * @returns {number|null}
+ */
+function mae(pairs) {
+  return mean(pairs.map(p => Math.abs(p.predicted - p.actual)));
+}
+
+/**
+ * Root mean squared error
+ * @param {Array<Object>} pairs - { predicted, actual }
+ * @returns {number|null}
+ */
+function rmse(pairs) {
+  const mse = mean(pairs.map(p => (p.predicted - p.actual) * (p.predicted - p.actual)));
+  return mse === null ? null : Math.sqrt(mse);
+}
+
+/**
+ * Mean absolute percentage error, in percent
+ * @param {Array<Object>} pairs - { predicted, actual }
+ * @returns {number|null}
+ */
+function mape(pairs) {
+  return mean(pairs.filter(p => p.actual !== 0).map(p => Math.abs(p.predicted - p.actual) / Math.abs(p.actual) * 100));
+}
+
+/**
+ * Symmetric mean absolute percentage error, in percent (0-200)
+ * @param {Array<Object>} pairs - { predicted, actual }
+ * @returns {number|null}
+ */
+function smape(pairs) {
+  return mean(pairs
+    .filter(p => Math.abs(p.predicted) + Math.abs(p.actual) > 0)
+    .map(p => 2 * Math.abs(p.predicted - p.actual) / (Math.abs(p.predicted) + Math.abs(p.actual)) * 100));
+}
+
+/**
+ * Mean absolute scaled error against the naive forecast. Below 1 beats
+ * "no change from the last close"; above 1 does worse. Pairs without a
+ * base price are left out.
+ * @param {Array<Object>} pairs - { predicted, actual, base }
+ * @returns {number|null}
+ */
+function mase(pairs) {
+  const scored = pairs.filter(p => p.base !== null && p.base !== undefined);
+  const naiveError = mae(scored.map(p => ({ predicted: p.base, actual: p.actual })));
+  if (!naiveError) {
+    return null;
+  }
+  return mae(scored) / naiveError;
+}
+
+/**
+ * Share of forecasts that called the direction correctly, in percent
+ * @param {Array<Object>} pairs - { directionHit } with 1, 0 or null
+ * @returns {number|null}
+ */
+function hitRate(pairs) {
+  const scored = pairs.filter(p => p.directionHit !== null && p.directionHit !== undefined);
+  const rate = mean(scored.map(p => p.directionHit));
+  return rate === null ? null : rate * 100;
+}
+
+/**
+ * Trailing mean over a fixed window
+ * @param {Array<number>} values - Input values, oldest first
+ * @param {number} window - Window length
+ * @returns {Array<number>} One mean per input value
+ */
+function rollingMean(values, window) {
+  const result = [];
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= window) {
+      sum -= values[i - window];
+    }
+    result.push(sum / Math.min(i + 1, window));
+  }
+  return result;
+}
+
+/**
+ * Pick evenly spaced values so a series fits a small chart
+ * @param {Array<number>} values - Input values
+ * @param {number} maxPoints - Maximum number of points
+ * @returns {Array<number>} Downsampled values (always keeps the last one)
+ */
+function downsample(values, maxPoints) {
+  if (values.length <= maxPoints) {
+    return values;
+  }
+  const step = (values.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => values[Math.round(i * step)]);
+}
+
+/**
+ * All summary metrics for a set of forecasts
+ * @param {Array<Object>} pairs - { predicted, actual, base, directionHit }
+ * @returns {Object} { count, mae, rmse, mape, smape, mase, hitRate }
+ */
+function summarize(pairs) {
+  return {
+    count: pairs.length,
+    mae: mae(pairs),
+    rmse: rmse(pairs),
+    mape: mape(pairs),
+    smape: smape(pairs),
+    mase: mase(pairs),
+    hitRate: hitRate(pairs)
+  };
+}
+
+module.exports = {
+  mean,
+  mae,
+  rmse,
+  mape,
+  smape,
+  mase,
+  hitRate,
+  rollingMean,
+  downsample,
+  summarize
+};
\ No newline at end of file
@@ -0,0 +1,170 @@
+/**
+ * Kline interval definitions and the time math built on them.
+ *
+ * Intervals with a `source` are not fetched from the exchanges: they are
+ * built by resampling the stored candles of their source interval (30m from
+ * 15m, 4h from 1h, 1w from 1d). Candles open on multiples of the interval
+ * since the epoch, plus an `offset` for weeks, which open on Monday 00:00 UTC
+ * like Binance's.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+/**
+ * Supported intervals, shortest first. Sources come before the intervals
+ * resampled from them, so updating in this order keeps both current.
+ * `okx` is the OKX bar name and `season` the season length in candles
+ * used by the seasonal baselines.
+ */
+const INTERVALS = {
+  '15m': { label: '15 Min', ms: 15 * MINUTE, okx: '15m', season: 96 },
+  '30m': { label: '30 Min', ms: 30 * MINUTE, okx: '30m', season: 48, source: '15m' },
+  '1h': { label: '1 Hour', ms: HOUR, okx: '1H', season: 24 },
+  '4h': { label: '4 Hour', ms: 4 * HOUR, okx: '4H', season: 6, source: '1h' },
+  '1d': { label: '1 Day', ms: DAY, okx: '1D', season: 7 },
+  // The epoch was a Thursday, so weeks are offset to start on Monday
+  '1w': { label: '1 Week', ms: WEEK, okx: '1W', season: 52, source: '1d', offset: 4 * DAY }
+};
+
+const INTERVAL_IDS = Object.keys(INTERVALS);
+
+const DURATION_UNITS = [
+  ['week', WEEK],
+  ['day', DAY],
+  ['hour', HOUR],
+  ['minute', MINUTE]
+];
+
+/**
+ * Check whether an interval is supported
+ * @param {string} interval - Interval id, e.g. '1h'
+ * @returns {boolean}
+ */
+function isInterval(interval) {
+  return Object.prototype.hasOwnProperty.call(INTERVALS, interval);
+}
+
+/**
+ * Get an interval's definition, or throw for an unknown interval
+ * @param {string} interval - Interval id
+ * @returns {Object} { label, ms, okx, season, source, offset }
+ */
+function getInterval(interval) {
+  if (!isInterval(interval)) {
+    throw new Error(`Unknown interval: ${interval}. Supported intervals: ${INTERVAL_IDS.join(', ')}`);
+  }
+  return INTERVALS[interval];
+}
+
+/**
+ * Length of one candle
+ * @param {string} interval - Interval id
+ * @returns {number} Milliseconds
+ */
+function getIntervalMs(interval) {
+  return getInterval(interval).ms;
+}
+
+/**
+ * Interval a derived interval is resampled from
+ * @param {string} interval - Interval id
+ * @returns {string|null} Source interval id, or null when fetched directly
+ */
+function sourceInterval(interval) {
+  return getInterval(interval).source || null;
+}
+
+/**
+ * Open time of the candle containing a timestamp
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @param {string} interval - Interval id
+ * @returns {number} Candle open time
+ */
+function candleOpenTime(timestamp, interval) {
+  const { ms, offset = 0 } = getInterval(interval);
+  return Math.floor((timestamp - offset) / ms) * ms + offset;
+}
+
+/**
+ * Describe a duration in the largest unit it is a whole number of
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. '15 minutes', '1 hour', '4 days'
+ */
+function formatDuration(ms) {
+  const [unit, size] = DURATION_UNITS.find(([, size]) => ms % size === 0) || DURATION_UNITS[DURATION_UNITS.length - 1];
+  const count = Math.round(ms / size);
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Aggregate source candles into candles of a derived interval.
+ * Only complete candles are returned, plus the last one if it is still
+ * filling in from its first source candle; a candle with source candles
+ * missing (at the start of the history or in a gap) would misstate its
+ * open or range.
+ * @param {Array} candles - Source candles, oldest first, as stored in kline_data
+ * @param {string} interval - Interval to build
+ * @returns {Array} Candles { open_time, open, high, low, close, volume, close_time, quote_volume, trades }
+ */
+function resampleCandles(candles, interval) {
+  const { ms, source } = getInterval(interval);
+  if (!source) {
+    throw new Error(`Interval ${interval} is fetched, not resampled`);
+  }
+  const perCandle = ms / getIntervalMs(source);
+
+  const buckets = [];
+  for (const candle of candles) {
+    const openTime = candleOpenTime(candle.open_time, interval);
+    const last = buckets[buckets.length - 1];
+    if (last && last.openTime === openTime) {
+      last.candles.push(candle);
+    } else {
+      buckets.push({ openTime, candles: [candle] });
+    }
+  }
+
+  return buckets
+    .filter((bucket, i) => bucket.candles.length === perCandle ||
+      (i === buckets.length - 1 && bucket.candles[0].open_time === bucket.openTime))
+    .map(({ openTime, candles: group }) => ({
+      open_time: openTime,
+      open: group[0].open,
+      high: Math.max(...group.map(candle => candle.high)),
+      low: Math.min(...group.map(candle => candle.low)),
+      close: group[group.length - 1].close,
+      volume: group.reduce((sum, candle) => sum + candle.volume, 0),
+      close_time: openTime + ms - 1,
+      quote_volume: group.reduce((sum, candle) => sum + candle.quote_volume, 0),
+      trades: group.reduce((sum, candle) => sum + candle.trades, 0)
+    }));
+}
+
+/**
+ * Supported intervals for the API and dashboard
+ * @returns {Array<Object>} { id, label, ms, source }
+ */
+function listIntervals() {
+  return INTERVAL_IDS.map(id => ({
+    id,
+    label: INTERVALS[id].label,
+    ms: INTERVALS[id].ms,
+    source: INTERVALS[id].source || null
+  }));
+}
+
+module.exports = {
+  INTERVALS,
+  INTERVAL_IDS,
+  isInterval,
+  getInterval,
+  getIntervalMs,
+  sourceInterval,
+  candleOpenTime,
+  formatDuration,
+  resampleCandles,
+  listIntervals
+};
\ No newline at end of file
@@ -0,0 +1,74 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files to run in order. Column migrations start with their
+// ALTER TABLE statements, so a re-run stops at the first one with a
+// "duplicate column name" error and is treated as already applied.
+const MIGRATIONS = [
+  'add_predictions_schema.sql',
+  'add_ai_provider_column.sql',
+  'add_prediction_quantiles.sql',
+  'add_candle_forecasts.sql',
+  'add_directional_scoring.sql',
+  'add_provider_metrics.sql',
+  'add_backtest_tables.sql',
+  'add_prediction_runs.sql',
+  'add_cost_accounting.sql',
+  'add_provider_fallback.sql',
+  'add_job_runs.sql',
+  'add_symbols.sql',
+  'add_backfill_jobs.sql'
+];
+
+/**
+ * Run all migrations against a database
+ * @param {sqlite3.Database} db - Database connection
+ * @returns {Promise<void>}
+ */
+async function runMigrations(db) {
+  try {
+    for (const migrationFile of MIGRATIONS) {
+      const migrationPath = path.join(MIGRATIONS_DIR, migrationFile);
+      
+      // Check if migration file exists
+      try {
+        await fs.access(migrationPath);
+      } catch (error) {
+        console.log(`Migration file ${migrationFile} not found, skipping...`);
+        continue;
+      }
+      
+      const migrationSQL = await fs.readFile(migrationPath, 'utf8');
+      
+      await new Promise((resolve, reject) => {
+        db.exec(migrationSQL, (err) => {
+          if (err) {
+            // Check if it's a column already exists error
+            if (err.message.includes('duplicate column name')) {
+              console.log(`✅ Migration ${migrationFile} already applied`);
+              resolve();
+            } else {
+              console.error(`Error running migration ${migrationFile}:`, err);
+              reject(err);
+            }
+          } else {
+            console.log(`✅ Migration ${migrationFile} completed successfully`);
+            resolve();
+          }
+        });
+      });
+    }
+    
+    console.log('✅ All database migrations completed');
+  } catch (error) {
+    console.error('Error in migration process:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations
+};
\ No newline at end of file
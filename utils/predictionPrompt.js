@@ -3,20 +3,25 @@
  * to generate cryptocurrency price predictions
  */
 
+const { getIntervalMs, formatDuration } = require('./intervals');
+
+const DAY_MS = 24 * 3600 * 1000;
+
 /**
  * Formats the prediction prompt for Gemini
  * @param {string} symbol - Cryptocurrency symbol (e.g., 'BTC', 'ETH')
- * @param {string} interval - Time interval ('1h', '4h', '1d')
+ * @param {string} interval - Time interval (see utils/intervals.js)
  * @param {Array} klineData - Historical price data (last 100 points)
  * @param {Array} indicators - Technical indicators data
  * @param {Object} sentimentData - Market sentiment data
+ * @param {string} mode - 'close' for close prices only, 'ohlc' for full candles
  * @returns {string} Formatted prompt for Gemini
  */
-function formatPredictionPrompt(symbol, interval, klineData, indicators, sentimentData, existingPredictions = [], predictionsCount = 24, nextTimestamp = null) {
+function formatPredictionPrompt(symbol, interval, klineData, indicators, sentimentData, existingPredictions = [], predictionsCount = 24, nextTimestamp = null, mode = 'close') {
   // Calculate interval duration for context
-  const intervalHours = interval === '1h' ? 1 : interval === '4h' ? 4 : 24;
-  const intervalMs = intervalHours * 3600 * 1000;
-  const predictionHours = intervalHours * predictionsCount;
+  const intervalMs = getIntervalMs(interval);
+  // Candles in a day, or one candle for daily and longer intervals
+  const changeCandles = Math.max(1, Math.round(DAY_MS / intervalMs));
 
   // Calculate starting timestamp for new predictions
   const startTimestamp = nextTimestamp || (klineData[klineData.length - 1].timestamp + intervalMs);
@@ -44,7 +49,9 @@ function formatPredictionPrompt(symbol, interval, klineData, indicators, sentime
   const symbolSentiment = sentimentData?.data?.[symbol] || null;
   const marketSentiment = sentimentData?.data?.marketSentiment || null;
 
-  const prompt = `You are an expert financial analyst. Time series forecast the following data and predict the next ${predictionsCount} ${interval} price points.
+  const isOhlc = mode === 'ohlc';
+
+  const prompt = `You are an expert financial analyst. Time series forecast the following data and predict the next ${predictionsCount} ${interval} ${isOhlc ? 'candles' : 'price points'}.
 
 TECHNICAL INDICATORS (Latest):
 ${latestIndicators ? JSON.stringify({
@@ -58,10 +65,10 @@ ${latestIndicators ? JSON.stringify({
 
 ANALYSIS CONTEXT:
 - Current price: $${klineData[klineData.length - 1].close}
-- 24h change: ${calculatePriceChange(klineData)}%
-- Interval: ${interval} (${intervalHours} hour${intervalHours > 1 ? 's' : ''})
+- ${formatDuration(changeCandles * intervalMs)} change: ${calculatePriceChange(klineData, changeCandles)}%
+- Interval: ${interval} (${formatDuration(intervalMs)})
 - Existing future predictions: ${existingPredictions.length}
-- NEW predictions needed: ${predictionsCount} ${interval} candles (next ${predictionHours} hours)
+- NEW predictions needed: ${predictionsCount} ${interval} candles (next ${formatDuration(intervalMs * predictionsCount)})
 - Starting timestamp for NEW predictions: ${startTimestamp}
 
 INSTRUCTIONS:
@@ -74,7 +81,13 @@ INSTRUCTIONS:
 
 CRITICAL REQUIREMENTS:
 - You MUST provide EXACTLY ${predictionsCount} NEW predictions
-- Each prediction must have a timestamp and price
+- Each prediction must have a timestamp, ${isOhlc ? 'open, high, low, price, volume,' : 'price,'} p10 and p90
+- "price" is your median (p50) forecast of the close${isOhlc ? `
+- Each candle must be internally consistent: high >= max(open, price) and low <= min(open, price)
+- Each open must be at or very near the previous candle's close (the first open follows the last historical close)
+- "volume" is the expected base-asset volume for the candle` : ''}
+- "p10" and "p90" are the 10th and 90th percentiles of the close: there should be a 10% chance the close ends below p10 and a 10% chance it ends above p90, so p10 <= price <= p90
+- Bands should widen with the forecast horizon to reflect growing uncertainty
 - Timestamps must be sequential, starting from ${startTimestamp}
 - Each timestamp must increment by exactly ${intervalMs} milliseconds
 - ${existingPredictions.length > 0 ? 'Your predictions should logically consider existing predictions, pivoting if required' : ''}
@@ -84,8 +97,14 @@ IMPORTANT: Return ONLY valid JSON in the following format, with realistic foreca
 {
  "predictions": [
    {
-     "timestamp": <unix_timestamp_in_milliseconds>,
-     "price": <predicted_close_price>
+     "timestamp": <unix_timestamp_in_milliseconds>,${isOhlc ? `
+     "open": <predicted_open_price>,
+     "high": <predicted_high_price>,
+     "low": <predicted_low_price>,` : ''}
+     "price": <predicted_median_close_price>,${isOhlc ? `
+     "volume": <predicted_volume>,` : ''}
+     "p10": <10th_percentile_close_price>,
+     "p90": <90th_percentile_close_price>
    },
    ... (repeat for all ${predictionsCount} predictions)
  ]
@@ -103,16 +122,17 @@ ${JSON.stringify(formattedExistingPredictions, null, 2)}
 }
 
 /**
- * Calculate 24h price change percentage
+ * Calculate the price change percentage over the last candles
  * @param {Array} klineData - Historical price data
+ * @param {number} candles - Number of candles to look back
  * @returns {string} Price change percentage
  */
-function calculatePriceChange(klineData) {
-  if (klineData.length < 24) return '0.00';
+function calculatePriceChange(klineData, candles) {
+  if (klineData.length <= candles) return '0.00';
   
   const currentPrice = klineData[klineData.length - 1].close;
-  const price24hAgo = klineData[klineData.length - 24].close;
-  const change = ((currentPrice - price24hAgo) / price24hAgo) * 100;
+  const previousPrice = klineData[klineData.length - 1 - candles].close;
+  const change = ((currentPrice - previousPrice) / previousPrice) * 100;
   
   return change.toFixed(2);
 }
@@ -141,7 +161,63 @@ function validatePredictionResponse(response, expectedCount = 24) {
   );
 }
 
+/**
+ * Validates predicted OHLC candles. A candle keeps its open/high/low/volume
+ * only when high >= max(open, close), low <= min(open, close) and its open is
+ * within `openTolerance` of the previous close; otherwise it is reduced to
+ * its close price. Predictions without candle fields pass through unchanged.
+ * @param {Array} predictions - Predictions with price (close) and optional open/high/low/volume
+ * @param {number} lastClose - Close of the candle before the first prediction
+ * @param {number} openTolerance - Maximum relative gap between an open and the previous close
+ * @returns {Object} { predictions, valid, invalid, reasons }
+ */
+function validatePredictedCandles(predictions, lastClose, openTolerance = 0.01) {
+  let previousClose = lastClose;
+  let valid = 0;
+  let invalid = 0;
+  const reasons = {};
+
+  const checked = predictions.map(pred => {
+    const { open, high, low, volume, ...point } = pred;
+    const close = pred.price;
+    let reason = null;
+
+    if (open === undefined && high === undefined && low === undefined) {
+      previousClose = close;
+      return pred;
+    }
+
+    if ([open, high, low].some(value => typeof value !== 'number' || !(value > 0))) {
+      reason = 'missing or non-positive open/high/low';
+    } else if (high < Math.max(open, close)) {
+      reason = 'high below open/close';
+    } else if (low > Math.min(open, close)) {
+      reason = 'low above open/close';
+    } else if (previousClose && Math.abs(open - previousClose) / previousClose > openTolerance) {
+      reason = 'open too far from previous close';
+    }
+
+    previousClose = close;
+
+    if (reason) {
+      invalid++;
+      reasons[reason] = (reasons[reason] || 0) + 1;
+      return point;
+    }
+
+    valid++;
+    const candle = { ...point, open, high, low };
+    if (typeof volume === 'number' && volume >= 0) {
+      candle.volume = volume;
+    }
+    return candle;
+  });
+
+  return { predictions: checked, valid, invalid, reasons };
+}
+
 module.exports = {
   formatPredictionPrompt,
-  validatePredictionResponse
+  validatePredictionResponse,
+  validatePredictedCandles
 };
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Small seedable random number helpers so offline runs are reproducible
+ */
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} 32-bit hash
+ */
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded uniform random generator (mulberry32)
+ * @param {number|string} seed - Numeric seed, or a string that is hashed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw a standard normal sample using the Box-Muller transform
+ * @param {Function} random - Uniform generator from createRandom
+ * @returns {number} Sample from N(0, 1)
+ */
+function normalSample(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+module.exports = {
+  hashString,
+  createRandom,
+  normalSample
+};
@@ -0,0 +1,400 @@
+/**
+ * Helpers for turning raw AI model output into prediction objects.
+ * Shared by the AI providers and PredictionService.
+ *
+ * Parsed objects carry a `parsePath` saying how they were recovered:
+ * 'clean' (the JSON parsed as-is), 'repaired' (truncated JSON closed after
+ * its last complete prediction) or 'partial' (individual prediction
+ * objects picked out of unparseable text).
+ */
+
+/**
+ * Detect if a response appears to be truncated
+ * @param {string} text - Response text to check
+ * @returns {boolean} True if response appears truncated
+ */
+function detectResponseTruncation(text) {
+  if (!text || text.length === 0) {
+    return true;
+  }
+
+  const trimmed = text.trim();
+
+  // Check for common truncation indicators
+  const truncationIndicators = [
+    // Ends abruptly without proper JSON closure
+    /[^}\]]\s*$/,
+    // Ends with incomplete JSON structure
+    /[,{[][\s]*$/,
+    // Ends with incomplete string
+    /"[^"]*$/,
+    // Ends with incomplete number
+    /\d+\.?\d*$/,
+    // Very short response (likely truncated)
+    trimmed.length < 100
+  ];
+
+  // Check if response is suspiciously short for 24 predictions
+  if (trimmed.length < 500) {
+    console.warn(`⚠️ Response suspiciously short: ${trimmed.length} characters`);
+    return true;
+  }
+
+  // Check for truncation patterns
+  for (const indicator of truncationIndicators.slice(0, -1)) { // Exclude length check
+    if (indicator.test && indicator.test(trimmed)) {
+      console.warn(`⚠️ Truncation pattern detected: ${indicator}`);
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Validate that JSON structure is complete
+ * @param {string} jsonText - JSON text to validate
+ * @returns {boolean} True if JSON appears complete
+ */
+function validateJsonCompleteness(jsonText) {
+  if (!jsonText || jsonText.trim().length === 0) {
+    return false;
+  }
+
+  const trimmed = jsonText.trim();
+
+  // Basic structure checks
+  if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) {
+    console.warn(`⚠️ JSON doesn't start with { or end with }`);
+    return false;
+  }
+
+  // Count braces to ensure they're balanced
+  let braceCount = 0;
+  let bracketCount = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < trimmed.length; i++) {
+    const char = trimmed[i];
+
+    if (escaped) {
+      escaped = false;
+      continue;
+    }
+
+    if (char === '\\') {
+      escaped = true;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = !inString;
+      continue;
+    }
+
+    if (!inString) {
+      if (char === '{') braceCount++;
+      else if (char === '}') braceCount--;
+      else if (char === '[') bracketCount++;
+      else if (char === ']') bracketCount--;
+    }
+  }
+
+  // Check if braces and brackets are balanced
+  if (braceCount !== 0) {
+    console.warn(`⚠️ Unbalanced braces: ${braceCount}`);
+    return false;
+  }
+
+  if (bracketCount !== 0) {
+    console.warn(`⚠️ Unbalanced brackets: ${bracketCount}`);
+    return false;
+  }
+
+  // Check for expected structure for predictions
+  if (!trimmed.includes('"predictions"') || !trimmed.includes('[')) {
+    console.warn(`⚠️ Missing expected predictions structure`);
+    return false;
+  }
+
+  // Try to parse to ensure it's valid JSON
+  try {
+    const parsed = JSON.parse(trimmed);
+    if (!parsed.predictions || !Array.isArray(parsed.predictions)) {
+      console.warn(`⚠️ Invalid predictions structure in JSON`);
+      return false;
+    }
+
+    // Check if we have a reasonable number of predictions
+    if (parsed.predictions.length < 10) {
+      console.warn(`⚠️ Too few predictions: ${parsed.predictions.length}`);
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ JSON parse error during validation: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Extract partial predictions from a potentially truncated response
+ * @param {string} text - The response text (potentially truncated)
+ * @returns {Object|null} Extracted predictions object with its parsePath, or null if none found
+ */
+function extractPartialPredictions(text) {
+  if (!text || text.trim().length === 0) {
+    return null;
+  }
+
+  try {
+    // First try to find a complete JSON structure
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      console.warn('⚠️ No JSON structure found in response');
+      return null;
+    }
+
+    let jsonText = jsonMatch[0];
+
+    // Try parsing as-is first
+    try {
+      const parsed = JSON.parse(jsonText);
+      if (parsed.predictions && Array.isArray(parsed.predictions)) {
+        console.log(`✅ Successfully extracted ${parsed.predictions.length} complete predictions`);
+        parsed.parsePath = 'clean';
+        return parsed;
+      }
+    } catch (parseError) {
+      console.log('📝 Initial JSON parse failed, attempting repair...');
+    }
+
+    // If parsing failed, try to repair truncated JSON
+    const repairedJson = repairTruncatedJson(jsonText);
+    if (repairedJson) {
+      try {
+        const parsed = JSON.parse(repairedJson);
+        if (parsed.predictions && Array.isArray(parsed.predictions) && parsed.predictions.length > 0) {
+          console.log(`✅ Successfully extracted ${parsed.predictions.length} predictions from repaired JSON`);
+          parsed.parsePath = 'repaired';
+          return parsed;
+        }
+      } catch (repairParseError) {
+        console.warn('⚠️ Failed to parse repaired JSON:', repairParseError.message);
+      }
+    }
+
+    // Last resort: try to extract individual prediction objects
+    const extractedPredictions = extractIndividualPredictions(text);
+    if (extractedPredictions && extractedPredictions.length > 0) {
+      console.log(`✅ Extracted ${extractedPredictions.length} individual predictions`);
+      return { predictions: extractedPredictions, parsePath: 'partial' };
+    }
+
+    return null;
+  } catch (error) {
+    console.error('❌ Error extracting partial predictions:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Attempt to repair truncated JSON by fixing common issues
+ * @param {string} jsonText - Potentially truncated JSON
+ * @returns {string|null} Repaired JSON or null if repair failed
+ */
+function repairTruncatedJson(jsonText) {
+  try {
+    let repaired = jsonText.trim();
+
+    // Remove any trailing incomplete elements
+    // Look for the last complete prediction object
+    const predictionMatches = [...repaired.matchAll(/\{[^{}]*"timestamp"[^{}]*"price"[^{}]*\}/g)];
+    if (predictionMatches.length === 0) {
+      return null;
+    }
+
+    // Find the position after the last complete prediction
+    const lastMatch = predictionMatches[predictionMatches.length - 1];
+    const lastCompletePos = lastMatch.index + lastMatch[0].length;
+
+    // Extract everything up to the last complete prediction
+    let truncatedAtLastComplete = repaired.substring(0, lastCompletePos);
+
+    // Check if we need to close the predictions array
+    if (!truncatedAtLastComplete.includes(']')) {
+      truncatedAtLastComplete += ']';
+    }
+
+    // Check if we need to close the main object
+    if (!truncatedAtLastComplete.endsWith('}')) {
+      truncatedAtLastComplete += '}';
+    }
+
+    // Validate the structure makes sense
+    if (truncatedAtLastComplete.includes('"predictions"') &&
+        truncatedAtLastComplete.includes('[') &&
+        truncatedAtLastComplete.includes(']')) {
+      return truncatedAtLastComplete;
+    }
+
+    return null;
+  } catch (error) {
+    console.warn('⚠️ Error repairing JSON:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Extract individual prediction objects from text
+ * @param {string} text - Response text
+ * @returns {Array} Array of prediction objects
+ */
+function extractIndividualPredictions(text) {
+  try {
+    const predictions = [];
+
+    // Look for individual prediction objects with timestamp and price
+    const predictionRegex = /\{[^{}]*"timestamp"[^{}]*"price"[^{}]*\}/g;
+    const matches = text.match(predictionRegex);
+
+    if (!matches) {
+      return [];
+    }
+
+    for (const match of matches) {
+      try {
+        const prediction = JSON.parse(match);
+        if (prediction.timestamp && prediction.price &&
+            typeof prediction.timestamp === 'number' &&
+            typeof prediction.price === 'number' &&
+            prediction.price > 0) {
+          predictions.push(prediction);
+        }
+      } catch (parseError) {
+        // Skip invalid prediction objects
+        continue;
+      }
+    }
+
+    return predictions;
+  } catch (error) {
+    console.warn('⚠️ Error extracting individual predictions:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Parse a raw model response into a predictions object
+ * @param {string} text - Raw response text
+ * @param {Object} options - Parsing options
+ * @param {string} options.providerId - Provider id used in log messages
+ * @param {boolean} options.allowPartial - Fall back to partial extraction for malformed/truncated output
+ * @returns {Object} Parsed object with a `predictions` array and its `parsePath`
+ */
+function parsePredictionResponse(text, { providerId = 'provider', allowPartial = false } = {}) {
+  let predictions;
+
+  try {
+    // Extract JSON from response (in case there's extra text)
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      console.error(`🚨 No JSON structure found in ${providerId} response`);
+      console.error(`🚨 Response length: ${text ? text.length : 0} characters`);
+      console.error(`🚨 Response preview: "${text ? text.slice(0, 200) : 'null'}..."`);
+
+      // Try to extract partial predictions as last resort
+      if (allowPartial) {
+        console.log('🔧 Attempting to extract partial predictions from malformed response...');
+        const partialPredictions = extractPartialPredictions(text);
+        if (partialPredictions && partialPredictions.predictions && partialPredictions.predictions.length > 0) {
+          console.log(`✅ Extracted ${partialPredictions.predictions.length} predictions from malformed response`);
+          predictions = partialPredictions;
+        } else {
+          throw new Error('No JSON found in response and no partial predictions could be extracted');
+        }
+      } else {
+        throw new Error('No JSON found in response - response may be truncated or malformed');
+      }
+    } else {
+      const jsonText = jsonMatch[0];
+
+      // Additional validation for providers that tolerate partial output
+      if (allowPartial) {
+        // Log JSON extraction details
+        console.log(`📊 Extracted JSON length: ${jsonText.length} characters`);
+
+        // Check for truncation signs in the extracted JSON
+        if (!validateJsonCompleteness(jsonText)) {
+          console.warn(`⚠️ Incomplete JSON structure in ${providerId} response`);
+          console.warn(`⚠️ JSON ending: "${jsonText.slice(-100)}"`);
+          console.log('🔧 Attempting to extract partial predictions from incomplete JSON...');
+
+          // Try to extract partial predictions instead of failing
+          const partialPredictions = extractPartialPredictions(text);
+          if (partialPredictions && partialPredictions.predictions && partialPredictions.predictions.length > 0) {
+            console.log(`✅ Extracted ${partialPredictions.predictions.length} predictions from incomplete JSON`);
+            predictions = partialPredictions;
+          } else {
+            throw new Error('Extracted JSON appears incomplete and no partial predictions could be extracted');
+          }
+        } else {
+          predictions = JSON.parse(jsonText);
+          predictions.parsePath = 'clean';
+        }
+      } else {
+        predictions = JSON.parse(jsonText);
+        predictions.parsePath = 'clean';
+      }
+    }
+  } catch (parseError) {
+    // If we haven't already tried partial extraction, try it now
+    if (allowPartial && !predictions) {
+      console.warn(`⚠️ JSON parsing failed for ${providerId}:`, parseError.message);
+      console.log('🔧 Final attempt: extracting partial predictions...');
+
+      const partialPredictions = extractPartialPredictions(text);
+      if (partialPredictions && partialPredictions.predictions && partialPredictions.predictions.length > 0) {
+        console.log(`✅ Final extraction successful: ${partialPredictions.predictions.length} predictions`);
+        return partialPredictions;
+      }
+
+      console.error(`🚨 Failed to parse ${providerId} response:`, parseError.message);
+      console.error(`🚨 Response length: ${text ? text.length : 0} characters`);
+      console.error(`🚨 Response ending: "${text ? text.slice(-100) : 'null'}"`);
+
+      // Provide specific guidance for truncation issues
+      if (parseError.message.includes('Unexpected end of JSON input') ||
+          parseError.message.includes('position')) {
+        throw new Error(`JSON parsing failed and no partial predictions could be extracted. Original error: ${parseError.message}`);
+      }
+
+      throw new Error(`Invalid response format and no partial predictions could be extracted: ${parseError.message}`);
+    }
+
+    console.error(`🚨 Failed to parse ${providerId} response:`, parseError.message);
+    console.error(`🚨 Response length: ${text ? text.length : 0} characters`);
+    console.error(`🚨 Response ending: "${text ? text.slice(-100) : 'null'}"`);
+
+    // Provide specific guidance for truncation issues
+    if (parseError.message.includes('Unexpected end of JSON input') ||
+        parseError.message.includes('position')) {
+      throw new Error(`JSON parsing failed at position ${parseError.message.match(/position (\d+)/)?.[1] || 'unknown'} - likely due to response truncation. Try reducing prediction count or increasing token limit.`);
+    }
+
+    throw new Error(`Invalid response format: ${parseError.message}`);
+  }
+
+  return predictions;
+}
+
+module.exports = {
+  detectResponseTruncation,
+  validateJsonCompleteness,
+  extractPartialPredictions,
+  repairTruncatedJson,
+  extractIndividualPredictions,
+  parsePredictionResponse
+};
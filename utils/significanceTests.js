@@ -0,0 +1,231 @@
+/**
+ * Significance tests for comparing two forecasters on the same targets.
+ *
+ * Diebold-Mariano tests whether the mean loss differential between two
+ * forecasts is zero, with the Harvey-Leybourne-Newbold small-sample
+ * correction. The moving-block bootstrap gives confidence intervals on
+ * metric differences while keeping the autocorrelation of overlapping
+ * multi-step forecasts.
+ */
+
+const { createRandom } = require('./random');
+const forecastMetrics = require('./forecastMetrics');
+
+// Loss functions applied to each forecast error
+const LOSS_FUNCTIONS = {
+  squared: (predicted, actual) => (predicted - actual) * (predicted - actual),
+  absolute: (predicted, actual) => Math.abs(predicted - actual),
+  percentage: (predicted, actual) => Math.abs(predicted - actual) / Math.abs(actual) * 100
+};
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive input
+ * @returns {number}
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of coefficients) {
+    series += coefficient / ++y;
+  }
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (Lentz's method)
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @param {number} x - Point in [0, 1]
+ * @returns {number}
+ */
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number}
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+/**
+ * Cumulative distribution function of Student's t
+ * @param {number} t - Statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(T <= t)
+ */
+function studentTCdf(t, df) {
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Sample autocovariance at a lag, using the full-sample mean and 1/T scaling
+ * @param {Array<number>} values - Series
+ * @param {number} lag - Lag
+ * @returns {number}
+ */
+function autocovariance(values, lag) {
+  const avg = forecastMetrics.mean(values);
+  let sum = 0;
+  for (let i = lag; i < values.length; i++) {
+    sum += (values[i] - avg) * (values[i - lag] - avg);
+  }
+  return sum / values.length;
+}
+
+/**
+ * Diebold-Mariano test with the Harvey-Leybourne-Newbold correction.
+ * Positive statistics mean forecast A has the larger loss (B is better).
+ * @param {Array<number>} lossA - Losses of forecast A, in target order
+ * @param {Array<number>} lossB - Losses of forecast B, on the same targets
+ * @param {number} horizon - Forecast horizon h; h - 1 autocovariances are used
+ * @returns {Object|null} { statistic, pValue, df, meanDifferential, horizon }, null with fewer than 3 pairs
+ */
+function dieboldMariano(lossA, lossB, horizon = 1) {
+  const differentials = lossA.map((loss, i) => loss - lossB[i]);
+  const n = differentials.length;
+  if (n < 3) {
+    return null;
+  }
+
+  const h = Math.max(1, Math.min(Math.round(horizon), n - 1));
+  const meanDifferential = forecastMetrics.mean(differentials);
+
+  // Long-run variance from the first h - 1 autocovariances; falls back to
+  // the plain variance when the truncated sum is not positive
+  let longRunVariance = autocovariance(differentials, 0);
+  for (let lag = 1; lag < h; lag++) {
+    longRunVariance += 2 * autocovariance(differentials, lag);
+  }
+  if (!(longRunVariance > 0)) {
+    longRunVariance = autocovariance(differentials, 0);
+  }
+
+  if (!(longRunVariance > 0)) {
+    // Identical losses on every target
+    return { statistic: 0, pValue: 1, df: n - 1, meanDifferential, horizon: h };
+  }
+
+  const dm = meanDifferential / Math.sqrt(longRunVariance / n);
+  const correction = Math.sqrt((n + 1 - 2 * h + h * (h - 1) / n) / n);
+  const statistic = dm * correction;
+  const df = n - 1;
+
+  return {
+    statistic,
+    pValue: 2 * (1 - studentTCdf(Math.abs(statistic), df)),
+    df,
+    meanDifferential,
+    horizon: h
+  };
+}
+
+/**
+ * Moving-block bootstrap percentile intervals for a set of statistics
+ * @param {number} n - Number of observations
+ * @param {Function} statistics - Maps an array of indexes to { name: value }
+ * @param {Object} options - Bootstrap options
+ * @param {number} options.iterations - Resamples (default: 1000)
+ * @param {number} options.blockLength - Block length (default: cube root of n)
+ * @param {number} options.confidence - Interval coverage (default: 0.95)
+ * @param {number|string} options.seed - Seed for reproducible resamples (default: 42)
+ * @returns {Object} { iterations, blockLength, confidence, intervals: { name: { estimate, lower, upper } } }
+ */
+function blockBootstrap(n, statistics, { iterations = 1000, blockLength = null, confidence = 0.95, seed = 42 } = {}) {
+  const length = Math.max(1, Math.min(n, blockLength || Math.ceil(Math.cbrt(n))));
+  const random = createRandom(seed);
+  const allIndexes = Array.from({ length: n }, (_, i) => i);
+  const estimates = statistics(allIndexes);
+  const samples = Object.fromEntries(Object.keys(estimates).map(name => [name, []]));
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const indexes = [];
+    while (indexes.length < n) {
+      const start = Math.floor(random() * (n - length + 1));
+      for (let i = 0; i < length && indexes.length < n; i++) {
+        indexes.push(start + i);
+      }
+    }
+
+    const values = statistics(indexes);
+    for (const name of Object.keys(samples)) {
+      if (values[name] !== null && Number.isFinite(values[name])) {
+        samples[name].push(values[name]);
+      }
+    }
+  }
+
+  const alpha = (1 - confidence) / 2;
+  const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(p * sorted.length)))];
+
+  const intervals = {};
+  for (const [name, values] of Object.entries(samples)) {
+    values.sort((a, b) => a - b);
+    intervals[name] = {
+      estimate: estimates[name],
+      lower: values.length > 0 ? percentile(values, alpha) : null,
+      upper: values.length > 0 ? percentile(values, 1 - alpha) : null
+    };
+  }
+
+  return {
+    iterations,
+    blockLength: length,
+    confidence,
+    intervals
+  };
+}
+
+module.exports = {
+  LOSS_FUNCTIONS,
+  studentTCdf,
+  autocovariance,
+  dieboldMariano,
+  blockBootstrap
+};
\ No newline at end of file
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { runMigrations } = require('./migrations');
+
+/**
+ * Shared helpers for the test-*.js scripts: pass/fail counting and the
+ * summary line, promise wrappers for sqlite3, and scratch databases with
+ * kline_data and every migration applied.
+ *
+ * Each script runs in its own process, so the counters are module state.
+ */
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Record and print the outcome of a check
+ * @param {boolean} condition - Whether the check passed
+ * @param {string} message - What was checked
+ */
+function check(condition, message) {
+  if (condition) {
+    console.log(`   ✅ ${message}`);
+    passed++;
+  } else {
+    console.log(`   ❌ ${message}`);
+    failed++;
+  }
+}
+
+/**
+ * Whether two numbers agree, relative to the size of the expected one
+ * @param {number} a - Actual value
+ * @param {number} b - Expected value
+ * @param {number} tolerance - Allowed relative difference (absolute below 1)
+ * @returns {boolean}
+ */
+function close(a, b, tolerance = 1e-9) {
+  return Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(b));
+}
+
+/**
+ * Whether a function throws
+ * @param {Function} fn - Function to call
+ * @returns {boolean}
+ */
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * The error a promise rejects with
+ * @param {Promise} promise - Promise expected to reject
+ * @returns {Promise<Error|null>} The error, or null if it resolved
+ */
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Path of a scratch file in the temp directory, unique to this process
+ * @param {string} fileName - e.g. 'scheduler-test.db'
+ * @returns {string} e.g. /tmp/scheduler-test-1234.db
+ */
+function scratchPath(fileName) {
+  const { name, ext } = path.parse(fileName);
+  return path.join(os.tmpdir(), `${name}-${process.pid}${ext}`);
+}
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => err ? reject(err) : resolve());
+  });
+}
+
+function get(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+  });
+}
+
+function exec(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => err ? reject(err) : resolve());
+  });
+}
+
+/**
+ * Open a scratch database with the kline_data table server.js creates and
+ * every migration applied
+ * @param {string} dbPath - Database path
+ * @returns {Promise<sqlite3.Database>}
+ */
+async function createTestDatabase(dbPath) {
+  const db = new sqlite3.Database(dbPath);
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS kline_data (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL,
+      interval TEXT NOT NULL,
+      open_time INTEGER NOT NULL,
+      open REAL NOT NULL,
+      high REAL NOT NULL,
+      low REAL NOT NULL,
+      close REAL NOT NULL,
+      volume REAL NOT NULL,
+      close_time INTEGER NOT NULL,
+      quote_volume REAL NOT NULL,
+      trades INTEGER NOT NULL,
+      UNIQUE(symbol, interval, open_time)
+    )
+  `);
+  await runMigrations(db);
+  return db;
+}
+
+/**
+ * Run a test script's checks, then remove its scratch files, print the
+ * summary and set the exit code. An uncaught error counts as a failure.
+ * @param {Function} runTests - Async function running the checks
+ * @param {Array<string>} scratchPaths - Files and directories to remove afterwards
+ * @returns {Promise<void>}
+ */
+function runSuite(runTests, scratchPaths = []) {
+  return runTests()
+    .catch(error => {
+      console.error('❌ Test run failed:', error);
+      failed++;
+    })
+    .finally(() => {
+      for (const scratch of scratchPaths) {
+        fs.rmSync(scratch, { recursive: true, force: true });
+      }
+      console.log(`\n📊 ${passed} passed, ${failed} failed`);
+      process.exitCode = failed > 0 ? 1 : 0;
+    });
+}
+
+module.exports = {
+  check,
+  close,
+  throws,
+  rejection,
+  scratchPath,
+  run,
+  get,
+  all,
+  exec,
+  createTestDatabase,
+  runSuite
+};
\ No newline at end of file
@@ -36,7 +36,7 @@ async function verifyPredictions() {
       const missingPredictions = [];
       const symbols = ['BTC', 'ETH', 'XRP', 'SOL'];
       const intervals = ['1h', '4h', '1d'];
-      const providers = ['gemini', 'gpt', 'claude'];
+      const providers = process.env.TEST_PROVIDER ? [process.env.TEST_PROVIDER] : ['gemini', 'gpt', 'claude'];
       
       // Create a map of existing predictions
       const existingMap = {};
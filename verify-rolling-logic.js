@@ -1,4 +1,5 @@
 const sqlite3 = require('sqlite3').verbose();
+const { getIntervalMs } = require('./utils/intervals');
 
 /**
  * Simple verification script for rolling predictions logic
@@ -89,8 +90,7 @@ class RollingVerification {
    * Calculate next timestamp
    */
   calculateNextTimestamp(interval, existingPredictions, lastHistoricalTimestamp) {
-    const intervalHours = interval === '1h' ? 1 : interval === '4h' ? 4 : 24;
-    const intervalMs = intervalHours * 3600 * 1000;
+    const intervalMs = getIntervalMs(interval);
 
     if (existingPredictions.length > 0) {
       const lastTimestamp = Math.max(...existingPredictions.map(p => p.target_time));
@@ -1,4 +1,5 @@
 const sqlite3 = require('sqlite3').verbose();
+const { getIntervalMs } = require('./utils/intervals');
 const db = new sqlite3.Database('./crypto_data.db');
 
 // Configuration constants
@@ -289,8 +290,7 @@ async function verifyDataIntegrity() {
 
 // Helper functions
 function getExpectedTimeSpan(interval) {
-    const hours = interval === '1h' ? 1 : interval === '4h' ? 4 : 24;
-    return hours * 24 * 3600 * 1000; // 24 predictions * interval in milliseconds
+    return getIntervalMs(interval) * 24; // 24 predictions * interval in milliseconds
 }
 
 function formatDuration(ms) {